@@ -1,24 +1,162 @@
-import React from "react";
-import { NavigationContainer } from "@react-navigation/native";
+import React, { useEffect, useState } from "react";
+import { View, ActivityIndicator, Linking } from "react-native";
+import {
+  NavigationContainer,
+  createNavigationContainerRef,
+} from "@react-navigation/native";
 import { createStackNavigator } from "@react-navigation/stack";
+import { createBottomTabNavigator } from "@react-navigation/bottom-tabs";
+import { MaterialIcons } from "@expo/vector-icons";
+import AsyncStorage from "@react-native-async-storage/async-storage";
 import HomeScreen from "./screens/HomeScreen";
+import ProjectsScreen from "./screens/ProjectsScreen";
+import MaterialIdentificationScreen from "./screens/MaterialIdentificationScreen";
+import OnboardingScreen from "./screens/OnboardingScreen";
+import AuthScreen from "./screens/AuthScreen";
 import LiveInspectionScreen from "./screens/LiveInspectionScreen";
 import BuildingCodesScreen from "./screens/BuildingCodesScreen";
 import ReportScreen from "./screens/ReportScreen";
+import ReinspectionScreen from "./screens/ReinspectionScreen";
+import PlanRevisionsScreen from "./screens/PlanRevisionsScreen";
+import CodeLibraryScreen from "./screens/CodeLibraryScreen";
 import DiagnosticsScreen from "./screens/DiagnosticsScreen";
 import ErrorBoundary from "./components/ErrorBoundary";
+import OfflineQueueService from "./services/OfflineQueueService";
+import AuthService from "./services/AuthService";
+import PlanSyncService from "./services/PlanSyncService";
 
 const Stack = createStackNavigator();
+const Tab = createBottomTabNavigator();
+const navigationRef = createNavigationContainerRef();
+
+const ONBOARDING_KEY = "hasSeenOnboarding";
+
+const TAB_ICONS = {
+  Home: "home",
+  Projects: "folder",
+  Materials: "category",
+};
+
+// vision://project/<id> opens a project, vision://session/<id> its report
+const linking = {
+  prefixes: ["vision://"],
+  config: {
+    screens: {
+      Main: {
+        screens: {
+          Home: "home",
+          Projects: "project/:projectId?",
+          Materials: "materials",
+        },
+      },
+      Report: "session/:sessionId",
+      LiveInspection: "inspect/:projectId?",
+      Reinspection: "reinspect/:projectId?",
+      BuildingCodes: "foresight/:projectId?",
+      CodeLibrary: "codes/:query?",
+      Auth: "auth",
+    },
+  },
+};
+
+function MainTabs() {
+  return (
+    <Tab.Navigator
+      screenOptions={({ route }) => ({
+        tabBarActiveTintColor: "#0066CC",
+        tabBarInactiveTintColor: "#999999",
+        tabBarIcon: ({ color, size }) => (
+          <MaterialIcons name={TAB_ICONS[route.name]} size={size} color={color} />
+        ),
+      })}
+    >
+      <Tab.Screen
+        name="Home"
+        component={HomeScreen}
+        options={{ title: "VISION" }}
+      />
+      <Tab.Screen
+        name="Projects"
+        component={ProjectsScreen}
+        options={{ title: "Projects" }}
+      />
+      <Tab.Screen
+        name="Materials"
+        component={MaterialIdentificationScreen}
+        options={{ title: "Materials" }}
+      />
+    </Tab.Navigator>
+  );
+}
 
 export default function App() {
+  const [initialRoute, setInitialRoute] = useState(null);
+
+  // First launch goes through onboarding; afterwards straight to the tabs
+  useEffect(() => {
+    AsyncStorage.getItem(ONBOARDING_KEY)
+      .then((value) => setInitialRoute(value === "true" ? "Main" : "Onboarding"))
+      .catch((error) => {
+        console.error("Failed to read onboarding state:", error);
+        setInitialRoute("Main");
+      });
+  }, []);
+
+  // Restore the auth session and finish magic-link / reset redirects
+  useEffect(() => {
+    const handleUrl = (url) =>
+      AuthService.createSessionFromUrl(url).catch((error) =>
+        console.error("Failed to complete sign-in link:", error)
+      );
+
+    AuthService.initialize().catch((error) =>
+      console.error("Failed to initialize auth:", error)
+    );
+    Linking.getInitialURL().then(handleUrl);
+    const subscription = Linking.addEventListener("url", ({ url }) =>
+      handleUrl(url)
+    );
+    return () => subscription.remove();
+  }, []);
+
+  // Replay work queued while offline whenever connectivity returns
+  useEffect(() => {
+    OfflineQueueService.start();
+    return () => OfflineQueueService.stop();
+  }, []);
+
+  // Keep Foresight plans in step with building_plans across devices
+  useEffect(() => {
+    PlanSyncService.start();
+    return () => PlanSyncService.stop();
+  }, []);
+
+  if (!initialRoute) {
+    return (
+      <View style={{ flex: 1, justifyContent: "center", alignItems: "center" }}>
+        <ActivityIndicator size="large" color="#0066CC" />
+      </View>
+    );
+  }
+
   return (
-    <ErrorBoundary>
-      <NavigationContainer>
-        <Stack.Navigator initialRouteName="Home">
+    <ErrorBoundary navigationRef={navigationRef}>
+      <NavigationContainer ref={navigationRef} linking={linking}>
+        <Stack.Navigator initialRouteName={initialRoute}>
+          <Stack.Screen
+            name="Onboarding"
+            component={OnboardingScreen}
+            options={{ headerShown: false }}
+          />
           <Stack.Screen
-            name="Home"
-            component={HomeScreen}
-            options={{ title: "VISION" }}
+            name="Auth"
+            component={AuthScreen}
+            options={{ title: "Account" }}
+          />
+          <Stack.Screen
+            name="Main"
+            component={MainTabs}
+            options={{ headerShown: false }}
           />
           <Stack.Screen
             name="LiveInspection"
@@ -35,6 +173,21 @@ export default function App() {
             component={ReportScreen}
             options={{ title: "Report" }}
           />
+          <Stack.Screen
+            name="Reinspection"
+            component={ReinspectionScreen}
+            options={{ title: "Re-inspection" }}
+          />
+          <Stack.Screen
+            name="PlanRevisions"
+            component={PlanRevisionsScreen}
+            options={{ title: "Revisions" }}
+          />
+          <Stack.Screen
+            name="CodeLibrary"
+            component={CodeLibraryScreen}
+            options={{ title: "Code Library" }}
+          />
           <Stack.Screen
             name="Diagnostics"
             component={DiagnosticsScreen}
@@ -0,0 +1,84 @@
+/**
+ * CitationBadge - Shows whether a violation's cited code was found in the
+ * downloaded code library (BuildingCodeService.verifyCitation) or is an
+ * unconfirmed model guess. Renders nothing for citations that were never checked.
+ */
+
+import React from "react";
+import { View, Text, StyleSheet } from "react-native";
+import { MaterialIcons } from "@expo/vector-icons";
+
+export const CITATION_STATUS = {
+  verified: { label: "VERIFIED", icon: "verified", color: "#15803D", background: "#DCFCE7" },
+  parent: { label: "SECTION NOT FOUND", icon: "help-outline", color: "#B45309", background: "#FEF3C7" },
+  unverified: { label: "UNVERIFIED", icon: "report-problem", color: "#B91C1C", background: "#FEE2E2" },
+};
+
+/**
+ * One-line description of a verification result, e.g.
+ * "Verified in Honolulu Residential Code (IRC 2018)"
+ */
+export const describeCitation = (verification) => {
+  if (!verification) return null;
+  const edition = verification.edition ? ` (${verification.edition})` : "";
+  switch (verification.status) {
+    case "verified":
+      return `Verified in ${verification.codeLabel}${edition}`;
+    case "parent":
+      return `Only ${verification.section.citation} found in ${verification.codeLabel}${edition}`;
+    case "unverified":
+      return `Not found in the code library${edition} - AI guess, confirm before citing`;
+    default:
+      return null;
+  }
+};
+
+export default function CitationBadge({ verification, light = false, style }) {
+  const status = CITATION_STATUS[verification?.status];
+  if (!status) return null;
+
+  return (
+    <View
+      style={[
+        styles.badge,
+        { backgroundColor: light ? "rgba(0,0,0,0.6)" : status.background },
+        light && { borderColor: status.background },
+        style,
+      ]}
+    >
+      <MaterialIcons
+        name={status.icon}
+        size={12}
+        color={light ? status.background : status.color}
+      />
+      <Text
+        style={[
+          styles.badgeText,
+          { color: light ? status.background : status.color },
+        ]}
+      >
+        {status.label}
+        {verification.edition ? ` • ${verification.edition}` : ""}
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    gap: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: "transparent",
+  },
+  badgeText: {
+    fontSize: 10,
+    fontWeight: "800",
+    letterSpacing: 0.3,
+  },
+});
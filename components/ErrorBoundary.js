@@ -77,7 +77,7 @@ class ErrorBoundary extends React.Component {
               style={[styles.button, styles.buttonSecondary]}
               onPress={() => {
                 if (this.props.navigationRef?.current) {
-                  this.props.navigationRef.current.navigate("Home");
+                  this.props.navigationRef.current.navigate("Main", { screen: "Home" });
                 }
                 this.handleReset();
               }}
@@ -0,0 +1,176 @@
+/**
+ * InspectionChecklist - Pass/fail/N/A checklist for the current inspection type
+ * Items the AI judged from the camera are tagged "AI" until the inspector
+ * taps a status; tapping the selected status again clears it.
+ */
+
+import React from "react";
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from "react-native";
+import { MaterialIcons } from "@expo/vector-icons";
+import {
+  CHECKLIST_STATUS,
+  CHECKLIST_SOURCE,
+  getInspectionType,
+  summarizeChecklist,
+} from "../services/inspectionChecklists";
+
+export const CHECKLIST_STATUS_STYLES = {
+  [CHECKLIST_STATUS.PASS]: { label: "PASS", color: "#22C55E" },
+  [CHECKLIST_STATUS.FAIL]: { label: "FAIL", color: "#EF4444" },
+  [CHECKLIST_STATUS.NA]: { label: "N/A", color: "#9CA3AF" },
+};
+
+export default function InspectionChecklist({
+  inspectionType,
+  results = {},
+  onSetStatus,
+  onClose,
+}) {
+  const type = getInspectionType(inspectionType);
+  const { items, counts } = summarizeChecklist(inspectionType, results);
+  if (!type || !items.length) return null;
+
+  return (
+    <View style={styles.panel}>
+      <View style={styles.header}>
+        <View>
+          <Text style={styles.title}>{type.label} Checklist</Text>
+          <Text style={styles.counts}>
+            {counts.pass} pass • {counts.fail} fail • {counts.na} N/A •{" "}
+            {counts.open} open
+          </Text>
+        </View>
+        <TouchableOpacity onPress={onClose}>
+          <MaterialIcons name="close" size={24} color="white" />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView style={styles.list}>
+        {items.map((item) => (
+          <View key={item.id} style={styles.item}>
+            <View style={styles.itemText}>
+              <Text style={styles.itemLabel}>
+                {item.label}
+                {item.source === CHECKLIST_SOURCE.AI && (
+                  <Text style={styles.aiTag}> AI</Text>
+                )}
+              </Text>
+              {!!item.note && (
+                <Text style={styles.itemNote} numberOfLines={2}>
+                  {item.note}
+                </Text>
+              )}
+            </View>
+            <View style={styles.statusButtons}>
+              {Object.entries(CHECKLIST_STATUS_STYLES).map(
+                ([status, { label, color }]) => {
+                  const selected = item.status === status;
+                  return (
+                    <TouchableOpacity
+                      key={status}
+                      style={[
+                        styles.statusButton,
+                        { borderColor: color },
+                        selected && { backgroundColor: color },
+                        // AI suggestions are shown, but not as a settled answer
+                        selected &&
+                          item.source === CHECKLIST_SOURCE.AI &&
+                          styles.statusButtonSuggested,
+                      ]}
+                      onPress={() => onSetStatus(item.id, status)}
+                    >
+                      <Text
+                        style={[
+                          styles.statusText,
+                          { color: selected ? "white" : color },
+                        ]}
+                      >
+                        {label}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                }
+              )}
+            </View>
+          </View>
+        ))}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  panel: {
+    position: "absolute",
+    top: 100,
+    left: 16,
+    right: 16,
+    maxHeight: "55%",
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: "rgba(0,0,0,0.85)",
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "flex-start",
+    marginBottom: 8,
+  },
+  title: {
+    color: "white",
+    fontSize: 16,
+    fontWeight: "700",
+  },
+  counts: {
+    color: "rgba(255,255,255,0.6)",
+    fontSize: 12,
+    marginTop: 2,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  item: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: "rgba(255,255,255,0.1)",
+  },
+  itemText: {
+    flex: 1,
+    marginRight: 8,
+  },
+  itemLabel: {
+    color: "white",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  aiTag: {
+    color: "#93C5FD",
+    fontSize: 11,
+    fontWeight: "800",
+  },
+  itemNote: {
+    color: "rgba(255,255,255,0.6)",
+    fontSize: 12,
+    marginTop: 2,
+  },
+  statusButtons: {
+    flexDirection: "row",
+    gap: 4,
+  },
+  statusButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 6,
+    borderWidth: 1,
+  },
+  statusButtonSuggested: {
+    opacity: 0.6,
+    borderStyle: "dashed",
+  },
+  statusText: {
+    fontSize: 11,
+    fontWeight: "800",
+  },
+});
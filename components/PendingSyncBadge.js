@@ -0,0 +1,53 @@
+/**
+ * PendingSyncBadge - Shows how many offline operations are waiting to sync
+ * Renders nothing when the outbox is empty; tap to retry immediately.
+ */
+
+import React, { useState, useEffect } from "react";
+import { Text, StyleSheet, TouchableOpacity } from "react-native";
+import { MaterialIcons } from "@expo/vector-icons";
+import OfflineQueueService from "../services/OfflineQueueService";
+
+export default function PendingSyncBadge({ style, light = false }) {
+  const [pendingCount, setPendingCount] = useState(
+    OfflineQueueService.getPendingCount()
+  );
+
+  useEffect(() => OfflineQueueService.subscribe(setPendingCount), []);
+
+  if (pendingCount === 0) return null;
+
+  const color = light ? "white" : "#B45309";
+
+  return (
+    <TouchableOpacity
+      style={[styles.badge, light && styles.badgeLight, style]}
+      onPress={() => OfflineQueueService.sync()}
+    >
+      <MaterialIcons name="cloud-upload" size={16} color={color} />
+      <Text style={[styles.badgeText, { color }]}>
+        {pendingCount} pending
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "center",
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: "#FEF3C7",
+  },
+  badgeLight: {
+    backgroundColor: "rgba(245,158,11,0.9)",
+  },
+  badgeText: {
+    fontSize: 13,
+    fontWeight: "700",
+  },
+});
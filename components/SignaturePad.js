@@ -0,0 +1,207 @@
+/**
+ * SignaturePad - Finger signature captured as strokes of points
+ * The value is { width, height, strokes: [[[x, y], ...], ...] } in pad
+ * coordinates, small enough to store with the signed report and redraw as
+ * SVG in the PDF. Lines are drawn as rotated views, so no SVG library is needed.
+ */
+
+import React, { useState, useRef } from "react";
+import { View, Text, StyleSheet, TouchableOpacity, PanResponder } from "react-native";
+
+const STROKE_WIDTH = 3;
+// Skip points closer than this to the last one to keep signatures small
+const MIN_POINT_DISTANCE = 2;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+export const isSignatureEmpty = (signature) =>
+  !signature?.strokes?.some((stroke) => stroke.length > 0);
+
+const Stroke = ({ points }) => {
+  if (points.length === 1) {
+    const [x, y] = points[0];
+    return (
+      <View
+        style={[
+          styles.dot,
+          { left: x - STROKE_WIDTH / 2, top: y - STROKE_WIDTH / 2 },
+        ]}
+      />
+    );
+  }
+  return points.slice(1).map(([x2, y2], index) => {
+    const [x1, y1] = points[index];
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    return (
+      <View
+        key={index}
+        style={[
+          styles.segment,
+          {
+            left: (x1 + x2) / 2 - length / 2,
+            top: (y1 + y2) / 2 - STROKE_WIDTH / 2,
+            width: length,
+            transform: [{ rotate: `${Math.atan2(y2 - y1, x2 - x1)}rad` }],
+          },
+        ]}
+      />
+    );
+  });
+};
+
+export default function SignaturePad({
+  label,
+  value,
+  onChange,
+  onDrawStart,
+  onDrawEnd,
+  height = 160,
+}) {
+  const [current, setCurrent] = useState([]);
+  const size = useRef({ width: 0, height });
+  const stroke = useRef([]);
+  // PanResponder is created once; read the latest props through a ref
+  const props = useRef({});
+  props.current = { value, onChange, onDrawStart, onDrawEnd };
+
+  const addPoint = (event) => {
+    const { locationX, locationY } = event.nativeEvent;
+    const point = [round(locationX), round(locationY)];
+    const last = stroke.current[stroke.current.length - 1];
+    if (last && Math.hypot(point[0] - last[0], point[1] - last[1]) < MIN_POINT_DISTANCE) {
+      return;
+    }
+    stroke.current = [...stroke.current, point];
+    setCurrent(stroke.current);
+  };
+
+  const finishStroke = () => {
+    const { value: signature, onChange: change, onDrawEnd: drawEnd } = props.current;
+    if (stroke.current.length) {
+      change?.({
+        width: round(size.current.width),
+        height: round(size.current.height),
+        strokes: [...(signature?.strokes || []), stroke.current],
+      });
+    }
+    stroke.current = [];
+    setCurrent([]);
+    drawEnd?.();
+  };
+
+  const panResponder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      // Keep the gesture when the enclosing ScrollView wants to scroll
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderGrant: (event) => {
+        props.current.onDrawStart?.();
+        stroke.current = [];
+        addPoint(event);
+      },
+      onPanResponderMove: addPoint,
+      onPanResponderRelease: finishStroke,
+      onPanResponderTerminate: finishStroke,
+    })
+  ).current;
+
+  const strokes = [...(value?.strokes || []), ...(current.length ? [current] : [])];
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.label}>{label}</Text>
+        <TouchableOpacity
+          onPress={() => onChange?.(null)}
+          disabled={isSignatureEmpty(value)}
+        >
+          <Text
+            style={[styles.clear, isSignatureEmpty(value) && styles.clearDisabled]}
+          >
+            Clear
+          </Text>
+        </TouchableOpacity>
+      </View>
+      <View
+        style={[styles.pad, { height }]}
+        onLayout={(event) => {
+          size.current = event.nativeEvent.layout;
+        }}
+        {...panResponder.panHandlers}
+      >
+        {/* Strokes ignore touches so locationX/Y stay relative to the pad */}
+        <View style={StyleSheet.absoluteFill} pointerEvents="none">
+          <View style={styles.baseline} />
+          {strokes.map((points, index) => (
+            <Stroke key={index} points={points} />
+          ))}
+        </View>
+        {strokes.length === 0 && (
+          <Text style={styles.placeholder} pointerEvents="none">
+            Sign here
+          </Text>
+        )}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 12,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "baseline",
+    marginBottom: 6,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  clear: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#0066CC",
+  },
+  clearDisabled: {
+    color: "#CCCCCC",
+  },
+  pad: {
+    borderWidth: 1,
+    borderColor: "#E5E5E5",
+    borderRadius: 8,
+    backgroundColor: "#FAFAFA",
+    overflow: "hidden",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  baseline: {
+    position: "absolute",
+    left: 16,
+    right: 16,
+    bottom: 32,
+    height: 1,
+    backgroundColor: "#CCCCCC",
+  },
+  placeholder: {
+    fontSize: 14,
+    color: "#999999",
+  },
+  segment: {
+    position: "absolute",
+    height: STROKE_WIDTH,
+    borderRadius: STROKE_WIDTH / 2,
+    backgroundColor: "#1A1A1A",
+  },
+  dot: {
+    position: "absolute",
+    width: STROKE_WIDTH,
+    height: STROKE_WIDTH,
+    borderRadius: STROKE_WIDTH / 2,
+    backgroundColor: "#1A1A1A",
+  },
+});
@@ -0,0 +1,456 @@
+/**
+ * ViolationEditor - Add a finding, or correct or dismiss an existing one
+ * Used from the live screen and the report. AI findings show what the model
+ * originally reported; the change history comes from the audit trail.
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  ScrollView,
+  Alert,
+} from "react-native";
+import {
+  PERMISSION_DENIED,
+  RECORD_LOCKED,
+} from "../services/OfflineQueueService";
+import ViolationService, {
+  VIOLATION_SOURCE,
+  VIOLATION_STATUS,
+  DISMISS_REASONS,
+} from "../services/ViolationService";
+import { SEVERITY_COLORS } from "./ViolationOverlay";
+
+// Writes the database refuses; ViolationService doesn't queue these
+const SAVE_ERRORS = {
+  [PERMISSION_DENIED]: "This account can't change findings on this inspection.",
+  [RECORD_LOCKED]: "This inspection's report is signed, so its findings can no longer be changed.",
+};
+
+const SEVERITIES = ["critical", "high", "medium", "low"];
+const CATEGORIES = ["structural", "electrical", "plumbing", "safety", "quality"];
+
+const EVENT_LABELS = {
+  created: "Recorded",
+  updated: "Edited",
+  dismissed: "Dismissed",
+  restored: "Restored",
+  deleted: "Deleted",
+};
+
+const FIELD_LABELS = {
+  violation_code: "code",
+  description: "description",
+  severity: "severity",
+  category: "category",
+  status: "status",
+  dismissed_reason: "reason",
+};
+
+/**
+ * "Edited: severity high → medium, code IRC R602 → IRC R602.3"
+ */
+const describeEvent = (event) => {
+  const label = EVENT_LABELS[event.action] || event.action;
+  if (event.action !== "updated") return label;
+  const fields = Object.entries(event.changes || {})
+    .filter(([field]) => FIELD_LABELS[field])
+    .map(
+      ([field, { from, to }]) =>
+        `${FIELD_LABELS[field]} ${from ?? "—"} → ${to ?? "—"}`
+    );
+  return fields.length ? `${label}: ${fields.join(", ")}` : label;
+};
+
+export default function ViolationEditor({
+  visible,
+  violation,
+  onSave,
+  onClose,
+  onCodePress,
+}) {
+  const isNew = !violation?.id;
+  const [code, setCode] = useState("");
+  const [issue, setIssue] = useState("");
+  const [severity, setSeverity] = useState("medium");
+  const [category, setCategory] = useState(null);
+  const [choosingReason, setChoosingReason] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!visible) return;
+    setCode(violation?.code || "");
+    setIssue(violation?.issue || "");
+    setSeverity(violation?.severity || "medium");
+    setCategory(violation?.category || null);
+    setChoosingReason(false);
+    setHistory([]);
+    if (violation?.id) {
+      ViolationService.getHistory(violation.id).then(setHistory);
+    }
+  }, [visible, violation?.id]);
+
+  const run = async (action) => {
+    setSaving(true);
+    try {
+      const saved = await action();
+      onSave?.(saved);
+      onClose();
+    } catch (error) {
+      console.error("❌ Failed to save finding:", error);
+      Alert.alert("Not saved", SAVE_ERRORS[error.code] || "Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const save = () =>
+    run(() =>
+      isNew
+        ? ViolationService.addViolation({
+            sessionId: violation?.sessionId,
+            projectId: violation?.projectId,
+            code: code.trim(),
+            issue: issue.trim(),
+            severity,
+            category,
+          })
+        : ViolationService.updateViolation(violation.id, {
+            code: code.trim(),
+            issue: issue.trim(),
+            severity,
+            category,
+          })
+    );
+
+  const dismiss = (reason) =>
+    run(() => ViolationService.dismissViolation(violation.id, reason));
+
+  const restore = () =>
+    run(() => ViolationService.restoreViolation(violation.id));
+
+  const dismissed = violation?.status === VIOLATION_STATUS.DISMISSED;
+  const original = violation?.aiOriginal;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <Text style={styles.title}>
+              {isNew
+                ? "Add Finding"
+                : violation.source === VIOLATION_SOURCE.AI
+                ? "AI Finding"
+                : "Inspector Finding"}
+              {dismissed ? " (dismissed)" : ""}
+            </Text>
+
+            {original && (
+              <Text style={styles.original}>
+                AI reported: {original.code || "no code"} •{" "}
+                {(original.severity || "unknown").toUpperCase()} •{" "}
+                {original.issue}
+              </Text>
+            )}
+
+            <Text style={styles.label}>Code section</Text>
+            <View style={styles.codeRow}>
+              <TextInput
+                style={[styles.input, styles.codeInput]}
+                value={code}
+                onChangeText={setCode}
+                placeholder="e.g. IRC R602.3"
+                autoCapitalize="characters"
+              />
+              {onCodePress && !!code.trim() && (
+                <TouchableOpacity onPress={() => onCodePress(code.trim())}>
+                  <Text style={styles.link}>Look up ›</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+
+            <Text style={styles.label}>Description</Text>
+            <TextInput
+              style={[styles.input, styles.multiline]}
+              value={issue}
+              onChangeText={setIssue}
+              placeholder="What is wrong and where"
+              multiline
+            />
+
+            <Text style={styles.label}>Severity</Text>
+            <View style={styles.chips}>
+              {SEVERITIES.map((value) => (
+                <TouchableOpacity
+                  key={value}
+                  style={[
+                    styles.chip,
+                    severity === value && {
+                      backgroundColor: SEVERITY_COLORS[value],
+                      borderColor: SEVERITY_COLORS[value],
+                    },
+                  ]}
+                  onPress={() => setSeverity(value)}
+                >
+                  <Text
+                    style={[
+                      styles.chipText,
+                      severity === value && styles.chipTextSelected,
+                    ]}
+                  >
+                    {value.toUpperCase()}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.label}>Category</Text>
+            <View style={styles.chips}>
+              {CATEGORIES.map((value) => (
+                <TouchableOpacity
+                  key={value}
+                  style={[
+                    styles.chip,
+                    category === value && styles.chipSelected,
+                  ]}
+                  onPress={() => setCategory(category === value ? null : value)}
+                >
+                  <Text
+                    style={[
+                      styles.chipText,
+                      category === value && styles.chipTextSelected,
+                    ]}
+                  >
+                    {value}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {choosingReason && (
+              <View style={styles.reasons}>
+                <Text style={styles.label}>Why dismiss this finding?</Text>
+                {DISMISS_REASONS.map((reason) => (
+                  <TouchableOpacity
+                    key={reason}
+                    style={styles.reason}
+                    onPress={() => dismiss(reason)}
+                    disabled={saving}
+                  >
+                    <Text style={styles.reasonText}>{reason}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+
+            {history.length > 0 && (
+              <View style={styles.history}>
+                <Text style={styles.label}>History</Text>
+                {history.map((event) => (
+                  <Text key={event.id} style={styles.historyItem}>
+                    {new Date(event.created_at).toLocaleString()} —{" "}
+                    {describeEvent(event)}
+                  </Text>
+                ))}
+              </View>
+            )}
+          </ScrollView>
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.secondaryButton} onPress={onClose}>
+              <Text style={styles.secondaryButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            {!isNew &&
+              (dismissed ? (
+                <TouchableOpacity
+                  style={styles.secondaryButton}
+                  onPress={restore}
+                  disabled={saving}
+                >
+                  <Text style={styles.secondaryButtonText}>Restore</Text>
+                </TouchableOpacity>
+              ) : (
+                <TouchableOpacity
+                  style={styles.dismissButton}
+                  onPress={() => setChoosingReason(!choosingReason)}
+                  disabled={saving}
+                >
+                  <Text style={styles.dismissButtonText}>Dismiss</Text>
+                </TouchableOpacity>
+              ))}
+            <TouchableOpacity
+              style={[
+                styles.saveButton,
+                (!issue.trim() || saving) && styles.buttonDisabled,
+              ]}
+              onPress={save}
+              disabled={!issue.trim() || saving}
+            >
+              <Text style={styles.saveButtonText}>
+                {isNew ? "Add" : "Save"}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: "flex-end",
+    backgroundColor: "rgba(0,0,0,0.5)",
+  },
+  sheet: {
+    maxHeight: "85%",
+    padding: 20,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    backgroundColor: "#FFFFFF",
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: "700",
+    color: "#1A1A1A",
+    marginBottom: 8,
+  },
+  original: {
+    fontSize: 13,
+    color: "#666666",
+    backgroundColor: "#F0F7FF",
+    padding: 8,
+    borderRadius: 6,
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#666666",
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: "#E5E5E5",
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    color: "#1A1A1A",
+  },
+  codeRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+  },
+  codeInput: {
+    flex: 1,
+  },
+  multiline: {
+    minHeight: 72,
+    textAlignVertical: "top",
+  },
+  link: {
+    color: "#0066CC",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#CCCCCC",
+  },
+  chipSelected: {
+    backgroundColor: "#0066CC",
+    borderColor: "#0066CC",
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#666666",
+  },
+  chipTextSelected: {
+    color: "#FFFFFF",
+  },
+  reasons: {
+    marginTop: 4,
+  },
+  reason: {
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: "#FFF5F5",
+    marginBottom: 6,
+  },
+  reasonText: {
+    color: "#FF3B30",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  history: {
+    marginTop: 4,
+  },
+  historyItem: {
+    fontSize: 12,
+    color: "#666666",
+    marginBottom: 4,
+  },
+  actions: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    gap: 8,
+    marginTop: 16,
+  },
+  secondaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderRadius: 8,
+    backgroundColor: "#F0F0F0",
+  },
+  secondaryButtonText: {
+    color: "#1A1A1A",
+    fontWeight: "600",
+  },
+  dismissButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderRadius: 8,
+    backgroundColor: "#FFF5F5",
+  },
+  dismissButtonText: {
+    color: "#FF3B30",
+    fontWeight: "600",
+  },
+  saveButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: 8,
+    backgroundColor: "#0066CC",
+  },
+  saveButtonText: {
+    color: "#FFFFFF",
+    fontWeight: "700",
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+});
@@ -0,0 +1,230 @@
+/**
+ * ViolationOverlay - Pins AI-detected violations on the live camera preview
+ * Markers are positioned from normalized (0-1) MCP coordinates and fade out
+ * once they have not been re-detected for a number of analyzed frames.
+ * onCodePress(code) makes the cited code in the detail card tappable.
+ * Citations not found in the code library are drawn dashed and marked "?".
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import { View, Text, StyleSheet, TouchableOpacity } from "react-native";
+import CitationBadge, { describeCitation } from "./CitationBadge";
+
+export const SEVERITY_COLORS = {
+  critical: "#DC143C",
+  high: "#FF8C00",
+  major: "#FF8C00",
+  medium: "#FFD700",
+  low: "#3B82F6",
+};
+
+const DEFAULT_STALE_AFTER_FRAMES = 3;
+const MARKER_SIZE = 28;
+
+/**
+ * Markers are matched across frames by code and coarse position, since model
+ * generated ids are not stable between frames.
+ */
+const markerKey = (overlay) =>
+  `${overlay.code}|${Math.round(overlay.x * 10)}|${Math.round(overlay.y * 10)}`;
+
+export default function ViolationOverlay({
+  overlays = [],
+  frameNumber = 0,
+  staleAfterFrames = DEFAULT_STALE_AFTER_FRAMES,
+  onCodePress,
+}) {
+  const [markers, setMarkers] = useState({});
+  const [expandedKey, setExpandedKey] = useState(null);
+  const [layout, setLayout] = useState({ width: 0, height: 0 });
+  const lastFrameRef = useRef(null);
+
+  // Merge each newly analyzed frame into the marker set and drop stale ones
+  useEffect(() => {
+    if (lastFrameRef.current === frameNumber) return;
+    lastFrameRef.current = frameNumber;
+
+    setMarkers((previous) => {
+      const next = {};
+      Object.entries(previous).forEach(([key, marker]) => {
+        if (frameNumber - marker.lastSeenFrame < staleAfterFrames) {
+          next[key] = marker;
+        }
+      });
+      overlays.forEach((overlay) => {
+        next[markerKey(overlay)] = { ...overlay, lastSeenFrame: frameNumber };
+      });
+      return next;
+    });
+  }, [overlays, frameNumber, staleAfterFrames]);
+
+  // Collapse details if the expanded marker went stale
+  useEffect(() => {
+    if (expandedKey && !markers[expandedKey]) {
+      setExpandedKey(null);
+    }
+  }, [markers, expandedKey]);
+
+  const entries = Object.entries(markers);
+  const expanded = expandedKey ? markers[expandedKey] : null;
+
+  return (
+    <View
+      style={StyleSheet.absoluteFill}
+      pointerEvents="box-none"
+      onLayout={(event) => setLayout(event.nativeEvent.layout)}
+    >
+      {layout.width > 0 &&
+        entries.map(([key, marker]) => {
+          const age = frameNumber - marker.lastSeenFrame;
+          const opacity = Math.max(0.25, 1 - age / staleAfterFrames);
+          const color =
+            SEVERITY_COLORS[marker.severity] || SEVERITY_COLORS.medium;
+
+          return (
+            <TouchableOpacity
+              key={key}
+              style={[
+                styles.marker,
+                {
+                  left: marker.x * layout.width - MARKER_SIZE / 2,
+                  top: marker.y * layout.height - MARKER_SIZE / 2,
+                  opacity,
+                },
+              ]}
+              onPress={() =>
+                setExpandedKey(expandedKey === key ? null : key)
+              }
+            >
+              <View style={[styles.markerDot, { backgroundColor: color }]}>
+                <Text style={styles.markerGlyph}>!</Text>
+              </View>
+              <Text
+                style={[
+                  styles.markerLabel,
+                  { borderColor: color },
+                  marker.verification?.status === "unverified" &&
+                    styles.markerLabelUnverified,
+                ]}
+                numberOfLines={1}
+              >
+                {marker.code}
+                {marker.verification?.status === "unverified" ? " ?" : ""}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+
+      {expanded && (
+        <TouchableOpacity
+          style={[
+            styles.detailCard,
+            {
+              borderLeftColor:
+                SEVERITY_COLORS[expanded.severity] || SEVERITY_COLORS.medium,
+            },
+          ]}
+          onPress={() => setExpandedKey(null)}
+        >
+          {onCodePress && expanded.code ? (
+            <TouchableOpacity
+              onPress={() =>
+                onCodePress(
+                  expanded.verification?.section?.citation || expanded.code
+                )
+              }
+            >
+              <Text style={styles.detailCode}>{expanded.code} ›</Text>
+            </TouchableOpacity>
+          ) : (
+            <Text style={styles.detailCode}>{expanded.code}</Text>
+          )}
+          <CitationBadge verification={expanded.verification} light />
+          {!!describeCitation(expanded.verification) && (
+            <Text style={styles.detailCitation}>
+              {describeCitation(expanded.verification)}
+            </Text>
+          )}
+          <Text style={styles.detailText}>{expanded.text}</Text>
+          <Text style={styles.detailMeta}>
+            {(expanded.severity || "unknown").toUpperCase()}
+            {expanded.category ? ` • ${expanded.category}` : ""}
+            {typeof expanded.confidence === "number"
+              ? ` • ${expanded.confidence}% confidence`
+              : ""}
+          </Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  marker: {
+    position: "absolute",
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  markerDot: {
+    width: MARKER_SIZE,
+    height: MARKER_SIZE,
+    borderRadius: MARKER_SIZE / 2,
+    borderWidth: 2,
+    borderColor: "white",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  markerGlyph: {
+    color: "white",
+    fontSize: 16,
+    fontWeight: "900",
+  },
+  markerLabel: {
+    marginLeft: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 4,
+    borderWidth: 1,
+    backgroundColor: "rgba(0,0,0,0.7)",
+    color: "white",
+    fontSize: 11,
+    fontWeight: "700",
+    maxWidth: 140,
+  },
+  markerLabelUnverified: {
+    borderStyle: "dashed",
+    color: "rgba(255,255,255,0.75)",
+  },
+  detailCard: {
+    position: "absolute",
+    left: 16,
+    right: 16,
+    bottom: 140,
+    padding: 12,
+    borderRadius: 12,
+    borderLeftWidth: 4,
+    backgroundColor: "rgba(0,0,0,0.85)",
+  },
+  detailCode: {
+    color: "white",
+    fontSize: 15,
+    fontWeight: "700",
+    marginBottom: 4,
+  },
+  detailCitation: {
+    color: "rgba(255,255,255,0.6)",
+    fontSize: 12,
+    marginTop: 4,
+    marginBottom: 6,
+  },
+  detailText: {
+    color: "rgba(255,255,255,0.9)",
+    fontSize: 14,
+    marginBottom: 6,
+  },
+  detailMeta: {
+    color: "rgba(255,255,255,0.6)",
+    fontSize: 12,
+    fontWeight: "600",
+  },
+});
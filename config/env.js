@@ -46,10 +46,16 @@ export const MCP_URL = fromEnv(
   'https://fnnwjnkttgnprwguwfnd.supabase.co/functions/v1/mcp-server'
 );
 
+// Plain http is only allowed for local development servers (e.g. the mock
+// MCP server); localhost, the Android emulator host and LAN addresses
+const LOCAL_DEV_URL = /^http:\/\/(localhost|127\.0\.0\.1|10\.0\.2\.2|192\.168\.\d+\.\d+)(:\d+)?(\/|$)/;
+
+const isSecureOrLocalUrl = (url) => url.startsWith('https://') || LOCAL_DEV_URL.test(url);
+
 // Validate critical URLs
 export const isConfigValid = () => {
   const isSupabaseValid = SUPABASE_URL.startsWith('https://') && !SUPABASE_URL.includes('@secret:');
-  const isMcpValid = MCP_URL.startsWith('https://') && !MCP_URL.includes('@secret:');
+  const isMcpValid = isSecureOrLocalUrl(MCP_URL) && !MCP_URL.includes('@secret:');
 
   return {
     supabase: isSupabaseValid,
@@ -0,0 +1,233 @@
+/**
+ * Deterministic fixture responses for the mock MCP server
+ * Each tool returns the object the real mcp-server serializes into
+ * content[0].text. Arguments are echoed where the real tool echoes them;
+ * nothing depends on the clock or randomness so CI runs are repeatable.
+ */
+
+const FIXED_TIMESTAMP = '2025-01-15T10:00:00.000Z';
+
+const PROJECT = {
+  id: '11111111-1111-4111-8111-111111111111',
+  name: 'Kaimuki Residence Remodel',
+  address: '3600 Waialae Ave, Honolulu, HI 96816',
+  project_type: 'residential',
+  description: 'Kitchen and bath remodel',
+  user_id: 'guest_mock',
+  latitude: 21.2846,
+  longitude: -157.8003,
+  created_at: FIXED_TIMESTAMP,
+};
+
+const LIVE_VIOLATIONS = [
+  {
+    id: 'mock_vio_1',
+    code: 'NEC 110.26',
+    issue: 'Insufficient working clearance in front of electrical panel',
+    severity: 'critical',
+    category: 'electrical',
+    confidence: 92,
+    coordinates: { x: 0.32, y: 0.41 },
+  },
+  {
+    id: 'mock_vio_2',
+    code: 'IRC R312.1.1',
+    issue: 'Guard missing on deck edge over 30 inches above grade',
+    severity: 'high',
+    category: 'safety',
+    confidence: 85,
+    coordinates: { x: 0.71, y: 0.63 },
+  },
+];
+
+// Required arguments per tool, mirrored from MCP_TOOLS in
+// supabase/functions/mcp-server/index.ts
+const REQUIRED_ARGS = {
+  get_design_analysis: ['userInput'],
+  create_project: ['projectName', 'address', 'projectType'],
+  list_projects: [],
+  get_project_details: ['projectId'],
+  analyze_physical_plan: ['projectId', 'photoUrl', 'analysisType'],
+  analyze_photo: ['imageUrl', 'analysisType'],
+  get_building_codes: ['roomType'],
+  get_permit_requirements: ['roomType', 'workTypes'],
+  check_code_compliance: ['roomType', 'measurements'],
+  create_inspection_report: ['projectId', 'findingType', 'severity', 'description', 'inspectorName'],
+  get_inspection_projects: [],
+  get_material_info: ['materialName'],
+  get_material_costs: [],
+  get_labor_rates: [],
+  search_installation_videos: ['material', 'task'],
+  get_manufacturer_website: ['manufacturer', 'productName'],
+  generate_lens_config: ['overlayType', 'data'],
+  analyze_live_inspection: ['imageUrl', 'sessionId'],
+  capture_violation: ['imageUrl', 'sessionId', 'violation'],
+};
+
+const TOOL_FIXTURES = {
+  get_design_analysis: (args) => ({
+    success: true,
+    userInput: args.userInput,
+    suggestions: ['Add a 36-inch clear path at the kitchen island'],
+  }),
+
+  create_project: (args) => ({
+    ...PROJECT,
+    name: args.projectName,
+    address: args.address,
+    project_type: args.projectType,
+    description: args.description || null,
+    user_id: args.userId || PROJECT.user_id,
+    auto_gps_used: false,
+  }),
+
+  list_projects: () => [PROJECT],
+
+  get_project_details: (args) => ({
+    project: { ...PROJECT, id: args.projectId },
+    sessions: [],
+    violations: [],
+  }),
+
+  analyze_physical_plan: () => ({
+    success: true,
+    analysis: {
+      dimensions: [{ label: 'Kitchen', width: '12 ft', length: '14 ft' }],
+      issues: [],
+      summary: 'Plan dimensions extracted',
+    },
+  }),
+
+  analyze_photo: (args) => ({
+    analysisType: args.analysisType,
+    analysis: JSON.stringify({
+      violations: LIVE_VIOLATIONS.map(({ code, issue, severity }) => ({ code, issue, severity })),
+      materials: ['2x4 SPF studs', 'OSB sheathing'],
+      summary: 'Two issues found',
+    }),
+  }),
+
+  get_building_codes: (args) => [
+    {
+      id: 'code_1',
+      room_type: String(args.roomType).toLowerCase(),
+      code_section: 'IRC R305.1',
+      requirement: 'Minimum ceiling height of 7 feet in habitable space',
+    },
+  ],
+
+  get_permit_requirements: (args) => ({
+    roomType: args.roomType,
+    workTypes: args.workTypes,
+    permitRequired: true,
+    permits: ['Building Permit (BP-1)'],
+  }),
+
+  check_code_compliance: (args) => ({
+    roomType: args.roomType,
+    compliant: false,
+    findings: [{ code: 'IRC R305.1', message: 'Ceiling height below 7 feet' }],
+  }),
+
+  create_inspection_report: (args) => ({
+    id: '22222222-2222-4222-8222-222222222222',
+    project_id: args.projectId,
+    finding_type: args.findingType,
+    severity: args.severity,
+    description: args.description,
+    inspector_name: args.inspectorName,
+    status: 'open',
+    created_at: FIXED_TIMESTAMP,
+  }),
+
+  get_inspection_projects: () => [],
+
+  get_material_info: (args) => ({
+    materialName: args.materialName,
+    info: JSON.stringify({ specs: 'Mock specification sheet', distributors: ['HPM Building Supply'] }),
+  }),
+
+  get_material_costs: () => [
+    { material_name: '2x4x8 SPF Stud', material_type: 'lumber', price: 4.98, unit: 'each' },
+  ],
+
+  get_labor_rates: () => [
+    { trade_name: 'Electrician', hourly_rate: 95 },
+  ],
+
+  search_installation_videos: (args) => ({
+    material: args.material,
+    task: args.task,
+    videos: '[]',
+  }),
+
+  get_manufacturer_website: (args) => ({
+    manufacturer: args.manufacturer,
+    productName: args.productName,
+    websiteInfo: 'https://example.com',
+  }),
+
+  generate_lens_config: (args) => ({
+    overlayType: args.overlayType,
+    sceneConfig: { arRoot: { name: 'AR_Root', position: [0, 0, -1] }, overlays: [] },
+    data: args.data,
+  }),
+
+  analyze_live_inspection: (args) => ({
+    success: true,
+    sessionId: args.sessionId,
+    frameNumber: args.frameNumber,
+    violations: LIVE_VIOLATIONS,
+    summary: 'Panel clearance and deck guard issues in view',
+    confidence: 88,
+    processingTime: 0,
+  }),
+
+  capture_violation: (args) => {
+    const violationId = args.violation?.id || 'mock_capture_1';
+    const photoUrl = `https://mock.local/inspection-photos/violations/${args.sessionId}/${violationId}.jpg`;
+    return {
+      success: true,
+      violationId,
+      photoUrl,
+      reportHtml: '<!DOCTYPE html><html><body><h1>Violation Report</h1></body></html>',
+      emailSent: false,
+      userEmail: args.userEmail || 'none',
+      message: 'Violation captured successfully',
+      downloadUrl: photoUrl,
+    };
+  },
+};
+
+// dpp-precheck is a separate edge function but is mocked here too so plan
+// pre-checks can run against the same local server
+const DPP_PRECHECK_FIXTURE = (body) => ({
+  success: true,
+  analysis: {
+    sheet_number: body.pageNumber ? `A${body.pageNumber}.0` : null,
+    sheet_title: body.pageNumber ? `SHEET ${body.pageNumber}` : null,
+    compliant: false,
+    missing_items: ['Structural Calculations (PE stamped)'],
+    code_violations: [
+      {
+        code: 'IRC R302.2',
+        description: 'Townhouse separation wall not detailed as fire-resistance rated',
+        dpp_section: 'DPP BP-1 Section 4',
+        page_reference: 'IRC Page R-47',
+        severity: 'high',
+        recommendation: 'Detail a 1-hour rated common wall',
+      },
+    ],
+    required_stamps: ['PE Structural'],
+    estimated_review_time: '4-6 weeks',
+    additional_notes: `Mock pre-check for ${body.projectType || 'residential'} project`,
+  },
+  dpp_requirements: {},
+  timestamp: FIXED_TIMESTAMP,
+});
+
+module.exports = {
+  REQUIRED_ARGS,
+  TOOL_FIXTURES,
+  DPP_PRECHECK_FIXTURE,
+};
@@ -0,0 +1,321 @@
+/**
+ * Mock MCP Server - Local stand-in for the mcp-server edge function
+ * Implements /health, /list-tools and /call-tool with deterministic fixtures
+ * and error injection, so client code can be exercised offline and in CI.
+ *
+ * Usage:
+ *   node mock-mcp-server/server.js
+ *   EXPO_PUBLIC_MCP_URL=http://localhost:8787 npx expo start
+ *
+ * Error injection (first match wins):
+ *   - Request header   x-mock-error: 401 | 429 | 500 | timeout
+ *   - Control endpoint POST /__mock/config {"error":"429","times":2,"tools":["analyze_live_inspection"]}
+ *   - Environment      MOCK_MCP_ERROR=500 (applies to every request)
+ */
+
+const http = require('http');
+const { REQUIRED_ARGS, TOOL_FIXTURES, DPP_PRECHECK_FIXTURE } = require('./fixtures');
+
+const DEFAULT_PORT = 8787;
+
+// "timeout" holds the request open this long before dropping the socket,
+// well past any client timeout
+const TIMEOUT_HOLD_MS = 60000;
+
+const INJECTABLE_ERRORS = {
+  401: {
+    status: 401,
+    body: {
+      error: 'Invalid authentication',
+      code: 'AUTH_FAILED',
+      message: 'Please check your API key and authorization headers',
+    },
+  },
+  429: {
+    status: 429,
+    headers: { 'Retry-After': '60' },
+    body: { error: 'Rate limit exceeded', code: 'RATE_LIMIT', retryAfter: 60 },
+  },
+  500: {
+    status: 500,
+    body: { error: 'Injected failure', code: 'INTERNAL_ERROR' },
+  },
+};
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers':
+    'authorization, x-client-info, apikey, content-type, idempotency-key, x-client-id, x-mock-error',
+};
+
+/**
+ * Create a mock server instance (not yet listening)
+ * @param {object} options - { apiKey, error, retryAfter, log }
+ *   apiKey: accept only this key (any non-empty key when omitted)
+ *   error: default injected error for every request
+ *   retryAfter: Retry-After seconds sent with injected 429s
+ * @returns {http.Server} Server with a `mock` control object attached
+ */
+function createMockServer(options = {}) {
+  const mock = {
+    apiKey: options.apiKey || null,
+    defaultError: options.error || null,
+    retryAfter: options.retryAfter ?? 60,
+    config: null,
+    requests: [],
+    requestCounter: 0,
+
+    /**
+     * Inject an error for upcoming requests
+     * @param {object} config - { error, times, tools }
+     */
+    configure(config) {
+      this.config = config && config.error ? { times: null, tools: null, ...config } : null;
+    },
+
+    reset() {
+      this.config = null;
+      this.requests = [];
+      this.requestCounter = 0;
+    },
+  };
+
+  const pendingTimers = new Set();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(200, corsHeaders);
+      res.end();
+      return;
+    }
+
+    // Control endpoints are unauthenticated so test harnesses can drive them
+    if (url.pathname.startsWith('/__mock/')) {
+      await handleControl(mock, req, res, url);
+      return;
+    }
+
+    const body = await readBody(req);
+    let payload = null;
+    try {
+      payload = body ? JSON.parse(body) : null;
+    } catch {
+      payload = null;
+    }
+
+    const record = {
+      id: ++mock.requestCounter,
+      method: req.method,
+      path: url.pathname,
+      tool: payload?.name || null,
+      arguments: payload?.arguments || null,
+      idempotencyKey: req.headers['idempotency-key'] || null,
+    };
+    mock.requests.push(record);
+    if (options.log) {
+      console.log(`[mock-mcp] ${req.method} ${url.pathname}${record.tool ? ` ${record.tool}` : ''}`);
+    }
+
+    // Same auth rules as the real server: apikey header or Bearer token
+    const apiKey = req.headers.apikey;
+    const authHeader = req.headers.authorization;
+    const bearer = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
+    const presented = apiKey || bearer;
+    const authorized = mock.apiKey
+      ? apiKey === mock.apiKey || bearer === mock.apiKey
+      : !!presented;
+
+    const injected = takeInjectedError(mock, req, record.tool);
+    if (injected === 'timeout') {
+      const timer = setTimeout(() => {
+        pendingTimers.delete(timer);
+        req.socket.destroy();
+      }, TIMEOUT_HOLD_MS);
+      pendingTimers.add(timer);
+      req.on('close', () => {
+        clearTimeout(timer);
+        pendingTimers.delete(timer);
+      });
+      return;
+    }
+    if (injected) {
+      const error = INJECTABLE_ERRORS[injected];
+      const headers = { ...error.headers };
+      if (injected === '429') headers['Retry-After'] = String(mock.retryAfter);
+      const errorBody = injected === '429' ? { ...error.body, retryAfter: mock.retryAfter } : error.body;
+      sendJson(res, error.status, errorBody, headers);
+      return;
+    }
+
+    if (!authorized) {
+      sendJson(res, INJECTABLE_ERRORS[401].status, INJECTABLE_ERRORS[401].body);
+      return;
+    }
+
+    if (url.pathname.endsWith('/health')) {
+      sendJson(res, 200, {
+        status: 'ok',
+        server: 'visinspection-mcp-mock',
+        version: '1.0.0',
+        services: { openai: 'configured', google_ai: 'configured', supabase: 'configured' },
+        timestamp: new Date().toISOString(),
+      });
+      return;
+    }
+
+    if (url.pathname.includes('/list-tools')) {
+      sendJson(res, 200, {
+        tools: Object.keys(TOOL_FIXTURES).map((name) => ({
+          name,
+          inputSchema: { type: 'object', required: REQUIRED_ARGS[name] },
+        })),
+      });
+      return;
+    }
+
+    if (url.pathname.endsWith('/dpp-precheck') && req.method === 'POST') {
+      sendJson(res, 200, DPP_PRECHECK_FIXTURE(payload || {}));
+      return;
+    }
+
+    if (url.pathname.includes('/call-tool') && req.method === 'POST') {
+      if (!payload) {
+        sendJson(res, 400, { error: 'Invalid JSON payload' });
+        return;
+      }
+
+      const { name, arguments: args = {} } = payload;
+      if (!name || typeof name !== 'string') {
+        sendJson(res, 400, { error: 'Tool name is required' });
+        return;
+      }
+
+      const fixture = TOOL_FIXTURES[name];
+      if (!fixture) {
+        sendJson(res, 400, {
+          error: `Unknown tool: ${name}`,
+          availableTools: Object.keys(TOOL_FIXTURES),
+        });
+        return;
+      }
+
+      const missing = REQUIRED_ARGS[name].filter((key) => args[key] === undefined || args[key] === null);
+      if (missing.length > 0) {
+        sendJson(res, 400, {
+          error: `Missing required argument(s) for ${name}: ${missing.join(', ')}`,
+          code: 'INVALID_ARGUMENTS',
+        });
+        return;
+      }
+
+      sendJson(res, 200, {
+        content: [{ type: 'text', text: JSON.stringify(fixture(args), null, 2) }],
+        requestId: `mock-${record.id}`,
+      });
+      return;
+    }
+
+    res.writeHead(404, corsHeaders);
+    res.end('Not found');
+  });
+
+  server.on('close', () => {
+    pendingTimers.forEach((timer) => clearTimeout(timer));
+    pendingTimers.clear();
+  });
+
+  server.mock = mock;
+  return server;
+}
+
+/**
+ * Resolve which error (if any) to inject for this request
+ */
+function takeInjectedError(mock, req, tool) {
+  const header = req.headers['x-mock-error'];
+  if (header) return normalizeError(header);
+
+  const config = mock.config;
+  if (config && (!config.tools || config.tools.includes(tool))) {
+    if (config.times !== null) {
+      config.times -= 1;
+      if (config.times <= 0) mock.config = null;
+    }
+    return normalizeError(config.error);
+  }
+
+  return mock.defaultError ? normalizeError(mock.defaultError) : null;
+}
+
+function normalizeError(value) {
+  const error = String(value).toLowerCase();
+  if (error === 'timeout' || INJECTABLE_ERRORS[error]) return error;
+  console.warn(`[mock-mcp] Ignoring unknown injected error: ${value}`);
+  return null;
+}
+
+async function handleControl(mock, req, res, url) {
+  const action = url.pathname.slice('/__mock/'.length);
+
+  if (action === 'config' && req.method === 'POST') {
+    try {
+      const body = await readBody(req);
+      mock.configure(body ? JSON.parse(body) : null);
+      sendJson(res, 200, { config: mock.config });
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+    }
+    return;
+  }
+
+  if (action === 'requests' && req.method === 'GET') {
+    sendJson(res, 200, { requests: mock.requests });
+    return;
+  }
+
+  if (action === 'reset' && req.method === 'POST') {
+    mock.reset();
+    sendJson(res, 200, { reset: true });
+    return;
+  }
+
+  sendJson(res, 404, { error: `Unknown mock control: ${req.method} ${action}` });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    ...corsHeaders,
+    'Content-Type': 'application/json',
+    ...headers,
+  });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { createMockServer, DEFAULT_PORT };
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_MCP_PORT || process.env.PORT || DEFAULT_PORT);
+  const server = createMockServer({
+    apiKey: process.env.MOCK_MCP_API_KEY,
+    error: process.env.MOCK_MCP_ERROR,
+    log: true,
+  });
+
+  server.listen(port, () => {
+    console.log(`🧪 Mock MCP server listening on http://localhost:${port}`);
+    console.log(`   Point the app at it with EXPO_PUBLIC_MCP_URL=http://localhost:${port}`);
+  });
+}
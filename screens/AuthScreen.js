@@ -1,47 +1,224 @@
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
-import { Button } from 'react-native-paper';
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Alert } from 'react-native';
+import { Button, TextInput } from 'react-native-paper';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import AuthService from '../services/AuthService';
+
+const TITLES = {
+  login: 'Sign In',
+  signup: 'Create Account',
+  magic: 'Email Me a Sign-In Link',
+  forgot: 'Reset Password',
+  reset: 'Choose a New Password',
+};
+
+const MIN_PASSWORD_LENGTH = 8;
 
 export default function AuthScreen({ navigation, route }) {
-  const mode = route?.params?.mode || 'login';
+  const [mode, setMode] = useState(route?.params?.mode || 'login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [user, setUser] = useState(AuthService.getUser());
+
+  // Deep links (e.g. password reset) can reopen this screen in a new mode
+  useEffect(() => {
+    if (route?.params?.mode) {
+      setMode(route.params.mode);
+    }
+  }, [route?.params?.mode]);
+
+  const finish = async () => {
+    await AsyncStorage.setItem('hasSeenOnboarding', 'true');
+    navigation.replace('Main');
+  };
 
   const handleGuestMode = async () => {
     try {
       await AsyncStorage.setItem('hasSeenOnboarding', 'true');
       await AsyncStorage.setItem('authMode', 'guest');
-      navigation.replace('Home');
+      navigation.replace('Main');
     } catch (error) {
       console.error('Failed to save guest mode:', error);
       // Still navigate even if storage fails
-      navigation.replace('Home');
+      navigation.replace('Main');
+    }
+  };
+
+  const validate = () => {
+    if (mode !== 'reset' && !/^\S+@\S+\.\S+$/.test(email.trim())) {
+      Alert.alert('Invalid Email', 'Please enter a valid email address');
+      return false;
+    }
+    if (['login', 'signup', 'reset'].includes(mode) && password.length < MIN_PASSWORD_LENGTH) {
+      Alert.alert('Invalid Password', `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return false;
     }
+    return true;
   };
 
+  const handleSubmit = async () => {
+    if (!validate()) return;
+
+    setSubmitting(true);
+    try {
+      switch (mode) {
+        case 'login': {
+          setUser(await AuthService.signIn(email, password));
+          await finish();
+          break;
+        }
+        case 'signup': {
+          const { user: newUser, needsConfirmation } = await AuthService.signUp(email, password);
+          if (needsConfirmation) {
+            Alert.alert('Check Your Email', 'Confirm your address to finish creating your account.');
+            setMode('login');
+          } else {
+            setUser(newUser);
+            await finish();
+          }
+          break;
+        }
+        case 'magic': {
+          await AuthService.sendMagicLink(email);
+          Alert.alert('Check Your Email', 'Open the link on this device to sign in.');
+          break;
+        }
+        case 'forgot': {
+          await AuthService.sendPasswordReset(email);
+          Alert.alert('Check Your Email', 'Open the link on this device to choose a new password.');
+          setMode('login');
+          break;
+        }
+        case 'reset': {
+          await AuthService.updatePassword(password);
+          Alert.alert('Password Updated', 'Your new password is saved.');
+          await finish();
+          break;
+        }
+        default:
+          break;
+      }
+    } catch (error) {
+      console.error(`Auth ${mode} failed:`, error);
+      Alert.alert('Error', error.message || 'Please try again');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await AuthService.signOut();
+      setUser(null);
+      setMode('login');
+    } catch (error) {
+      console.error('Sign out failed:', error);
+      Alert.alert('Error', error.message || 'Failed to sign out');
+    }
+  };
+
+  if (user && mode !== 'reset') {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.title}>Account</Text>
+        <Text style={styles.subtitle}>Signed in as {user.email}</Text>
+        <Button mode="contained" onPress={finish} style={styles.button}>
+          Continue
+        </Button>
+        <Button mode="text" onPress={handleSignOut} textColor="#FF3B30">
+          Sign Out
+        </Button>
+      </View>
+    );
+  }
+
+  const needsEmail = mode !== 'reset';
+  const needsPassword = ['login', 'signup', 'reset'].includes(mode);
+
   return (
-    <View style={styles.container}>
-      <Text style={styles.title}>
-        {mode === 'signup' ? 'Create Account' : 'Sign In'}
-      </Text>
+    <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+      <Text style={styles.title}>{TITLES[mode]}</Text>
       <Text style={styles.subtitle}>
-        Full authentication with cloud sync coming soon
+        {mode === 'signup'
+          ? 'Projects you created as a guest on this device move into your account'
+          : 'Sync inspections across devices and with your office'}
       </Text>
+
+      {needsEmail && (
+        <TextInput
+          label="Email"
+          value={email}
+          onChangeText={setEmail}
+          mode="outlined"
+          autoCapitalize="none"
+          autoComplete="email"
+          keyboardType="email-address"
+          style={styles.input}
+          outlineColor="#E5E5E5"
+          activeOutlineColor="#0066CC"
+        />
+      )}
+
+      {needsPassword && (
+        <TextInput
+          label={mode === 'reset' ? 'New Password' : 'Password'}
+          value={password}
+          onChangeText={setPassword}
+          mode="outlined"
+          secureTextEntry
+          autoComplete={mode === 'login' ? 'password' : 'password-new'}
+          style={styles.input}
+          outlineColor="#E5E5E5"
+          activeOutlineColor="#0066CC"
+        />
+      )}
+
       <Button
         mode="contained"
-        onPress={handleGuestMode}
+        onPress={handleSubmit}
+        loading={submitting}
+        disabled={submitting}
         style={styles.button}
       >
-        Continue as Guest
+        {mode === 'magic' || mode === 'forgot' ? 'Send Link' : TITLES[mode]}
       </Button>
-    </View>
+
+      {mode === 'login' && (
+        <View style={styles.links}>
+          <TouchableOpacity onPress={() => setMode('magic')}>
+            <Text style={styles.linkText}>Email me a sign-in link instead</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => setMode('forgot')}>
+            <Text style={styles.linkText}>Forgot password?</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => setMode('signup')}>
+            <Text style={styles.linkText}>New here? Create an account</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {mode !== 'login' && mode !== 'reset' && (
+        <View style={styles.links}>
+          <TouchableOpacity onPress={() => setMode('login')}>
+            <Text style={styles.linkText}>Back to sign in</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {mode !== 'reset' && (
+        <Button mode="text" onPress={handleGuestMode} textColor="#666666">
+          Continue as Guest
+        </Button>
+      )}
+    </ScrollView>
   );
 }
 
 const styles = StyleSheet.create({
   container: {
-    flex: 1,
+    flexGrow: 1,
     justifyContent: 'center',
-    alignItems: 'center',
     padding: 24,
     backgroundColor: '#FFFFFF',
   },
@@ -50,6 +227,7 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: '#1A1A1A',
     marginBottom: 8,
+    textAlign: 'center',
   },
   subtitle: {
     fontSize: 16,
@@ -57,7 +235,23 @@ const styles = StyleSheet.create({
     marginBottom: 24,
     textAlign: 'center',
   },
+  input: {
+    marginBottom: 12,
+    backgroundColor: '#FFFFFF',
+  },
   button: {
     backgroundColor: '#0066CC',
+    marginTop: 8,
+    marginBottom: 16,
+  },
+  links: {
+    alignItems: 'center',
+    gap: 12,
+    marginBottom: 16,
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#0066CC',
+    fontWeight: '600',
   },
 });
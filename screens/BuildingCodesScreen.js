@@ -1,19 +1,109 @@
-import { useState } from 'react';
-import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Image, Alert } from 'react-native';
+import { useState, useRef, useEffect } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Image, Alert, ActivityIndicator } from 'react-native';
 import { TextInput } from 'react-native-paper';
 import * as ImagePicker from 'expo-image-picker';
 import * as DocumentPicker from 'expo-document-picker';
 import * as ImageManipulator from 'expo-image-manipulator';
 import PlanStorageService from '../services/PlanStorageService';
+import PlanSetService from '../services/PlanSetService';
+import PlanSyncService from '../services/PlanSyncService';
 import { runDppPrecheck } from '../services/DppPrecheckService';
+import CitationBadge, { describeCitation } from '../components/CitationBadge';
+import { listJurisdictions, getJurisdiction, formatAdoptedCodes, DEFAULT_JURISDICTION_ID } from '../services/jurisdictions';
 import * as FileSystem from 'expo-file-system/legacy';
 
-export default function BuildingCodesScreen() {
-  const [jurisdiction, setJurisdiction] = useState('Honolulu');
+export default function BuildingCodesScreen({ navigation, route }) {
+  // Opened from a project: plans saved here sync to that project's building_plans
+  const projectId = route?.params?.projectId || null;
+  const [jurisdiction, setJurisdiction] = useState(route?.params?.jurisdiction || DEFAULT_JURISDICTION_ID);
+  const activeJurisdiction = getJurisdiction(jurisdiction);
   const [projectType, setProjectType] = useState('residential');
   const [planImage, setPlanImage] = useState(null);
   const [analyzing, setAnalyzing] = useState(false);
   const [result, setResult] = useState(null);
+  const [planSet, setPlanSet] = useState(null);
+  const [selectedSheet, setSelectedSheet] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const cancelRef = useRef(false);
+  const [planSets, setPlanSets] = useState([]);
+  const [targetPlanSetId, setTargetPlanSetId] = useState(null);
+  const [savedPlan, setSavedPlan] = useState(null);
+  // Image of an opened plan that is only in Storage: { plan, pageNumber, downloading }
+  const [imageDownload, setImageDownload] = useState(null);
+  const imageRequestRef = useRef(0);
+
+  const loadPlanSets = () =>
+    PlanStorageService.getPlanSets()
+      .then(setPlanSets)
+      .catch((error) => console.error('Failed to load plan sets:', error));
+
+  useEffect(() => {
+    loadPlanSets();
+    // Pick up plan sets saved on other devices
+    return PlanSyncService.subscribe(loadPlanSets);
+  }, []);
+
+  // Every save lands in the chosen plan set as its next revision
+  const onPlanSaved = (plan) => {
+    setSavedPlan(plan);
+    setTargetPlanSetId(plan.planSetId);
+    loadPlanSets();
+    if (plan.projectId) {
+      PlanSyncService.sync();
+    }
+  };
+
+  // Plans synced from another device, or trimmed from the local cache, keep
+  // only their Storage copy until the image is opened
+  const openImage = async (plan, pageNumber = null) => {
+    const request = ++imageRequestRef.current;
+    const image = pageNumber === null ? plan : plan.sheets.find((sheet) => sheet.pageNumber === pageNumber);
+    setPlanImage(image?.imageUri || null);
+    if (image?.imageUri || !image?.storagePath) {
+      setImageDownload(null);
+      return;
+    }
+
+    setImageDownload({ plan, pageNumber, downloading: true });
+    try {
+      const uri = await PlanSyncService.downloadImage(plan, pageNumber);
+      if (request !== imageRequestRef.current) return;
+      setPlanImage(uri);
+      setImageDownload(null);
+      if (pageNumber !== null) {
+        setPlanSet((current) => current?.id === plan.id
+          ? { ...current, sheets: current.sheets.map((sheet) => sheet.pageNumber === pageNumber ? { ...sheet, imageUri: uri } : sheet) }
+          : current);
+      }
+    } catch (error) {
+      console.error('Plan image download failed:', error);
+      if (request === imageRequestRef.current) {
+        setImageDownload({ plan, pageNumber, downloading: false });
+      }
+    }
+  };
+
+  const showLocalImage = (uri) => {
+    imageRequestRef.current++;
+    setImageDownload(null);
+    setPlanImage(uri);
+  };
+
+  // Reopen a saved revision, including ones saved on other devices
+  const openPlan = (plan) => {
+    setSavedPlan(plan);
+    setSelectedSheet(null);
+    setResult(plan.analysis
+      ? { ...plan.analysis, dpp_requirements: plan.dppRequirements, timestamp: plan.timestamp }
+      : null);
+    if (plan.type === 'multi_sheet') {
+      setPlanSet(plan);
+      showLocalImage(null);
+    } else {
+      setPlanSet(null);
+      openImage(plan);
+    }
+  };
 
   const takePlanPhoto = async () => {
     const { status } = await ImagePicker.requestCameraPermissionsAsync();
@@ -28,7 +118,7 @@ export default function BuildingCodesScreen() {
     });
 
     if (!result.canceled) {
-      setPlanImage(result.assets[0].uri);
+      showLocalImage(result.assets[0].uri);
       analyzePlan(result.assets[0].uri);
     }
   };
@@ -49,39 +139,24 @@ export default function BuildingCodesScreen() {
         // Check file type
         const isPDF = mimeType === 'application/pdf' || fileName.toLowerCase().endsWith('.pdf');
         const isImage = mimeType.startsWith('image/') || 
-                       imageUri.match(/\.(jpg|jpeg|png|gif|webp|bmp)$/i);
+                       fileUri.match(/\.(jpg|jpeg|png|gif|webp|bmp)$/i);
 
         if (isPDF) {
-          // PDFs need special handling - try to convert or show helpful message
-          Alert.alert(
-            'PDF Detected',
-            'PDF files need to be converted to images for analysis.\n\nOptions:\n• Use "SCAN PLANS" to take photos\n• Convert PDF pages to JPG/PNG first\n• Upload individual image files',
-            [
-              { text: 'Cancel', style: 'cancel' },
-              { 
-                text: 'Try Anyway', 
-                onPress: () => {
-                  // Attempt to analyze - might work if backend can handle it
-                  setPlanImage(fileUri);
-                  analyzePlan(fileUri);
-                }
-              }
-            ]
-          );
+          reviewPlanSet(fileUri, fileName);
           return;
         }
 
         if (!isImage) {
           Alert.alert(
             'Unsupported File Type',
-            `File type "${mimeType || 'unknown'}" is not supported.\n\nSupported formats:\n• Images: JPG, PNG, GIF, WebP\n• PDFs: Need conversion to images`,
+            `File type "${mimeType || 'unknown'}" is not supported.\n\nSupported formats:\n• Images: JPG, PNG, GIF, WebP\n• PDF plan sets`,
             [{ text: 'OK' }]
           );
           return;
         }
 
         // For images, proceed with analysis
-        setPlanImage(fileUri);
+        showLocalImage(fileUri);
         analyzePlan(fileUri);
       }
     } catch (error) {
@@ -90,8 +165,69 @@ export default function BuildingCodesScreen() {
     }
   };
 
+  // Multi-sheet PDF: every page is rasterized and pre-checked on its own
+  const reviewPlanSet = async (pdfUri, fileName) => {
+    cancelRef.current = false;
+    setAnalyzing(true);
+    setResult(null);
+    setPlanSet(null);
+    setSavedPlan(null);
+    showLocalImage(null);
+    setProgress(null);
+    try {
+      const saved = await PlanSetService.reviewPdf({
+        pdfUri,
+        fileName,
+        jurisdiction,
+        projectType,
+        projectId,
+        planSetId: targetPlanSetId,
+        onProgress: setProgress,
+        isCancelled: () => cancelRef.current,
+      });
+      onPlanSaved(saved);
+
+      setPlanSet(saved);
+      setSelectedSheet(null);
+      setResult({
+        ...saved.analysis,
+        dpp_requirements: saved.dppRequirements,
+        timestamp: saved.timestamp,
+      });
+
+      if (saved.analysis.sheets_failed.length > 0) {
+        Alert.alert(
+          'Some Sheets Not Checked',
+          `Pre-check failed for: ${saved.analysis.sheets_failed.join(', ')}`
+        );
+      }
+    } catch (error) {
+      console.error('Plan set review error:', error);
+      Alert.alert('Plan set review failed', error.message || 'Please try again');
+    } finally {
+      setAnalyzing(false);
+      setProgress(null);
+    }
+  };
+
+  const selectSheet = (index) => {
+    setSelectedSheet(index);
+    if (index === null) {
+      showLocalImage(null);
+    } else {
+      openImage(planSet, planSet.sheets[index].pageNumber);
+    }
+  };
+
+  const jumpToSheet = (label) => {
+    const index = planSet?.sheets.findIndex((sheet) => sheet.label === label);
+    if (index >= 0) selectSheet(index);
+  };
+
   const analyzePlan = async (imageUri) => {
     setAnalyzing(true);
+    setPlanSet(null);
+    setSavedPlan(null);
     try {
       // Check if file exists and is readable
       const fileInfo = await FileSystem.getInfoAsync(imageUri);
@@ -104,16 +240,9 @@ export default function BuildingCodesScreen() {
                      imageUri.startsWith('data:image/') ||
                      imageUri.startsWith('file://');
 
-      // Allow PDFs to attempt processing (will fail gracefully with clear error)
-      const isPDF = imageUri.toLowerCase().endsWith('.pdf');
-      
-      if (!isImage && !isPDF) {
+      if (!isImage) {
         throw new Error('Unsupported file type. Please use images (JPG, PNG, GIF, WebP) or PDFs.');
       }
-      
-      if (isPDF) {
-        throw new Error('PDF files cannot be analyzed directly. Please convert PDF pages to images (JPG/PNG) first, or use the camera to scan plan pages.');
-      }
 
       // Convert image to base64 for DPP pre-check
       // Use ImageManipulator to ensure proper format and compression
@@ -129,13 +258,12 @@ export default function BuildingCodesScreen() {
         // Fallback to direct file read if manipulation fails
         try {
           // Fallback: try direct read (works for images)
-          // Note: readAsString is synchronous but we're in async function, so it's fine
-          base64Image = FileSystem.readAsString(imageUri, {
+          base64Image = await FileSystem.readAsStringAsync(imageUri, {
             encoding: 'base64',
           });
         } catch (readError) {
           console.error('File read error:', readError);
-          throw new Error('Failed to process image. Please ensure it is a valid image file (JPG, PNG, etc.). PDFs are not supported.');
+          throw new Error('Failed to process image. Please ensure it is a valid image file (JPG, PNG, etc.).');
         }
       }
 
@@ -153,13 +281,15 @@ export default function BuildingCodesScreen() {
       });
 
       // Save plan with DPP analysis
-      await PlanStorageService.savePlan({
+      const saved = await PlanStorageService.savePlan({
         imageUri,
         jurisdiction,
         projectType,
+        projectId,
         analysis: dppResult.analysis,
         dppRequirements: dppResult.dpp_requirements,
-      });
+      }, { planSetId: targetPlanSetId });
+      onPlanSaved(saved);
 
       setResult({
         ...dppResult.analysis,
@@ -174,6 +304,17 @@ export default function BuildingCodesScreen() {
     }
   };
 
+  // Look up the cited section in the offline code library
+  const openCodeLibrary = (code) =>
+    navigation.navigate('CodeLibrary', { jurisdiction: activeJurisdiction.id, query: code });
+
+  const targetPlanSet = planSets.find((set) => set.planSetId === targetPlanSetId);
+  const activeSheet = planSet && selectedSheet !== null ? planSet.sheets[selectedSheet] : null;
+  const shown = activeSheet
+    ? { ...activeSheet.analysis, error: activeSheet.error, dpp_requirements: result?.dpp_requirements }
+    : result;
+  const shownViolations = shown?.code_violations || shown?.violations || [];
+
   return (
     <ScrollView style={styles.container}>
       <View style={styles.header}>
@@ -182,15 +323,24 @@ export default function BuildingCodesScreen() {
       </View>
 
       <View style={styles.section}>
-        <TextInput
-          label="Jurisdiction"
-          value={jurisdiction}
-          onChangeText={setJurisdiction}
-          mode="outlined"
-          style={styles.input}
-          outlineColor="#E5E5E5"
-          activeOutlineColor="#0066CC"
-        />
+        <Text style={styles.sectionSubtitle}>Jurisdiction</Text>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.jurisdictionPicker}>
+          {listJurisdictions().map((j) => {
+            const active = activeJurisdiction.id === j.id;
+            return (
+              <TouchableOpacity
+                key={j.id}
+                style={[styles.sheetChip, active && styles.sheetChipActive]}
+                onPress={() => setJurisdiction(j.id)}
+              >
+                <Text style={[styles.sheetChipText, active && styles.sheetChipTextActive]}>{j.shortName}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+        <Text style={styles.jurisdictionCodes}>
+          {activeJurisdiction.agency} · {formatAdoptedCodes(activeJurisdiction)}
+        </Text>
 
         <TextInput
           label="Project Type"
@@ -202,8 +352,62 @@ export default function BuildingCodesScreen() {
           activeOutlineColor="#0066CC"
         />
 
-        {planImage && (
+        {planSets.length > 0 && (
+          <View style={styles.planSetPicker}>
+            <Text style={styles.sectionSubtitle}>Save as revision of:</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              <TouchableOpacity
+                style={[styles.sheetChip, targetPlanSetId === null && styles.sheetChipActive]}
+                onPress={() => setTargetPlanSetId(null)}
+              >
+                <Text style={[styles.sheetChipText, targetPlanSetId === null && styles.sheetChipTextActive]}>
+                  + New Plan Set
+                </Text>
+              </TouchableOpacity>
+              {planSets.map((set) => {
+                const active = targetPlanSetId === set.planSetId;
+                return (
+                  <TouchableOpacity
+                    key={set.planSetId}
+                    style={[styles.sheetChip, active && styles.sheetChipActive]}
+                    onPress={() => setTargetPlanSetId(set.planSetId)}
+                  >
+                    <Text style={[styles.sheetChipText, active && styles.sheetChipTextActive]}>
+                      {set.name} · Rev {set.latest.revision}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+            {targetPlanSet && (
+              <TouchableOpacity onPress={() => openPlan(targetPlanSet.latest)}>
+                <Text style={styles.sheetLink}>Open Rev {targetPlanSet.latest.revision} →</Text>
+              </TouchableOpacity>
+            )}
+            {targetPlanSet?.revisions.length > 1 && (
+              <TouchableOpacity
+                onPress={() => navigation.navigate('PlanRevisions', { planSetId: targetPlanSetId })}
+              >
+                <Text style={styles.sheetLink}>View revision history →</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
+        {planImage ? (
           <Image source={{ uri: planImage }} style={styles.planPreview} />
+        ) : imageDownload && (
+          <TouchableOpacity
+            style={styles.planDownload}
+            disabled={imageDownload.downloading}
+            onPress={() => openImage(imageDownload.plan, imageDownload.pageNumber)}
+          >
+            {imageDownload.downloading ? (
+              <ActivityIndicator color="#0066CC" />
+            ) : (
+              <Text style={styles.planDownloadText}>Plan image not on this device. Tap to download.</Text>
+            )}
+          </TouchableOpacity>
         )}
 
         <TouchableOpacity style={styles.uploadButton} onPress={takePlanPhoto}>
@@ -214,45 +418,137 @@ export default function BuildingCodesScreen() {
           <Text style={styles.uploadButtonText}>UPLOAD PDF/IMAGE</Text>
         </TouchableOpacity>
 
-        {analyzing && <Text style={styles.analyzingText}>Analyzing against Honolulu Building Codes...</Text>}
+        <TouchableOpacity style={styles.libraryButton} onPress={() => openCodeLibrary('')}>
+          <Text style={styles.libraryButtonText}>SEARCH CODE LIBRARY (OFFLINE)</Text>
+        </TouchableOpacity>
+
+        {analyzing && (
+          <View>
+            <Text style={styles.analyzingText}>
+              {progress
+                ? `Checking sheet ${progress.current} of ${progress.total} against ${activeJurisdiction.shortName} Building Codes...`
+                : `Analyzing against ${activeJurisdiction.shortName} Building Codes...`}
+            </Text>
+            {progress && (
+              <TouchableOpacity onPress={() => { cancelRef.current = true; }}>
+                <Text style={styles.cancelText}>Stop after this sheet</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
+        {planSet && (
+          <View style={styles.sheetIndex}>
+            <Text style={styles.sectionSubtitle}>
+              {planSet.fileName || 'Plan Set'} · {planSet.sheets.length} sheets
+            </Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              <TouchableOpacity
+                style={[styles.sheetChip, selectedSheet === null && styles.sheetChipActive]}
+                onPress={() => selectSheet(null)}
+              >
+                <Text style={[styles.sheetChipText, selectedSheet === null && styles.sheetChipTextActive]}>ALL</Text>
+              </TouchableOpacity>
+              {planSet.sheets.map((sheet, idx) => {
+                const issueCount = sheet.analysis?.code_violations?.length || 0;
+                return (
+                  <TouchableOpacity
+                    key={sheet.label}
+                    style={[
+                      styles.sheetChip,
+                      sheet.error && styles.sheetChipFailed,
+                      selectedSheet === idx && styles.sheetChipActive,
+                    ]}
+                    onPress={() => selectSheet(idx)}
+                  >
+                    <Text style={[styles.sheetChipText, selectedSheet === idx && styles.sheetChipTextActive]}>
+                      {sheet.label}{issueCount > 0 ? ` · ${issueCount}` : ''}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+          </View>
+        )}
 
-        {result && (
+        {shown && (
           <View style={styles.resultCard}>
-            <Text style={styles.resultTitle}>📋 Honolulu DPP Pre-Check Complete</Text>
+            <Text style={styles.resultTitle}>
+              {activeSheet
+                ? `📄 Sheet ${activeSheet.label}${activeSheet.sheetTitle ? ` – ${activeSheet.sheetTitle}` : ''}`
+                : `📋 ${activeJurisdiction.shortName} ${activeJurisdiction.agencyShort} Pre-Check Complete`}
+            </Text>
             <Text style={styles.resultText}>Project Type: {projectType}</Text>
-            <Text style={styles.resultText}>Analysis: {result.summary || result.compliance}</Text>
+            {savedPlan && (
+              <Text style={styles.resultText}>
+                Saved as Rev {savedPlan.revision} of {savedPlan.planSetName}
+              </Text>
+            )}
+            {savedPlan?.revision > 1 && (
+              <TouchableOpacity
+                onPress={() => navigation.navigate('PlanRevisions', { planSetId: savedPlan.planSetId })}
+              >
+                <Text style={styles.sheetLink}>Compare with Rev {savedPlan.revision - 1} →</Text>
+              </TouchableOpacity>
+            )}
+            {shown.error ? (
+              <Text style={styles.violationText}>Pre-check failed for this sheet: {shown.error}</Text>
+            ) : (
+              <Text style={styles.resultText}>
+                Analysis: {shown.summary || shown.compliance || (shown.compliant ? 'Compliant' : 'Issues found')}
+              </Text>
+            )}
 
             {/* Required Forms Checklist */}
-            {result.dpp_requirements && result.dpp_requirements.required_forms && (
+            {shown.dpp_requirements && shown.dpp_requirements.required_forms && (
               <View style={styles.checklistSection}>
                 <Text style={styles.sectionSubtitle}>Required Forms:</Text>
-                {result.dpp_requirements.required_forms.map((form, idx) => (
+                {shown.dpp_requirements.required_forms.map((form, idx) => (
                   <Text key={idx} style={styles.checklistItem}>✓ {form}</Text>
                 ))}
               </View>
             )}
 
             {/* Code References with Page Numbers */}
-            {result.dpp_requirements && result.dpp_requirements.code_references && (
+            {shown.dpp_requirements && shown.dpp_requirements.code_references && (
               <View style={styles.codeReferencesSection}>
                 <Text style={styles.sectionSubtitle}>Applicable Building Codes:</Text>
-                {result.dpp_requirements.code_references.map((ref, idx) => (
-                  <View key={idx} style={styles.codeReferenceItem}>
-                    <Text style={styles.codeNumber}>{ref.code}</Text>
+                {shown.dpp_requirements.code_references.map((ref, idx) => (
+                  <TouchableOpacity key={idx} style={styles.codeReferenceItem} onPress={() => openCodeLibrary(ref.code)}>
+                    <Text style={styles.codeNumber}>{ref.code} ›</Text>
                     <Text style={styles.codeDescription}>{ref.description}</Text>
                     <Text style={styles.codePage}>Page {ref.page}</Text>
-                  </View>
+                  </TouchableOpacity>
                 ))}
               </View>
             )}
 
             {/* Violations Found by AI */}
-            {result.violations && result.violations.length > 0 && (
+            {shownViolations.length > 0 && (
               <View style={styles.violationsSection}>
                 <Text style={styles.violationsTitle}>⚠️ Issues Detected:</Text>
-                {result.violations.map((violation, idx) => (
+                {shownViolations.map((violation, idx) => (
                   <View key={idx} style={styles.violationItem}>
-                    <Text style={styles.violationCode}>{violation.code || 'General'}</Text>
+                    {violation.code ? (
+                      <TouchableOpacity
+                        onPress={() => openCodeLibrary(violation.verification?.section?.citation || violation.code)}
+                      >
+                        <Text style={[styles.violationCode, violation.unverified && styles.violationCodeUnverified]}>
+                          {violation.code} ›
+                        </Text>
+                      </TouchableOpacity>
+                    ) : (
+                      <Text style={styles.violationCode}>General</Text>
+                    )}
+                    <CitationBadge verification={violation.verification} />
+                    {!!describeCitation(violation.verification) && (
+                      <Text style={styles.citationNote}>{describeCitation(violation.verification)}</Text>
+                    )}
+                    {!activeSheet && violation.sheet && (
+                      <TouchableOpacity onPress={() => jumpToSheet(violation.sheet)}>
+                        <Text style={styles.sheetLink}>Sheet {violation.sheet} →</Text>
+                      </TouchableOpacity>
+                    )}
                     <Text style={styles.violationText}>{violation.issue || violation.description}</Text>
                     {violation.recommendation && (
                       <Text style={styles.violationFix}>Fix: {violation.recommendation}</Text>
@@ -263,10 +559,10 @@ export default function BuildingCodesScreen() {
             )}
 
             {/* Recommendations */}
-            {result.recommendations && result.recommendations.length > 0 && (
+            {shown.recommendations && shown.recommendations.length > 0 && (
               <View style={styles.recommendationsSection}>
                 <Text style={styles.sectionSubtitle}>Recommendations:</Text>
-                {result.recommendations.map((rec, idx) => (
+                {shown.recommendations.map((rec, idx) => (
                   <Text key={idx} style={styles.recommendationText}>• {rec}</Text>
                 ))}
               </View>
@@ -279,8 +575,8 @@ export default function BuildingCodesScreen() {
         <Text style={styles.sectionTitle}>How It Works</Text>
         <View style={styles.infoCard}>
           <Text style={styles.infoText}>
-            • Upload or scan construction plans{'\n'}
-            • AI validates against Honolulu Building Codes{'\n'}
+            • Upload or scan construction plans, or a full PDF plan set{'\n'}
+            • AI validates against your county's adopted codes and amendments{'\n'}
             • Get pre-submission compliance report{'\n'}
             • Permit requirements automatically identified{'\n'}
             • Catch issues before they become costly rework
@@ -348,6 +644,19 @@ const styles = StyleSheet.create({
     marginVertical: 12,
     resizeMode: 'contain',
   },
+  planDownload: {
+    height: 200,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E5E5E5',
+    marginVertical: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  planDownloadText: {
+    fontSize: 14,
+    color: '#0066CC',
+  },
   uploadButton: {
     backgroundColor: '#0066CC',
     borderRadius: 8,
@@ -355,11 +664,73 @@ const styles = StyleSheet.create({
     marginVertical: 8,
     alignItems: 'center',
   },
+  libraryButton: {
+    borderWidth: 1,
+    borderColor: '#0066CC',
+    borderRadius: 8,
+    padding: 16,
+    marginVertical: 8,
+    alignItems: 'center',
+  },
+  libraryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0066CC',
+  },
   uploadButtonText: {
     fontSize: 16,
     fontWeight: '600',
     color: '#FFFFFF',
   },
+  cancelText: {
+    fontSize: 14,
+    color: '#FF3B30',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  sheetIndex: {
+    marginTop: 8,
+  },
+  planSetPicker: {
+    marginBottom: 8,
+  },
+  jurisdictionPicker: {
+    marginBottom: 4,
+  },
+  jurisdictionCodes: {
+    fontSize: 13,
+    color: '#666666',
+    marginBottom: 12,
+  },
+  sheetChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#0066CC',
+    marginRight: 8,
+    backgroundColor: '#FFFFFF',
+  },
+  sheetChipActive: {
+    backgroundColor: '#0066CC',
+  },
+  sheetChipFailed: {
+    borderColor: '#FF3B30',
+  },
+  sheetChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#0066CC',
+  },
+  sheetChipTextActive: {
+    color: '#FFFFFF',
+  },
+  sheetLink: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#0066CC',
+    marginBottom: 4,
+  },
   analyzingText: {
     fontSize: 14,
     color: '#0066CC',
@@ -521,6 +892,17 @@ const styles = StyleSheet.create({
     color: '#FF6B6B',
     marginBottom: 4,
   },
+  violationCodeUnverified: {
+    color: '#999999',
+    textDecorationLine: 'underline',
+    textDecorationStyle: 'dotted',
+  },
+  citationNote: {
+    fontSize: 11,
+    color: '#666666',
+    marginTop: 2,
+    marginBottom: 4,
+  },
   violationFix: {
     fontSize: 12,
     color: '#666666',
@@ -0,0 +1,384 @@
+import { useState, useEffect, useCallback } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, TextInput, Alert, ActivityIndicator } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import BuildingCodeService from '../services/BuildingCodeService';
+import CodeSearchService from '../services/CodeSearchService';
+import { listJurisdictions, getJurisdiction, DEFAULT_JURISDICTION_ID } from '../services/jurisdictions';
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+const formatIndexedAt = (timestamp) => {
+  const days = Math.floor((Date.now() - timestamp) / (24 * 60 * 60 * 1000));
+  if (days === 0) return 'today';
+  return days === 1 ? 'yesterday' : `${days} days ago`;
+};
+
+function Snippet({ segments, style }) {
+  return (
+    <Text style={style} numberOfLines={3}>
+      {segments.map((segment, idx) => (
+        <Text key={idx} style={segment.match && styles.highlight}>{segment.text}</Text>
+      ))}
+    </Text>
+  );
+}
+
+export default function CodeLibraryScreen({ route }) {
+  const [jurisdiction, setJurisdiction] = useState(route?.params?.jurisdiction || DEFAULT_JURISDICTION_ID);
+  const [query, setQuery] = useState(route?.params?.query || '');
+  const [results, setResults] = useState([]);
+  const [indexedAt, setIndexedAt] = useState(undefined); // undefined while loading, null when not downloaded
+  const [searching, setSearching] = useState(false);
+  const [updating, setUpdating] = useState(false);
+  const [expanded, setExpanded] = useState(null); // { key, codeType, section, children, citation, codeLabel }
+  const [bookmarks, setBookmarks] = useState([]);
+  const [libraryVersion, setLibraryVersion] = useState(0);
+  const activeJurisdiction = getJurisdiction(jurisdiction);
+
+  // Opened again from another violation card
+  useEffect(() => {
+    if (route?.params?.query !== undefined) setQuery(route.params.query);
+    if (route?.params?.jurisdiction) setJurisdiction(route.params.jurisdiction);
+  }, [route?.params?.query, route?.params?.jurisdiction]);
+
+  const loadBookmarks = useCallback(() =>
+    CodeSearchService.getBookmarks(activeJurisdiction.id)
+      .then(setBookmarks)
+      .catch((error) => console.error('Failed to load bookmarks:', error)),
+  [activeJurisdiction.id]);
+
+  useEffect(() => {
+    loadBookmarks();
+  }, [loadBookmarks]);
+
+  const openSection = useCallback(async (codeType, number) => {
+    const detail = await CodeSearchService.getSection(activeJurisdiction.id, codeType, number);
+    if (detail) {
+      setExpanded({ key: `${codeType}:${number}`, codeType, ...detail });
+    }
+  }, [activeJurisdiction.id]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setSearching(true);
+
+    const timer = setTimeout(async () => {
+      try {
+        const { results: found, indexedAt: builtAt } = await CodeSearchService.search(query, activeJurisdiction.id);
+        if (cancelled) return;
+        setResults(found);
+        setIndexedAt(builtAt);
+
+        // A citation that resolves exactly opens straight to the section
+        if (found[0]?.score >= 1000) {
+          openSection(found[0].codeType, found[0].section.number);
+        }
+      } catch (error) {
+        console.error('Code search failed:', error);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, activeJurisdiction.id, openSection, libraryVersion]);
+
+  const updateLibrary = async () => {
+    setUpdating(true);
+    try {
+      const before = indexedAt;
+      const index = await BuildingCodeService.getCodeIndex(activeJurisdiction.id, { refresh: true });
+      setIndexedAt(index?.builtAt ?? null);
+      if (index && index.builtAt !== before) {
+        setLibraryVersion((version) => version + 1);
+      } else {
+        Alert.alert(
+          'Update failed',
+          index
+            ? `Couldn't reach the ${activeJurisdiction.shortName} code library. Searching the copy from ${formatIndexedAt(index.builtAt)}.`
+            : `Couldn't reach the ${activeJurisdiction.shortName} code library. Connect to download it for offline use.`
+        );
+      }
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const toggleBookmark = async (codeType, section) => {
+    try {
+      await CodeSearchService.toggleBookmark(activeJurisdiction.id, codeType, section);
+      loadBookmarks();
+    } catch (error) {
+      Alert.alert('Bookmark failed', error.message || 'Please try again');
+    }
+  };
+
+  const isBookmarked = (codeType, number) =>
+    bookmarks.some((b) => b.codeType === codeType && b.number === number);
+
+  const renderExpanded = () => (
+    <View style={styles.detailCard}>
+      <View style={styles.detailHeader}>
+        <View style={styles.detailHeading}>
+          <Text style={styles.detailCitation}>{expanded.citation}</Text>
+          <Text style={styles.detailTitle}>{expanded.section.title}</Text>
+          <Text style={styles.meta}>{expanded.codeLabel}</Text>
+        </View>
+        <TouchableOpacity onPress={() => toggleBookmark(expanded.codeType, expanded.section)}>
+          <MaterialIcons
+            name={isBookmarked(expanded.codeType, expanded.section.number) ? 'bookmark' : 'bookmark-border'}
+            size={28}
+            color="#0066CC"
+          />
+        </TouchableOpacity>
+      </View>
+      <Text style={styles.detailText}>{expanded.section.text || 'No text indexed for this section.'}</Text>
+      {expanded.section.parent && (
+        <TouchableOpacity onPress={() => openSection(expanded.codeType, expanded.section.parent)}>
+          <Text style={styles.link}>↑ {expanded.section.parent}</Text>
+        </TouchableOpacity>
+      )}
+      {expanded.children.map((child) => (
+        <TouchableOpacity key={child.number} onPress={() => openSection(expanded.codeType, child.number)}>
+          <Text style={styles.link}>{child.number} {child.title} →</Text>
+        </TouchableOpacity>
+      ))}
+      <TouchableOpacity onPress={() => setExpanded(null)}>
+        <Text style={styles.closeText}>Close</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <ScrollView style={styles.container} keyboardShouldPersistTaps="handled">
+      <View style={styles.section}>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          {listJurisdictions().map((j) => {
+            const active = activeJurisdiction.id === j.id;
+            return (
+              <TouchableOpacity
+                key={j.id}
+                style={[styles.chip, active && styles.chipActive]}
+                onPress={() => {
+                  setJurisdiction(j.id);
+                  setExpanded(null);
+                }}
+              >
+                <Text style={[styles.chipText, active && styles.chipTextActive]}>{j.shortName}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+
+        <TextInput
+          style={styles.searchInput}
+          value={query}
+          onChangeText={setQuery}
+          placeholder="Section number or keywords (e.g. R314.3, smoke alarm)"
+          placeholderTextColor="#999999"
+          autoCapitalize="none"
+          autoCorrect={false}
+          clearButtonMode="while-editing"
+        />
+
+        <View style={styles.statusRow}>
+          <Text style={styles.meta}>
+            {indexedAt === undefined
+              ? 'Loading code library...'
+              : indexedAt
+                ? `Offline copy updated ${formatIndexedAt(indexedAt)}`
+                : 'Not downloaded yet'}
+          </Text>
+          <TouchableOpacity onPress={updateLibrary} disabled={updating}>
+            {updating
+              ? <ActivityIndicator size="small" color="#0066CC" />
+              : <Text style={styles.link}>{indexedAt ? 'Update' : 'Download'}</Text>}
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {expanded && <View style={styles.section}>{renderExpanded()}</View>}
+
+      <View style={styles.section}>
+        {!query.trim() ? (
+          <>
+            <Text style={styles.sectionTitle}>Bookmarks</Text>
+            {bookmarks.length === 0 && (
+              <Text style={styles.emptyText}>Bookmark sections you check often to find them here.</Text>
+            )}
+            {bookmarks.map((bookmark) => (
+              <TouchableOpacity
+                key={bookmark.key}
+                style={styles.resultItem}
+                onPress={() => openSection(bookmark.codeType, bookmark.number)}
+              >
+                <Text style={styles.resultCitation}>{bookmark.citation} {bookmark.title}</Text>
+              </TouchableOpacity>
+            ))}
+          </>
+        ) : (
+          <>
+            <Text style={styles.sectionTitle}>
+              {searching ? 'Searching...' : `${results.length} result${results.length === 1 ? '' : 's'}`}
+            </Text>
+            {!searching && results.length === 0 && indexedAt === null && (
+              <Text style={styles.emptyText}>
+                The {activeJurisdiction.shortName} code library isn't on this device yet. Download it while you have signal.
+              </Text>
+            )}
+            {results.map((result) => (
+              <TouchableOpacity
+                key={result.key}
+                style={[styles.resultItem, expanded?.key === result.key && styles.resultItemActive]}
+                onPress={() => openSection(result.codeType, result.section.number)}
+              >
+                <View style={styles.resultHeader}>
+                  <Text style={styles.resultCitation}>{result.citation} {result.section.title}</Text>
+                  {isBookmarked(result.codeType, result.section.number) && (
+                    <MaterialIcons name="bookmark" size={16} color="#0066CC" />
+                  )}
+                </View>
+                <Text style={styles.meta}>{result.codeLabel}</Text>
+                {result.snippet.length > 0 && <Snippet segments={result.snippet} style={styles.snippet} />}
+              </TouchableOpacity>
+            ))}
+          </>
+        )}
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+  section: {
+    padding: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1A1A1A',
+    marginBottom: 12,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#0066CC',
+    marginRight: 8,
+  },
+  chipActive: {
+    backgroundColor: '#0066CC',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#0066CC',
+  },
+  chipTextActive: {
+    color: '#FFFFFF',
+  },
+  searchInput: {
+    borderWidth: 1,
+    borderColor: '#E5E5E5',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: '#1A1A1A',
+    marginTop: 12,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  meta: {
+    fontSize: 13,
+    color: '#666666',
+  },
+  link: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#0066CC',
+    marginTop: 6,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  resultItem: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E5E5',
+  },
+  resultItemActive: {
+    backgroundColor: '#F0F7FF',
+  },
+  resultHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  resultCitation: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1A1A1A',
+  },
+  snippet: {
+    fontSize: 14,
+    color: '#666666',
+    lineHeight: 20,
+    marginTop: 4,
+  },
+  highlight: {
+    backgroundColor: '#FFF3B0',
+    color: '#1A1A1A',
+    fontWeight: '600',
+  },
+  detailCard: {
+    backgroundColor: '#F8F8F8',
+    borderRadius: 8,
+    padding: 16,
+    borderLeftWidth: 4,
+    borderLeftColor: '#0066CC',
+  },
+  detailHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: 8,
+  },
+  detailHeading: {
+    flex: 1,
+  },
+  detailCitation: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#0066CC',
+  },
+  detailTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1A1A1A',
+  },
+  detailText: {
+    fontSize: 14,
+    color: '#1A1A1A',
+    lineHeight: 21,
+  },
+  closeText: {
+    fontSize: 14,
+    color: '#999999',
+    textAlign: 'right',
+    marginTop: 12,
+  },
+});
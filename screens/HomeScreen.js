@@ -1,6 +1,7 @@
 import React from "react";
 import { View, Text, StyleSheet, TouchableOpacity } from "react-native";
 import { MaterialIcons } from "@expo/vector-icons";
+import PendingSyncBadge from "../components/PendingSyncBadge";
 
 export default function HomeScreen({ navigation }) {
   return (
@@ -8,6 +9,14 @@ export default function HomeScreen({ navigation }) {
       <View style={styles.header}>
         <Text style={styles.title}>VISION</Text>
         <Text style={styles.subtitle}>Construction Inspection Platform</Text>
+        <PendingSyncBadge style={styles.syncBadge} />
+        <TouchableOpacity
+          style={styles.accountLink}
+          onPress={() => navigation.navigate("Auth")}
+        >
+          <MaterialIcons name="account-circle" size={18} color="#0066CC" />
+          <Text style={styles.accountLinkText}>Account</Text>
+        </TouchableOpacity>
       </View>
 
       <View style={styles.actions}>
@@ -59,6 +68,20 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: "#666666",
   },
+  syncBadge: {
+    marginTop: 16,
+  },
+  accountLink: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginTop: 16,
+  },
+  accountLinkText: {
+    color: "#0066CC",
+    fontSize: 14,
+    fontWeight: "600",
+  },
   actions: {
     flex: 1,
     justifyContent: "center",
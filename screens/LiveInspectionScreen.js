@@ -3,7 +3,7 @@
  * Minimal implementation that actually works
  */
 
-import React, { useState, useRef, useEffect } from "react";
+import React, { useState, useRef, useEffect, useCallback } from "react";
 import {
   View,
   Text,
@@ -15,11 +15,108 @@ import {
 import { Camera } from "expo-camera";
 import { StatusBar } from "expo-status-bar";
 import { MaterialIcons } from "@expo/vector-icons";
+import AIVisionService from "../services/AIVisionService";
+import CaptureStorageService from "../services/CaptureStorageService";
+import { PERMISSION_DENIED } from "../services/OfflineQueueService";
+import AuthService from "../services/AuthService";
+import InspectionSessionService from "../services/InspectionSessionService";
+import PendingSyncBadge from "../components/PendingSyncBadge";
+import { normalizeOverlays } from "../services/McpClient";
+import ViolationOverlay, {
+  SEVERITY_COLORS,
+} from "../components/ViolationOverlay";
+import CitationBadge from "../components/CitationBadge";
+import InspectionChecklist from "../components/InspectionChecklist";
+import ChecklistService from "../services/ChecklistService";
+import ViolationService, {
+  VIOLATION_SOURCE,
+} from "../services/ViolationService";
+import ViolationEditor from "../components/ViolationEditor";
+import {
+  getChecklist,
+  setChecklistItem,
+  applyChecklistSuggestions,
+  summarizeChecklist,
+} from "../services/inspectionChecklists";
+
+// Delay between the end of one frame analysis and the next capture
+const DEFAULT_SCAN_INTERVAL_MS = 2000;
+const MIN_SCAN_INTERVAL_MS = 500;
+// Overlay markers fade out after this many frames without re-detection
+const OVERLAY_STALE_FRAMES = 3;
+
+const SEVERITY_RANK = { critical: 0, high: 1, major: 1, medium: 2, low: 3 };
+
+// The violation a CAPTURE photo documents: the most severe one currently shown
+const pickActiveViolation = (violations) =>
+  [...violations].sort(
+    (a, b) =>
+      (SEVERITY_RANK[a.severity] ?? 4) - (SEVERITY_RANK[b.severity] ?? 4)
+  )[0] || null;
 
 export default function LiveInspectionScreen({ route, navigation }) {
   const [permission, requestPermission] = Camera.useCameraPermissions();
   const [isScanning, setIsScanning] = useState(false);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [violations, setViolations] = useState([]);
+  const [overlays, setOverlays] = useState([]);
+  const [analyzedFrames, setAnalyzedFrames] = useState(0);
+  const [narration, setNarration] = useState("");
+  const [scanError, setScanError] = useState(null);
+  const [isCapturing, setIsCapturing] = useState(false);
+  // null while the stored session is being read
+  const [signedIn, setSignedIn] = useState(null);
+  const [captures, setCaptures] = useState([]);
+  const [checklist, setChecklist] = useState({});
+  const [showChecklist, setShowChecklist] = useState(false);
+  const checklistRef = useRef({});
+  // Finding open in the editor: a saved violation, or { sessionId, projectId } for a new one
+  const [editing, setEditing] = useState(null);
+  const [, setViolationRevision] = useState(0);
   const cameraRef = useRef(null);
+  const scanTimerRef = useRef(null);
+  const isScanningRef = useRef(false);
+
+  const {
+    projectId,
+    projectName,
+    inspectionType,
+    jurisdiction,
+    scanInterval,
+    sessionId: routeSessionId,
+  } = route?.params || {};
+  const [sessionId, setSessionId] = useState(routeSessionId || null);
+  const sessionIdRef = useRef(routeSessionId || null);
+  const hasScannedRef = useRef(false);
+  const scanIntervalMs = Math.max(
+    MIN_SCAN_INTERVAL_MS,
+    Number(scanInterval) || DEFAULT_SCAN_INTERVAL_MS
+  );
+  const hasChecklist = getChecklist(inspectionType).length > 0;
+
+  // Checklist results are saved on the session as soon as there is one
+  const updateChecklist = useCallback(
+    (next) => {
+      if (next === checklistRef.current) return;
+      checklistRef.current = next;
+      setChecklist(next);
+      ChecklistService.saveChecklist(
+        sessionIdRef.current,
+        inspectionType,
+        next
+      ).catch((error) => console.error("❌ Failed to save checklist:", error));
+    },
+    [inspectionType]
+  );
+
+  // Re-render when a finding is added, edited or dismissed
+  useEffect(
+    () =>
+      ViolationService.subscribe(() =>
+        setViolationRevision((revision) => revision + 1)
+      ),
+    []
+  );
 
   // Request permission on mount if needed
   useEffect(() => {
@@ -28,8 +125,280 @@ export default function LiveInspectionScreen({ route, navigation }) {
     }
   }, [permission]);
 
+  // Sessions, captures and findings are scoped to the signed-in account;
+  // check again on return from the sign-in screen
+  useEffect(() => {
+    const checkSignedIn = () =>
+      AuthService.isSignedIn()
+        .then(setSignedIn)
+        .catch(() => setSignedIn(false));
+    checkSignedIn();
+    return navigation.addListener("focus", checkSignedIn);
+  }, [navigation]);
+
+  // Open an inspection session for this screen and close it on exit
+  useEffect(() => {
+    if (!signedIn) return;
+    let cancelled = false;
+
+    const openSession = async () => {
+      let openedId = null;
+      if (routeSessionId) {
+        await InspectionSessionService.resumeSession(routeSessionId);
+        openedId = routeSessionId;
+      } else if (projectId) {
+        try {
+          const session = await InspectionSessionService.startSession({
+            projectId,
+            inspectionType,
+            sessionName: projectName
+              ? `${projectName} - ${inspectionType || "inspection"}`
+              : null,
+          });
+          openedId = session.id;
+        } catch (error) {
+          // Keep inspecting with a device-local session id
+          console.error("❌ Could not open inspection session:", error);
+          return;
+        }
+      }
+      if (!openedId) return;
+
+      if (cancelled) {
+        InspectionSessionService.endSession(openedId);
+        return;
+      }
+      sessionIdRef.current = openedId;
+      AIVisionService.setSession(openedId);
+      setSessionId(openedId);
+      // Earlier edits and dismissals apply to findings seen again
+      ViolationService.listViolations(openedId);
+
+      // Resuming picks up earlier results; a new session gets any taps made
+      // while it was being created
+      const saved = routeSessionId
+        ? await ChecklistService.getChecklist(routeSessionId)
+        : null;
+      if (saved?.results) {
+        checklistRef.current = saved.results;
+        setChecklist(saved.results);
+      } else if (Object.keys(checklistRef.current).length) {
+        ChecklistService.saveChecklist(
+          openedId,
+          inspectionType,
+          checklistRef.current
+        ).catch((error) => console.error("❌ Failed to save checklist:", error));
+      }
+    };
+
+    openSession();
+
+    return () => {
+      cancelled = true;
+      if (sessionIdRef.current) {
+        InspectionSessionService.endSession(sessionIdRef.current);
+        sessionIdRef.current = null;
+      }
+      AIVisionService.resetSession();
+    };
+  }, [signedIn]);
+
+  const stopScanning = useCallback(() => {
+    isScanningRef.current = false;
+    if (scanTimerRef.current) {
+      clearTimeout(scanTimerRef.current);
+      scanTimerRef.current = null;
+    }
+    setIsScanning(false);
+    setIsAnalyzing(false);
+  }, []);
+
+  /**
+   * Capture one frame and run it through AI analysis.
+   * Results that arrive after scanning stopped are discarded.
+   */
+  const scanFrame = useCallback(async () => {
+    if (!isScanningRef.current || !cameraRef.current) return;
+
+    setIsAnalyzing(true);
+    try {
+      const frame = await cameraRef.current.takePictureAsync({
+        quality: 0.5,
+        skipProcessing: true,
+      });
+      if (!isScanningRef.current) return;
+
+      const analysis = await AIVisionService.analyzeFrame(frame.uri, {
+        projectId,
+        projectName,
+        inspectionType,
+        jurisdiction,
+        checklist: checklistRef.current,
+      });
+      if (!isScanningRef.current) return;
+
+      if (analysis.error) {
+        setScanError(analysis.narration || analysis.error);
+      } else {
+        setScanError(null);
+        // Each finding is recorded once; inspector edits and dismissals apply
+        const reviewed = ViolationService.recordAiFindings(
+          analysis.violations || [],
+          { sessionId: sessionIdRef.current, projectId: projectId || null }
+        );
+        setViolations(analysis.violations || []);
+        setOverlays(normalizeOverlays(reviewed));
+        setAnalyzedFrames((count) => count + 1);
+        setNarration(analysis.narration || "");
+        updateChecklist(
+          applyChecklistSuggestions(
+            checklistRef.current,
+            inspectionType,
+            analysis.checklist
+          )
+        );
+      }
+    } catch (error) {
+      console.error("❌ Frame scan failed:", error);
+      if (isScanningRef.current) {
+        setScanError(error.message || "Frame capture failed");
+      }
+    } finally {
+      if (isScanningRef.current) {
+        setIsAnalyzing(false);
+        scanTimerRef.current = setTimeout(scanFrame, scanIntervalMs);
+      }
+    }
+  }, [
+    projectId,
+    projectName,
+    inspectionType,
+    jurisdiction,
+    scanIntervalMs,
+    updateChecklist,
+  ]);
+
+  // Start or stop the sampling loop when SCAN/PAUSE toggles
+  useEffect(() => {
+    if (!isScanning) return undefined;
+
+    isScanningRef.current = true;
+    setScanError(null);
+    scanFrame();
+
+    return () => {
+      isScanningRef.current = false;
+      if (scanTimerRef.current) {
+        clearTimeout(scanTimerRef.current);
+        scanTimerRef.current = null;
+      }
+    };
+  }, [isScanning, scanFrame]);
+
+  // The current frame's AI findings as corrected by the inspector, then
+  // the inspector's own findings for this session
+  const shownViolations = [
+    ...ViolationService.reviewFindings(violations, sessionIdRef.current),
+    ...ViolationService.getSessionViolations(sessionIdRef.current).filter(
+      (violation) => violation.source === VIOLATION_SOURCE.MANUAL
+    ),
+  ];
+
+  const editViolation = (violation) =>
+    setEditing(
+      violation.recordId
+        ? ViolationService.getViolation(violation.recordId)
+        : violation
+    );
+
+  // Scanning stops on blur, so looking up a code pauses the scan loop
+  const openCodeLibrary = (code) =>
+    navigation.navigate("CodeLibrary", { jurisdiction, query: code });
+
+  const toggleScanning = () => {
+    if (isScanning) {
+      stopScanning();
+      InspectionSessionService.pauseSession(sessionIdRef.current);
+      return;
+    }
+    if (hasScannedRef.current) {
+      InspectionSessionService.resumeSession(sessionIdRef.current);
+    }
+    hasScannedRef.current = true;
+    setIsScanning(true);
+  };
+
+  const capturePhoto = async () => {
+    if (!cameraRef.current || isCapturing) return;
+
+    setIsCapturing(true);
+    try {
+      const photo = await cameraRef.current.takePictureAsync({ quality: 0.8 });
+      const saved = await CaptureStorageService.saveCapture({
+        photoUri: photo.uri,
+        sessionId: sessionId || null,
+        projectId: projectId || null,
+        violation: pickActiveViolation(shownViolations),
+      });
+      setCaptures((previous) => [...previous, saved]);
+
+      Alert.alert(
+        "Photo Captured",
+        saved.synced
+          ? "Photo saved to this inspection"
+          : "Photo saved on device. It will upload when you're back online."
+      );
+    } catch (error) {
+      console.error("❌ Capture failed:", error);
+      if (error.code === PERMISSION_DENIED) {
+        Alert.alert(
+          "Sign in required",
+          "The photo is saved on this device, but this account can't add it to the inspection. Sign in with an account on the project.",
+          [
+            { text: "Cancel", style: "cancel" },
+            { text: "Sign In", onPress: () => navigation.navigate("Auth") },
+          ]
+        );
+      } else {
+        Alert.alert("Error", "Failed to capture photo");
+      }
+    } finally {
+      setIsCapturing(false);
+    }
+  };
+
+  // Stop scanning when navigating away or unmounting
+  useEffect(() => {
+    const unsubscribe = navigation.addListener("blur", stopScanning);
+    return () => {
+      unsubscribe();
+      stopScanning();
+    };
+  }, [navigation, stopScanning]);
+
+  if (signedIn === false) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.permissionContainer}>
+          <MaterialIcons name="account-circle" size={64} color="#CCCCCC" />
+          <Text style={styles.permissionText}>Sign in required</Text>
+          <Text style={styles.permissionSubtext}>
+            Live AI inspections are saved to your projects. Sign in or create
+            an account to start one.
+          </Text>
+          <TouchableOpacity
+            style={styles.permissionButton}
+            onPress={() => navigation.navigate("Auth")}
+          >
+            <Text style={styles.permissionButtonText}>Sign In</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
   // Show permission request screen
-  if (!permission) {
+  if (!permission || signedIn === null) {
     return (
       <View style={styles.container}>
         <ActivityIndicator size="large" color="#0066CC" />
@@ -63,16 +432,120 @@ export default function LiveInspectionScreen({ route, navigation }) {
     <View style={styles.container}>
       <StatusBar style="light" />
       <Camera ref={cameraRef} style={styles.camera} facing="back">
+        <ViolationOverlay
+          overlays={overlays}
+          frameNumber={analyzedFrames}
+          staleAfterFrames={OVERLAY_STALE_FRAMES}
+          onCodePress={openCodeLibrary}
+        />
+
         {/* Top bar */}
         <View style={styles.topBar}>
+          <PendingSyncBadge light style={styles.syncBadge} />
+          {hasChecklist && (
+            <TouchableOpacity
+              style={styles.checklistButton}
+              onPress={() => setShowChecklist((shown) => !shown)}
+            >
+              <MaterialIcons name="checklist" size={28} color="white" />
+              <Text style={styles.checklistCount}>
+                {summarizeChecklist(inspectionType, checklist).counts.open}
+              </Text>
+            </TouchableOpacity>
+          )}
+          {sessionId && (
+            <TouchableOpacity
+              style={styles.closeButton}
+              onPress={() => {
+                stopScanning();
+                navigation.replace("Report", { projectId, sessionId });
+              }}
+            >
+              <MaterialIcons name="assignment" size={32} color="white" />
+            </TouchableOpacity>
+          )}
           <TouchableOpacity
             style={styles.closeButton}
-            onPress={() => navigation.goBack()}
+            onPress={() => {
+              stopScanning();
+              navigation.goBack();
+            }}
           >
             <MaterialIcons name="close" size={32} color="white" />
           </TouchableOpacity>
         </View>
 
+        {showChecklist && (
+          <InspectionChecklist
+            inspectionType={inspectionType}
+            results={checklist}
+            onSetStatus={(itemId, status) =>
+              updateChecklist(
+                setChecklistItem(checklistRef.current, itemId, status)
+              )
+            }
+            onClose={() => setShowChecklist(false)}
+          />
+        )}
+
+        {/* Live results */}
+        {(isScanning || shownViolations.length > 0 || scanError) && (
+          <View style={styles.resultsPanel}>
+            <View style={styles.statusRow}>
+              {isAnalyzing && <ActivityIndicator size="small" color="white" />}
+              <Text style={styles.statusText}>
+                {isScanning
+                  ? isAnalyzing
+                    ? "Analyzing frame..."
+                    : "Scanning"
+                  : "Paused"}
+              </Text>
+            </View>
+
+            {scanError ? (
+              <Text style={styles.errorText}>{scanError}</Text>
+            ) : (
+              !!narration && (
+                <Text style={styles.narrationText}>{narration}</Text>
+              )
+            )}
+
+            {shownViolations.map((violation, idx) => (
+              <TouchableOpacity
+                key={violation.recordId || violation.id || idx}
+                disabled={!violation.recordId && !violation.id}
+                onPress={() => editViolation(violation)}
+                style={[
+                  styles.violationRow,
+                  {
+                    borderLeftColor:
+                      SEVERITY_COLORS[violation.severity] || SEVERITY_COLORS.medium,
+                  },
+                ]}
+              >
+                <View style={styles.violationHeader}>
+                  <Text
+                    style={[
+                      styles.violationCode,
+                      violation.unverified && styles.violationCodeUnverified,
+                    ]}
+                  >
+                    {violation.code || "Code Unknown"}
+                  </Text>
+                  <CitationBadge verification={violation.verification} light />
+                  {(violation.source === VIOLATION_SOURCE.MANUAL ||
+                    violation.edited) && (
+                    <Text style={styles.violationTag}>
+                      {violation.edited ? "EDITED" : "INSPECTOR"}
+                    </Text>
+                  )}
+                </View>
+                <Text style={styles.violationIssue}>{violation.issue}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
         {/* Bottom controls */}
         <View style={styles.bottomBar}>
           <TouchableOpacity
@@ -80,7 +553,7 @@ export default function LiveInspectionScreen({ route, navigation }) {
               styles.controlButton,
               isScanning && styles.controlButtonActive,
             ]}
-            onPress={() => setIsScanning(!isScanning)}
+            onPress={toggleScanning}
           >
             <MaterialIcons
               name={isScanning ? "pause" : "play-arrow"}
@@ -94,21 +567,43 @@ export default function LiveInspectionScreen({ route, navigation }) {
 
           <TouchableOpacity
             style={styles.controlButton}
-            onPress={async () => {
-              if (!cameraRef.current) return;
-              try {
-                const photo = await cameraRef.current.takePictureAsync();
-                Alert.alert("Photo Captured", "Photo saved successfully");
-              } catch (error) {
-                Alert.alert("Error", "Failed to capture photo");
-              }
-            }}
+            onPress={capturePhoto}
+            disabled={isCapturing}
+          >
+            {isCapturing ? (
+              <ActivityIndicator size="small" color="white" />
+            ) : (
+              <MaterialIcons name="camera" size={32} color="white" />
+            )}
+            <Text style={styles.controlText}>
+              {captures.length > 0 ? `CAPTURE (${captures.length})` : "CAPTURE"}
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.controlButton}
+            onPress={() =>
+              setEditing({
+                sessionId: sessionIdRef.current,
+                projectId: projectId || null,
+              })
+            }
           >
-            <MaterialIcons name="camera" size={32} color="white" />
-            <Text style={styles.controlText}>CAPTURE</Text>
+            <MaterialIcons name="add-comment" size={32} color="white" />
+            <Text style={styles.controlText}>ADD</Text>
           </TouchableOpacity>
         </View>
       </Camera>
+
+      <ViolationEditor
+        visible={!!editing}
+        violation={editing}
+        onClose={() => setEditing(null)}
+        onCodePress={(code) => {
+          setEditing(null);
+          openCodeLibrary(code);
+        }}
+      />
     </View>
   );
 }
@@ -159,12 +654,86 @@ const styles = StyleSheet.create({
   topBar: {
     flexDirection: "row",
     justifyContent: "flex-end",
+    gap: 16,
     padding: 16,
     paddingTop: 50,
   },
   closeButton: {
     padding: 4,
   },
+  checklistButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 2,
+    padding: 4,
+  },
+  checklistCount: {
+    color: "white",
+    fontSize: 13,
+    fontWeight: "700",
+  },
+  syncBadge: {
+    marginRight: "auto",
+  },
+  resultsPanel: {
+    marginHorizontal: 16,
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: "rgba(0,0,0,0.6)",
+    maxHeight: 260,
+  },
+  statusRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginBottom: 6,
+  },
+  statusText: {
+    color: "white",
+    fontSize: 12,
+    fontWeight: "700",
+    textTransform: "uppercase",
+  },
+  narrationText: {
+    color: "white",
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  errorText: {
+    color: "#FCA5A5",
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  violationRow: {
+    borderLeftWidth: 4,
+    paddingLeft: 8,
+    marginBottom: 6,
+  },
+  violationHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    flexWrap: "wrap",
+    gap: 6,
+  },
+  violationCode: {
+    color: "white",
+    fontSize: 13,
+    fontWeight: "700",
+  },
+  violationCodeUnverified: {
+    color: "rgba(255,255,255,0.6)",
+    textDecorationLine: "underline",
+    textDecorationStyle: "dotted",
+  },
+  violationTag: {
+    color: "#93C5FD",
+    fontSize: 10,
+    fontWeight: "800",
+  },
+  violationIssue: {
+    color: "rgba(255,255,255,0.85)",
+    fontSize: 13,
+  },
   bottomBar: {
     position: "absolute",
     bottom: 0,
@@ -70,10 +70,10 @@ export default function OnboardingScreen({ navigation }) {
       await AsyncStorage.setItem(ONBOARDING_KEY, 'true');
       await AsyncStorage.setItem('authMode', 'guest');
       Speech.speak('Welcome to VISION. Build right as you go with AR-powered jobsite verification.');
-      navigation.replace('Home');
+      navigation.replace('Main');
     } catch (error) {
       console.error('Failed to save onboarding state:', error);
-      navigation.replace('Home');
+      navigation.replace('Main');
     }
   };
 
@@ -146,9 +146,6 @@ export default function OnboardingScreen({ navigation }) {
                   Save inspection data across devices{'\n'}
                   Full cloud sync and backup
                 </Text>
-                <View style={styles.comingSoonBadge}>
-                  <Text style={styles.comingSoonText}>COMING SOON</Text>
-                </View>
               </TouchableOpacity>
 
               <TouchableOpacity onPress={handleLogin} style={styles.loginLink}>
@@ -324,21 +321,6 @@ const styles = StyleSheet.create({
     color: '#0066CC',
     letterSpacing: 0.5,
   },
-  comingSoonBadge: {
-    backgroundColor: '#F8F8F8',
-    paddingHorizontal: 12,
-    paddingVertical: 6,
-    borderRadius: 12,
-    marginTop: 12,
-    borderWidth: 1,
-    borderColor: '#E5E5E5',
-  },
-  comingSoonText: {
-    fontSize: 11,
-    fontWeight: '700',
-    color: '#999999',
-    letterSpacing: 0.5,
-  },
   loginLink: {
     marginTop: 8,
     padding: 12,
@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Share, Alert, ActivityIndicator } from 'react-native';
+import PlanStorageService from '../services/PlanStorageService';
+
+const SECTIONS = [
+  { key: 'resolved', title: 'Resolved', color: '#00CC66' },
+  { key: 'introduced', title: 'Introduced', color: '#FF3B30' },
+  { key: 'unchanged', title: 'Unchanged', color: '#999999' },
+];
+
+const describeViolation = (violation) =>
+  `${violation.code || 'General'}${violation.sheet ? ` (Sheet ${violation.sheet})` : ''}: ${violation.description || violation.issue || ''}`;
+
+export default function PlanRevisionsScreen({ route, navigation }) {
+  const { planSetId } = route.params || {};
+  const [revisions, setRevisions] = useState([]);
+  const [fromRevision, setFromRevision] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    PlanStorageService.getRevisions(planSetId)
+      .then((list) => {
+        setRevisions(list);
+        // Default to the most recent resubmittal
+        if (list.length >= 2) {
+          setFromRevision(list[list.length - 2].revision);
+        }
+        if (list[0]) {
+          navigation.setOptions({ title: list[0].planSetName || 'Revisions' });
+        }
+      })
+      .catch((error) => console.error('Failed to load revisions:', error))
+      .finally(() => setLoading(false));
+  }, [planSetId, navigation]);
+
+  useEffect(() => {
+    if (fromRevision === null) return;
+
+    const index = revisions.findIndex((r) => r.revision === fromRevision);
+    const next = revisions[index + 1];
+    if (!next) return;
+
+    PlanStorageService.compareRevisions(planSetId, fromRevision, next.revision)
+      .then(setComparison)
+      .catch((error) => console.error('Failed to compare revisions:', error));
+  }, [planSetId, fromRevision, revisions]);
+
+  const shareSummary = useCallback(async () => {
+    if (!comparison) return;
+
+    const lines = [
+      `${comparison.to.planSetName}: Rev ${comparison.from.revision} → Rev ${comparison.to.revision}`,
+      '',
+    ];
+    SECTIONS.forEach(({ key, title }) => {
+      const items = comparison.violations[key];
+      lines.push(`${title} (${items.length})`);
+      items.forEach((item) => lines.push(`• ${describeViolation(key === 'unchanged' ? item.after : item)}`));
+      lines.push('');
+    });
+    if (comparison.missingItems.resolved.length) {
+      lines.push(`Missing items now provided: ${comparison.missingItems.resolved.join('; ')}`);
+    }
+    if (comparison.missingItems.introduced.length) {
+      lines.push(`Newly missing items: ${comparison.missingItems.introduced.join('; ')}`);
+    }
+
+    try {
+      await Share.share({ message: lines.join('\n') });
+    } catch (error) {
+      Alert.alert('Share failed', error.message || 'Please try again');
+    }
+  }, [comparison]);
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#0066CC" />
+      </View>
+    );
+  }
+
+  if (revisions.length < 2) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.emptyText}>
+          Only one revision so far. Upload a resubmittal as a new revision to compare.
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Compare</Text>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          {revisions.slice(0, -1).map((rev, idx) => {
+            const next = revisions[idx + 1];
+            const active = rev.revision === fromRevision;
+            return (
+              <TouchableOpacity
+                key={rev.id}
+                style={[styles.chip, active && styles.chipActive]}
+                onPress={() => setFromRevision(rev.revision)}
+              >
+                <Text style={[styles.chipText, active && styles.chipTextActive]}>
+                  Rev {rev.revision} → {next.revision}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+      </View>
+
+      {comparison && (
+        <View style={styles.section}>
+          <Text style={styles.meta}>
+            Rev {comparison.from.revision} · {new Date(comparison.from.timestamp).toLocaleDateString()}
+            {'  →  '}
+            Rev {comparison.to.revision} · {new Date(comparison.to.timestamp).toLocaleDateString()}
+          </Text>
+
+          {SECTIONS.map(({ key, title, color }) => {
+            const items = comparison.violations[key];
+            return (
+              <View key={key} style={styles.diffSection}>
+                <Text style={[styles.diffTitle, { color }]}>
+                  {title} ({items.length})
+                </Text>
+                {items.map((item, idx) => {
+                  const violation = key === 'unchanged' ? item.after : item;
+                  return (
+                    <View key={idx} style={[styles.diffItem, { borderLeftColor: color }]}>
+                      <TouchableOpacity
+                        disabled={!violation.code}
+                        onPress={() => navigation.navigate('CodeLibrary', {
+                          jurisdiction: comparison.to.jurisdiction,
+                          query: violation.code,
+                        })}
+                      >
+                        <Text style={styles.diffCode}>
+                          {violation.code || 'General'}
+                          {violation.sheet ? `  ·  Sheet ${violation.sheet}` : ''}
+                        </Text>
+                      </TouchableOpacity>
+                      <Text style={styles.diffText}>{violation.description || violation.issue}</Text>
+                    </View>
+                  );
+                })}
+              </View>
+            );
+          })}
+
+          {(comparison.missingItems.resolved.length > 0 || comparison.missingItems.introduced.length > 0) && (
+            <View style={styles.diffSection}>
+              <Text style={styles.diffTitle}>Missing Items</Text>
+              {comparison.missingItems.resolved.map((item, idx) => (
+                <Text key={`r${idx}`} style={styles.diffText}>✓ Now provided: {item}</Text>
+              ))}
+              {comparison.missingItems.introduced.map((item, idx) => (
+                <Text key={`i${idx}`} style={styles.diffText}>✗ Newly missing: {item}</Text>
+              ))}
+            </View>
+          )}
+
+          <TouchableOpacity style={styles.shareButton} onPress={shareSummary}>
+            <Text style={styles.shareButtonText}>SHARE CHANGE SUMMARY</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+    backgroundColor: '#FFFFFF',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666666',
+    textAlign: 'center',
+  },
+  section: {
+    padding: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1A1A1A',
+    marginBottom: 12,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#0066CC',
+    marginRight: 8,
+  },
+  chipActive: {
+    backgroundColor: '#0066CC',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#0066CC',
+  },
+  chipTextActive: {
+    color: '#FFFFFF',
+  },
+  meta: {
+    fontSize: 13,
+    color: '#666666',
+    marginBottom: 12,
+  },
+  diffSection: {
+    marginBottom: 16,
+  },
+  diffTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1A1A1A',
+    marginBottom: 8,
+  },
+  diffItem: {
+    borderLeftWidth: 4,
+    paddingLeft: 12,
+    paddingVertical: 6,
+    marginBottom: 8,
+    backgroundColor: '#F8F8F8',
+    borderRadius: 4,
+  },
+  diffCode: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1A1A1A',
+  },
+  diffText: {
+    fontSize: 14,
+    color: '#666666',
+    lineHeight: 20,
+  },
+  shareButton: {
+    backgroundColor: '#0066CC',
+    borderRadius: 8,
+    padding: 16,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  shareButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+});
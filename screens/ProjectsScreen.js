@@ -1,9 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, ScrollView, TouchableOpacity, TextInput, Modal, Alert, ActivityIndicator } from 'react-native';
 import getSupabaseClient from '../services/supabaseClient';
+import MCPService from '../services/MCPService';
+import AuthService from '../services/AuthService';
+import OfflineQueueService, { createIdempotencyKey } from '../services/OfflineQueueService';
+import { findJurisdiction } from '../services/jurisdictions';
+import { INSPECTION_TYPES } from '../services/inspectionChecklists';
 import { MaterialIcons } from '@expo/vector-icons';
 
-export default function ProjectsScreen({ navigation }) {
+export default function ProjectsScreen({ navigation, route }) {
   const [projects, setProjects] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showCreateModal, setShowCreateModal] = useState(false);
@@ -13,24 +18,89 @@ export default function ProjectsScreen({ navigation }) {
     project_type: 'residential',
   });
 
+  const linkedProjectId = route?.params?.projectId;
+
   useEffect(() => {
     fetchProjects();
   }, []);
 
+  // Deep link (vision://project/<id>) opens that project once it is loaded
+  useEffect(() => {
+    if (!linkedProjectId || loading) return;
+
+    const project = projects.find((p) => p.id === linkedProjectId);
+    if (project) {
+      openProject(project);
+    } else {
+      Alert.alert('Project Not Found', 'That project is not available on this account.');
+    }
+    navigation.setParams({ projectId: undefined });
+  }, [linkedProjectId, loading]);
+
+  const openProject = (project) => {
+    // Code context follows the county the project is in
+    const jurisdiction = findJurisdiction(project.address)?.id;
+    Alert.alert(
+      project.name,
+      'Select Inspection Type',
+      [
+        ...INSPECTION_TYPES.map((type) => ({
+          text: type.label,
+          onPress: () => navigation.navigate('LiveInspection', {
+            projectId: project.id,
+            projectName: project.name,
+            inspectionType: type.value,
+            jurisdiction,
+          }),
+        })),
+        {
+          text: 'Re-inspect',
+          onPress: () => navigation.navigate('Reinspection', {
+            projectId: project.id,
+            projectName: project.name,
+            jurisdiction,
+          }),
+        },
+        {
+          text: 'Plan Review (Foresight)',
+          onPress: () => navigation.navigate('BuildingCodes', {
+            projectId: project.id,
+            projectName: project.name,
+            jurisdiction,
+          }),
+        },
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
+
   const fetchProjects = async () => {
     try {
       setLoading(true);
       const supabase = getSupabaseClient();
-      const { data: { user } } = await supabase.auth.getUser();
+      // Signed-in account id, or this device's guest id
+      const userId = await AuthService.getCurrentUserId();
+
+      // Projects shared with the user's organizations are listed with their own
+      const organizationIds = [];
+      if (await AuthService.isSignedIn()) {
+        const { data: memberships, error: membershipError } = await supabase
+          .from('organization_members')
+          .select('organization_id')
+          .eq('user_id', userId);
+        if (membershipError) {
+          console.error('Error fetching organizations:', membershipError);
+        } else {
+          organizationIds.push(...(memberships || []).map((m) => m.organization_id));
+        }
+      }
 
-      // Allow guest mode - use 'guest' as user_id if not authenticated
-      const userId = user?.id || 'guest';
+      let query = supabase.from('projects').select('*');
+      query = organizationIds.length > 0
+        ? query.or(`user_id.eq.${userId},organization_id.in.(${organizationIds.join(',')})`)
+        : query.eq('user_id', userId);
 
-      const { data, error } = await supabase
-        .from('projects')
-        .select('*')
-        .eq('user_id', userId)
-        .order('created_at', { ascending: false });
+      const { data, error } = await query.order('created_at', { ascending: false });
 
       if (error) {
         console.error('Error fetching projects:', error);
@@ -53,21 +123,33 @@ export default function ProjectsScreen({ navigation }) {
 
     try {
       const supabase = getSupabaseClient();
-      const { data: { user } } = await supabase.auth.getUser();
+      // Signed-in account id, or this device's guest id
+      const userId = await AuthService.getCurrentUserId();
+
+      const row = {
+        id: createIdempotencyKey(),
+        name: newProject.name.trim(),
+        address: newProject.address.trim() || null,
+        project_type: newProject.project_type,
+        user_id: userId,
+      };
 
-      // Allow guest mode - use 'guest' as user_id if not authenticated
-      const userId = user?.id || 'guest';
+      // No signal: queue the project and show it right away
+      if (!(await OfflineQueueService.isOnline())) {
+        const pendingProject = await MCPService.queueProject(row);
+        setProjects((previous) => [
+          { ...pendingProject, created_at: new Date().toISOString() },
+          ...previous,
+        ]);
+        setShowCreateModal(false);
+        setNewProject({ name: '', address: '', project_type: 'residential' });
+        Alert.alert('Saved Offline', 'Project will be created when you are back online.');
+        return;
+      }
 
       const { data, error } = await supabase
         .from('projects')
-        .insert([
-          {
-            name: newProject.name.trim(),
-            address: newProject.address.trim() || null,
-            project_type: newProject.project_type,
-            user_id: userId,
-          },
-        ])
+        .insert([row])
         .select()
         .single();
 
@@ -106,55 +188,7 @@ export default function ProjectsScreen({ navigation }) {
               <TouchableOpacity
                 key={project.id}
                 style={styles.projectCard}
-                onPress={() => {
-                  Alert.alert(
-                    project.name,
-                    'Select Inspection Type',
-                    [
-                      {
-                        text: 'Rough Framing',
-                        onPress: () => navigation.navigate('LiveInspection', {
-                          projectId: project.id,
-                          projectName: project.name,
-                          inspectionType: 'rough_framing'
-                        })
-                      },
-                      {
-                        text: 'Electrical',
-                        onPress: () => navigation.navigate('LiveInspection', {
-                          projectId: project.id,
-                          projectName: project.name,
-                          inspectionType: 'electrical'
-                        })
-                      },
-                      {
-                        text: 'Plumbing',
-                        onPress: () => navigation.navigate('LiveInspection', {
-                          projectId: project.id,
-                          projectName: project.name,
-                          inspectionType: 'plumbing'
-                        })
-                      },
-                      {
-                        text: 'Mechanical (HVAC)',
-                        onPress: () => navigation.navigate('LiveInspection', {
-                          projectId: project.id,
-                          projectName: project.name,
-                          inspectionType: 'mechanical'
-                        })
-                      },
-                      {
-                        text: 'Final',
-                        onPress: () => navigation.navigate('LiveInspection', {
-                          projectId: project.id,
-                          projectName: project.name,
-                          inspectionType: 'final'
-                        })
-                      },
-                      { text: 'Cancel', style: 'cancel' }
-                    ]
-                  );
-                }}
+                onPress={() => openProject(project)}
               >
                 <Text style={styles.projectName}>{project.name}</Text>
                 {project.address && (
@@ -163,7 +197,10 @@ export default function ProjectsScreen({ navigation }) {
                   </Text>
                 )}
                 <View style={styles.projectFooter}>
-                  <Text style={styles.projectType}>{project.project_type}</Text>
+                  <Text style={styles.projectType}>
+                    {project.project_type}
+                    {project.pending ? ' • PENDING SYNC' : ''}
+                  </Text>
                   <Text style={styles.projectDate}>
                     {new Date(project.created_at).toLocaleDateString()}
                   </Text>
@@ -0,0 +1,560 @@
+import React, { useState, useEffect, useRef } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Image,
+  Modal,
+  Alert,
+  ActivityIndicator,
+} from "react-native";
+import { Camera } from "expo-camera";
+import { MaterialIcons } from "@expo/vector-icons";
+import ReinspectionService, {
+  REINSPECTION_STATUS,
+} from "../services/ReinspectionService";
+import InspectionSessionService, {
+  SESSION_STATUS,
+} from "../services/InspectionSessionService";
+import CaptureStorageService from "../services/CaptureStorageService";
+import { PERMISSION_DENIED, RECORD_LOCKED } from "../services/OfflineQueueService";
+import { REINSPECTION_STATUS_LABELS } from "../services/reportModel";
+import PendingSyncBadge from "../components/PendingSyncBadge";
+import { SEVERITY_COLORS } from "../components/ViolationOverlay";
+
+/**
+ * ReinspectionScreen - Follow-up on the violations of a project's last inspection
+ * Each violation still open is a checklist item with its original photo
+ * beside a new one, marked corrected, partially corrected or still open.
+ */
+
+const STATUS_OPTIONS = [
+  [REINSPECTION_STATUS.CORRECTED, "#00CC66"],
+  [REINSPECTION_STATUS.PARTIALLY_CORRECTED, "#FFA500"],
+  [REINSPECTION_STATUS.STILL_OPEN, "#FF3B30"],
+];
+
+const SAVE_ERRORS = {
+  [PERMISSION_DENIED]: "This account can't record results on this re-inspection.",
+  [RECORD_LOCKED]: "This re-inspection's report is signed, so its results can no longer be changed.",
+};
+
+const formatDay = (value) => (value ? new Date(value).toLocaleDateString() : "");
+
+export default function ReinspectionScreen({ route, navigation }) {
+  const [loading, setLoading] = useState(true);
+  const [session, setSession] = useState(null);
+  const [items, setItems] = useState([]);
+  const [notes, setNotes] = useState({});
+  const [missingPhotos, setMissingPhotos] = useState({});
+  const [cameraItemId, setCameraItemId] = useState(null);
+  const [capturing, setCapturing] = useState(false);
+  const [permission, requestPermission] = Camera.useCameraPermissions();
+  const cameraRef = useRef(null);
+
+  const {
+    projectId,
+    projectName,
+    jurisdiction,
+    sessionId: routeSessionId,
+  } = route?.params || {};
+
+  useEffect(() => {
+    loadReinspection();
+  }, [projectId, routeSessionId]);
+
+  const leave = (title, message) =>
+    Alert.alert(title, message, [{ text: "OK", onPress: () => navigation.goBack() }]);
+
+  // An unfinished re-inspection is picked up again rather than starting another
+  const findSessions = async () => {
+    if (routeSessionId) {
+      const current = await InspectionSessionService.getSession(routeSessionId);
+      return { current, previous: null, previousId: current?.previous_session_id };
+    }
+    const last = await ReinspectionService.getLastSession(projectId);
+    if (last?.previous_session_id && last.status !== SESSION_STATUS.COMPLETED && !last.locked_at) {
+      return { current: last, previous: null, previousId: last.previous_session_id };
+    }
+    return { current: null, previous: last, previousId: last?.id };
+  };
+
+  const loadReinspection = async () => {
+    try {
+      setLoading(true);
+      const { current, previous, previousId } = await findSessions();
+      if (!previousId) {
+        leave("Nothing to Re-inspect", "This project has no earlier inspection.");
+        return;
+      }
+      if (current?.locked_at) {
+        leave("Re-inspection Signed", "This re-inspection is signed and can no longer be changed.");
+        return;
+      }
+
+      const reinspection = await ReinspectionService.getReinspection(previousId, {
+        session: current,
+      });
+      if (!current && reinspection.items.length === 0) {
+        leave(
+          "Nothing to Re-inspect",
+          "Every violation from the last inspection has been corrected."
+        );
+        return;
+      }
+
+      setSession(current || (await ReinspectionService.startReinspection(previous)));
+      setItems(reinspection.items);
+      setNotes(
+        Object.fromEntries(reinspection.items.map((item) => [item.id, item.note || ""]))
+      );
+    } catch (error) {
+      console.error("❌ Failed to load re-inspection:", error);
+      leave("Error", "Failed to load the previous inspection");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // A result is recorded once the item has a status; a photo or note taken
+  // before that is saved along with it
+  const saveResult = async (item, changes) => {
+    const next = { ...item, ...changes };
+    setItems((previous) =>
+      previous.map((entry) => (entry.id === item.id ? next : entry))
+    );
+    if (!next.status) return;
+
+    try {
+      await ReinspectionService.recordResult({
+        sessionId: session.id,
+        violationId: item.id,
+        status: next.status,
+        note: next.note,
+        photoUri: next.photoUri,
+      });
+    } catch (error) {
+      console.error("❌ Failed to record re-inspection result:", error);
+      // Not saved or queued, so put the item back as it was
+      setItems((previous) =>
+        previous.map((entry) => (entry.id === item.id ? item : entry))
+      );
+      Alert.alert("Not saved", SAVE_ERRORS[error.code] || "Failed to save the result");
+    }
+  };
+
+  const saveNote = (item) => {
+    const note = (notes[item.id] || "").trim();
+    if (note === (item.note || "")) return;
+    saveResult(item, { note: note || null });
+  };
+
+  const openCamera = async (item) => {
+    if (!permission?.granted) {
+      const result = await requestPermission();
+      if (!result.granted) {
+        Alert.alert("Camera Permission", "Camera permission is required to take a photo");
+        return;
+      }
+    }
+    setCameraItemId(item.id);
+  };
+
+  const takePhoto = async () => {
+    if (!cameraRef.current || capturing) return;
+
+    setCapturing(true);
+    try {
+      const photo = await cameraRef.current.takePictureAsync({ quality: 0.8 });
+      const photoUri = await CaptureStorageService.copyToAppStorage(photo.uri, session.id);
+      const item = items.find((entry) => entry.id === cameraItemId);
+      setCameraItemId(null);
+      await saveResult(item, { photoUri });
+    } catch (error) {
+      console.error("❌ Capture failed:", error);
+      Alert.alert("Error", "Failed to capture photo");
+    } finally {
+      setCapturing(false);
+    }
+  };
+
+  const completeReinspection = async () => {
+    await InspectionSessionService.endSession(session.id);
+    navigation.replace("Report", { projectId, sessionId: session.id, jurisdiction });
+  };
+
+  const finish = () => {
+    const unchecked = items.filter((item) => !item.status).length;
+    if (!unchecked) {
+      completeReinspection();
+      return;
+    }
+    Alert.alert(
+      "Finish Re-inspection?",
+      `${unchecked} violation${unchecked === 1 ? " has" : "s have"} not been checked and will stay open.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Finish", onPress: completeReinspection },
+      ]
+    );
+  };
+
+  // New problems found on site are scanned into the same session
+  const scanForNewIssues = () =>
+    navigation.navigate("LiveInspection", {
+      projectId,
+      projectName,
+      inspectionType: session.inspection_type,
+      jurisdiction,
+      sessionId: session.id,
+    });
+
+  const renderPhoto = (uri) =>
+    missingPhotos[uri] ? (
+      <View style={styles.photoEmpty}>
+        <MaterialIcons name="phone-android" size={24} color="#999999" />
+        <Text style={styles.photoEmptyText}>On the capturing device</Text>
+      </View>
+    ) : (
+      <Image
+        source={{ uri }}
+        style={styles.photo}
+        onError={() => setMissingPhotos((previous) => ({ ...previous, [uri]: true }))}
+      />
+    );
+
+  if (loading || !session) {
+    return (
+      <View style={styles.centerContainer}>
+        <ActivityIndicator size="large" color="#0066CC" />
+        <Text style={styles.loadingText}>Loading previous inspection...</Text>
+      </View>
+    );
+  }
+
+  const checked = items.filter((item) => item.status).length;
+
+  return (
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.header}>
+          <View style={styles.headerText}>
+            <Text style={styles.title}>{projectName || "Re-inspection"}</Text>
+            <Text style={styles.subtitle}>
+              {checked} of {items.length} prior violation{items.length === 1 ? "" : "s"} checked
+            </Text>
+          </View>
+          <PendingSyncBadge />
+        </View>
+
+        {items.map((item) => {
+          const earlier = item.history.filter((result) => result.sessionId !== session.id);
+          return (
+            <View
+              key={item.id}
+              style={[
+                styles.card,
+                { borderLeftColor: SEVERITY_COLORS[item.severity] || SEVERITY_COLORS.medium },
+              ]}
+            >
+              <Text style={styles.code}>
+                {item.code || "Code Unknown"}
+                <Text style={styles.tag}>  {item.severity.toUpperCase()}</Text>
+              </Text>
+              {!!item.description && <Text style={styles.description}>{item.description}</Text>}
+              <Text style={styles.history}>
+                Reported {formatDay(item.reportedAt || item.detectedAt)}
+                {earlier
+                  .map(
+                    (result) =>
+                      ` • ${formatDay(result.recordedAt)} ${REINSPECTION_STATUS_LABELS[result.status]}`
+                  )
+                  .join("")}
+              </Text>
+
+              <View style={styles.photoRow}>
+                <View style={styles.photoColumn}>
+                  <Text style={styles.photoLabel}>BEFORE</Text>
+                  {item.photos[0] ? (
+                    renderPhoto(item.photos[0])
+                  ) : (
+                    <View style={styles.photoEmpty}>
+                      <Text style={styles.photoEmptyText}>No photo</Text>
+                    </View>
+                  )}
+                </View>
+                <TouchableOpacity style={styles.photoColumn} onPress={() => openCamera(item)}>
+                  <Text style={styles.photoLabel}>NOW</Text>
+                  {item.photoUri ? (
+                    renderPhoto(item.photoUri)
+                  ) : (
+                    <View style={styles.photoEmpty}>
+                      <MaterialIcons name="photo-camera" size={28} color="#0066CC" />
+                      <Text style={styles.photoAction}>Take photo</Text>
+                    </View>
+                  )}
+                </TouchableOpacity>
+              </View>
+
+              <View style={styles.statusRow}>
+                {STATUS_OPTIONS.map(([status, color]) => {
+                  const selected = item.status === status;
+                  return (
+                    <TouchableOpacity
+                      key={status}
+                      style={[
+                        styles.statusChip,
+                        { borderColor: color },
+                        selected && { backgroundColor: color },
+                      ]}
+                      onPress={() => saveResult(item, { status })}
+                    >
+                      <Text style={[styles.statusChipText, { color: selected ? "#FFFFFF" : color }]}>
+                        {REINSPECTION_STATUS_LABELS[status]}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+
+              <TextInput
+                style={styles.noteInput}
+                placeholder="Note (optional)"
+                placeholderTextColor="#999999"
+                value={notes[item.id]}
+                onChangeText={(text) => setNotes((previous) => ({ ...previous, [item.id]: text }))}
+                onEndEditing={() => saveNote(item)}
+                multiline
+              />
+            </View>
+          );
+        })}
+
+        <TouchableOpacity style={styles.secondaryButton} onPress={scanForNewIssues}>
+          <Text style={styles.secondaryButtonText}>SCAN FOR NEW ISSUES</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.finishButton} onPress={finish}>
+          <Text style={styles.finishButtonText}>FINISH & VIEW REPORT</Text>
+        </TouchableOpacity>
+      </ScrollView>
+
+      <Modal
+        visible={!!cameraItemId}
+        animationType="slide"
+        onRequestClose={() => setCameraItemId(null)}
+      >
+        <View style={styles.cameraContainer}>
+          <Camera ref={cameraRef} style={styles.camera} facing="back" />
+          <View style={styles.cameraControls}>
+            <TouchableOpacity onPress={() => setCameraItemId(null)}>
+              <MaterialIcons name="close" size={32} color="white" />
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.shutter} onPress={takePhoto} disabled={capturing}>
+              {capturing ? (
+                <ActivityIndicator color="#0066CC" />
+              ) : (
+                <View style={styles.shutterInner} />
+              )}
+            </TouchableOpacity>
+            <View style={styles.cameraSpacer} />
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#FFFFFF",
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: "#666666",
+  },
+  content: {
+    padding: 16,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 16,
+  },
+  headerText: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: "700",
+    color: "#1A1A1A",
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: "#666666",
+  },
+  card: {
+    backgroundColor: "#F8F8F8",
+    borderLeftWidth: 4,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  code: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  tag: {
+    fontSize: 11,
+    fontWeight: "700",
+    color: "#666666",
+  },
+  description: {
+    fontSize: 14,
+    color: "#666666",
+    marginTop: 4,
+  },
+  history: {
+    fontSize: 12,
+    color: "#999999",
+    marginTop: 4,
+  },
+  photoRow: {
+    flexDirection: "row",
+    gap: 8,
+    marginTop: 12,
+  },
+  photoColumn: {
+    flex: 1,
+  },
+  photoLabel: {
+    fontSize: 11,
+    fontWeight: "700",
+    color: "#666666",
+    marginBottom: 4,
+  },
+  photo: {
+    width: "100%",
+    aspectRatio: 4 / 3,
+    borderRadius: 6,
+    backgroundColor: "#E5E5E5",
+  },
+  photoEmpty: {
+    width: "100%",
+    aspectRatio: 4 / 3,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: "#E5E5E5",
+    borderStyle: "dashed",
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#FFFFFF",
+  },
+  photoEmptyText: {
+    fontSize: 12,
+    color: "#999999",
+    marginTop: 4,
+  },
+  photoAction: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#0066CC",
+    marginTop: 4,
+  },
+  statusRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginTop: 12,
+  },
+  statusChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  statusChipText: {
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  noteInput: {
+    borderWidth: 1,
+    borderColor: "#E5E5E5",
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 14,
+    marginTop: 12,
+    color: "#1A1A1A",
+    backgroundColor: "#FFFFFF",
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: "#0066CC",
+    borderRadius: 8,
+    padding: 16,
+    alignItems: "center",
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  secondaryButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#0066CC",
+  },
+  finishButton: {
+    backgroundColor: "#0066CC",
+    borderRadius: 8,
+    padding: 16,
+    alignItems: "center",
+    marginBottom: 24,
+  },
+  finishButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#FFFFFF",
+  },
+  cameraContainer: {
+    flex: 1,
+    backgroundColor: "#000000",
+  },
+  camera: {
+    flex: 1,
+  },
+  cameraControls: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingHorizontal: 32,
+    paddingVertical: 24,
+  },
+  shutter: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    backgroundColor: "#FFFFFF",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  shutterInner: {
+    width: 60,
+    height: 60,
+    borderRadius: 30,
+    borderWidth: 2,
+    borderColor: "#0066CC",
+  },
+  cameraSpacer: {
+    width: 32,
+  },
+});
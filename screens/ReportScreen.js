@@ -5,22 +5,62 @@ import {
   StyleSheet,
   ScrollView,
   TouchableOpacity,
+  TextInput,
+  Image,
   Alert,
   Share,
   ActivityIndicator,
 } from "react-native";
 import { Button } from "react-native-paper";
-import * as Print from "expo-print";
 import * as Sharing from "expo-sharing";
+import * as DocumentPicker from "expo-document-picker";
 import * as FileSystem from "expo-file-system/legacy";
 import AsyncStorage from "@react-native-async-storage/async-storage";
-import getSupabaseClient from "../services/supabaseClient";
+import ReportDataService from "../services/ReportDataService";
+import ReportExportService from "../services/ReportExportService";
+import ReportBrandingService, {
+  DEFAULT_BRANDING,
+} from "../services/ReportBrandingService";
+import { REPORT_TEMPLATES } from "../services/reportTemplates";
+import {
+  REPORT_EXPORT_FORMATS,
+  getExportFormat,
+} from "../services/reportExports";
+import {
+  buildReportModel,
+  REINSPECTION_STATUS_LABELS,
+} from "../services/reportModel";
+import { getJurisdiction } from "../services/jurisdictions";
+import BuildingCodeService from "../services/BuildingCodeService";
+import ViolationService, {
+  VIOLATION_SOURCE,
+  VIOLATION_STATUS,
+} from "../services/ViolationService";
+import ReportSigningService, {
+  SIGNATURE_ROLES,
+} from "../services/ReportSigningService";
+import ViolationEditor from "../components/ViolationEditor";
+import SignaturePad, { isSignatureEmpty } from "../components/SignaturePad";
+import { SEVERITY_COLORS } from "../components/ViolationOverlay";
 
 export default function ReportScreen({ route, navigation }) {
   const [generating, setGenerating] = useState(false);
   const [reportUri, setReportUri] = useState(null);
+  const [reportFormat, setReportFormat] = useState("pdf");
+  const [exportFormat, setExportFormat] = useState("pdf");
   const [loading, setLoading] = useState(false);
   const [reportData, setReportData] = useState(null);
+  const [citationCounts, setCitationCounts] = useState(null);
+  const [findings, setFindings] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [branding, setBranding] = useState(DEFAULT_BRANDING);
+  const [showBranding, setShowBranding] = useState(false);
+  const [signedReport, setSignedReport] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [signatures, setSignatures] = useState({});
+  const [signerNames, setSignerNames] = useState({});
+  const [signing, setSigning] = useState(false);
+  const [drawing, setDrawing] = useState(false);
 
   const {
     projectId,
@@ -36,392 +76,227 @@ export default function ReportScreen({ route, navigation }) {
     duration,
   } = inspectionData;
 
-  // Fetch report data from database if projectId/sessionId provided
+  // Report model for violations handed over in route params
+  const routeReport = () => ({
+    ...buildReportModel({
+      appViolations: routeViolations?.length ? routeViolations : defects,
+      capturedViolations: photos.map((photo, index) => ({
+        id: `photo:${index}`,
+        image_uri: typeof photo === "string" ? photo : photo?.uri,
+      })),
+    }),
+    session: duration ? { durationMs: duration } : null,
+    location: location || null,
+    jurisdiction: getJurisdiction(jurisdiction).name,
+  });
+
+  // Fetch report data from database if a sessionId was provided
   useEffect(() => {
-    if (projectId && sessionId) {
+    if (sessionId) {
       fetchReportData();
-    } else if (routeViolations && routeViolations.length > 0) {
-      // Use route params if available
-      setReportData({
-        violations: routeViolations,
-        photos: photos || [],
-        defects: defects || routeViolations,
-      });
+    } else {
+      setReportData(routeReport());
     }
   }, [projectId, sessionId]);
 
-  const fetchReportData = async () => {
-    setLoading(true);
+  // Company details and the last template used
+  useEffect(() => {
+    ReportBrandingService.getBranding().then(setBranding);
+  }, []);
+
+  // The session's findings, including dismissed ones, for review and editing
+  useEffect(() => {
+    if (!sessionId) return undefined;
+    const refresh = () =>
+      setFindings(
+        ViolationService.getSessionViolations(sessionId, {
+          includeDismissed: true,
+        })
+      );
+    const unsubscribe = ViolationService.subscribe(refresh);
+    ViolationService.listViolations(sessionId).then(refresh);
+    return unsubscribe;
+  }, [sessionId]);
+
+  // A signed report replaces the live data and locks the session
+  useEffect(() => {
+    if (!sessionId) return;
+    ReportSigningService.getSignedReport(sessionId)
+      .then((signed) => {
+        setSignedReport(signed);
+        if (signed) checkSignedReport();
+      })
+      .catch((error) => console.error("Failed to load signed report:", error));
+  }, [sessionId]);
+
+  const checkSignedReport = () =>
+    ReportSigningService.verifyReport(sessionId)
+      .then(setVerification)
+      .catch((error) => console.error("Report hash check failed:", error));
+
+  // Check each finding's cited code against the downloaded code library;
+  // citations that aren't there are model guesses and are marked as such
+  const verifyFindings = (findings, jurisdictionName) =>
+    BuildingCodeService.verifyViolations(findings, jurisdictionName, "residential", {
+      allowFetch: false,
+    });
+
+  const countCitations = (findings) =>
+    findings.reduce(
+      (counts, finding) => {
+        const status = finding.verification?.status;
+        if (status === "verified") counts.verified++;
+        else if (status === "parent" || status === "unverified") counts.unverified++;
+        return counts;
+      },
+      { verified: 0, unverified: 0 }
+    );
+
+  useEffect(() => {
+    if (!reportData?.findings.length) return;
+    verifyFindings(reportData.findings, reportData.jurisdiction)
+      .then((checked) => setCitationCounts(countCitations(checked)))
+      .catch((error) => console.error("Citation check failed:", error));
+  }, [reportData]);
+
+  const fetchReportData = async (showLoading = true) => {
+    if (showLoading) setLoading(true);
     try {
-      const supabase = getSupabaseClient();
-
-      // Fetch session
-      const { data: session } = await supabase
-        .from("inspection_sessions")
-        .select("*")
-        .eq("id", sessionId)
-        .single();
-
-      // Fetch violations
-      const { data: violations } = await supabase
-        .from("inspection_violations")
-        .select("*")
-        .eq("session_id", sessionId)
-        .order("created_at", { ascending: false });
-
-      // Fetch captured violations (photos)
-      const { data: capturedViolations } = await supabase
-        .from("captured_violations")
-        .select("*")
-        .eq("session_id", sessionId)
-        .order("created_at", { ascending: false });
-
-      // Fetch project for location
-      const { data: project } = projectId
-        ? await supabase
-            .from("projects")
-            .select("*")
-            .eq("id", projectId)
-            .single()
-        : { data: null };
-
-      setReportData({
-        session,
-        violations: violations || [],
-        capturedViolations: capturedViolations || [],
-        project,
-        photos: capturedViolations?.map((cv) => cv.photo_url) || [],
-        defects:
-          violations?.map((v) => ({
-            category: v.severity,
-            severity: v.severity,
-            issues: [v.violation_description],
-            code: v.code_reference,
-            timestamp: v.created_at,
-          })) || [],
-        location: project
-          ? {
-              latitude: project.latitude,
-              longitude: project.longitude,
-            }
-          : null,
-        jurisdiction: "Honolulu Building Code",
-        duration: session
-          ? new Date(session.ended_at || Date.now()) -
-            new Date(session.started_at)
-          : null,
+      const report = await ReportDataService.loadReport({
+        sessionId,
+        projectId,
       });
+      setReportData(report);
     } catch (error) {
       console.error("Failed to fetch report data:", error);
       // Fall back to route params
-      setReportData({
-        violations: routeViolations || [],
-        photos: photos || [],
-        defects: defects || routeViolations || [],
-      });
+      setReportData(routeReport());
     } finally {
       setLoading(false);
     }
   };
 
-  const generatePDFReport = async () => {
-    setGenerating(true);
-    try {
-      // Use fetched data or fall back to route params
-      const data = reportData || {
-        photos: photos || [],
-        defects: defects || routeViolations || [],
-        location,
-        jurisdiction: jurisdiction || "Honolulu Building Code",
-        duration,
+  // What every export format renders: the signed snapshot once signed,
+  // otherwise the current data with citations checked
+  const prepareReport = async () => {
+    if (signedReport) {
+      return {
+        report: signedReport.content,
+        signing: {
+          signedAt: signedReport.signed_at,
+          hash: signedReport.content_hash,
+          signatures: signedReport.signatures,
+        },
       };
-
-      const finalPhotos = data.photos || photos || [];
-      const finalDefects = data.defects || defects || routeViolations || [];
-      const finalLocation = data.location || location;
-      const finalJurisdiction =
-        data.jurisdiction || jurisdiction || "Honolulu Building Code";
-      const finalDuration = data.duration || duration;
-      const htmlContent = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <style>
-    body {
-      font-family: Arial, sans-serif;
-      padding: 20px;
-      color: #1A1A1A;
-    }
-    .header {
-      text-align: center;
-      border-bottom: 3px solid #0066CC;
-      padding-bottom: 20px;
-      margin-bottom: 30px;
-    }
-    .title {
-      font-size: 28px;
-      font-weight: bold;
-      color: #0066CC;
-      margin-bottom: 10px;
-    }
-    .subtitle {
-      font-size: 14px;
-      color: #666666;
-    }
-    .section {
-      margin-bottom: 30px;
     }
-    .section-title {
-      font-size: 20px;
-      font-weight: bold;
-      color: #1A1A1A;
-      border-bottom: 2px solid #E5E5E5;
-      padding-bottom: 10px;
-      margin-bottom: 15px;
-    }
-    .info-grid {
-      display: grid;
-      grid-template-columns: 150px 1fr;
-      gap: 10px;
-      margin-bottom: 20px;
-    }
-    .info-label {
-      font-weight: bold;
-      color: #666666;
-    }
-    .info-value {
-      color: #1A1A1A;
-    }
-    .defect-card {
-      background: #FFF8F0;
-      border-left: 4px solid #FFA500;
-      padding: 15px;
-      margin-bottom: 15px;
-      page-break-inside: avoid;
-    }
-    .defect-title {
-      font-size: 16px;
-      font-weight: bold;
-      color: #FFA500;
-      margin-bottom: 8px;
-    }
-    .defect-category {
-      font-size: 14px;
-      color: #666666;
-      margin-bottom: 5px;
-    }
-    .defect-issue {
-      font-size: 14px;
-      color: #1A1A1A;
-      margin-left: 15px;
-      margin-bottom: 5px;
-    }
-    .permit-box {
-      background: #F0F7FF;
-      border: 1px solid #0066CC;
-      border-radius: 8px;
-      padding: 15px;
-      margin-top: 10px;
-    }
-    .permit-title {
-      font-size: 14px;
-      font-weight: bold;
-      color: #0066CC;
-      margin-bottom: 5px;
-    }
-    .footer {
-      margin-top: 40px;
-      padding-top: 20px;
-      border-top: 2px solid #E5E5E5;
-      text-align: center;
-      font-size: 12px;
-      color: #999999;
-    }
-    .footer strong {
-      color: #0066CC;
-    }
-  </style>
-</head>
-<body>
-  <div class="header">
-    <div class="title">VISION Inspection Report</div>
-    <div class="subtitle">Build Right As You Go - AI-Powered Visual Inspection</div>
-  </div>
-
-  <div class="section">
-    <div class="section-title">Inspection Details</div>
-    <div class="info-grid">
-      <div class="info-label">Date:</div>
-      <div class="info-value">${new Date().toLocaleString()}</div>
-
-      <div class="info-label">Jurisdiction:</div>
-      <div class="info-value">${finalJurisdiction}</div>
-
-      ${
-        finalLocation
-          ? `
-      <div class="info-label">Location:</div>
-      <div class="info-value">${
-        finalLocation.latitude
-          ? `Lat: ${finalLocation.latitude.toFixed(
-              6
-            )}, Lng: ${finalLocation.longitude.toFixed(6)}`
-          : finalLocation.address || "N/A"
-      }</div>
-      `
-          : ""
-      }
-
-      <div class="info-label">Duration:</div>
-      <div class="info-value">${
-        finalDuration ? Math.floor(finalDuration / 60000) + " minutes" : "N/A"
-      }</div>
-
-      <div class="info-label">Photos Captured:</div>
-      <div class="info-value">${finalPhotos.length}</div>
-
-      <div class="info-label">Defects Marked:</div>
-      <div class="info-value">${finalDefects.length}</div>
-    </div>
-  </div>
-
-  ${
-    finalDefects.length > 0
-      ? `
-  <div class="section">
-    <div class="section-title">Defects & Issues Found (${
-      finalDefects.length
-    })</div>
-    ${finalDefects
-      .map(
-        (defect, index) => `
-      <div class="defect-card">
-        <div class="defect-title">Defect ${index + 1}: ${
-          defect.category || "General"
-        }</div>
-        <div class="defect-category">Severity: ${(
-          defect.severity || "yellow"
-        ).toUpperCase()}</div>
-        <div class="defect-category">Time: ${new Date(
-          defect.timestamp
-        ).toLocaleTimeString()}</div>
-        ${
-          defect.issues && defect.issues.length > 0
-            ? `
-          <div style="margin-top: 10px;">
-            <strong>Issues:</strong>
-            ${defect.issues
-              .map(
-                (issue) => `
-              <div class="defect-issue">• ${issue}</div>
-            `
-              )
-              .join("")}
-          </div>
-        `
-            : ""
-        }
-        ${
-          defect.note
-            ? `
-          <div style="margin-top: 10px;">
-            <strong>Notes:</strong> ${defect.note}
-          </div>
-        `
-            : ""
-        }
-        ${
-          defect.category !== "General"
-            ? `
-          <div class="permit-box">
-            <div class="permit-title">Permit Required: ${getPermitType(
-              defect.category
-            )}</div>
-            <div>${getPermitNotes(defect.category)}</div>
-          </div>
-        `
-            : ""
-        }
-      </div>
-    `
-      )
-      .join("")}
-  </div>
-  `
-      : `
-  <div class="section">
-    <div class="section-title">Defects & Issues Found</div>
-    <p style="color: #00CC66; font-weight: bold;">✓ No issues detected during inspection</p>
-  </div>
-  `
-  }
+    const report = reportData || routeReport();
+    const findings = await verifyFindings(report.findings, report.jurisdiction);
+    return { report: { ...report, findings }, signing: null };
+  };
 
-  <div class="section">
-    <div class="section-title">Code Compliance Summary</div>
-    <p>This inspection was performed against <strong>${finalJurisdiction}</strong> requirements.</p>
-    <p>${
-      finalDefects.length === 0
-        ? "All inspected areas appear to comply with building code requirements."
-        : `${finalDefects.length} potential issue${
-            finalDefects.length > 1 ? "s" : ""
-          } identified that may require attention.`
-    }</p>
-  </div>
-
-  <div class="footer">
-    Generated with <strong>VISION</strong> - AI-Powered Visual Inspection Platform<br/>
-    One prevented rework pays for the platform<br/>
-    <em>This report is for informational purposes. Final compliance determination by licensed inspector.</em>
-  </div>
-</body>
-</html>
-      `;
-
-      const { uri } = await Print.printToFileAsync({ html: htmlContent });
+  const generateReport = async () => {
+    const format = getExportFormat(exportFormat);
+    setGenerating(true);
+    try {
+      const { report, signing } = await prepareReport();
+      const uri = await ReportExportService.exportReport(report, format.id, {
+        templateId: branding.templateId,
+        signing,
+      });
       setReportUri(uri);
-      setGenerating(false);
+      setReportFormat(format.id);
 
       Alert.alert(
         "Report Generated",
-        "Your inspection report has been created.",
+        `Your inspection report has been created as ${format.label}.`,
         [
           { text: "View", onPress: () => viewReport(uri) },
-          { text: "Share", onPress: () => shareReport(uri) },
+          { text: "Share", onPress: () => shareReport(uri, format.id) },
           { text: "OK" },
         ]
       );
     } catch (error) {
       console.error("PDF generation error:", error);
       Alert.alert("Error", "Failed to generate report. Please try again.");
+    } finally {
       setGenerating(false);
     }
   };
 
-  const getPermitType = (category) => {
-    const permits = {
-      electrical: "Electrical Permit",
-      plumbing: "Plumbing Permit",
-      structural: "Building Permit",
-      "fire safety": "Fire Safety Permit",
-      HVAC: "Mechanical Permit",
-    };
-    return permits[category] || "Permit may be required";
+  const signerName = (role) =>
+    signerNames[role] ??
+    (role === SIGNATURE_ROLES.INSPECTOR ? branding.inspectorName : "");
+
+  const signReport = () => {
+    const noContractor = isSignatureEmpty(signatures[SIGNATURE_ROLES.CONTRACTOR]);
+    Alert.alert(
+      "Sign & Lock Report",
+      `${noContractor ? "There is no contractor signature. " : ""}Once signed, the findings and photos for this inspection can no longer be changed.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Sign", style: "destructive", onPress: confirmSignReport },
+      ]
+    );
+  };
+
+  const confirmSignReport = async () => {
+    setSigning(true);
+    try {
+      await ReportSigningService.ensureSynced(sessionId);
+      // Sign what the database holds now, not what this screen loaded earlier
+      const report = await ReportDataService.loadReport({ sessionId, projectId });
+      const findings = await verifyFindings(report.findings, report.jurisdiction);
+      const signedAt = new Date().toISOString();
+      const signed = await ReportSigningService.signReport({
+        sessionId,
+        templateId: branding.templateId,
+        report: { ...report, findings },
+        signatures: Object.values(SIGNATURE_ROLES)
+          .filter((role) => !isSignatureEmpty(signatures[role]))
+          .map((role) => ({
+            role,
+            name: signerName(role).trim() || null,
+            license:
+              role === SIGNATURE_ROLES.INSPECTOR
+                ? branding.licenseNumber || null
+                : null,
+            signedAt,
+            ...signatures[role],
+          })),
+      });
+      setSignedReport(signed);
+      setReportData(signed.content);
+      setReportUri(null);
+      checkSignedReport();
+      Alert.alert(
+        "Report Signed",
+        "The report is signed and this inspection is locked. PDFs now include the signatures."
+      );
+    } catch (error) {
+      console.error("Report signing failed:", error);
+      Alert.alert("Could Not Sign", error.message || "Please try again.");
+    } finally {
+      setSigning(false);
+    }
+  };
+
+  const updateBranding = (changes) => {
+    setBranding((previous) => ({ ...previous, ...changes }));
+    ReportBrandingService.saveBranding(changes);
   };
 
-  const getPermitNotes = (category) => {
-    const notes = {
-      electrical:
-        "All electrical work requires permit per Honolulu Building Code",
-      plumbing:
-        "All plumbing alterations require permit per Honolulu Building Code",
-      structural:
-        "Structural work requires building permit and engineer approval",
-      "fire safety": "Fire protection systems require Fire Department approval",
-      HVAC: "HVAC installation requires mechanical permit",
-    };
-    return notes[category] || "Check with City & County of Honolulu";
+  const chooseLogo = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: "image/*",
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+      setBranding(await ReportBrandingService.setLogo(result.assets[0].uri));
+    } catch (error) {
+      console.error("Logo selection failed:", error);
+      Alert.alert("Error", "Could not use that image as a logo");
+    }
   };
 
   const viewReport = async (uri) => {
@@ -430,14 +305,8 @@ export default function ReportScreen({ route, navigation }) {
     }
   };
 
-  const shareReport = async (uri) => {
-    if (await Sharing.isAvailableAsync()) {
-      await Sharing.shareAsync(uri, {
-        mimeType: "application/pdf",
-        dialogTitle: "Share Inspection Report",
-      });
-    }
-  };
+  const shareReport = (uri, formatId = reportFormat) =>
+    ReportExportService.shareExport(uri, formatId);
 
   const deleteReport = () => {
     Alert.alert(
@@ -449,7 +318,7 @@ export default function ReportScreen({ route, navigation }) {
           text: "Delete",
           style: "destructive",
           onPress: () => {
-            navigation.replace("Home");
+            navigation.navigate("Main", { screen: "Home" });
           },
         },
       ]
@@ -467,15 +336,10 @@ export default function ReportScreen({ route, navigation }) {
     );
   }
 
-  const displayData = reportData || {
-    photos: photos || [],
-    defects: defects || routeViolations || [],
-    location,
-    jurisdiction: jurisdiction || "Honolulu Building Code",
-  };
+  const displayData = signedReport?.content || reportData || routeReport();
 
   return (
-    <ScrollView style={styles.container}>
+    <ScrollView style={styles.container} scrollEnabled={!drawing}>
       <View style={styles.header}>
         <Text style={styles.title}>Generate Report</Text>
         <Text style={styles.subtitle}>
@@ -490,20 +354,136 @@ export default function ReportScreen({ route, navigation }) {
             Photos: {displayData.photos?.length || 0}
           </Text>
           <Text style={styles.summaryText}>
-            Defects: {displayData.defects?.length || 0}
+            Findings: {displayData.findings.length}
+            {displayData.counts.critical + displayData.counts.high > 0 &&
+              ` (${displayData.counts.critical} critical, ${displayData.counts.high} high)`}
           </Text>
           <Text style={styles.summaryText}>
-            Jurisdiction: {displayData.jurisdiction || "Honolulu"}
+            Jurisdiction: {displayData.jurisdiction}
           </Text>
+          {displayData.checklist && (
+            <Text style={styles.summaryText}>
+              Checklist: {displayData.checklist.counts.pass} pass,{" "}
+              {displayData.checklist.counts.fail} fail,{" "}
+              {displayData.checklist.counts.na} N/A,{" "}
+              {displayData.checklist.counts.open} open
+            </Text>
+          )}
+          {displayData.reinspection && (
+            <Text style={styles.summaryText}>
+              Re-inspection: {displayData.reinspection.counts.corrected} of{" "}
+              {displayData.reinspection.counts.total} corrected,{" "}
+              {displayData.reinspection.counts.partially_corrected} partially,{" "}
+              {displayData.reinspection.counts.still_open} still open
+            </Text>
+          )}
+          {citationCounts &&
+            citationCounts.verified + citationCounts.unverified > 0 && (
+              <Text style={styles.summaryText}>
+                Citations: {citationCounts.verified} verified
+                {citationCounts.unverified > 0 && (
+                  <Text style={styles.unverifiedText}>
+                    , {citationCounts.unverified} unverified
+                  </Text>
+                )}
+              </Text>
+            )}
         </View>
 
+        {signedReport && (
+          <View style={styles.lockedCard}>
+            <Text style={styles.lockedTitle}>
+              Signed & locked {new Date(signedReport.signed_at).toLocaleString()}
+            </Text>
+            <Text style={styles.lockedHash}>
+              SHA-256 {signedReport.content_hash.slice(0, 16)}…
+            </Text>
+            {verification && (
+              <Text
+                style={
+                  verification.valid ? styles.lockedValid : styles.unverifiedText
+                }
+              >
+                {verification.valid
+                  ? "✓ Content matches its signed hash"
+                  : "Content does not match its signed hash - the report may have been altered"}
+              </Text>
+            )}
+          </View>
+        )}
+
+        <Text style={styles.sectionTitle}>Format</Text>
+        <View style={styles.templateRow}>
+          {REPORT_EXPORT_FORMATS.map((format) => (
+            <TouchableOpacity
+              key={format.id}
+              style={[
+                styles.templateChip,
+                exportFormat === format.id && styles.templateChipSelected,
+              ]}
+              onPress={() => setExportFormat(format.id)}
+            >
+              <Text
+                style={[
+                  styles.templateChipText,
+                  exportFormat === format.id && styles.templateChipTextSelected,
+                ]}
+              >
+                {format.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <Text style={styles.templateDescription}>
+          {getExportFormat(exportFormat).description}
+        </Text>
+
+        {exportFormat === "pdf" && (
+          <>
+            <Text style={styles.sectionTitle}>Template</Text>
+            <View style={styles.templateRow}>
+              {REPORT_TEMPLATES.map((template) => (
+                <TouchableOpacity
+                  key={template.id}
+                  style={[
+                    styles.templateChip,
+                    branding.templateId === template.id &&
+                      styles.templateChipSelected,
+                  ]}
+                  onPress={() => updateBranding({ templateId: template.id })}
+                >
+                  <Text
+                    style={[
+                      styles.templateChipText,
+                      branding.templateId === template.id &&
+                        styles.templateChipTextSelected,
+                    ]}
+                  >
+                    {template.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <Text style={styles.templateDescription}>
+              {
+                (
+                  REPORT_TEMPLATES.find((t) => t.id === branding.templateId) ||
+                  REPORT_TEMPLATES[0]
+                ).description
+              }
+            </Text>
+          </>
+        )}
+
         <TouchableOpacity
           style={styles.generateButton}
-          onPress={generatePDFReport}
+          onPress={generateReport}
           disabled={generating}
         >
           <Text style={styles.generateButtonText}>
-            {generating ? "GENERATING PDF..." : "CREATE PDF REPORT"}
+            {generating
+              ? `GENERATING ${getExportFormat(exportFormat).label.toUpperCase()}...`
+              : `CREATE ${getExportFormat(exportFormat).label.toUpperCase()} REPORT`}
           </Text>
         </TouchableOpacity>
 
@@ -533,17 +513,238 @@ export default function ReportScreen({ route, navigation }) {
         )}
       </View>
 
+      {sessionId && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Findings</Text>
+          {findings.map((finding) => {
+            const dismissed = finding.status === VIOLATION_STATUS.DISMISSED;
+            return (
+              <TouchableOpacity
+                key={finding.id}
+                style={[
+                  styles.findingRow,
+                  {
+                    borderLeftColor:
+                      SEVERITY_COLORS[finding.severity] ||
+                      SEVERITY_COLORS.medium,
+                  },
+                  dismissed && styles.findingDismissed,
+                ]}
+                onPress={() => setEditing(finding)}
+                disabled={!!signedReport}
+              >
+                <Text style={styles.findingCode}>
+                  {finding.code || "Code Unknown"}
+                  <Text style={styles.findingTag}>
+                    {"  "}
+                    {finding.source === VIOLATION_SOURCE.AI ? "AI" : "INSPECTOR"}
+                    {dismissed
+                      ? ` • DISMISSED (${finding.dismissedReason || "no reason"})`
+                      : ""}
+                  </Text>
+                </Text>
+                <Text style={styles.findingIssue}>{finding.issue}</Text>
+              </TouchableOpacity>
+            );
+          })}
+          {!signedReport && (
+            <TouchableOpacity
+              style={styles.addFindingButton}
+              onPress={() => setEditing({ sessionId, projectId })}
+            >
+              <Text style={styles.addFindingButtonText}>+ ADD FINDING</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      {displayData.reinspection && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Prior Violations</Text>
+          {displayData.reinspection.items.map((item) => (
+            <View
+              key={item.id}
+              style={[
+                styles.findingRow,
+                {
+                  borderLeftColor:
+                    SEVERITY_COLORS[item.severity] || SEVERITY_COLORS.medium,
+                },
+              ]}
+            >
+              <Text style={styles.findingCode}>
+                {item.code || "Code Unknown"}
+                <Text style={styles.findingTag}>
+                  {"  "}
+                  {item.status
+                    ? REINSPECTION_STATUS_LABELS[item.status].toUpperCase()
+                    : "NOT CHECKED"}
+                </Text>
+              </Text>
+              <Text style={styles.findingIssue}>{item.description}</Text>
+              <Text style={styles.historyText}>
+                Reported{" "}
+                {new Date(item.reportedAt || item.detectedAt).toLocaleDateString()}
+                {item.history
+                  .map(
+                    (result) =>
+                      ` • ${new Date(result.recordedAt).toLocaleDateString()} ${
+                        REINSPECTION_STATUS_LABELS[result.status]
+                      }`
+                  )
+                  .join("")}
+              </Text>
+            </View>
+          ))}
+          {sessionId && !signedReport && (
+            <TouchableOpacity
+              style={styles.addFindingButton}
+              onPress={() =>
+                navigation.replace("Reinspection", {
+                  projectId,
+                  sessionId,
+                  jurisdiction: getJurisdiction(displayData.jurisdiction).id,
+                })
+              }
+            >
+              <Text style={styles.addFindingButtonText}>
+                CONTINUE RE-INSPECTION
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      {sessionId && !signedReport && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Sign-off</Text>
+          <Text style={styles.templateDescription}>
+            Signing records the report with a tamper-evident hash and locks
+            this inspection against further edits.
+          </Text>
+          {[
+            [SIGNATURE_ROLES.INSPECTOR, "Inspector", "Inspector name"],
+            [SIGNATURE_ROLES.CONTRACTOR, "Contractor / Permit Holder", "Contractor name"],
+          ].map(([role, label, placeholder]) => (
+            <View key={role}>
+              <SignaturePad
+                label={label}
+                value={signatures[role]}
+                onChange={(signature) =>
+                  setSignatures((previous) => ({ ...previous, [role]: signature }))
+                }
+                onDrawStart={() => setDrawing(true)}
+                onDrawEnd={() => setDrawing(false)}
+              />
+              <TextInput
+                style={styles.brandingInput}
+                value={signerName(role)}
+                placeholder={placeholder}
+                onChangeText={(value) =>
+                  setSignerNames((previous) => ({ ...previous, [role]: value }))
+                }
+              />
+            </View>
+          ))}
+          <TouchableOpacity
+            style={[
+              styles.generateButton,
+              (signing ||
+                isSignatureEmpty(signatures[SIGNATURE_ROLES.INSPECTOR])) &&
+                styles.buttonDisabled,
+            ]}
+            onPress={signReport}
+            disabled={
+              signing || isSignatureEmpty(signatures[SIGNATURE_ROLES.INSPECTOR])
+            }
+          >
+            <Text style={styles.generateButtonText}>
+              {signing ? "SIGNING..." : "SIGN & LOCK REPORT"}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <View style={styles.section}>
+        <TouchableOpacity
+          style={styles.brandingHeader}
+          onPress={() => setShowBranding(!showBranding)}
+        >
+          <Text style={styles.sectionTitle}>Branding & Inspector</Text>
+          <Text style={styles.brandingToggle}>
+            {showBranding ? "Hide" : "Edit"}
+          </Text>
+        </TouchableOpacity>
+        {showBranding && (
+          <View>
+            <View style={styles.logoRow}>
+              {branding.logoUri ? (
+                <Image
+                  source={{ uri: branding.logoUri }}
+                  style={styles.logo}
+                  resizeMode="contain"
+                />
+              ) : (
+                <Text style={styles.infoText}>No logo</Text>
+              )}
+              <TouchableOpacity onPress={chooseLogo}>
+                <Text style={styles.brandingToggle}>
+                  {branding.logoUri ? "Change Logo" : "Choose Logo"}
+                </Text>
+              </TouchableOpacity>
+            </View>
+            {[
+              ["companyName", "Company name"],
+              ["companyPhone", "Company phone"],
+              ["inspectorName", "Inspector name"],
+              ["licenseNumber", "License number"],
+            ].map(([field, placeholder]) => (
+              <TextInput
+                key={field}
+                style={styles.brandingInput}
+                value={branding[field]}
+                placeholder={placeholder}
+                onChangeText={(value) =>
+                  setBranding((previous) => ({ ...previous, [field]: value }))
+                }
+                onEndEditing={() =>
+                  ReportBrandingService.saveBranding({
+                    [field]: branding[field],
+                  })
+                }
+              />
+            ))}
+          </View>
+        )}
+      </View>
+
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Report Includes</Text>
         <View style={styles.infoCard}>
           <Text style={styles.infoText}>
-            • All inspection photos with GPS tags{"\n"}• AI-detected
-            discrepancies{"\n"}• Code compliance notes{"\n"}• Voice-recorded
-            defect marks{"\n"}• Permit requirements for each category{"\n"}•
-            Professional formatting
+            • Photo thumbnails for each finding{"\n"}• AI and
+            inspector findings with code citations{"\n"}• Remediation and
+            permit requirements{"\n"}• Severity summary and checklist
+            results{"\n"}• Company logo and signatures with a tamper-evident
+            hash{"\n"}• Status history of violations followed up in a
+            re-inspection{"\n"}• CSV, JSON and Word exports of the same report
           </Text>
         </View>
       </View>
+
+      <ViolationEditor
+        visible={!!editing}
+        violation={editing}
+        onSave={() => fetchReportData(false)}
+        onClose={() => setEditing(null)}
+        onCodePress={(code) => {
+          setEditing(null);
+          navigation.navigate("CodeLibrary", {
+            jurisdiction: displayData.jurisdiction,
+            query: code,
+          });
+        }}
+      />
     </ScrollView>
   );
 }
@@ -607,6 +808,10 @@ const styles = StyleSheet.create({
     color: "#666666",
     marginBottom: 6,
   },
+  unverifiedText: {
+    color: "#B91C1C",
+    fontWeight: "600",
+  },
   generateButton: {
     backgroundColor: "#0066CC",
     borderRadius: 8,
@@ -619,6 +824,33 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     color: "#FFFFFF",
   },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  lockedCard: {
+    backgroundColor: "#F0FFF6",
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: "#00CC66",
+  },
+  lockedTitle: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#1A1A1A",
+    marginBottom: 4,
+  },
+  lockedHash: {
+    fontSize: 12,
+    fontFamily: "monospace",
+    color: "#666666",
+    marginBottom: 4,
+  },
+  lockedValid: {
+    color: "#00994D",
+    fontWeight: "600",
+  },
   actionButton: {
     backgroundColor: "#00CC66",
     borderRadius: 8,
@@ -634,6 +866,106 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     color: "#FFFFFF",
   },
+  findingRow: {
+    backgroundColor: "#F8F8F8",
+    borderLeftWidth: 4,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  findingDismissed: {
+    opacity: 0.5,
+  },
+  findingCode: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  findingTag: {
+    fontSize: 11,
+    fontWeight: "700",
+    color: "#666666",
+  },
+  findingIssue: {
+    fontSize: 14,
+    color: "#666666",
+    marginTop: 4,
+  },
+  historyText: {
+    fontSize: 12,
+    color: "#999999",
+    marginTop: 4,
+  },
+  addFindingButton: {
+    borderWidth: 1,
+    borderColor: "#0066CC",
+    borderRadius: 8,
+    padding: 12,
+    alignItems: "center",
+  },
+  addFindingButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#0066CC",
+  },
+  templateRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 8,
+  },
+  templateChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#0066CC",
+  },
+  templateChipSelected: {
+    backgroundColor: "#0066CC",
+  },
+  templateChipText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#0066CC",
+  },
+  templateChipTextSelected: {
+    color: "#FFFFFF",
+  },
+  templateDescription: {
+    fontSize: 13,
+    color: "#666666",
+    marginBottom: 16,
+  },
+  brandingHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "baseline",
+  },
+  brandingToggle: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#0066CC",
+  },
+  logoRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 12,
+  },
+  logo: {
+    width: 120,
+    height: 48,
+  },
+  brandingInput: {
+    borderWidth: 1,
+    borderColor: "#E5E5E5",
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 15,
+    marginBottom: 8,
+    color: "#1A1A1A",
+  },
   infoCard: {
     backgroundColor: "#F0F7FF",
     borderRadius: 8,
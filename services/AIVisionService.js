@@ -1,5 +1,13 @@
-import { MCP_URL, SUPABASE_ANON_KEY, OPENAI_API_KEY } from '../config/env';
+import { OPENAI_API_KEY } from '../config/env';
 import * as FileSystem from 'expo-file-system/legacy';
+import OfflineQueueService, { QUEUE_TYPES, createIdempotencyKey } from './OfflineQueueService';
+import McpToolClient from './McpToolClient';
+import { MCP_TOOL_NAMES } from './mcpTools';
+import BuildingCodeService from './BuildingCodeService';
+import { getJurisdiction } from './jurisdictions';
+import { getInspectionType, formatChecklistPrompt } from './inspectionChecklists';
+
+const OUTBOX_DIR = `${FileSystem.documentDirectory}outbox/`;
 
 /**
  * AIVisionService - Real-time construction inspection using MCP Backend
@@ -10,8 +18,6 @@ import * as FileSystem from 'expo-file-system/legacy';
 
 class AIVisionService {
   constructor() {
-    this.mcpUrl = MCP_URL;
-    this.supabaseKey = SUPABASE_ANON_KEY;
     this.openaiKey = OPENAI_API_KEY;
 
     // Race condition fix: use promise-based locking
@@ -21,18 +27,17 @@ class AIVisionService {
     this.sessionId = `mobile_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
     this.frameNumber = 0;
 
-    // Retry configuration
-    this.retryConfig = {
-      maxRetries: 3,
-      baseDelay: 1000,
-      maxDelay: 5000
-    };
+    OfflineQueueService.registerHandler(
+      QUEUE_TYPES.FRAME_ANALYSIS,
+      (payload, idempotencyKey) => this._replayQueuedFrame(payload, idempotencyKey)
+    );
   }
 
   /**
    * Analyze a camera frame for construction inspection
    * @param {string} imageUri - Local URI to the captured frame
-   * @param {object} context - Additional context (jurisdiction, project type, etc.)
+   * @param {object} context - Additional context (jurisdiction, project type, etc.);
+   *   inspectionType and checklist (current results) focus the prompt on open checklist items
    * @returns {Promise<object>} Analysis results with materials, compliance, and narration
    */
   async analyzeFrame(imageUri, context = {}) {
@@ -59,21 +64,23 @@ class AIVisionService {
   async _performAnalysis(imageUri, context) {
     let imageUrl;
 
-    try {
-      this.frameNumber++;
+    this.frameNumber++;
+
+    // No signal: hold the frame for later instead of burning retries
+    if (!(await OfflineQueueService.isOnline())) {
+      return this._queueFrame(imageUri, context);
+    }
 
+    try {
       // Convert image to base64
-      const base64Image = await FileSystem.readAsString(imageUri, {
+      const base64Image = await FileSystem.readAsStringAsync(imageUri, {
         encoding: 'base64',
       });
 
       imageUrl = `data:image/jpeg;base64,${base64Image}`;
 
-      // Try MCP backend first with retry logic
-      return await this._retryWithBackoff(
-        () => this._analyzeWithMCP(imageUrl, context),
-        'MCP'
-      );
+      // Try MCP backend first (McpToolClient retries transient failures)
+      return await this._analyzeWithMCP(imageUrl, context);
     } catch (mcpError) {
       console.error('❌ MCP analysis failed after retries:', mcpError);
 
@@ -89,6 +96,9 @@ class AIVisionService {
         }
       }
 
+      // Keep the frame so the server still receives it once reachable
+      await this._queueFrame(imageUri, context, false);
+
       // Return graceful error response
       return {
         error: 'Analysis service unavailable',
@@ -103,73 +113,118 @@ class AIVisionService {
   }
 
   /**
-   * Retry with exponential backoff
+   * Copy a frame into the outbox and queue it for analysis once back online
+   * @param {object} context - Analysis context, kept so the replay checks the same codes
    */
-  async _retryWithBackoff(fn, serviceName) {
-    let lastError;
-
-    for (let attempt = 0; attempt <= this.retryConfig.maxRetries; attempt++) {
-      try {
-        return await fn();
-      } catch (error) {
-        lastError = error;
-
-        if (attempt < this.retryConfig.maxRetries) {
-          const delay = Math.min(
-            this.retryConfig.baseDelay * Math.pow(2, attempt),
-            this.retryConfig.maxDelay
-          );
-          console.log(`⚠️ ${serviceName} attempt ${attempt + 1} failed, retrying in ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
+  async _queueFrame(imageUri, context, buildResponse = true) {
+    try {
+      const dirInfo = await FileSystem.getInfoAsync(OUTBOX_DIR);
+      if (!dirInfo.exists) {
+        await FileSystem.makeDirectoryAsync(OUTBOX_DIR, { intermediates: true });
       }
+
+      // Named by the entry's key: frame numbers restart when a session is resumed
+      const idempotencyKey = createIdempotencyKey();
+      const queuedUri = `${OUTBOX_DIR}frame_${idempotencyKey}.jpg`;
+      await FileSystem.copyAsync({ from: imageUri, to: queuedUri });
+
+      await OfflineQueueService.enqueue(QUEUE_TYPES.FRAME_ANALYSIS, {
+        imageUri: queuedUri,
+        sessionId: this.sessionId,
+        frameNumber: this.frameNumber,
+        timestamp: Date.now(),
+        context,
+      }, idempotencyKey);
+      await this._pruneOutbox();
+    } catch (error) {
+      console.error('❌ Failed to queue frame:', error);
     }
 
-    throw lastError;
+    if (!buildResponse) return null;
+
+    return {
+      error: 'Offline',
+      queued: true,
+      narration: 'No connection. Frame saved and will be analyzed when you are back online.',
+      issues: [],
+      category: 'Offline',
+      materials: [],
+      violations: [],
+      compliance: 'Pending analysis',
+      timestamp: new Date().toISOString()
+    };
   }
 
   /**
-   * Analyze with MCP backend
+   * Delete outbox frames the queue dropped when it hit its frame cap
    */
-  async _analyzeWithMCP(imageUrl, context) {
-    const response = await fetch(`${this.mcpUrl}/call-tool`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'apikey': this.supabaseKey,
-        'Authorization': `Bearer ${this.supabaseKey}`,
-      },
-      body: JSON.stringify({
-        name: 'analyze_live_inspection',
-        arguments: {
-          imageUrl,
-          sessionId: this.sessionId,
-          frameNumber: this.frameNumber,
-          timestamp: Date.now(),
-        },
-      }),
-      // Timeout after 30 seconds
-      signal: AbortSignal.timeout(30000)
-    });
+  async _pruneOutbox() {
+    const queue = await OfflineQueueService.getQueue();
+    const queued = new Set(
+      queue
+        .filter(entry => entry.type === QUEUE_TYPES.FRAME_ANALYSIS)
+        .map(entry => entry.payload.imageUri)
+    );
+
+    const files = await FileSystem.readDirectoryAsync(OUTBOX_DIR);
+    await Promise.all(
+      files
+        .map(name => `${OUTBOX_DIR}${name}`)
+        .filter(uri => !queued.has(uri))
+        .map(uri => FileSystem.deleteAsync(uri, { idempotent: true }))
+    );
+  }
 
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('❌ MCP API error:', error);
-      throw new Error(`MCP API failed: ${response.status} - ${error}`);
+  /**
+   * Replay a frame captured while offline (OfflineQueueService handler)
+   */
+  async _replayQueuedFrame(payload, idempotencyKey) {
+    const fileInfo = await FileSystem.getInfoAsync(payload.imageUri);
+    if (!fileInfo.exists) {
+      console.log('⚠️ Queued frame no longer on disk, skipping');
+      return;
     }
 
-    const data = await response.json();
+    const base64Image = await FileSystem.readAsStringAsync(payload.imageUri, {
+      encoding: 'base64',
+    });
 
-    // Parse MCP response
-    const mcpContent = data.content?.[0]?.text;
-    if (!mcpContent) {
-      throw new Error('Invalid MCP response format');
-    }
+    // Frames queued before the context was stored replay without one
+    await this._analyzeWithMCP(`data:image/jpeg;base64,${base64Image}`, payload.context || {}, {
+      ...payload,
+      idempotencyKey,
+    });
+    await FileSystem.deleteAsync(payload.imageUri, { idempotent: true });
+  }
 
-    const analysisData = JSON.parse(mcpContent);
+  /**
+   * Analyze with MCP backend
+   * @param {object} replay - Queued frame being replayed ({ sessionId, frameNumber, timestamp, idempotencyKey })
+   */
+  async _analyzeWithMCP(imageUrl, context, replay = null) {
+    const analysisData = await McpToolClient.callTool(
+      MCP_TOOL_NAMES.ANALYZE_LIVE_INSPECTION,
+      {
+        imageUrl,
+        sessionId: replay ? replay.sessionId : this.sessionId,
+        frameNumber: replay ? replay.frameNumber : this.frameNumber,
+        timestamp: replay ? replay.timestamp : Date.now(),
+        codeContext: await this.getCodeContext(context),
+        inspectionFocus: formatChecklistPrompt(context.inspectionType, context.checklist),
+      },
+      {
+        ...(replay?.idempotencyKey && { idempotencyKey: replay.idempotencyKey }),
+        // A long rate-limit wait would stall the scan loop; fall back instead
+        maxRetryAfterMs: 5000,
+      }
+    );
 
     // Convert MCP format to app format
-    const analysis = this.convertMCPToAppFormat(analysisData, context);
+    const violations = await this.verifyCitations(analysisData.violations, context);
+    const analysis = this.convertMCPToAppFormat({ ...analysisData, violations }, context);
+    if (replay) {
+      return analysis;
+    }
     this.lastAnalysis = analysis;
 
     console.log('✅ AI Vision Analysis (Gemini Flash via MCP):', analysis);
@@ -184,14 +239,19 @@ class AIVisionService {
       throw new Error('OpenAI API key not configured');
     }
 
+    const codeContext = await this.getCodeContext(context);
     const prompt = `You are analyzing a construction site in REAL-TIME. Be FAST and CONCISE.
 
 ANALYZE THIS IMAGE FOR:
-1. Building code violations (cite Honolulu codes: IRC 2018, IBC 2018, NEC 2020, IPC 2018)
+1. Building code violations (cite the code sections listed below; do not guess section numbers)
 2. Safety hazards (OSHA violations)
 3. Structural defects
 4. Quality issues
 
+${codeContext}
+
+${formatChecklistPrompt(context.inspectionType, context.checklist)}
+
 Return ONLY JSON in this exact format:
 {
   "violations": [{
@@ -201,6 +261,7 @@ Return ONLY JSON in this exact format:
     "severity": "critical|high|medium|low",
     "category": "structural|electrical|plumbing|safety|quality"
   }],
+  "checklist": [{"id": "item_id", "status": "pass|fail", "note": "What you saw"}],
   "summary": "Quick summary",
   "confidence": 0-100
 }
@@ -257,13 +318,53 @@ If NO violations: return {"violations": [], "summary": "No violations detected",
     }
 
     // Convert to app format
-    const analysis = this.convertMCPToAppFormat(analysisData, context);
+    const violations = await this.verifyCitations(analysisData.violations, context);
+    const analysis = this.convertMCPToAppFormat({ ...analysisData, violations }, context);
     this.lastAnalysis = analysis;
 
     console.log('✅ AI Vision Analysis (OpenAI Fallback):', analysis);
     return analysis;
   }
 
+  /**
+   * Code sections for the frame prompt, picked by the inspection type and
+   * the categories seen in the previous frame. Never waits on the network:
+   * without a downloaded code index the prompt falls back to the adopted codes.
+   */
+  async getCodeContext(context = {}) {
+    const categories = new Set();
+    const inspectionType = getInspectionType(context.inspectionType);
+    if (inspectionType) {
+      categories.add(inspectionType.category);
+    }
+    (this.lastAnalysis?.violations || []).forEach((v) => categories.add(this.mapCategoryToTrade(v.category)));
+
+    try {
+      return await BuildingCodeService.getCodeContext(
+        [...categories],
+        context.projectType,
+        context.jurisdiction,
+        { allowFetch: false }
+      );
+    } catch (error) {
+      console.error('Code retrieval failed:', error);
+      return BuildingCodeService.getPromptContext(context.jurisdiction);
+    }
+  }
+
+  /**
+   * Check each violation's cited code against the local code index;
+   * citations that aren't in the index come back with unverified: true
+   */
+  async verifyCitations(violations = [], context = {}) {
+    return BuildingCodeService.verifyViolations(
+      violations,
+      context.jurisdiction,
+      context.projectType,
+      { allowFetch: false }
+    );
+  }
+
   /**
    * Convert MCP response format to app format
    */
@@ -272,7 +373,7 @@ If NO violations: return {"violations": [], "summary": "No violations detected",
 
     // Extract issues from violations
     const issues = violations.length > 0
-      ? violations.map(v => `${v.code}: ${v.issue}`)
+      ? violations.map(v => `${v.code}${v.unverified ? ' (unverified)' : ''}: ${v.issue}`)
       : ['None visible'];
 
     // Determine category from first violation
@@ -292,6 +393,7 @@ If NO violations: return {"violations": [], "summary": "No violations detected",
       rawText: JSON.stringify(mcpData, null, 2),
       timestamp: new Date().toISOString(),
       violations, // Include raw violations for future use
+      checklist: mcpData.checklist || [], // Checklist suggestions ({ id, status, note })
       confidence: mcpData.confidence || 0,
     };
   }
@@ -364,68 +466,48 @@ If NO violations: return {"violations": [], "summary": "No violations detected",
 
   /**
    * Analyze building plans for code compliance (FORESIGHT mode)
-   * References Honolulu DPP Building Permits requirements
+   * Checks against the jurisdiction's adopted codes (context.jurisdiction, default Honolulu)
    * @param {string} imageUri - Local URI to the uploaded plan
    * @param {object} context - Additional context (jurisdiction, project type, etc.)
    * @returns {Promise<object>} Analysis results with compliance and permit info
    */
   async analyzePlan(imageUri, context = {}) {
     try {
-      console.log('📋 Analyzing building plan against Honolulu DPP requirements...');
+      const jurisdiction = getJurisdiction(context.jurisdiction);
+      console.log(`📋 Analyzing building plan against ${jurisdiction.shortName} requirements...`);
 
       // Convert image to base64
-      const base64Image = await FileSystem.readAsString(imageUri, {
+      const base64Image = await FileSystem.readAsStringAsync(imageUri, {
         encoding: 'base64',
       });
 
       const imageUrl = `data:image/jpeg;base64,${base64Image}`;
 
-      // Call MCP backend with analyze_photo tool
-      const response = await fetch(`${this.mcpUrl}/call-tool`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'apikey': this.supabaseKey,
-          'Authorization': `Bearer ${this.supabaseKey}`,
-        },
-        body: JSON.stringify({
-          name: 'analyze_photo',
-          arguments: {
-            imageUrl,
-            analysisType: 'code_compliance',
-          },
-        }),
+      const analysisData = await McpToolClient.callTool(MCP_TOOL_NAMES.ANALYZE_PHOTO, {
+        imageUrl,
+        analysisType: 'code_compliance',
+        codeContext: await BuildingCodeService.getCodeContext(null, context.projectType, jurisdiction),
       });
 
-      if (!response.ok) {
-        const error = await response.text();
-        console.error('❌ MCP API error:', error);
-        throw new Error(`MCP API failed: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      // Parse MCP response
-      const mcpContent = data.content?.[0]?.text;
-      if (!mcpContent) {
-        throw new Error('Invalid MCP response format');
-      }
-
-      const analysisData = JSON.parse(mcpContent);
+      const violations = await BuildingCodeService.verifyViolations(
+        analysisData.violations,
+        jurisdiction,
+        context.projectType
+      );
 
       // Convert to plan analysis format
       // Note: For real DPP pre-check with code citations, use DppPrecheckService instead
       const planAnalysis = {
         category: analysisData.category || 'Residential Construction',
         compliance: analysisData.compliance || 'Code compliance check complete',
-        issues: analysisData.violations?.map(v => v.issue) || [],
-        violations: analysisData.violations || [],
+        issues: violations.map(v => v.issue),
+        violations,
         summary: analysisData.summary || 'Plan analyzed',
         recommendations: analysisData.recommendations || [],
         timestamp: new Date().toISOString(),
       };
 
-      console.log('✅ Plan Analysis Complete (Honolulu DPP):', planAnalysis);
+      console.log(`✅ Plan Analysis Complete (${jurisdiction.shortName}):`, planAnalysis);
       return planAnalysis;
     } catch (error) {
       console.error('❌ Failed to analyze plan:', error);
@@ -443,45 +525,17 @@ If NO violations: return {"violations": [], "summary": "No violations detected",
       console.log('🔍 Identifying construction material...');
 
       // Convert image to base64
-      const base64Image = await FileSystem.readAsString(imageUri, {
+      const base64Image = await FileSystem.readAsStringAsync(imageUri, {
         encoding: 'base64',
       });
 
       const imageUrl = `data:image/jpeg;base64,${base64Image}`;
 
-      // Call MCP backend with analyze_photo tool
-      const response = await fetch(`${this.mcpUrl}/call-tool`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'apikey': this.supabaseKey,
-          'Authorization': `Bearer ${this.supabaseKey}`,
-        },
-        body: JSON.stringify({
-          name: 'analyze_photo',
-          arguments: {
-            imageUrl,
-            analysisType: 'material_identification',
-          },
-        }),
+      const analysisData = await McpToolClient.callTool(MCP_TOOL_NAMES.ANALYZE_PHOTO, {
+        imageUrl,
+        analysisType: 'material_identification',
       });
 
-      if (!response.ok) {
-        const error = await response.text();
-        console.error('❌ MCP API error:', error);
-        throw new Error(`MCP API failed: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      // Parse MCP response
-      const mcpContent = data.content?.[0]?.text;
-      if (!mcpContent) {
-        throw new Error('Invalid MCP response format');
-      }
-
-      const analysisData = JSON.parse(mcpContent);
-
       // Convert to material identification format
       const materialResult = {
         materials: analysisData.materials || [],
@@ -523,6 +577,16 @@ If NO violations: return {"violations": [], "summary": "No violations detected",
     this.sessionId = `mobile_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
   }
 
+  /**
+   * Attach analysis to a persisted inspection_sessions row
+   * @param {string} sessionId - inspection_sessions.id
+   */
+  setSession(sessionId) {
+    this.sessionId = sessionId;
+    this.frameNumber = 0;
+    this.lastAnalysis = null;
+  }
+
   /**
    * Reset session (start new inspection)
    */
@@ -0,0 +1,277 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import getSupabaseClient from './supabaseClient';
+import MCPService from './MCPService';
+import OfflineQueueService, { QUEUE_TYPES, createIdempotencyKey } from './OfflineQueueService';
+
+/**
+ * AuthService - Email/password and magic-link authentication via Supabase
+ * Sessions persist through the AsyncStorage-backed client in supabaseClient.js.
+ * Guests get a per-device id so their projects can be claimed on sign-up.
+ */
+
+const GUEST_ID_KEY = 'guestUserId';
+const PENDING_MIGRATION_KEY = 'pendingGuestMigration';
+const AUTH_MODE_KEY = 'authMode';
+
+// Deep link the auth emails return to (see linking config in App.js)
+export const AUTH_REDIRECT_URL = 'vision://auth';
+
+class AuthService {
+  constructor() {
+    this._supabase = null; // Lazy load - don't call getSupabaseClient() yet
+    this.user = null;
+    this.authSubscription = null;
+  }
+
+  /**
+   * Get Supabase client (lazy initialization)
+   */
+  get supabase() {
+    if (!this._supabase) {
+      this._supabase = getSupabaseClient();
+    }
+    return this._supabase;
+  }
+
+  /**
+   * Restore any persisted session and keep MCPService pointed at the current user
+   */
+  async initialize() {
+    if (this.authSubscription) return;
+
+    try {
+      const { data } = await this.supabase.auth.getSession();
+      this.user = data?.session?.user || null;
+    } catch (error) {
+      console.error('❌ Failed to restore auth session:', error);
+    }
+    await MCPService.initialize(await this.getCurrentUserId());
+
+    try {
+      // Synchronous: supabase-js holds its auth lock while this runs, and any
+      // query awaited here would wait on that lock. The work runs after it.
+      const { data } = this.supabase.auth.onAuthStateChange((event, session) => {
+        this.user = session?.user || null;
+        const userId = this.user?.id;
+
+        setTimeout(() => {
+          this.handleAuthChange(event, userId).catch((error) =>
+            console.error('❌ Failed to handle auth change:', error)
+          );
+        }, 0);
+      });
+      this.authSubscription = data?.subscription || null;
+    } catch (error) {
+      console.error('❌ Failed to watch auth state:', error);
+    }
+  }
+
+  async handleAuthChange(event, userId) {
+    if (event === 'SIGNED_IN' && userId) {
+      await this.migrateGuestDataIfPending(userId);
+    }
+    await MCPService.initialize(await this.getCurrentUserId());
+  }
+
+  /**
+   * Create an account. Guest data on this device is claimed once the
+   * account has a session (immediately, or after email confirmation).
+   */
+  async signUp(email, password) {
+    const guestId = await this.getGuestId();
+    await AsyncStorage.setItem(PENDING_MIGRATION_KEY, guestId);
+
+    const { data, error } = await this.supabase.auth.signUp({
+      email: email.trim(),
+      password,
+      options: { emailRedirectTo: AUTH_REDIRECT_URL },
+    });
+
+    if (error) {
+      await AsyncStorage.removeItem(PENDING_MIGRATION_KEY);
+      throw error;
+    }
+
+    return {
+      user: data.user,
+      needsConfirmation: !data.session,
+    };
+  }
+
+  /**
+   * Sign in with email and password
+   */
+  async signIn(email, password) {
+    const { data, error } = await this.supabase.auth.signInWithPassword({
+      email: email.trim(),
+      password,
+    });
+
+    if (error) {
+      throw error;
+    }
+    return data.user;
+  }
+
+  /**
+   * Email a one-time sign-in link
+   */
+  async sendMagicLink(email) {
+    const { error } = await this.supabase.auth.signInWithOtp({
+      email: email.trim(),
+      options: { emailRedirectTo: AUTH_REDIRECT_URL },
+    });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Email a password reset link that reopens the app in reset mode
+   */
+  async sendPasswordReset(email) {
+    const { error } = await this.supabase.auth.resetPasswordForEmail(email.trim(), {
+      redirectTo: `${AUTH_REDIRECT_URL}?mode=reset`,
+    });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Set a new password for the signed-in (or recovering) user
+   */
+  async updatePassword(password) {
+    const { error } = await this.supabase.auth.updateUser({ password });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Sign out and fall back to this device's guest identity
+   */
+  async signOut() {
+    const { error } = await this.supabase.auth.signOut();
+    if (error) {
+      throw error;
+    }
+    this.user = null;
+    await AsyncStorage.setItem(AUTH_MODE_KEY, 'guest');
+  }
+
+  /**
+   * Complete a magic-link, confirmation or reset redirect.
+   * Supabase returns the tokens in the URL fragment.
+   * @param {string} url - Incoming deep link
+   * @returns {Promise<boolean>} True if a session was established
+   */
+  async createSessionFromUrl(url) {
+    if (!url || !url.startsWith(AUTH_REDIRECT_URL)) return false;
+
+    const params = {};
+    const [, query = ''] = url.split('?');
+    const [, fragment = ''] = url.split('#');
+    [query.split('#')[0], fragment].forEach((part) => {
+      part.split('&').filter(Boolean).forEach((pair) => {
+        const [key, value = ''] = pair.split('=');
+        params[decodeURIComponent(key)] = decodeURIComponent(value);
+      });
+    });
+
+    if (params.error_description) {
+      throw new Error(params.error_description.replace(/\+/g, ' '));
+    }
+    if (!params.access_token || !params.refresh_token) return false;
+
+    const { error } = await this.supabase.auth.setSession({
+      access_token: params.access_token,
+      refresh_token: params.refresh_token,
+    });
+
+    if (error) {
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+   * Get the signed-in user, if any
+   */
+  getUser() {
+    return this.user;
+  }
+
+  /**
+   * Whether an account is signed in. Reads the stored session directly so
+   * the answer is right before initialize() has finished.
+   */
+  async isSignedIn() {
+    const { data } = await this.supabase.auth.getSession();
+    return Boolean(data?.session);
+  }
+
+  /**
+   * Id to scope data to: the account id, or this device's guest id
+   */
+  async getCurrentUserId() {
+    return this.user?.id || this.getGuestId();
+  }
+
+  /**
+   * Per-device guest id, created on first use
+   */
+  async getGuestId() {
+    try {
+      let guestId = await AsyncStorage.getItem(GUEST_ID_KEY);
+      if (!guestId) {
+        guestId = `guest_${createIdempotencyKey()}`;
+        await AsyncStorage.setItem(GUEST_ID_KEY, guestId);
+      }
+      return guestId;
+    } catch (error) {
+      console.error('Error reading guest id:', error);
+      return 'guest';
+    }
+  }
+
+  /**
+   * Move projects created as a guest on this device into the new account,
+   * including project creations still waiting in the offline queue
+   */
+  async migrateGuestDataIfPending(userId) {
+    const guestId = await AsyncStorage.getItem(PENDING_MIGRATION_KEY);
+    if (!guestId) return;
+
+    try {
+      console.log('🔄 Migrating guest data into account...', { guestId, userId });
+
+      const { error } = await this.supabase
+        .from('projects')
+        .update({ user_id: userId })
+        .eq('user_id', guestId);
+
+      if (error) {
+        throw error;
+      }
+
+      await OfflineQueueService.updateEntries(QUEUE_TYPES.CREATE_PROJECT, (payload) =>
+        payload.row?.user_id === guestId
+          ? { ...payload, row: { ...payload.row, user_id: userId } }
+          : payload
+      );
+
+      await AsyncStorage.multiRemove([PENDING_MIGRATION_KEY, GUEST_ID_KEY]);
+      await AsyncStorage.setItem(AUTH_MODE_KEY, 'account');
+      console.log('✅ Guest data migrated');
+    } catch (error) {
+      // Leave the flag in place so the next sign-in retries
+      console.error('❌ Guest data migration failed:', error);
+    }
+  }
+}
+
+export default new AuthService();
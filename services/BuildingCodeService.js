@@ -1,169 +1,359 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import { getJurisdiction, formatAdoptedCodes } from './jurisdictions';
+import { parseCodeSections, parseCitation, citableCodeTypes, findSection, formatSectionCitation } from './codeSectionParser';
 
 /**
- * BuildingCodeService - Fetch and cache building codes for real-time inspection
+ * BuildingCodeService - Fetch, index and cache building codes for inspection
+ * Code libraries, editions, amendments and permits come from the
+ * jurisdiction registry (services/jurisdictions.js). Fetched code pages are
+ * parsed into chapter/section indexes and kept on disk per jurisdiction.
  */
 
-const HONOLULU_CODES = {
-  building: 'https://codelibrary.amlegal.com/codes/honolulu/latest/honolulu/0-0-0-17062',
-  residential: 'https://codelibrary.amlegal.com/codes/honolulu/latest/honolulu/0-0-0-17031',
+const CODES_DIR = `${FileSystem.documentDirectory}codes/`;
+const CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days
+const FETCH_TIMEOUT_MS = 15000;
+const RETRY_AFTER_FAILURE_MS = 10 * 60 * 1000;
+
+// Text-only caches from before code pages were indexed
+const LEGACY_CACHE_KEYS = ['building_codes_cache', 'building_codes_cache_honolulu'];
+
+// Section titles that matter for each work category
+const CATEGORY_KEYWORDS = {
+  electrical: ['electrical', 'receptacle', 'wiring', 'branch circuit', 'panel', 'ground', 'arc-fault'],
+  plumbing: ['plumbing', 'water heater', 'drain', 'fixture', 'sanitary', 'water supply'],
+  structural: ['structural', 'foundation', 'framing', 'wind', 'footing', 'guard', 'stair', 'termite'],
+  'fire safety': ['smoke alarm', 'carbon monoxide', 'fire', 'sprinkler', 'egress', 'emergency escape'],
+  HVAC: ['mechanical', 'ventilation', 'exhaust', 'duct', 'appliance', 'combustion air'],
+  // Plan reviews without a specific category: the usual pre-check items
+  general: ['smoke alarm', 'carbon monoxide', 'emergency escape', 'egress', 'guard', 'stair', 'glazing', 'fire-resistance'],
 };
 
-const CACHE_KEY = 'building_codes_cache';
-const CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days
+// Model code each indexed county code amends
+const MODEL_CODES = { residential: 'IRC', building: 'IBC' };
+
+const MAX_CONTEXT_SECTIONS = 6;
+const SECTION_EXCERPT_LENGTH = 300;
 
 class BuildingCodeService {
   constructor() {
-    this.codeCache = {};
+    this.codeCache = {}; // jurisdiction id -> code index
+    this.failedAt = {}; // jurisdiction id -> last failed fetch, to avoid refetching on every lookup
+    this.pendingBuilds = {}; // jurisdiction id -> in-flight buildIndex promise
+  }
+
+  /**
+   * Get a jurisdiction's code index, fetching and parsing the code library
+   * when there is no fresh copy on disk
+   * @param {string|object} jurisdictionInput - Id, name or address (defaults to Honolulu)
+   * @param {object} options - { refresh, allowFetch }
+   *   refresh forces a re-fetch; allowFetch: false never waits on the network
+   *   (a missing index is built in the background for the next call)
+   * @returns {Promise<object|null>} { jurisdiction, builtAt, codes: { building, residential? } }
+   */
+  async getCodeIndex(jurisdictionInput, { refresh = false, allowFetch = true } = {}) {
+    const jurisdiction = getJurisdiction(jurisdictionInput);
+    const cached = this.codeCache[jurisdiction.id] || await this.readIndex(jurisdiction.id);
+    const fresh = cached && Date.now() - cached.builtAt < CACHE_DURATION;
+
+    if (cached && fresh && !refresh) {
+      this.codeCache[jurisdiction.id] = cached;
+      return cached;
+    }
+
+    if (!refresh && Date.now() - (this.failedAt[jurisdiction.id] || 0) < RETRY_AFTER_FAILURE_MS) {
+      return cached || null;
+    }
+
+    // One fetch per jurisdiction at a time
+    if (!this.pendingBuilds[jurisdiction.id]) {
+      this.pendingBuilds[jurisdiction.id] = this.buildIndex(jurisdiction)
+        .then((index) => {
+          if (!index) {
+            this.failedAt[jurisdiction.id] = Date.now();
+          }
+          // A stale index still beats nothing when the library is unreachable
+          this.codeCache[jurisdiction.id] = index || cached || null;
+          return this.codeCache[jurisdiction.id];
+        })
+        .finally(() => {
+          delete this.pendingBuilds[jurisdiction.id];
+        });
+    }
+
+    if (!allowFetch) {
+      return cached || null;
+    }
+    return this.pendingBuilds[jurisdiction.id];
   }
 
   /**
-   * Fetch Honolulu building codes
+   * Fetch and parse a jurisdiction's code library pages into an index file
    */
-  async fetchHonoluluCodes() {
+  async buildIndex(jurisdiction) {
+    const { building, residential } = jurisdiction.codeLibrary;
+    if (!building) return null;
+
     try {
-      // Check cache first
-      const cached = await this.getCachedCodes();
-      if (cached) {
-        console.log('✅ Using cached Honolulu building codes');
-        this.codeCache = cached;
-        return cached;
-      }
+      console.log(`📥 Fetching ${jurisdiction.shortName} building codes...`);
 
-      console.log('📥 Fetching Honolulu building codes...');
+      const pages = { building: { url: building, type: 'Building Code' } };
+      // Counties without a separate residential page fall back to the building index
+      if (residential && residential !== building) {
+        pages.residential = { url: residential, type: 'Residential Code' };
+      }
 
-      // Fetch both code pages
-      const [buildingResponse, residentialResponse] = await Promise.all([
-        fetch(HONOLULU_CODES.building),
-        fetch(HONOLULU_CODES.residential),
-      ]);
+      const codes = {};
+      for (const [codeType, { url, type }] of Object.entries(pages)) {
+        const html = await this.fetchPage(url);
+        codes[codeType] = { type, source: url, ...parseCodeSections(html) };
+      }
 
-      const [buildingHtml, residentialHtml] = await Promise.all([
-        buildingResponse.text(),
-        residentialResponse.text(),
-      ]);
+      const index = { jurisdiction: jurisdiction.id, builtAt: Date.now(), codes };
+      await FileSystem.makeDirectoryAsync(CODES_DIR, { intermediates: true });
+      await FileSystem.writeAsStringAsync(`${CODES_DIR}${jurisdiction.id}.json`, JSON.stringify(index));
+      await AsyncStorage.multiRemove(LEGACY_CACHE_KEYS);
 
-      // Parse relevant sections from HTML
-      const codes = {
-        building: this.parseCodeContent(buildingHtml, 'Building Code'),
-        residential: this.parseCodeContent(residentialHtml, 'Residential Code'),
-        timestamp: Date.now(),
-      };
+      const sectionCount = Object.values(codes).reduce((sum, code) => sum + code.order.length, 0);
+      console.log(`✅ ${jurisdiction.shortName} codes indexed (${sectionCount} sections)`);
+      return index;
+    } catch (error) {
+      console.error(`❌ Failed to index ${jurisdiction.shortName} codes:`, error);
+      return null;
+    }
+  }
 
-      // Cache for future use
-      await AsyncStorage.setItem(CACHE_KEY, JSON.stringify(codes));
-      this.codeCache = codes;
+  async fetchPage(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} fetching ${url}`);
+      }
+      return await response.text();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
 
-      console.log('✅ Honolulu codes fetched and cached');
-      return codes;
+  /**
+   * Read an index file from disk
+   */
+  async readIndex(jurisdictionId) {
+    try {
+      const path = `${CODES_DIR}${jurisdictionId}.json`;
+      const info = await FileSystem.getInfoAsync(path);
+      if (!info.exists) return null;
+      return JSON.parse(await FileSystem.readAsStringAsync(path));
     } catch (error) {
-      console.error('❌ Failed to fetch Honolulu codes:', error);
+      console.error('Error reading code index:', error);
       return null;
     }
   }
 
   /**
-   * Parse HTML content to extract code text
+   * Look up the indexed section for a citation ("IRC R314.3", "§ 16-1.1")
+   * @returns {Promise<object|null>} { section, exact, codeType, citation } -
+   *   exact is false when only a parent section was indexed
    */
-  parseCodeContent(html, codeType) {
-    // Strip HTML tags and extract text content
-    const textContent = html
-      .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-      .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '')
-      .replace(/<[^>]+>/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
-
-    // Extract key sections
-    return {
-      type: codeType,
-      content: textContent.substring(0, 3000), // Limit to 3000 chars for context
-      fullText: textContent,
-    };
+  async findSection(citation, jurisdictionInput, projectType = 'residential', { allowFetch = true } = {}) {
+    const index = await this.getCodeIndex(jurisdictionInput, { allowFetch });
+    if (!index) return null;
+
+    let fallback = null;
+    for (const codeType of this.getCitableCodeTypes(citation, projectType)) {
+      const match = findSection(index.codes[codeType], citation);
+      if (match?.exact) {
+        return { ...match, codeType, citation: formatSectionCitation(match.section) };
+      }
+      if (match && !fallback) {
+        fallback = { ...match, codeType, citation: formatSectionCitation(match.section) };
+      }
+    }
+    return fallback;
   }
 
   /**
-   * Get cached codes if still valid
+   * Indexed codes a citation can be matched in, the project's own code first;
+   * none when it names a model code that isn't indexed (e.g. "NEC 110.2")
    */
-  async getCachedCodes() {
-    try {
-      const cached = await AsyncStorage.getItem(CACHE_KEY);
-      if (!cached) return null;
+  getCitableCodeTypes(citation, projectType = 'residential') {
+    const preferred = projectType === 'residential' ? ['residential', 'building'] : ['building', 'residential'];
+    return citableCodeTypes(citation, Object.fromEntries(preferred.map((codeType) => [codeType, MODEL_CODES[codeType]])));
+  }
 
-      const codes = JSON.parse(cached);
-      const age = Date.now() - codes.timestamp;
+  /**
+   * Indexed sections whose titles match one or more work categories
+   * @param {string|Array<string>} category - Work category or categories; omit for a general review
+   * @param {object} options - { limit, allowFetch }
+   * @returns {Promise<Array<object>>} Sections in document order
+   */
+  async getRelevantSections(category, projectType = 'residential', jurisdictionInput, { limit = MAX_CONTEXT_SECTIONS, allowFetch = true } = {}) {
+    const index = await this.getCodeIndex(jurisdictionInput, { allowFetch });
+    const code = index?.codes[projectType === 'residential' ? 'residential' : 'building'] || index?.codes.building;
+    if (!code) return [];
 
-      if (age < CACHE_DURATION) {
-        return codes;
-      }
+    const categories = [].concat(category || 'general');
+    const keywords = categories.flatMap((c) => CATEGORY_KEYWORDS[c] || CATEGORY_KEYWORDS.general);
+    return code.order
+      .map((number) => code.sections[number])
+      .filter((section) => keywords.some((keyword) => section.title.toLowerCase().includes(keyword)))
+      .slice(0, limit);
+  }
 
-      return null;
-    } catch (error) {
-      console.error('Error reading code cache:', error);
-      return null;
-    }
+  /**
+   * Jurisdiction section for AI prompts: adopted editions and local amendments
+   * @param {string|object} jurisdictionInput - Id, name or address
+   * @param {object} options - { category } limits amendments to one or more work categories
+   * @returns {string} Prompt text
+   */
+  getPromptContext(jurisdictionInput, { category } = {}) {
+    const jurisdiction = getJurisdiction(jurisdictionInput);
+    const categories = [].concat(category || []);
+    const amendments = jurisdiction.amendments.filter(
+      (amendment) => !categories.length || categories.some((c) => amendment.categories?.includes(c))
+    );
+
+    return [
+      `JURISDICTION: ${jurisdiction.name} (${jurisdiction.agency})`,
+      `ADOPTED CODES: ${formatAdoptedCodes(jurisdiction)}`,
+      ...(amendments.length
+        ? ['LOCAL AMENDMENTS:', ...amendments.map((a) => `- ${a.ref}: ${a.summary}`)]
+        : []),
+      `Cite these editions and ${jurisdiction.shortName} amendments in code references.`,
+    ].join('\n');
+  }
+
+  /**
+   * Get code context for AI analysis: the indexed sections relevant to the
+   * work categories, quoted with their numbers, plus the jurisdiction context.
+   * Prompts should cite from this list rather than from the model's memory.
+   * @param {string|Array<string>} category - Work category or categories (electrical, plumbing, structural, ...); omit for a general plan review
+   * @param {string} projectType - residential or commercial
+   * @param {string|object} jurisdictionInput - Id, name or address (defaults to Honolulu)
+   * @param {object} options - { allowFetch } false for latency-sensitive callers (live frames)
+   */
+  async getCodeContext(category, projectType = 'residential', jurisdictionInput, { allowFetch = true } = {}) {
+    const jurisdiction = getJurisdiction(jurisdictionInput);
+    const sections = await this.getRelevantSections(category, projectType, jurisdiction, { allowFetch });
+
+    // The registry context stands on its own when the code library is unreachable
+    const excerpts = sections.length
+      ? [
+        `RELEVANT ${jurisdiction.shortName.toUpperCase()} CODE SECTIONS:`,
+        ...sections.map((section) => {
+          const text = section.text.length > SECTION_EXCERPT_LENGTH
+            ? `${section.text.substring(0, SECTION_EXCERPT_LENGTH)}...`
+            : section.text;
+          return `[${formatSectionCitation(section)}] ${section.title}: ${text}`;
+        }),
+        'Cite section numbers exactly as listed above when they apply.',
+        '',
+      ].join('\n')
+      : '';
+
+    return `${excerpts}${this.getPromptContext(jurisdiction, { category })}
+Do not invent section numbers. If you are not sure of the exact section, cite the code name alone (e.g. "NEC").`;
   }
 
   /**
-   * Get code context for AI analysis
+   * Check a cited code against the local code index
+   * @returns {Promise<object>} { status, section, jurisdiction, edition, codeLabel, source }
+   *   status is 'verified' (exact section found), 'parent' (only an enclosing
+   *   section found), 'unverified' (not in the index) or 'unchecked' (no
+   *   citation, a code that isn't indexed, or no index to check against). edition is the adopted model
+   *   code (e.g. 'IRC 2018'); source links to the code library page.
    */
-  async getCodeContext(category, projectType = 'residential') {
-    if (!this.codeCache.building) {
-      await this.fetchHonoluluCodes();
+  async verifyCitation(code, jurisdictionInput, projectType = 'residential', { allowFetch = true } = {}) {
+    const jurisdiction = getJurisdiction(jurisdictionInput);
+    const result = {
+      status: 'unchecked',
+      section: null,
+      jurisdiction: jurisdiction.id,
+      edition: this.getEdition(jurisdiction, code),
+      codeLabel: null,
+      source: null,
+    };
+    if (!parseCitation(code)) {
+      return result;
+    }
+    if (this.getCitableCodeTypes(code, projectType).length === 0) {
+      return result;
     }
 
-    const codeType = projectType === 'residential' ? 'residential' : 'building';
-    const codes = this.codeCache[codeType];
+    const index = await this.getCodeIndex(jurisdiction, { allowFetch });
+    if (!index) {
+      return result;
+    }
 
-    if (!codes) return '';
+    const match = await this.findSection(code, jurisdiction, projectType, { allowFetch: false });
+    if (!match) {
+      return { ...result, status: 'unverified' };
+    }
 
-    // Return relevant code excerpt
-    const excerpt = codes.content.substring(0, 500);
-    return `
-**Honolulu ${codes.type} Requirements:**
-${excerpt}...
+    const indexedCode = index.codes[match.codeType];
+    return {
+      ...result,
+      status: match.exact ? 'verified' : 'parent',
+      section: {
+        number: match.section.number,
+        title: match.section.title,
+        codeType: match.codeType,
+        citation: match.citation,
+      },
+      edition: this.getEdition(jurisdiction, code, match.codeType),
+      codeLabel: `${jurisdiction.shortName} ${indexedCode.type}`,
+      source: indexedCode.source,
+    };
+  }
 
-When checking compliance, reference Honolulu Building Code standards.
-`;
+  /**
+   * Adopted edition a citation refers to: the code it names ("NEC 210.8" ->
+   * 'NEC 2020'), else the model code behind the indexed code it matched
+   * @returns {string|null}
+   */
+  getEdition(jurisdiction, code, codeType = null) {
+    const named = jurisdiction.adoptedCodes.find(({ code: name }) =>
+      new RegExp(`\\b${name}\\b`, 'i').test(String(code || ''))
+    );
+    const adopted = named || jurisdiction.adoptedCodes.find(({ code: name }) => name === MODEL_CODES[codeType]);
+    return adopted ? `${adopted.code} ${adopted.edition}` : null;
+  }
+
+  /**
+   * Attach a verification result to each violation's cited code
+   * @param {Array<object>} violations - Violations with a code field
+   * @returns {Promise<Array<object>>} Violations with { verification, unverified }
+   */
+  async verifyViolations(violations, jurisdictionInput, projectType = 'residential', { allowFetch = true } = {}) {
+    return Promise.all((violations || []).map(async (violation) => {
+      try {
+        const verification = await this.verifyCitation(violation.code, jurisdictionInput, projectType, { allowFetch });
+        return { ...violation, verification, unverified: verification.status === 'unverified' };
+      } catch (error) {
+        console.error('Citation check failed:', error);
+        return violation;
+      }
+    }));
   }
 
   /**
    * Get permit requirements based on work type
+   * @param {string} category - Work category
+   * @param {string|object} jurisdictionInput - Id, name or address (defaults to Honolulu)
    */
-  getPermitRequirements(category) {
-    const permits = {
-      electrical: {
-        permit: 'Electrical Permit Required',
-        notes: 'All electrical work requires permit per Honolulu Building Code',
-        inspector: 'City & County of Honolulu Electrical Inspector',
-      },
-      plumbing: {
-        permit: 'Plumbing Permit Required',
-        notes: 'All plumbing alterations require permit per Honolulu Building Code',
-        inspector: 'City & County of Honolulu Plumbing Inspector',
-      },
-      structural: {
-        permit: 'Building Permit Required',
-        notes: 'Structural work requires building permit and engineer approval',
-        inspector: 'City & County of Honolulu Building Inspector',
-      },
-      'fire safety': {
-        permit: 'Fire Safety Permit Required',
-        notes: 'Fire protection systems require Fire Department approval',
-        inspector: 'Honolulu Fire Department',
-      },
-      HVAC: {
-        permit: 'Mechanical Permit Required',
-        notes: 'HVAC installation requires mechanical permit',
-        inspector: 'City & County of Honolulu Mechanical Inspector',
-      },
-    };
+  getPermitRequirements(category, jurisdictionInput) {
+    const jurisdiction = getJurisdiction(jurisdictionInput);
+    const contact = jurisdiction.contacts[category === 'fire safety' ? 'fire' : 'building'];
 
-    return permits[category] || {
+    const permit = jurisdiction.permits[category] || {
       permit: 'Check Permit Requirements',
       notes: 'Verify if permit required for this work type',
-      inspector: 'City & County of Honolulu',
+      inspector: jurisdiction.name,
     };
+
+    return { ...permit, jurisdiction: jurisdiction.id, contact };
   }
 }
 
@@ -0,0 +1,158 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Location from 'expo-location';
+import getSupabaseClient from './supabaseClient';
+import OfflineQueueService, { QUEUE_TYPES, createIdempotencyKey, isPermanentError } from './OfflineQueueService';
+
+/**
+ * CaptureStorageService - Persist CAPTURE photos from Live AI
+ * Copies photos into app document storage and records them in captured_violations
+ */
+
+const CAPTURES_DIR = `${FileSystem.documentDirectory}captures/`;
+
+class CaptureStorageService {
+  constructor() {
+    this._supabase = null; // Lazy load - don't call getSupabaseClient() yet
+
+    OfflineQueueService.registerHandler(
+      QUEUE_TYPES.CAPTURED_VIOLATION,
+      (payload) => this.insertRecord(payload.record)
+    );
+  }
+
+  /**
+   * Get Supabase client (lazy initialization)
+   */
+  get supabase() {
+    if (!this._supabase) {
+      this._supabase = getSupabaseClient();
+    }
+    return this._supabase;
+  }
+
+  /**
+   * Save a captured photo and record it against the inspection session
+   * @param {object} params - { photoUri, sessionId, projectId, violation }
+   * @returns {Promise<object>} Saved captured_violations row (or the queued local record if offline)
+   */
+  async saveCapture({ photoUri, sessionId = null, projectId = null, violation = null }) {
+    const imageUri = await this.copyToAppStorage(photoUri, sessionId);
+    const locationData = await this.getLocationData();
+
+    // Client-generated id doubles as the idempotency key for offline replay
+    const record = {
+      id: createIdempotencyKey(),
+      project_id: projectId,
+      session_id: sessionId,
+      violation_code: violation?.code || null,
+      description: violation?.issue || violation?.description || null,
+      severity: violation?.severity || null,
+      category: violation?.category || null,
+      image_uri: imageUri,
+      location_data: locationData,
+      captured_at: new Date().toISOString(),
+    };
+
+    try {
+      const data = await this.insertRecord(record);
+      console.log('✅ Captured violation saved:', data.id);
+      return { ...data, synced: true };
+    } catch (error) {
+      // Refused by RLS (signed out, or not on the project) or a signed and
+      // locked session: a replay would fail too, so don't queue it
+      if (isPermanentError(error)) {
+        throw error;
+      }
+      // The photo is already safe on disk; queue the row for when we're back online
+      console.error('❌ Failed to save captured violation, queueing:', error);
+      await OfflineQueueService.enqueue(QUEUE_TYPES.CAPTURED_VIOLATION, { record }, record.id);
+      return { ...record, synced: false, queued: true };
+    }
+  }
+
+  /**
+   * Insert a captured_violations row. Upserting on the client id makes
+   * replays of an already-delivered row a no-op.
+   */
+  async insertRecord(record) {
+    const { data, error } = await this.supabase
+      .from('captured_violations')
+      .upsert([record], { onConflict: 'id', ignoreDuplicates: true })
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data || record;
+  }
+
+  /**
+   * Copy a camera photo out of the cache into per-session app storage
+   * @param {string} photoUri - Temporary URI returned by takePictureAsync
+   * @param {string|null} sessionId - Inspection session the photo belongs to
+   * @returns {Promise<string>} Permanent file URI
+   */
+  async copyToAppStorage(photoUri, sessionId) {
+    const dir = `${CAPTURES_DIR}${sessionId || 'unsorted'}/`;
+    const dirInfo = await FileSystem.getInfoAsync(dir);
+    if (!dirInfo.exists) {
+      await FileSystem.makeDirectoryAsync(dir, { intermediates: true });
+    }
+
+    const destination = `${dir}capture_${Date.now()}.jpg`;
+    await FileSystem.copyAsync({ from: photoUri, to: destination });
+    return destination;
+  }
+
+  /**
+   * Get current GPS position if location permission was already granted
+   * @returns {Promise<object|null>} { latitude, longitude, accuracy, timestamp } or null
+   */
+  async getLocationData() {
+    try {
+      const { status } = await Location.getForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        return null;
+      }
+
+      const position =
+        (await Location.getLastKnownPositionAsync()) ||
+        (await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced }));
+      if (!position) {
+        return null;
+      }
+
+      return {
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        timestamp: new Date(position.timestamp).toISOString(),
+      };
+    } catch (error) {
+      console.error('Location lookup failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * List locally stored capture files for a session
+   * @param {string|null} sessionId - Inspection session id
+   * @returns {Promise<string[]>} File URIs
+   */
+  async getSessionCaptures(sessionId) {
+    const dir = `${CAPTURES_DIR}${sessionId || 'unsorted'}/`;
+    try {
+      const dirInfo = await FileSystem.getInfoAsync(dir);
+      if (!dirInfo.exists) return [];
+
+      const files = await FileSystem.readDirectoryAsync(dir);
+      return files.sort().map((name) => `${dir}${name}`);
+    } catch (error) {
+      console.error('Error listing captures:', error);
+      return [];
+    }
+  }
+}
+
+export default new CaptureStorageService();
@@ -0,0 +1,123 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import getSupabaseClient from './supabaseClient';
+import OfflineQueueService, { QUEUE_TYPES } from './OfflineQueueService';
+
+/**
+ * ChecklistService - Persists inspection checklist results per session
+ * Results are kept on the device first and written to
+ * inspection_sessions.checklist; writes made offline are queued and replay
+ * the latest local state, so a burst of taps syncs as one update. Saves
+ * run one at a time, so the last tap is the one stored and synced.
+ */
+
+const STORAGE_KEY = 'vis_inspection_checklists';
+
+class ChecklistService {
+  constructor() {
+    this._supabase = null; // Lazy load - don't call getSupabaseClient() yet
+    // Serializes saves so an earlier one can't finish last and win
+    this.lock = Promise.resolve();
+
+    OfflineQueueService.registerHandler(
+      QUEUE_TYPES.CHECKLIST_UPDATE,
+      (payload) => this.withLock(() => this.pushResults(payload.sessionId))
+    );
+  }
+
+  /**
+   * Get Supabase client (lazy initialization)
+   */
+  get supabase() {
+    if (!this._supabase) {
+      this._supabase = getSupabaseClient();
+    }
+    return this._supabase;
+  }
+
+  async readAll() {
+    try {
+      const json = await AsyncStorage.getItem(STORAGE_KEY);
+      return json ? JSON.parse(json) : {};
+    } catch (error) {
+      console.error('Error reading checklists:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get a session's checklist, from the device or else from the session row
+   * @returns {Promise<object|null>} { inspectionType, results, updatedAt }
+   */
+  async getChecklist(sessionId) {
+    if (!sessionId) return null;
+
+    const local = (await this.readAll())[sessionId];
+    if (local) return local;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('inspection_sessions')
+        .select('inspection_type, checklist')
+        .eq('id', sessionId)
+        .single();
+
+      if (error) {
+        throw error;
+      }
+      return data?.checklist
+        ? { inspectionType: data.inspection_type, ...data.checklist }
+        : null;
+    } catch (error) {
+      console.error('Error getting session checklist:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save a session's checklist results and sync them to the session row
+   * @param {string} sessionId - inspection_sessions id
+   * @param {string} inspectionType - Inspection type the checklist belongs to
+   * @param {object} results - { [itemId]: { status, source, note, updatedAt } }
+   */
+  async saveChecklist(sessionId, inspectionType, results) {
+    if (!sessionId) return;
+
+    await this.withLock(async () => {
+      const all = await this.readAll();
+      all[sessionId] = { inspectionType, results, updatedAt: new Date().toISOString() };
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+
+      try {
+        await this.pushResults(sessionId);
+      } catch (error) {
+        console.error('❌ Failed to sync checklist, queueing:', error);
+        await OfflineQueueService.enqueue(QUEUE_TYPES.CHECKLIST_UPDATE, { sessionId });
+      }
+    });
+  }
+
+  /**
+   * Write the device's copy of a session checklist to inspection_sessions
+   */
+  async pushResults(sessionId) {
+    const checklist = (await this.readAll())[sessionId];
+    if (!checklist) return;
+
+    const { error } = await this.supabase
+      .from('inspection_sessions')
+      .update({ checklist: { results: checklist.results, updatedAt: checklist.updatedAt } })
+      .eq('id', sessionId);
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  withLock(fn) {
+    const run = this.lock.then(fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+}
+
+export default new ChecklistService();
@@ -0,0 +1,235 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import BuildingCodeService from './BuildingCodeService';
+import { getJurisdiction } from './jurisdictions';
+import { parseCitation, parentSectionNumber, formatSectionCitation } from './codeSectionParser';
+
+/**
+ * CodeSearchService - On-device search over the indexed code library
+ * Works offline against the index files BuildingCodeService keeps on disk;
+ * supports section-number and keyword queries, ranked results with
+ * highlighted snippets, and bookmarks.
+ */
+
+const BOOKMARKS_STORAGE_KEY = 'vis_code_bookmarks';
+const DEFAULT_LIMIT = 50;
+const SNIPPET_LENGTH = 160;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// "R314.3", "IRC R314", "§ 16-1.1", "210.8" - anything led by a section number
+const CITATION_QUERY = /^\s*(?:[A-Z]{2,4}\s+)?(?:(?:19|20)\d{2}\s+)?(?:§\s*|SECTION\s+)?[A-Z]{0,2}\d+[A-Z]?(?:[.-]\d+[A-Z]?)*\s*$/i;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a query into lowercase search terms
+ */
+export const tokenize = (query) =>
+  String(query || '')
+    .toLowerCase()
+    .split(/[^a-z0-9.-]+/)
+    .map((term) => term.replace(/^[.-]+|[.-]+$/g, ''))
+    .filter((term) => term.length > 1 && !STOP_WORDS.has(term));
+
+/**
+ * Excerpt around the first matching term, as segments for rendering
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export function buildSnippet(text, terms, length = SNIPPET_LENGTH) {
+  const source = String(text || '').replace(/\s+/g, ' ');
+  if (!source) return [];
+
+  const lower = source.toLowerCase();
+  const first = terms
+    .map((term) => lower.indexOf(term))
+    .filter((index) => index !== -1)
+    .sort((a, b) => a - b)[0] ?? 0;
+
+  const start = Math.max(0, first - Math.floor(length / 3));
+  const end = Math.min(source.length, start + length);
+  const excerpt = `${start > 0 ? '…' : ''}${source.slice(start, end)}${end < source.length ? '…' : ''}`;
+
+  if (!terms.length) return [{ text: excerpt, match: false }];
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return excerpt
+    .split(pattern)
+    .filter(Boolean)
+    .map((part) => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+}
+
+const countOccurrences = (haystack, term) => {
+  let count = 0;
+  let index = haystack.indexOf(term);
+  while (index !== -1 && count < 5) {
+    count++;
+    index = haystack.indexOf(term, index + term.length);
+  }
+  return count;
+};
+
+/**
+ * Rank one code's sections against a query
+ * @param {object} code - Parsed code ({ sections, order })
+ * @param {string} query - Raw query
+ * @returns {Array<{ section, score, snippet }>}
+ */
+export function searchCode(code, query) {
+  if (!code?.sections) return [];
+  const results = [];
+  const seen = new Set();
+
+  // Section numbers: exact match first, then its subsections
+  if (CITATION_QUERY.test(query)) {
+    const number = parseCitation(query);
+    if (number) {
+      code.order.forEach((candidate) => {
+        const section = code.sections[candidate];
+        if (candidate === number) {
+          results.push({ section, score: 1000, snippet: buildSnippet(section.text, []) });
+          seen.add(candidate);
+        } else if (candidate.startsWith(number) && /^[.-]/.test(candidate.slice(number.length))) {
+          const depth = candidate.split(/[.-]/).length;
+          results.push({ section, score: 500 - depth, snippet: buildSnippet(section.text, []) });
+          seen.add(candidate);
+        }
+      });
+
+      // Nothing indexed at that depth: offer the nearest enclosing section
+      if (!results.length) {
+        let parent = parentSectionNumber(number);
+        while (parent && !code.sections[parent]) parent = parentSectionNumber(parent);
+        if (parent) {
+          const section = code.sections[parent];
+          results.push({ section, score: 400, snippet: buildSnippet(section.text, []) });
+          seen.add(parent);
+        }
+      }
+    }
+  }
+
+  const terms = tokenize(query);
+  if (terms.length) {
+    const phrase = terms.join(' ');
+    code.order.forEach((number) => {
+      if (seen.has(number)) return;
+      const section = code.sections[number];
+      const title = section.title.toLowerCase();
+      const text = section.text.toLowerCase();
+
+      // Every term has to appear somewhere in the section
+      let score = 0;
+      for (const term of terms) {
+        const inNumber = number.toLowerCase() === term ? 1 : 0;
+        const inTitle = countOccurrences(title, term);
+        const inText = countOccurrences(text, term);
+        if (!inNumber && !inTitle && !inText) return;
+        score += inNumber * 50 + inTitle * 10 + inText;
+      }
+      if (terms.length > 1 && (title.includes(phrase) || text.includes(phrase))) {
+        score += title.includes(phrase) ? 30 : 15;
+      }
+
+      results.push({ section, score, snippet: buildSnippet(section.text || section.title, terms) });
+    });
+  }
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+class CodeSearchService {
+  /**
+   * Search a jurisdiction's indexed codes
+   * @param {string} query - Keywords or a section number
+   * @param {string|object} jurisdictionInput - Id, name or address (defaults to Honolulu)
+   * @param {object} options - { limit }
+   * @returns {Promise<object>} { results: [{ key, codeType, codeLabel, citation, section, score, snippet }], indexedAt }
+   *   indexedAt is null when no index is available (never downloaded and offline)
+   */
+  async search(query, jurisdictionInput, { limit = DEFAULT_LIMIT } = {}) {
+    const jurisdiction = getJurisdiction(jurisdictionInput);
+    const index = await BuildingCodeService.getCodeIndex(jurisdiction);
+    if (!index) return { results: [], indexedAt: null };
+    if (!String(query || '').trim()) return { results: [], indexedAt: index.builtAt };
+
+    const results = Object.entries(index.codes)
+      .flatMap(([codeType, code]) =>
+        searchCode(code, query).map((result) => ({
+          ...result,
+          key: `${codeType}:${result.section.number}`,
+          codeType,
+          codeLabel: `${jurisdiction.shortName} ${code.type}`,
+          citation: formatSectionCitation(result.section),
+        }))
+      )
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    return { results, indexedAt: index.builtAt };
+  }
+
+  /**
+   * Get a section with its children from the index
+   * @returns {Promise<object|null>} { section, children, codeLabel, citation }
+   */
+  async getSection(jurisdictionInput, codeType, number) {
+    const jurisdiction = getJurisdiction(jurisdictionInput);
+    const index = await BuildingCodeService.getCodeIndex(jurisdiction);
+    const code = index?.codes[codeType];
+    const section = code?.sections[number];
+    if (!section) return null;
+
+    return {
+      section,
+      children: section.children.map((child) => code.sections[child]).filter(Boolean),
+      codeLabel: `${jurisdiction.shortName} ${code.type}`,
+      citation: formatSectionCitation(section),
+    };
+  }
+
+  // ==========================================================================
+  // BOOKMARKS
+  // ==========================================================================
+
+  /**
+   * Get bookmarked sections, newest first
+   * @returns {Promise<Array<object>>} [{ key, jurisdiction, codeType, number, title, citation, savedAt }]
+   */
+  async getBookmarks(jurisdictionId = null) {
+    try {
+      const json = await AsyncStorage.getItem(BOOKMARKS_STORAGE_KEY);
+      const bookmarks = json ? JSON.parse(json) : [];
+      return jurisdictionId ? bookmarks.filter((b) => b.jurisdiction === jurisdictionId) : bookmarks;
+    } catch (error) {
+      console.error('Error getting code bookmarks:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Add or remove a bookmark
+   * @returns {Promise<boolean>} true if the section is now bookmarked
+   */
+  async toggleBookmark(jurisdictionId, codeType, section) {
+    const bookmarks = await this.getBookmarks();
+    const key = `${jurisdictionId}:${codeType}:${section.number}`;
+    const exists = bookmarks.some((b) => b.key === key);
+
+    const updated = exists
+      ? bookmarks.filter((b) => b.key !== key)
+      : [{
+        key,
+        jurisdiction: jurisdictionId,
+        codeType,
+        number: section.number,
+        title: section.title,
+        citation: formatSectionCitation(section),
+        savedAt: new Date().toISOString(),
+      }, ...bookmarks];
+
+    await AsyncStorage.setItem(BOOKMARKS_STORAGE_KEY, JSON.stringify(updated));
+    return !exists;
+  }
+}
+
+export default new CodeSearchService();
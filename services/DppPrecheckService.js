@@ -1,13 +1,20 @@
 import getSupabaseClient from './supabaseClient';
+import BuildingCodeService from './BuildingCodeService';
+import { getJurisdiction } from './jurisdictions';
 
 /**
- * Run Honolulu DPP Pre-Check with actual code citations and page numbers
- * @param {object} params - { jurisdiction, projectType, pkg }
+ * Run the plan pre-check with actual code citations and page numbers
+ * @param {object} params - { jurisdiction, projectType, imageUrl, pageNumber }
+ *   jurisdiction: registry id, name or address; its indexed code sections,
+ *   adopted codes and amendments are sent as the prompt's code context
+ *   pageNumber: 1-based sheet position when checking one page of a plan set
+ *   Each analysis.code_violations entry gets a citation check ({ verification, unverified })
  * @returns {Promise<object>} - { status, violations, notes, code_citations }
  */
-export async function runDppPrecheck({ jurisdiction = 'honolulu', projectType = 'residential', imageUrl }) {
+export async function runDppPrecheck({ jurisdiction: jurisdictionInput, projectType = 'residential', imageUrl, pageNumber }) {
   try {
-    console.log('📋 Running DPP Pre-Check...', { jurisdiction, projectType });
+    const jurisdiction = getJurisdiction(jurisdictionInput);
+    console.log('📋 Running DPP Pre-Check...', { jurisdiction: jurisdiction.id, projectType, pageNumber });
 
     const supabase = getSupabaseClient();
 
@@ -20,6 +27,10 @@ export async function runDppPrecheck({ jurisdiction = 'honolulu', projectType =
       body: {
         imageUrl,
         projectType,
+        jurisdiction: jurisdiction.id,
+        jurisdictionName: jurisdiction.name,
+        codeContext: await BuildingCodeService.getCodeContext(null, projectType, jurisdiction),
+        ...(pageNumber && { pageNumber }),
       },
     });
 
@@ -32,6 +43,15 @@ export async function runDppPrecheck({ jurisdiction = 'honolulu', projectType =
       throw new Error(error.message || 'DPP Pre-Check failed');
     }
 
+    // Flag cited sections that aren't in the local code index
+    if (data?.analysis?.code_violations) {
+      data.analysis.code_violations = await BuildingCodeService.verifyViolations(
+        data.analysis.code_violations,
+        jurisdiction,
+        projectType
+      );
+    }
+
     console.log('✅ DPP Pre-Check Complete:', data);
     return data;
   } catch (error) {
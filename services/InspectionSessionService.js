@@ -0,0 +1,161 @@
+import getSupabaseClient from './supabaseClient';
+
+/**
+ * InspectionSessionService - Lifecycle of Live AI inspection sessions
+ * Backs the inspection_sessions table: start, pause/resume and close
+ */
+
+export const SESSION_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+};
+
+class InspectionSessionService {
+  constructor() {
+    this._supabase = null; // Lazy load - don't call getSupabaseClient() yet
+    this.currentSession = null;
+  }
+
+  /**
+   * Get Supabase client (lazy initialization)
+   */
+  get supabase() {
+    if (!this._supabase) {
+      this._supabase = getSupabaseClient();
+    }
+    return this._supabase;
+  }
+
+  /**
+   * Start a new inspection session
+   * @param {object} params - { projectId, inspectionType, sessionName, previousSessionId }
+   *   (previousSessionId: session this one re-inspects)
+   * @returns {Promise<object>} Created inspection_sessions row
+   */
+  async startSession({ projectId, inspectionType = null, sessionName = null, previousSessionId = null }) {
+    try {
+      console.log('📋 Starting inspection session', { projectId, inspectionType });
+
+      const { data, error } = await this.supabase
+        .from('inspection_sessions')
+        .insert([
+          {
+            project_id: projectId,
+            inspection_type: inspectionType,
+            session_name: sessionName || this.defaultSessionName(inspectionType),
+            status: SESSION_STATUS.ACTIVE,
+            started_at: new Date().toISOString(),
+            previous_session_id: previousSessionId,
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      this.currentSession = data;
+      console.log('✅ Inspection session started:', data.id);
+      return data;
+    } catch (error) {
+      console.error('❌ Failed to start inspection session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a session as paused (scanning stopped, session still open)
+   */
+  async pauseSession(sessionId) {
+    return this.updateStatus(sessionId, { status: SESSION_STATUS.PAUSED });
+  }
+
+  /**
+   * Mark a paused session as active again
+   */
+  async resumeSession(sessionId) {
+    return this.updateStatus(sessionId, { status: SESSION_STATUS.ACTIVE });
+  }
+
+  /**
+   * Close a session and record when it ended
+   */
+  async endSession(sessionId) {
+    const session = await this.updateStatus(sessionId, {
+      status: SESSION_STATUS.COMPLETED,
+      ended_at: new Date().toISOString(),
+    });
+
+    if (this.currentSession?.id === sessionId) {
+      this.currentSession = null;
+    }
+    return session;
+  }
+
+  /**
+   * Get a session by id
+   */
+  async getSession(sessionId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('inspection_sessions')
+        .select('*')
+        .eq('id', sessionId)
+        .single();
+
+      if (error) {
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting inspection session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the session currently open on this device
+   */
+  getCurrentSession() {
+    return this.currentSession;
+  }
+
+  /**
+   * Apply a status change. Failures are logged, not thrown, so a flaky
+   * connection never blocks the inspector from pausing or leaving.
+   */
+  async updateStatus(sessionId, changes) {
+    if (!sessionId) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('inspection_sessions')
+        .update(changes)
+        .eq('id', sessionId)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      if (this.currentSession?.id === sessionId) {
+        this.currentSession = data;
+      }
+      console.log(`✅ Inspection session ${sessionId} → ${changes.status}`);
+      return data;
+    } catch (error) {
+      console.error(`❌ Failed to set session ${sessionId} to ${changes.status}:`, error);
+      return null;
+    }
+  }
+
+  defaultSessionName(inspectionType) {
+    const label = inspectionType ? inspectionType.replace(/_/g, ' ') : 'inspection';
+    return `${label} - ${new Date().toLocaleDateString()}`;
+  }
+}
+
+export default new InspectionSessionService();
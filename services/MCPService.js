@@ -1,4 +1,5 @@
 import getSupabaseClient from './supabaseClient';
+import OfflineQueueService, { QUEUE_TYPES, createIdempotencyKey } from './OfflineQueueService';
 
 /**
  * MCPService - Model Context Protocol integration with Supabase backend
@@ -9,6 +10,11 @@ class MCPService {
   constructor() {
     this._supabase = null; // Lazy load - don't call getSupabaseClient() yet
     this.userId = null;
+
+    OfflineQueueService.registerHandler(
+      QUEUE_TYPES.CREATE_PROJECT,
+      (payload) => this.insertProject(payload.row)
+    );
   }
 
   /**
@@ -33,34 +39,60 @@ class MCPService {
    * Create a new project
    */
   async createProject({ projectName, address, projectType = 'inspection', location = null }) {
+    // Client-generated id doubles as the idempotency key for offline replay
+    const row = {
+      id: createIdempotencyKey(),
+      project_name: projectName,
+      address,
+      project_type: projectType,
+      location: location ? `POINT(${location.longitude} ${location.latitude})` : null,
+      user_id: this.userId,
+    };
+
     try {
       console.log('📞 Calling MCP tool: create_project', { projectName, address, projectType, location });
 
-      const { data, error } = await this.supabase
-        .from('projects')
-        .insert([
-          {
-            project_name: projectName,
-            address,
-            project_type: projectType,
-            location: location ? `POINT(${location.longitude} ${location.latitude})` : null,
-            user_id: this.userId,
-          },
-        ])
-        .select()
-        .single();
-
-      if (error) {
-        console.error('❌ MCP tool create_project error:', error);
-        throw error;
-      }
+      const data = await this.insertProject(row);
 
       console.log('✅ MCP tool create_project succeeded', data);
       return data;
     } catch (error) {
       console.error('❌ MCP tool create_project failed:', error);
+
+      if (!(await OfflineQueueService.isOnline())) {
+        return this.queueProject(row);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a project row for creation once connectivity returns
+   * @param {object} row - projects row including a client-generated id
+   * @returns {Promise<object>} The row, flagged as pending
+   */
+  async queueProject(row) {
+    await OfflineQueueService.enqueue(QUEUE_TYPES.CREATE_PROJECT, { row }, row.id);
+    console.log('📥 Project queued for creation when back online:', row.id);
+    return { ...row, pending: true };
+  }
+
+  /**
+   * Insert a projects row. Upserting on the client id makes replays
+   * of an already-created project a no-op.
+   */
+  async insertProject(row) {
+    const { data, error } = await this.supabase
+      .from('projects')
+      .upsert([row], { onConflict: 'id', ignoreDuplicates: true })
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ MCP tool create_project error:', error);
       throw error;
     }
+    return data || row;
   }
 
   /**
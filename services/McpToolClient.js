@@ -0,0 +1,316 @@
+import { MCP_URL, SUPABASE_ANON_KEY, isConfigValid } from '../config/env';
+import { createIdempotencyKey } from './OfflineQueueService';
+import { getToolDefinition } from './mcpTools';
+
+/**
+ * McpToolClient - Single entry point for calling MCP server tools
+ * Handles auth headers, timeouts, retry with exponential backoff, 429
+ * Retry-After, content parsing and validation of tool arguments against
+ * the inputSchema definitions in mcpTools.js.
+ */
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: 30000,
+  maxRetries: 3,
+  baseDelay: 1000,
+  maxDelay: 5000,
+  // A Retry-After longer than this fails fast instead of stalling the caller
+  maxRetryAfterMs: 10000,
+};
+
+/**
+ * Error thrown for any failed tool call
+ * code is one of: INVALID_ARGUMENTS, UNKNOWN_TOOL, NOT_CONFIGURED, AUTH_FAILED,
+ * RATE_LIMIT, TIMEOUT, NETWORK, SERVER_ERROR, REQUEST_FAILED, INVALID_RESPONSE
+ */
+export class McpToolError extends Error {
+  constructor(message, { code, status = null, tool = null, retryable = false, retryAfterMs = null, details = null } = {}) {
+    super(message);
+    this.name = 'McpToolError';
+    this.code = code;
+    this.status = status;
+    this.tool = tool;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.details = details;
+  }
+}
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && !Number.isNaN(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+};
+
+/**
+ * Validate a value against the JSON Schema subset used by the tool catalog
+ * (type, properties, required, enum). Extra properties are allowed, as on
+ * the server.
+ * @returns {Array<string>} Problems found; empty when valid
+ */
+export function validateAgainstSchema(value, schema, path = 'arguments') {
+  if (!schema) return [];
+
+  const problems = [];
+  const typeCheck = schema.type && TYPE_CHECKS[schema.type];
+  if (typeCheck && !typeCheck(value)) {
+    return [`${path} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined || value[key] === null) {
+        problems.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        problems.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Extract the tool result from a /call-tool response body.
+ * Tools return their result as JSON text in content[0].text; plain text is
+ * returned as-is.
+ */
+export function parseToolContent(data, tool = null) {
+  const text = data?.content?.[0]?.text;
+  if (typeof text !== 'string') {
+    throw new McpToolError('Invalid MCP response format (missing content).', {
+      code: 'INVALID_RESPONSE',
+      tool,
+    });
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(header, body = null) {
+  if (header) {
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  if (typeof body?.retryAfter === 'number') return body.retryAfter * 1000;
+  return null;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class McpToolClient {
+  constructor({ baseUrl = MCP_URL, apiKey = SUPABASE_ANON_KEY, ...options } = {}) {
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.isConfigured = baseUrl === MCP_URL ? isConfigValid().mcp : !!baseUrl;
+
+    if (!this.isConfigured) {
+      console.error('[McpToolClient] Invalid MCP_URL configuration:', baseUrl);
+    }
+  }
+
+  getHeaders(extra = {}) {
+    return {
+      'Content-Type': 'application/json',
+      'apikey': this.apiKey,
+      'Authorization': `Bearer ${this.apiKey}`,
+      ...extra,
+    };
+  }
+
+  /**
+   * Check a tool call's arguments against the catalog
+   * @throws {McpToolError} UNKNOWN_TOOL or INVALID_ARGUMENTS
+   */
+  validateArguments(name, args) {
+    const tool = getToolDefinition(name);
+    if (!tool) {
+      throw new McpToolError(`Unknown MCP tool: ${name}`, { code: 'UNKNOWN_TOOL', tool: name });
+    }
+
+    const problems = validateAgainstSchema(args, tool.inputSchema);
+    if (problems.length > 0) {
+      throw new McpToolError(`Invalid arguments for ${name}: ${problems.join('; ')}`, {
+        code: 'INVALID_ARGUMENTS',
+        tool: name,
+        details: problems,
+      });
+    }
+  }
+
+  /**
+   * Call an MCP tool and return its parsed result
+   * @param {string} name - Tool name from MCP_TOOL_NAMES
+   * @param {object} args - Tool arguments, validated against inputSchema
+   * @param {object} options - { timeoutMs, maxRetries, maxRetryAfterMs, idempotencyKey, signal }
+   * @returns {Promise<object|string>} Parsed content[0].text
+   */
+  async callTool(name, args = {}, options = {}) {
+    const { signal, idempotencyKey = createIdempotencyKey(), ...overrides } = options;
+    const settings = { ...this.options, ...overrides };
+
+    if (!this.isConfigured) {
+      throw new McpToolError('MCP service URL not configured. Please set EXPO_PUBLIC_MCP_URL.', {
+        code: 'NOT_CONFIGURED',
+        tool: name,
+      });
+    }
+
+    this.validateArguments(name, args);
+
+    // One key for every attempt so the server can drop duplicate retries
+    const headers = this.getHeaders({ 'Idempotency-Key': idempotencyKey });
+    const body = JSON.stringify({ name, arguments: args });
+
+    let lastError;
+    for (let attempt = 0; attempt <= settings.maxRetries; attempt++) {
+      try {
+        const data = await this.post('/call-tool', headers, body, settings.timeoutMs, signal, name);
+        return parseToolContent(data, name);
+      } catch (error) {
+        lastError = error;
+        if (!error.retryable || attempt === settings.maxRetries || signal?.aborted) {
+          break;
+        }
+
+        let delay = Math.min(settings.baseDelay * Math.pow(2, attempt), settings.maxDelay);
+        if (error.code === 'RATE_LIMIT' && error.retryAfterMs !== null) {
+          if (error.retryAfterMs > settings.maxRetryAfterMs) break;
+          delay = error.retryAfterMs;
+        }
+
+        console.log(`⚠️ MCP ${name} attempt ${attempt + 1} failed (${error.code}), retrying in ${delay}ms...`);
+        await sleep(delay);
+      }
+    }
+
+    throw lastError;
+  }
+
+  async post(path, headers, body, timeoutMs, externalSignal, tool) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    const abortFromCaller = () => controller.abort();
+    externalSignal?.addEventListener?.('abort', abortFromCaller);
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method: 'POST',
+        headers,
+        body,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        if (externalSignal?.aborted) throw error;
+        throw new McpToolError('Request timed out. Please check your connection and try again.', {
+          code: 'TIMEOUT',
+          tool,
+          retryable: true,
+        });
+      }
+      throw new McpToolError('Network connection failed. Please check your internet connection.', {
+        code: 'NETWORK',
+        tool,
+        retryable: true,
+        details: error.message,
+      });
+    } finally {
+      clearTimeout(timeoutId);
+      externalSignal?.removeEventListener?.('abort', abortFromCaller);
+    }
+
+    if (response.ok) {
+      try {
+        return await response.json();
+      } catch {
+        throw new McpToolError('Invalid MCP response payload.', { code: 'INVALID_RESPONSE', tool });
+      }
+    }
+
+    const text = await response.text().catch(() => '');
+    let errorBody = null;
+    try {
+      errorBody = text ? JSON.parse(text) : null;
+    } catch {
+      errorBody = null;
+    }
+    const serverMessage = errorBody?.error || errorBody?.message || text;
+    console.error(`❌ MCP ${tool} failed (${response.status}):`, serverMessage);
+
+    if (response.status === 401 || response.status === 403) {
+      throw new McpToolError('Authentication failed. Please check your credentials.', {
+        code: 'AUTH_FAILED',
+        status: response.status,
+        tool,
+      });
+    }
+    if (response.status === 429) {
+      throw new McpToolError('Too many requests. Please wait a moment and try again.', {
+        code: 'RATE_LIMIT',
+        status: 429,
+        tool,
+        retryable: true,
+        retryAfterMs: parseRetryAfter(response.headers.get('Retry-After'), errorBody),
+      });
+    }
+    if (response.status >= 500) {
+      throw new McpToolError('AI service is temporarily unavailable. Please try again.', {
+        code: 'SERVER_ERROR',
+        status: response.status,
+        tool,
+        retryable: true,
+        details: serverMessage,
+      });
+    }
+    throw new McpToolError(`Service error (${response.status}): ${serverMessage || 'Unknown error'}`, {
+      code: 'REQUEST_FAILED',
+      status: response.status,
+      tool,
+    });
+  }
+
+  /**
+   * Hit the /health endpoint
+   * @returns {Promise<number>} HTTP status, or 0 when unreachable
+   */
+  async health() {
+    if (!this.isConfigured) {
+      console.warn('[McpToolClient] Cannot check health - invalid MCP_URL:', this.baseUrl);
+      return 0;
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/health`, { headers: this.getHeaders() });
+      return response.status;
+    } catch (error) {
+      console.error('[McpToolClient] Health check failed:', error.message);
+      return 0;
+    }
+  }
+}
+
+export { McpToolClient };
+export default new McpToolClient();
@@ -0,0 +1,335 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { AppState } from 'react-native';
+
+/**
+ * OfflineQueueService - Persistent outbox for work done without signal
+ * Queued operations are replayed in order once connectivity returns.
+ * Each entry carries an idempotency key so a replay that already reached
+ * the server (but whose response was lost) is not applied twice.
+ */
+
+const QUEUE_STORAGE_KEY = 'vis_offline_queue';
+const FAILED_STORAGE_KEY = 'vis_offline_queue_failed';
+
+// Entries that keep failing are moved aside so they cannot block the queue
+const MAX_ATTEMPTS = 5;
+
+// Frames are only useful while recent; cap how many we hold on to
+const MAX_QUEUED_FRAMES = 20;
+
+export const QUEUE_TYPES = {
+  FRAME_ANALYSIS: 'frame_analysis',
+  CAPTURED_VIOLATION: 'captured_violation',
+  CREATE_PROJECT: 'create_project',
+  CHECKLIST_UPDATE: 'checklist_update',
+  SAVE_VIOLATION: 'save_violation',
+  REINSPECTION_RESULT: 'reinspection_result',
+};
+
+// Postgres errors no replay can fix: RLS refused the write
+// (insufficient_privilege), or the session is signed and locked
+// (object_not_in_prerequisite_state)
+export const PERMISSION_DENIED = '42501';
+export const RECORD_LOCKED = '55000';
+
+/**
+ * Whether a failed write should be reported instead of queued
+ */
+export const isPermanentError = (error) =>
+  error?.code === PERMISSION_DENIED || error?.code === RECORD_LOCKED;
+
+/**
+ * Generate an RFC 4122 v4 UUID for idempotency keys and client-side row ids
+ * @returns {string} UUID
+ */
+export const createIdempotencyKey = () =>
+  'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0;
+    const v = c === 'x' ? r : (r & 0x3) | 0x8;
+    return v.toString(16);
+  });
+
+class OfflineQueueService {
+  constructor() {
+    this.handlers = {};
+    this.failureHandlers = {};
+    this.listeners = new Set();
+    this.isOnlineState = true;
+    this.isSyncing = false;
+    this.pendingCount = 0;
+    this.unsubscribeNetInfo = null;
+    this.appStateSubscription = null;
+
+    // Serializes storage mutations so concurrent enqueues don't clobber each other
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * Start listening for connectivity changes and flush when back online
+   */
+  async start() {
+    if (this.unsubscribeNetInfo) return;
+
+    this.unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+      const wasOnline = this.isOnlineState;
+      this.isOnlineState = this.isReachable(state);
+      if (!wasOnline && this.isOnlineState) {
+        console.log('📶 Connectivity restored, syncing offline queue...');
+        this.sync();
+      }
+    });
+
+    this.appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        this.sync();
+      }
+    });
+
+    const queue = await this.getQueue();
+    this.setPendingCount(queue.length);
+    this.sync();
+  }
+
+  /**
+   * Stop listening for connectivity changes
+   */
+  stop() {
+    this.unsubscribeNetInfo?.();
+    this.unsubscribeNetInfo = null;
+    this.appStateSubscription?.remove();
+    this.appStateSubscription = null;
+  }
+
+  /**
+   * Register the function that replays one queued operation type
+   * @param {string} type - One of QUEUE_TYPES
+   * @param {function} handler - async (payload, idempotencyKey) => void; throw to retry later
+   * @param {object} options - { onFailed: async (payload) => void } cleans up
+   *   after an entry is given up on and moved to the failed list
+   */
+  registerHandler(type, handler, { onFailed = null } = {}) {
+    this.handlers[type] = handler;
+    this.failureHandlers[type] = onFailed;
+  }
+
+  /**
+   * Check whether the device currently has a usable connection
+   * @returns {Promise<boolean>}
+   */
+  async isOnline() {
+    try {
+      const state = await NetInfo.fetch();
+      this.isOnlineState = this.isReachable(state);
+    } catch (error) {
+      console.error('Connectivity check failed:', error);
+    }
+    return this.isOnlineState;
+  }
+
+  isReachable(state) {
+    return !!state?.isConnected && state?.isInternetReachable !== false;
+  }
+
+  /**
+   * Add an operation to the outbox
+   * @param {string} type - One of QUEUE_TYPES
+   * @param {object} payload - JSON-serializable data for the handler
+   * @param {string} idempotencyKey - Optional key; generated if omitted
+   * @returns {Promise<object>} Queued entry
+   */
+  async enqueue(type, payload, idempotencyKey = createIdempotencyKey()) {
+    const entry = {
+      id: idempotencyKey,
+      type,
+      payload,
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+    };
+
+    await this.withLock(async () => {
+      let queue = await this.getQueue();
+      if (queue.some((e) => e.id === entry.id)) return;
+
+      queue.push(entry);
+
+      if (type === QUEUE_TYPES.FRAME_ANALYSIS) {
+        const frames = queue.filter((e) => e.type === QUEUE_TYPES.FRAME_ANALYSIS);
+        const excess = frames.length - MAX_QUEUED_FRAMES;
+        if (excess > 0) {
+          const dropped = new Set(frames.slice(0, excess).map((e) => e.id));
+          queue = queue.filter((e) => !dropped.has(e.id));
+        }
+      }
+
+      await this.saveQueue(queue);
+    });
+
+    console.log(`📥 Queued ${type} for sync (${this.pendingCount} pending)`);
+    return entry;
+  }
+
+  /**
+   * Replay queued operations in order. Stops at the first failure so later
+   * operations never overtake the ones they depend on.
+   * @returns {Promise<object>} { synced, remaining }
+   */
+  async sync() {
+    if (this.isSyncing) return { synced: 0, remaining: this.pendingCount };
+    if (!(await this.isOnline())) return { synced: 0, remaining: this.pendingCount };
+
+    this.isSyncing = true;
+    let synced = 0;
+
+    try {
+      while (true) {
+        const queue = await this.getQueue();
+        const entry = queue[0];
+        if (!entry) break;
+
+        const handler = this.handlers[entry.type];
+        if (!handler) {
+          // Owning service not loaded yet - try again on the next sync
+          console.log(`⏳ No handler registered for ${entry.type} yet`);
+          break;
+        }
+
+        try {
+          await handler(entry.payload, entry.id);
+          await this.withLock(async () => {
+            const current = await this.getQueue();
+            await this.saveQueue(current.filter((e) => e.id !== entry.id));
+          });
+          synced++;
+        } catch (error) {
+          console.error(`❌ Replay of ${entry.type} failed:`, error);
+          await this.recordFailure(entry, error);
+          break;
+        }
+      }
+    } finally {
+      this.isSyncing = false;
+    }
+
+    if (synced > 0) {
+      console.log(`✅ Synced ${synced} queued operation${synced > 1 ? 's' : ''}`);
+    }
+    return { synced, remaining: this.pendingCount };
+  }
+
+  /**
+   * Rewrite the payloads of queued entries of one type (e.g. after sign-up
+   * changes the owner of work queued as a guest)
+   * @param {string} type - One of QUEUE_TYPES
+   * @param {function} updater - (payload) => new payload
+   */
+  async updateEntries(type, updater) {
+    await this.withLock(async () => {
+      const queue = await this.getQueue();
+      await this.saveQueue(
+        queue.map((entry) =>
+          entry.type === type ? { ...entry, payload: updater(entry.payload) } : entry
+        )
+      );
+    });
+  }
+
+  async recordFailure(entry, error) {
+    const gaveUp = await this.withLock(async () => {
+      const queue = await this.getQueue();
+      const index = queue.findIndex((e) => e.id === entry.id);
+      if (index === -1) return false;
+
+      const updated = {
+        ...queue[index],
+        attempts: queue[index].attempts + 1,
+        lastError: error?.message || String(error),
+      };
+
+      // Retrying a refused or locked write can't succeed
+      const moveToFailed = updated.attempts >= MAX_ATTEMPTS || isPermanentError(error);
+      if (moveToFailed) {
+        queue.splice(index, 1);
+        const failed = await this.getFailed();
+        failed.push({ ...updated, failedAt: new Date().toISOString() });
+        await AsyncStorage.setItem(FAILED_STORAGE_KEY, JSON.stringify(failed));
+      } else {
+        queue[index] = updated;
+      }
+
+      await this.saveQueue(queue);
+      return moveToFailed;
+    });
+
+    if (gaveUp && this.failureHandlers[entry.type]) {
+      try {
+        await this.failureHandlers[entry.type](entry.payload);
+      } catch (cleanupError) {
+        console.error(`❌ Cleanup after failed ${entry.type} failed:`, cleanupError);
+      }
+    }
+  }
+
+  /**
+   * Get all pending entries in replay order
+   */
+  async getQueue() {
+    try {
+      const queueJson = await AsyncStorage.getItem(QUEUE_STORAGE_KEY);
+      return queueJson ? JSON.parse(queueJson) : [];
+    } catch (error) {
+      console.error('Error reading offline queue:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get entries that exhausted their retries
+   */
+  async getFailed() {
+    try {
+      const failedJson = await AsyncStorage.getItem(FAILED_STORAGE_KEY);
+      return failedJson ? JSON.parse(failedJson) : [];
+    } catch (error) {
+      console.error('Error reading failed queue:', error);
+      return [];
+    }
+  }
+
+  async saveQueue(queue) {
+    await AsyncStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+    this.setPendingCount(queue.length);
+  }
+
+  /**
+   * Number of operations waiting to sync
+   */
+  getPendingCount() {
+    return this.pendingCount;
+  }
+
+  /**
+   * Subscribe to pending-count changes
+   * @param {function} listener - (count) => void
+   * @returns {function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.pendingCount);
+    return () => this.listeners.delete(listener);
+  }
+
+  setPendingCount(count) {
+    this.pendingCount = count;
+    this.listeners.forEach((listener) => listener(count));
+  }
+
+  withLock(fn) {
+    const run = this.lock.then(fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+}
+
+export default new OfflineQueueService();
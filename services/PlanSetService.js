@@ -0,0 +1,186 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import * as ImageManipulator from 'expo-image-manipulator';
+import PdfThumbnail from 'react-native-pdf-thumbnail';
+import PlanStorageService from './PlanStorageService';
+import { runDppPrecheck } from './DppPrecheckService';
+
+/**
+ * PlanSetService - Review multi-sheet PDF plan sets in Foresight
+ * Rasterizes each PDF page, runs the DPP pre-check per sheet and rolls the
+ * sheet results up into one plan-set review saved via PlanStorageService.
+ */
+
+const PLANS_DIR = `${FileSystem.documentDirectory}plans/`;
+
+// Each sheet is a full GPT-4o review; cap the set so one upload can't run for an hour
+const MAX_SHEETS = 60;
+
+// Rasterization quality (0-100) and the width sent for analysis
+const RASTER_QUALITY = 90;
+const ANALYSIS_WIDTH = 2000;
+
+class PlanSetService {
+  /**
+   * Rasterize every page of a PDF into images kept with the plan set
+   * @param {string} pdfUri - Local PDF URI
+   * @param {string} planId - Plan set id (used for the storage folder)
+   * @returns {Promise<Array<object>>} [{ pageNumber, imageUri, width, height }]
+   */
+  async rasterizePdf(pdfUri, planId) {
+    const pages = await PdfThumbnail.generateAllPages(pdfUri, RASTER_QUALITY);
+    if (!pages?.length) {
+      throw new Error('No pages found in this PDF.');
+    }
+    if (pages.length > MAX_SHEETS) {
+      throw new Error(`This plan set has ${pages.length} sheets. Upload ${MAX_SHEETS} sheets or fewer at a time.`);
+    }
+
+    // Thumbnails land in the cache directory; move them next to the plan
+    const dir = `${PLANS_DIR}${planId}/`;
+    await FileSystem.makeDirectoryAsync(dir, { intermediates: true });
+
+    return Promise.all(pages.map(async (page, index) => {
+      const imageUri = `${dir}page_${index + 1}.jpg`;
+      await FileSystem.moveAsync({ from: page.uri, to: imageUri });
+      return { pageNumber: index + 1, imageUri, width: page.width, height: page.height };
+    }));
+  }
+
+  /**
+   * Run the DPP pre-check on one sheet image
+   * @returns {Promise<object>} { analysis, dppRequirements }
+   */
+  async checkSheet(imageUri, { jurisdiction, projectType, pageNumber }) {
+    const manipulated = await ImageManipulator.manipulateAsync(
+      imageUri,
+      [{ resize: { width: ANALYSIS_WIDTH } }],
+      { compress: 0.8, format: ImageManipulator.SaveFormat.JPEG, base64: true }
+    );
+
+    const dppResult = await runDppPrecheck({
+      jurisdiction,
+      projectType,
+      imageUrl: `data:image/jpeg;base64,${manipulated.base64}`,
+      pageNumber,
+    });
+
+    return { analysis: dppResult.analysis, dppRequirements: dppResult.dpp_requirements };
+  }
+
+  /**
+   * Rasterize, check and store a PDF plan set
+   * @param {object} params - { pdfUri, fileName, jurisdiction, projectType, projectId, planSetId, onProgress, isCancelled }
+   *   projectId attaches the plan set to a project so it syncs;
+   *   planSetId saves the review as the next revision of an existing plan set;
+   *   onProgress({ current, total }) is called before each sheet is checked;
+   *   isCancelled() is polled between sheets
+   * @returns {Promise<object>} Saved plan
+   */
+  async reviewPdf({ pdfUri, fileName, jurisdiction, projectType, projectId, planSetId, onProgress, isCancelled }) {
+    const planId = Date.now().toString();
+    const pages = await this.rasterizePdf(pdfUri, planId);
+
+    const sheets = [];
+    let dppRequirements = null;
+
+    for (const page of pages) {
+      if (isCancelled?.()) break;
+      onProgress?.({ current: page.pageNumber, total: pages.length });
+
+      const sheet = { ...page, sheetNumber: null, sheetTitle: null, analysis: null, error: null };
+      try {
+        const result = await this.checkSheet(page.imageUri, {
+          jurisdiction: jurisdiction.toLowerCase(),
+          projectType: projectType.toLowerCase(),
+          pageNumber: page.pageNumber,
+        });
+        sheet.analysis = result.analysis;
+        sheet.sheetNumber = this.normalizeSheetNumber(result.analysis?.sheet_number);
+        sheet.sheetTitle = result.analysis?.sheet_title || null;
+        dppRequirements = dppRequirements || result.dppRequirements;
+      } catch (error) {
+        // One unreadable sheet shouldn't sink the whole set
+        console.error(`❌ Sheet ${page.pageNumber} pre-check failed:`, error);
+        sheet.error = error.message || 'Pre-check failed';
+      }
+      sheets.push(sheet);
+    }
+
+    if (sheets.length === 0) {
+      throw new Error('Plan set review was cancelled.');
+    }
+
+    const indexedSheets = this.buildSheetIndex(sheets);
+
+    return PlanStorageService.savePlan({
+      id: planId,
+      type: 'multi_sheet',
+      fileName,
+      projectId,
+      imageUri: indexedSheets[0].imageUri,
+      jurisdiction,
+      projectType,
+      sheetCount: pages.length,
+      sheets: indexedSheets,
+      analysis: this.rollUp(indexedSheets, pages.length),
+      dppRequirements,
+    }, { planSetId });
+  }
+
+  /**
+   * Clean up a title-block sheet number ("a-1.0 " -> "A-1.0")
+   */
+  normalizeSheetNumber(value) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim().toUpperCase();
+    return trimmed && trimmed !== 'NULL' ? trimmed : null;
+  }
+
+  /**
+   * Give every sheet a unique label for the index: the title-block number
+   * when found, otherwise its page position
+   */
+  buildSheetIndex(sheets) {
+    const seen = {};
+    return sheets.map((sheet) => {
+      let label = sheet.sheetNumber || `P${sheet.pageNumber}`;
+      if (seen[label]) {
+        label = `${label} (p${sheet.pageNumber})`;
+      }
+      seen[label] = true;
+      return { ...sheet, label };
+    });
+  }
+
+  /**
+   * Combine per-sheet pre-checks into one plan-set review. Violations keep
+   * the sheet they were found on.
+   */
+  rollUp(sheets, totalSheets) {
+    const analyzed = sheets.filter((sheet) => sheet.analysis && !sheet.error);
+    const unique = (items) => [...new Set(items.filter(Boolean))];
+
+    const codeViolations = analyzed.flatMap((sheet) =>
+      (sheet.analysis.code_violations || []).map((violation) => ({
+        ...violation,
+        sheet: sheet.label,
+        pageNumber: sheet.pageNumber,
+      }))
+    );
+
+    return {
+      compliant: analyzed.length === totalSheets && analyzed.every((sheet) => sheet.analysis.compliant === true),
+      code_violations: codeViolations,
+      missing_items: unique(analyzed.flatMap((sheet) => sheet.analysis.missing_items || [])),
+      required_stamps: unique(analyzed.flatMap((sheet) => sheet.analysis.required_stamps || [])),
+      estimated_review_time: analyzed.find((sheet) => sheet.analysis.estimated_review_time)?.analysis.estimated_review_time || null,
+      additional_notes: unique(analyzed.map((sheet) => sheet.analysis.additional_notes)).join('\n'),
+      sheets_analyzed: analyzed.length,
+      sheets_failed: sheets.filter((sheet) => sheet.error).map((sheet) => sheet.label),
+      sheets_skipped: totalSheets - sheets.length,
+      summary: `${codeViolations.length} issue${codeViolations.length === 1 ? '' : 's'} across ${analyzed.length} of ${totalSheets} sheets`,
+    };
+  }
+}
+
+export default new PlanSetService();
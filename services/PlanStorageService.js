@@ -2,26 +2,108 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 
 /**
  * PlanStorageService - Store and retrieve building plans and their analysis
+ * Plans are grouped into plan sets; each save into an existing set becomes
+ * its next revision so resubmittals can be compared against each other.
  */
 
 const PLANS_STORAGE_KEY = 'vis_building_plans';
 const CURRENT_PLAN_KEY = 'vis_current_plan';
 
+// Synced plans deleted locally, waiting to be deleted on the server
+const DELETIONS_STORAGE_KEY = 'vis_building_plans_deletions';
+
+const normalizeText = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Violations match across revisions by code citation and sheet; descriptions
+// are reworded by the model on every run so they can't be part of the key
+const violationKey = (violation) =>
+  `${normalizeText(violation.code || 'general')}|${normalizeText(violation.sheet)}`;
+
+/**
+ * Compare two pre-check analyses
+ * @param {object} before - Analysis of revision N
+ * @param {object} after - Analysis of revision N+1
+ * @returns {object} { violations: { resolved, introduced, unchanged }, missingItems: { ... } }
+ */
+export function diffPlanAnalyses(before = {}, after = {}) {
+  const beforeViolations = before?.code_violations || before?.violations || [];
+  const afterViolations = after?.code_violations || after?.violations || [];
+
+  // Pair matches one-to-one so two citations of the same code on a sheet
+  // only count as unchanged if both are still there
+  const remaining = {};
+  beforeViolations.forEach((violation) => {
+    const key = violationKey(violation);
+    (remaining[key] = remaining[key] || []).push(violation);
+  });
+
+  const unchanged = [];
+  const introduced = [];
+  afterViolations.forEach((violation) => {
+    const matches = remaining[violationKey(violation)];
+    if (matches?.length) {
+      unchanged.push({ before: matches.shift(), after: violation });
+    } else {
+      introduced.push(violation);
+    }
+  });
+  const resolved = Object.values(remaining).flat();
+
+  const beforeItems = before?.missing_items || [];
+  const afterItems = after?.missing_items || [];
+  const beforeSet = new Set(beforeItems.map(normalizeText));
+  const afterSet = new Set(afterItems.map(normalizeText));
+
+  return {
+    violations: { resolved, introduced, unchanged },
+    missingItems: {
+      resolved: beforeItems.filter((item) => !afterSet.has(normalizeText(item))),
+      introduced: afterItems.filter((item) => !beforeSet.has(normalizeText(item))),
+      unchanged: afterItems.filter((item) => beforeSet.has(normalizeText(item))),
+    },
+  };
+}
+
 class PlanStorageService {
+  constructor() {
+    // Serializes writes: PlanSyncService writes while the user saves and deletes
+    this.lock = Promise.resolve();
+  }
+
   /**
    * Save a scanned/uploaded plan with its analysis
+   * @param {object} plan - Plan data (imageUri, analysis, projectId, ...)
+   *   Plans with a projectId are synced to building_plans by PlanSyncService
+   * @param {object} options - { planSetId, planSetName }
+   *   planSetId: add the plan as the next revision of this set; a new set is
+   *   started when omitted
+   * @returns {Promise<object>} Saved plan with planSetId and revision
    */
-  async savePlan(plan) {
+  async savePlan(plan, { planSetId = null, planSetName = null } = {}) {
+    return this.withLock(() => this.insertPlan(plan, { planSetId, planSetName }));
+  }
+
+  async insertPlan(plan, { planSetId, planSetName }) {
     try {
       const plans = await this.getAllPlans();
+      const id = plan.id || Date.now().toString();
+      const setId = planSetId || id;
+      const siblings = plans.filter(p => p.planSetId === setId);
+
       const newPlan = {
-        id: Date.now().toString(),
+        id,
         timestamp: new Date().toISOString(),
         ...plan,
+        planSetId: setId,
+        planSetName: planSetName || siblings[0]?.planSetName || plan.fileName || `Plan ${new Date().toLocaleDateString()}`,
+        revision: siblings.length ? Math.max(...siblings.map(p => p.revision)) + 1 : 1,
+        projectId: plan.projectId || siblings[0]?.projectId || null,
+        updatedAt: new Date().toISOString(),
+        dirty: true,
       };
 
       plans.push(newPlan);
-      await AsyncStorage.setItem(PLANS_STORAGE_KEY, JSON.stringify(plans));
+      await this.writePlans(plans);
       await this.setCurrentPlan(newPlan.id);
 
       return newPlan;
@@ -37,13 +119,93 @@ class PlanStorageService {
   async getAllPlans() {
     try {
       const plansJson = await AsyncStorage.getItem(PLANS_STORAGE_KEY);
-      return plansJson ? JSON.parse(plansJson) : [];
+      const plans = plansJson ? JSON.parse(plansJson) : [];
+
+      // Plans saved before revisions existed are revision 1 of their own set
+      return plans.map(p => ({
+        ...p,
+        planSetId: p.planSetId || p.id,
+        revision: p.revision || 1,
+      }));
     } catch (error) {
       console.error('Error getting plans:', error);
       return [];
     }
   }
 
+  async writePlans(plans) {
+    await AsyncStorage.setItem(PLANS_STORAGE_KEY, JSON.stringify(plans));
+  }
+
+  /**
+   * Apply sync results without marking the plans dirty again
+   * @param {Array<object>} changes - Plans to insert or merge, matched by id
+   */
+  async upsertPlans(changes) {
+    await this.withLock(async () => {
+      const plans = await this.getAllPlans();
+      changes.forEach(change => {
+        const index = plans.findIndex(p => p.id === change.id);
+        if (index === -1) {
+          plans.push(change);
+        } else {
+          plans[index] = { ...plans[index], ...change };
+        }
+      });
+      await this.writePlans(plans);
+    });
+  }
+
+  /**
+   * Merge changes into a plan, computed from its stored copy
+   * @param {string} id - Plan id
+   * @param {function} update - (plan) => changes; not called if the plan is gone
+   */
+  async updatePlan(id, update) {
+    await this.withLock(async () => {
+      const plans = await this.getAllPlans();
+      const index = plans.findIndex(p => p.id === id);
+      if (index === -1) return;
+
+      plans[index] = { ...plans[index], ...update(plans[index]) };
+      await this.writePlans(plans);
+    });
+  }
+
+  /**
+   * Drop plans from this device only (no server deletion)
+   */
+  async removeLocalPlans(ids) {
+    await this.withLock(async () => {
+      const plans = await this.getAllPlans();
+      await this.writePlans(plans.filter(p => !ids.includes(p.id)));
+    });
+  }
+
+  /**
+   * Synced plans deleted on this device since the last sync
+   * @returns {Promise<Array<object>>} [{ remoteId, projectId }]
+   */
+  async getDeletions() {
+    try {
+      const deletionsJson = await AsyncStorage.getItem(DELETIONS_STORAGE_KEY);
+      return deletionsJson ? JSON.parse(deletionsJson) : [];
+    } catch (error) {
+      console.error('Error getting plan deletions:', error);
+      return [];
+    }
+  }
+
+  async clearDeletions(remoteIds) {
+    await this.withLock(async () => {
+      const deletions = await this.getDeletions();
+      await AsyncStorage.setItem(
+        DELETIONS_STORAGE_KEY,
+        JSON.stringify(deletions.filter(d => !remoteIds.includes(d.remoteId)))
+      );
+    });
+  }
+
   /**
    * Get a specific plan by ID
    */
@@ -57,6 +219,55 @@ class PlanStorageService {
     }
   }
 
+  /**
+   * Get plan sets with their revisions, most recently revised first
+   * @returns {Promise<Array<object>>} [{ planSetId, name, revisions, latest }]
+   */
+  async getPlanSets() {
+    const plans = await this.getAllPlans();
+    const sets = {};
+
+    plans.forEach(p => {
+      if (!sets[p.planSetId]) {
+        sets[p.planSetId] = { planSetId: p.planSetId, name: p.planSetName || p.fileName || 'Plan', revisions: [] };
+      }
+      sets[p.planSetId].revisions.push(p);
+    });
+
+    return Object.values(sets)
+      .map(set => {
+        const revisions = set.revisions.sort((a, b) => a.revision - b.revision);
+        return { ...set, revisions, latest: revisions[revisions.length - 1] };
+      })
+      .sort((a, b) => (b.latest.timestamp || '').localeCompare(a.latest.timestamp || ''));
+  }
+
+  /**
+   * Get the revisions of one plan set, oldest first
+   */
+  async getRevisions(planSetId) {
+    const plans = await this.getAllPlans();
+    return plans
+      .filter(p => p.planSetId === planSetId)
+      .sort((a, b) => a.revision - b.revision);
+  }
+
+  /**
+   * Compare two revisions of a plan set
+   * @param {string} planSetId - Plan set id
+   * @param {number} fromRevision - Earlier revision number
+   * @param {number} toRevision - Later revision number (defaults to fromRevision + 1)
+   * @returns {Promise<object|null>} { from, to, ...diffPlanAnalyses } or null if either is missing
+   */
+  async compareRevisions(planSetId, fromRevision, toRevision = fromRevision + 1) {
+    const revisions = await this.getRevisions(planSetId);
+    const from = revisions.find(p => p.revision === fromRevision);
+    const to = revisions.find(p => p.revision === toRevision);
+    if (!from || !to) return null;
+
+    return { from, to, ...diffPlanAnalyses(from.analysis, to.analysis) };
+  }
+
   /**
    * Set the current active plan (for overlay in inspection)
    */
@@ -87,10 +298,22 @@ class PlanStorageService {
    * Delete a plan
    */
   async deletePlan(id) {
+    return this.withLock(() => this.removePlan(id));
+  }
+
+  async removePlan(id) {
     try {
       const plans = await this.getAllPlans();
+      const deleted = plans.find(p => p.id === id);
       const filtered = plans.filter(p => p.id !== id);
-      await AsyncStorage.setItem(PLANS_STORAGE_KEY, JSON.stringify(filtered));
+      await this.writePlans(filtered);
+
+      // Remember synced plans so the deletion reaches other devices
+      if (deleted?.remoteId) {
+        const deletions = await this.getDeletions();
+        deletions.push({ remoteId: deleted.remoteId, projectId: deleted.projectId });
+        await AsyncStorage.setItem(DELETIONS_STORAGE_KEY, JSON.stringify(deletions));
+      }
 
       // Clear current plan if it was deleted
       const currentId = await AsyncStorage.getItem(CURRENT_PLAN_KEY);
@@ -103,17 +326,35 @@ class PlanStorageService {
     }
   }
 
+  /**
+   * Delete a plan set with all of its revisions
+   */
+  async deletePlanSet(planSetId) {
+    const revisions = await this.getRevisions(planSetId);
+    for (const revision of revisions) {
+      await this.deletePlan(revision.id);
+    }
+  }
+
   /**
    * Clear all plans
    */
   async clearAllPlans() {
-    try {
-      await AsyncStorage.removeItem(PLANS_STORAGE_KEY);
-      await AsyncStorage.removeItem(CURRENT_PLAN_KEY);
-    } catch (error) {
-      console.error('Error clearing plans:', error);
-      throw error;
-    }
+    await this.withLock(async () => {
+      try {
+        await AsyncStorage.removeItem(PLANS_STORAGE_KEY);
+        await AsyncStorage.removeItem(CURRENT_PLAN_KEY);
+      } catch (error) {
+        console.error('Error clearing plans:', error);
+        throw error;
+      }
+    });
+  }
+
+  withLock(fn) {
+    const run = this.lock.then(fn);
+    this.lock = run.catch(() => {});
+    return run;
   }
 }
 
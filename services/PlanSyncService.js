@@ -0,0 +1,503 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { AppState } from 'react-native';
+import * as FileSystem from 'expo-file-system/legacy';
+import { decode } from 'base64-arraybuffer';
+import getSupabaseClient from './supabaseClient';
+import PlanStorageService from './PlanStorageService';
+import OfflineQueueService, { createIdempotencyKey } from './OfflineQueueService';
+
+/**
+ * PlanSyncService - Two-way sync between local Foresight plans and building_plans
+ * Plans attached to a project are pushed with their sheet images uploaded to
+ * Storage; plans saved by teammates on other devices are pulled down.
+ *
+ * Conflicts: when a plan changed on the server since this device last saw
+ * it and also has unsynced local changes, the server copy wins the record and
+ * the local copy is kept as a new revision in the same plan set, so nothing
+ * is lost and the difference can be reviewed in the revision diff.
+ */
+
+const BUCKET = 'building-plans';
+const LAST_PULL_KEY = 'vis_building_plans_last_pull';
+const PULL_PAGE_SIZE = 100;
+
+// Signed URLs only need to outlive one download
+const DOWNLOAD_URL_TTL_SECONDS = 60;
+
+// Local cache caps: newest plans keep their image files; beyond that synced
+// plans keep only Storage paths, and the oldest synced plans are dropped
+const MAX_PLANS_WITH_FILES = 20;
+const MAX_STORED_PLANS = 200;
+
+class PlanSyncService {
+  constructor() {
+    this._supabase = null; // Lazy load - don't call getSupabaseClient() yet
+    this.isSyncing = false;
+    this.listeners = new Set();
+    this.unsubscribeNetInfo = null;
+    this.appStateSubscription = null;
+  }
+
+  /**
+   * Get Supabase client (lazy initialization)
+   */
+  get supabase() {
+    if (!this._supabase) {
+      this._supabase = getSupabaseClient();
+    }
+    return this._supabase;
+  }
+
+  /**
+   * Sync on launch, when the app returns to the foreground and on reconnect
+   */
+  start() {
+    if (this.unsubscribeNetInfo) return;
+
+    let wasOnline = true;
+    this.unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+      const online = OfflineQueueService.isReachable(state);
+      if (!wasOnline && online) this.sync();
+      wasOnline = online;
+    });
+
+    this.appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') this.sync();
+    });
+
+    this.sync();
+  }
+
+  stop() {
+    this.unsubscribeNetInfo?.();
+    this.unsubscribeNetInfo = null;
+    this.appStateSubscription?.remove();
+    this.appStateSubscription = null;
+  }
+
+  /**
+   * Subscribe to completed syncs (e.g. to reload plan lists)
+   * @param {function} listener - (result) => void
+   * @returns {function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Push local changes, pull remote ones and trim the local cache
+   * @returns {Promise<object>} { pushed, pulled, deleted, conflicts } or { skipped }
+   */
+  async sync() {
+    if (this.isSyncing) return { skipped: 'in_progress' };
+
+    this.isSyncing = true;
+    const result = { pushed: 0, pulled: 0, deleted: 0, conflicts: 0 };
+
+    try {
+      if (!(await OfflineQueueService.isOnline())) return { skipped: 'offline' };
+
+      // building_plans is scoped to project members; guests have nothing to sync.
+      // Read the session directly since this can run before AuthService restores it
+      const { data: { session } = {} } = await this.supabase.auth.getSession();
+      if (!session) return { skipped: 'signed_out' };
+
+      await this.pushDeletions(result);
+      // Pull before pushing so remote edits are seen before we overwrite them
+      await this.pull(result);
+      await this.push(result);
+      await this.enforceCacheLimit();
+
+      if (result.pushed || result.pulled || result.deleted || result.conflicts) {
+        console.log('🔄 Plan sync complete:', result);
+      }
+      this.listeners.forEach((listener) => listener(result));
+      return result;
+    } catch (error) {
+      console.error('❌ Plan sync failed:', error);
+      return { ...result, error: error.message };
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  // ==========================================================================
+  // PUSH
+  // ==========================================================================
+
+  async push(result) {
+    const plans = await PlanStorageService.getAllPlans();
+    const pending = plans.filter((p) => p.dirty && p.projectId);
+
+    for (const plan of pending) {
+      try {
+        const conflicted = await this.pushPlan(plan);
+        if (conflicted) {
+          result.conflicts++;
+        } else {
+          result.pushed++;
+        }
+      } catch (error) {
+        // Leave it dirty; the next sync retries
+        console.error(`❌ Failed to push plan ${plan.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Upload one plan's files and upsert its building_plans row
+   * @returns {Promise<boolean>} true if a conflict was found instead
+   */
+  async pushPlan(plan) {
+    const remoteId = plan.remoteId || createIdempotencyKey();
+
+    if (plan.remoteId) {
+      const { data: remote, error } = await this.supabase
+        .from('building_plans')
+        .select('*')
+        .eq('id', remoteId)
+        .maybeSingle();
+      if (error) throw error;
+
+      if (remote && remote.updated_at !== plan.remoteUpdatedAt) {
+        await this.resolveConflict(plan, remote);
+        return true;
+      }
+    }
+
+    const folder = `${plan.projectId}/${remoteId}`;
+    const storagePath = plan.storagePath || await this.uploadFile(plan.imageUri, `${folder}/plan.jpg`);
+
+    // Sequential to keep only one sheet image in memory at a time
+    const sheets = [];
+    for (const sheet of plan.sheets || []) {
+      sheets.push({
+        ...sheet,
+        storagePath: sheet.storagePath || await this.uploadFile(sheet.imageUri, `${folder}/page_${sheet.pageNumber}.jpg`),
+      });
+    }
+
+    const { data, error } = await this.supabase
+      .from('building_plans')
+      .upsert(this.toRow({ ...plan, sheets, storagePath }, remoteId), { onConflict: 'id' })
+      .select('updated_at')
+      .single();
+    if (error) throw error;
+
+    await PlanStorageService.upsertPlans([{
+      id: plan.id,
+      remoteId,
+      remoteUpdatedAt: data.updated_at,
+      storagePath,
+      sheets,
+      dirty: false,
+    }]);
+    return false;
+  }
+
+  async uploadFile(localUri, path) {
+    if (!localUri || !localUri.startsWith('file://')) return null;
+
+    const info = await FileSystem.getInfoAsync(localUri);
+    if (!info.exists) return null;
+
+    const base64 = await FileSystem.readAsStringAsync(localUri, { encoding: 'base64' });
+    const { error } = await this.supabase.storage
+      .from(BUCKET)
+      .upload(path, decode(base64), { contentType: 'image/jpeg', upsert: true });
+    if (error) throw error;
+
+    return path;
+  }
+
+  async pushDeletions(result) {
+    const deletions = await PlanStorageService.getDeletions();
+    const done = [];
+
+    for (const { remoteId, projectId } of deletions) {
+      try {
+        const { error } = await this.supabase
+          .from('building_plans')
+          .update({ deleted_at: new Date().toISOString() })
+          .eq('id', remoteId);
+        if (error) throw error;
+
+        const folder = `${projectId}/${remoteId}`;
+        const { data: files } = await this.supabase.storage.from(BUCKET).list(folder);
+        if (files?.length) {
+          await this.supabase.storage.from(BUCKET).remove(files.map((f) => `${folder}/${f.name}`));
+        }
+
+        done.push(remoteId);
+        result.deleted++;
+      } catch (error) {
+        console.error(`❌ Failed to delete remote plan ${remoteId}:`, error);
+      }
+    }
+
+    if (done.length) {
+      await PlanStorageService.clearDeletions(done);
+    }
+  }
+
+  // ==========================================================================
+  // PULL
+  // ==========================================================================
+
+  /**
+   * Where the last pull stopped: { updatedAt, id } of the last row applied.
+   * Cursors saved before ids were tracked are a bare updated_at.
+   */
+  async getPullCursor() {
+    const stored = await AsyncStorage.getItem(LAST_PULL_KEY);
+    if (!stored) return null;
+    try {
+      return JSON.parse(stored);
+    } catch {
+      return { updatedAt: stored, id: null };
+    }
+  }
+
+  async pull(result) {
+    let cursor = await this.getPullCursor();
+
+    while (true) {
+      // Rows written by analyze_physical_plan have no plan set; they aren't Foresight plans
+      let query = this.supabase
+        .from('building_plans')
+        .select('*')
+        .not('plan_set_id', 'is', null)
+        .order('updated_at', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(PULL_PAGE_SIZE);
+      // Page on (updated_at, id) so rows sharing an updated_at across a page
+      // boundary aren't skipped
+      if (cursor?.id) {
+        const at = `"${cursor.updatedAt}"`;
+        query = query.or(`updated_at.gt.${at},and(updated_at.eq.${at},id.gt.${cursor.id})`);
+      } else if (cursor) {
+        query = query.gte('updated_at', cursor.updatedAt);
+      }
+
+      const { data: rows, error } = await query;
+      if (error) throw error;
+      if (!rows.length) break;
+
+      await this.applyRemoteRows(rows, result);
+
+      const last = rows[rows.length - 1];
+      cursor = { updatedAt: last.updated_at, id: last.id };
+      await AsyncStorage.setItem(LAST_PULL_KEY, JSON.stringify(cursor));
+      if (rows.length < PULL_PAGE_SIZE) break;
+    }
+  }
+
+  async applyRemoteRows(rows, result) {
+    const plans = await PlanStorageService.getAllPlans();
+    const changes = [];
+    const removed = [];
+
+    for (const row of rows) {
+      const local = plans.find((p) => p.remoteId === row.id);
+
+      // Echo of our own push
+      if (local && local.remoteUpdatedAt === row.updated_at) continue;
+
+      if (local?.dirty) {
+        await this.resolveConflict(local, row);
+        result.conflicts++;
+        continue;
+      }
+
+      if (row.deleted_at) {
+        if (local) {
+          removed.push(local.id);
+          await this.deleteLocalFiles(local);
+        }
+        continue;
+      }
+
+      changes.push(this.fromRow(row, local));
+      result.pulled++;
+    }
+
+    if (removed.length) await PlanStorageService.removeLocalPlans(removed);
+    if (changes.length) await PlanStorageService.upsertPlans(changes);
+  }
+
+  /**
+   * Server copy wins the record; the unsynced local copy becomes the next
+   * revision of the same plan set and is pushed as a new row
+   */
+  async resolveConflict(local, remote) {
+    console.warn(`⚠️ Plan ${local.id} changed on another device; keeping local copy as a new revision`);
+
+    const { id, remoteId, remoteUpdatedAt, storagePath, revision, ...localCopy } = local;
+    await PlanStorageService.savePlan(
+      {
+        ...localCopy,
+        // Re-upload sheets under the new plan instead of sharing the remote files
+        sheets: (localCopy.sheets || []).map(({ storagePath: _path, ...sheet }) => sheet),
+        conflictOf: remote.id,
+      },
+      { planSetId: local.planSetId }
+    );
+
+    if (remote.deleted_at) {
+      await PlanStorageService.removeLocalPlans([local.id]);
+    } else {
+      await PlanStorageService.upsertPlans([this.fromRow(remote, local)]);
+    }
+  }
+
+  // ==========================================================================
+  // MAPPING
+  // ==========================================================================
+
+  toRow(plan, remoteId) {
+    return {
+      id: remoteId,
+      project_id: plan.projectId,
+      file_name: plan.fileName || plan.planSetName,
+      file_type: plan.type === 'multi_sheet' ? 'pdf' : 'image',
+      upload_method: 'foresight',
+      processing_status: 'completed',
+      storage_path: plan.storagePath,
+      plan_set_id: plan.planSetId,
+      plan_set_name: plan.planSetName,
+      revision: plan.revision,
+      jurisdiction: plan.jurisdiction,
+      project_type: plan.projectType,
+      analysis: plan.analysis || null,
+      dpp_requirements: plan.dppRequirements || null,
+      // Local file URIs mean nothing on other devices
+      sheets: (plan.sheets || []).map(({ imageUri, ...sheet }) => sheet),
+      created_at: plan.timestamp,
+    };
+  }
+
+  fromRow(row, local = null) {
+    // Keep local files when the server copy still points at the same objects
+    const keepFile = (localUri, localPath, remotePath) =>
+      localUri && localPath === remotePath ? localUri : null;
+
+    return {
+      id: local?.id || row.id,
+      remoteId: row.id,
+      remoteUpdatedAt: row.updated_at,
+      dirty: false,
+      timestamp: row.created_at,
+      updatedAt: row.updated_at,
+      type: row.file_type === 'pdf' ? 'multi_sheet' : undefined,
+      fileName: row.file_name,
+      projectId: row.project_id,
+      planSetId: row.plan_set_id,
+      planSetName: row.plan_set_name,
+      revision: row.revision || 1,
+      jurisdiction: row.jurisdiction,
+      projectType: row.project_type,
+      analysis: row.analysis,
+      dppRequirements: row.dpp_requirements,
+      storagePath: row.storage_path,
+      imageUri: keepFile(local?.imageUri, local?.storagePath, row.storage_path),
+      sheets: (row.sheets || []).map((sheet) => {
+        const localSheet = local?.sheets?.find((s) => s.pageNumber === sheet.pageNumber);
+        return {
+          ...sheet,
+          imageUri: keepFile(localSheet?.imageUri, localSheet?.storagePath, sheet.storagePath),
+        };
+      }),
+      sheetCount: row.sheets?.length || undefined,
+    };
+  }
+
+  // ==========================================================================
+  // LOCAL CACHE
+  // ==========================================================================
+
+  /**
+   * Fetch a synced plan image from Storage into the plans folder, for plans
+   * pulled from another device or stripped by the cache limit
+   * @param {object} plan - Local plan
+   * @param {number|null} pageNumber - Sheet to fetch; the plan image when null
+   * @returns {Promise<string>} Local file URI, also saved on the plan
+   */
+  async downloadImage(plan, pageNumber = null) {
+    const sheet = pageNumber === null ? null : plan.sheets?.find((s) => s.pageNumber === pageNumber);
+    const storagePath = pageNumber === null ? plan.storagePath : sheet?.storagePath;
+    if (!storagePath) {
+      throw new Error('This plan has not been uploaded, so there is no copy to download.');
+    }
+
+    const { data, error } = await this.supabase.storage
+      .from(BUCKET)
+      .createSignedUrl(storagePath, DOWNLOAD_URL_TTL_SECONDS);
+    if (error) throw error;
+
+    const dir = `${FileSystem.documentDirectory}plans/${plan.id}/`;
+    await FileSystem.makeDirectoryAsync(dir, { intermediates: true });
+    const localUri = `${dir}${storagePath.split('/').pop()}`;
+
+    const { status } = await FileSystem.downloadAsync(data.signedUrl, localUri);
+    if (status !== 200) {
+      await FileSystem.deleteAsync(localUri, { idempotent: true });
+      throw new Error(`Plan download failed (HTTP ${status})`);
+    }
+
+    // Against the stored copy: a sync may have replaced the plan meanwhile
+    await PlanStorageService.updatePlan(plan.id, (current) => (pageNumber === null
+      ? current.storagePath === storagePath ? { imageUri: localUri } : {}
+      : {
+        sheets: (current.sheets || []).map((s) =>
+          s.pageNumber === pageNumber && s.storagePath === storagePath ? { ...s, imageUri: localUri } : s
+        ),
+      }));
+    return localUri;
+  }
+
+  /**
+   * Keep AsyncStorage and the plans folder bounded. Unsynced plans are never
+   * evicted; synced ones are fetched again from Storage when opened
+   * (downloadImage).
+   */
+  async enforceCacheLimit() {
+    const plans = await PlanStorageService.getAllPlans();
+    const newestFirst = [...plans].sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+    const evictable = (p) => !p.dirty && p.remoteId;
+
+    const dropped = newestFirst.slice(MAX_STORED_PLANS).filter(evictable);
+    const stripped = newestFirst
+      .slice(MAX_PLANS_WITH_FILES, MAX_STORED_PLANS)
+      .filter((p) => evictable(p) && (p.imageUri || p.sheets?.some((s) => s.imageUri)));
+
+    for (const plan of [...dropped, ...stripped]) {
+      await this.deleteLocalFiles(plan);
+    }
+
+    for (const plan of stripped) {
+      await PlanStorageService.updatePlan(plan.id, (current) => ({
+        imageUri: null,
+        sheets: (current.sheets || []).map((s) => ({ ...s, imageUri: null })),
+      }));
+    }
+    if (dropped.length) {
+      await PlanStorageService.removeLocalPlans(dropped.map((p) => p.id));
+    }
+  }
+
+  async deleteLocalFiles(plan) {
+    const uris = [plan.imageUri, ...(plan.sheets || []).map((s) => s.imageUri)]
+      // Only files this app owns; picker URIs in the cache are left alone
+      .filter((uri) => uri?.startsWith(FileSystem.documentDirectory));
+
+    await Promise.all(uris.map((uri) =>
+      FileSystem.deleteAsync(uri, { idempotent: true }).catch((error) =>
+        console.error('Failed to delete cached plan file:', error)
+      )
+    ));
+  }
+}
+
+export default new PlanSyncService();
@@ -0,0 +1,217 @@
+import getSupabaseClient from './supabaseClient';
+import InspectionSessionService from './InspectionSessionService';
+import OfflineQueueService, { QUEUE_TYPES, isPermanentError } from './OfflineQueueService';
+import { buildReinspection } from './reportModel';
+
+/**
+ * ReinspectionService - Follow-up inspections of corrected violations
+ * A re-inspection is an inspection_sessions row whose previous_session_id
+ * points at the session it follows up on. Each prior violation still open
+ * gets one violation_reinspections result per re-inspection; results made
+ * offline are queued, and read back from the queue until they sync.
+ */
+
+export const REINSPECTION_STATUS = {
+  CORRECTED: 'corrected',
+  PARTIALLY_CORRECTED: 'partially_corrected',
+  STILL_OPEN: 'still_open',
+};
+
+// Guards against a cycle in previous_session_id
+const MAX_CHAIN_LENGTH = 50;
+
+class ReinspectionService {
+  constructor() {
+    this._supabase = null; // Lazy load - don't call getSupabaseClient() yet
+
+    OfflineQueueService.registerHandler(
+      QUEUE_TYPES.REINSPECTION_RESULT,
+      (payload) => this.upsertResult(payload.record)
+    );
+  }
+
+  /**
+   * Get Supabase client (lazy initialization)
+   */
+  get supabase() {
+    if (!this._supabase) {
+      this._supabase = getSupabaseClient();
+    }
+    return this._supabase;
+  }
+
+  /**
+   * Most recent inspection session of a project
+   * @returns {Promise<object|null>} inspection_sessions row
+   */
+  async getLastSession(projectId) {
+    const { data, error } = await this.supabase
+      .from('inspection_sessions')
+      .select('*')
+      .eq('project_id', projectId)
+      .order('started_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * A session followed by the session it re-inspected, and so on back to
+   * the original inspection
+   */
+  async getSessionChain(sessionId) {
+    const chain = [];
+    let nextId = sessionId;
+    while (nextId && chain.length < MAX_CHAIN_LENGTH && !chain.some((row) => row.id === nextId)) {
+      const { data, error } = await this.supabase
+        .from('inspection_sessions')
+        .select('*')
+        .eq('id', nextId)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+      if (!data) break;
+      chain.push(data);
+      nextId = data.previous_session_id;
+    }
+    return chain;
+  }
+
+  /**
+   * Results not yet synced, from the offline queue
+   */
+  async getQueuedResults() {
+    const queue = await OfflineQueueService.getQueue();
+    return queue
+      .filter((entry) => entry.type === QUEUE_TYPES.REINSPECTION_RESULT)
+      .map((entry) => entry.payload.record);
+  }
+
+  /**
+   * Violations to re-inspect after a session, with their original photos
+   * and status history
+   * @param {string} previousSessionId - Session being re-inspected
+   * @param {object} options - { session } the re-inspection, once started
+   * @returns {Promise<{previousSessionId, items, counts}>} See buildReinspection
+   */
+  async getReinspection(previousSessionId, { session = null } = {}) {
+    const previousSessions = await this.getSessionChain(previousSessionId);
+    const sessionIds = previousSessions.map((row) => row.id);
+    if (sessionIds.length === 0) {
+      return buildReinspection({ session });
+    }
+
+    const [violations, capturedViolations] = await Promise.all(
+      ['inspection_violations', 'captured_violations'].map(async (table) => {
+        const { data, error } = await this.supabase.from(table).select('*').in('session_id', sessionIds);
+        if (error) {
+          throw error;
+        }
+        return data || [];
+      })
+    );
+
+    const violationIds = violations.map((row) => row.id);
+    const { data: savedResults, error } = violationIds.length
+      ? await this.supabase.from('violation_reinspections').select('*').in('violation_id', violationIds)
+      : { data: [] };
+
+    if (error) {
+      throw error;
+    }
+
+    // A queued result replaces the synced one for the same violation and session
+    const queued = await this.getQueuedResults();
+    const resultKey = (row) => `${row.violation_id}|${row.session_id}`;
+    const latestQueued = new Map(queued.map((row) => [resultKey(row), row]));
+    const results = [
+      ...(savedResults || []).filter((row) => !latestQueued.has(resultKey(row))),
+      ...latestQueued.values(),
+    ];
+
+    return buildReinspection({ session, previousSessions, violations, capturedViolations, results });
+  }
+
+  /**
+   * Start a session that re-inspects a previous one
+   * @param {object} previousSession - inspection_sessions row being re-inspected
+   * @returns {Promise<object>} Created inspection_sessions row
+   */
+  async startReinspection(previousSession) {
+    const label = new Date().toLocaleDateString();
+    return InspectionSessionService.startSession({
+      projectId: previousSession.project_id,
+      inspectionType: previousSession.inspection_type,
+      sessionName: `Re-inspection - ${label}`,
+      previousSessionId: previousSession.id,
+    });
+  }
+
+  /**
+   * Record whether a prior violation was corrected
+   * @param {object} params - { sessionId (the re-inspection), violationId, status, note, photoUri }
+   * @returns {Promise<object>} Saved row (or the queued record if offline)
+   * @throws {Error} Permission or lock errors, which are not queued
+   */
+  async recordResult({ sessionId, violationId, status, note = null, photoUri = null }) {
+    if (!Object.values(REINSPECTION_STATUS).includes(status)) {
+      throw new Error(`Unknown re-inspection status: ${status}`);
+    }
+
+    const record = {
+      violation_id: violationId,
+      session_id: sessionId,
+      status,
+      note: note || null,
+      photo_uri: photoUri || null,
+      recorded_at: new Date().toISOString(),
+    };
+
+    // Behind an earlier queued result for the same item, so a replay can't overwrite it
+    const queued = await this.getQueuedResults();
+    if (queued.some((row) => row.violation_id === violationId && row.session_id === sessionId)) {
+      await OfflineQueueService.enqueue(QUEUE_TYPES.REINSPECTION_RESULT, { record });
+      return { ...record, synced: false, queued: true };
+    }
+
+    try {
+      const data = await this.upsertResult(record);
+      console.log('✅ Re-inspection result saved:', violationId, status);
+      return { ...data, synced: true };
+    } catch (error) {
+      // Refused by RLS or a signed and locked session: a replay would fail
+      // too, so the screen hears about it instead
+      if (isPermanentError(error)) {
+        throw error;
+      }
+      console.error('❌ Failed to save re-inspection result, queueing:', error);
+      await OfflineQueueService.enqueue(QUEUE_TYPES.REINSPECTION_RESULT, { record });
+      return { ...record, synced: false, queued: true };
+    }
+  }
+
+  /**
+   * Write a result; the latest one for a violation in a re-inspection wins,
+   * so replays are harmless
+   */
+  async upsertResult(record) {
+    const { data, error } = await this.supabase
+      .from('violation_reinspections')
+      .upsert([record], { onConflict: 'violation_id,session_id' })
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data || record;
+  }
+}
+
+export default new ReinspectionService();
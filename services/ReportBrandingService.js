@@ -0,0 +1,69 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import { DEFAULT_TEMPLATE_ID } from './reportTemplates';
+
+/**
+ * ReportBrandingService - Company and inspector details printed on reports
+ * Kept on the device with the last template used; the logo is copied into
+ * app storage so it survives the picker's cache being cleared.
+ */
+
+const STORAGE_KEY = 'vis_report_branding';
+const BRANDING_DIR = `${FileSystem.documentDirectory}branding/`;
+
+export const DEFAULT_BRANDING = {
+  companyName: '',
+  companyPhone: '',
+  logoUri: null,
+  inspectorName: '',
+  licenseNumber: '',
+  templateId: DEFAULT_TEMPLATE_ID,
+};
+
+class ReportBrandingService {
+  /**
+   * @returns {Promise<object>} Saved branding merged over DEFAULT_BRANDING
+   */
+  async getBranding() {
+    try {
+      const json = await AsyncStorage.getItem(STORAGE_KEY);
+      return { ...DEFAULT_BRANDING, ...(json ? JSON.parse(json) : {}) };
+    } catch (error) {
+      console.error('Error reading report branding:', error);
+      return { ...DEFAULT_BRANDING };
+    }
+  }
+
+  /**
+   * Merge changes into the saved branding
+   * @returns {Promise<object>} Updated branding
+   */
+  async saveBranding(changes) {
+    const branding = { ...(await this.getBranding()), ...changes };
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(branding));
+    return branding;
+  }
+
+  /**
+   * Copy a picked image into app storage and use it as the report logo
+   * @returns {Promise<object>} Updated branding
+   */
+  async setLogo(pickedUri) {
+    const dirInfo = await FileSystem.getInfoAsync(BRANDING_DIR);
+    if (!dirInfo.exists) {
+      await FileSystem.makeDirectoryAsync(BRANDING_DIR, { intermediates: true });
+    }
+
+    const extension = (pickedUri.match(/\.(png|jpe?g|webp|gif)$/i)?.[1] || 'png').toLowerCase();
+    const destination = `${BRANDING_DIR}logo_${Date.now()}.${extension}`;
+    await FileSystem.copyAsync({ from: pickedUri, to: destination });
+
+    const previous = (await this.getBranding()).logoUri;
+    if (previous) {
+      await FileSystem.deleteAsync(previous, { idempotent: true });
+    }
+    return this.saveBranding({ logoUri: destination });
+  }
+}
+
+export default new ReportBrandingService();
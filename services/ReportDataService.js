@@ -0,0 +1,112 @@
+import getSupabaseClient from './supabaseClient';
+import ChecklistService from './ChecklistService';
+import ViolationService from './ViolationService';
+import ReinspectionService from './ReinspectionService';
+import { buildReportModel } from './reportModel';
+import { getJurisdiction } from './jurisdictions';
+import { getInspectionType, summarizeChecklist } from './inspectionChecklists';
+
+/**
+ * ReportDataService - Loads everything a session report needs
+ * Queries the inspection tables and hands the rows to buildReportModel
+ * (services/reportModel.js), which owns the column mapping.
+ */
+
+class ReportDataService {
+  constructor() {
+    this._supabase = null; // Lazy load - don't call getSupabaseClient() yet
+  }
+
+  /**
+   * Get Supabase client (lazy initialization)
+   */
+  get supabase() {
+    if (!this._supabase) {
+      this._supabase = getSupabaseClient();
+    }
+    return this._supabase;
+  }
+
+  /**
+   * Rows of a session-scoped table; a failed query reads as no rows so one
+   * missing table doesn't blank the whole report
+   */
+  async fetchSessionRows(table, sessionId, orderColumn) {
+    const { data, error } = await this.supabase
+      .from(table)
+      .select('*')
+      .eq('session_id', sessionId)
+      .order(orderColumn, { ascending: true });
+
+    if (error) {
+      console.error(`Error loading ${table}:`, error);
+      return [];
+    }
+    return data || [];
+  }
+
+  /**
+   * Build the report model for an inspection session
+   * @param {object} params - { sessionId, projectId }
+   * @returns {Promise<object>} ReportModel plus jurisdiction, inspectionType, checklist summary
+   *   and, for a re-inspection, the prior violations it followed up on
+   */
+  async loadReport({ sessionId, projectId = null }) {
+    const { data: session, error } = await this.supabase
+      .from('inspection_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    const [dbViolations, liveViolations, capturedViolations, pending, savedChecklist] = await Promise.all([
+      this.fetchSessionRows('inspection_violations', sessionId, 'detected_at'),
+      this.fetchSessionRows('live_inspection_violations', sessionId, 'frame_number'),
+      this.fetchSessionRows('captured_violations', sessionId, 'captured_at'),
+      ViolationService.readPending(),
+      // The device copy includes taps not yet synced
+      ChecklistService.getChecklist(sessionId),
+    ]);
+
+    // Edits made offline win over the last synced copy
+    const pendingRows = Object.values(pending).filter((row) => row.session_id === sessionId);
+    const pendingIds = new Set(pendingRows.map((row) => row.id));
+    const violations = [...dbViolations.filter((row) => !pendingIds.has(row.id)), ...pendingRows];
+
+    const projectIdToLoad = projectId || session.project_id;
+    const { data: project } = projectIdToLoad
+      ? await this.supabase.from('projects').select('*').eq('id', projectIdToLoad).single()
+      : { data: null };
+
+    const inspectionType = savedChecklist?.inspectionType || session.inspection_type;
+    const reinspection = session.previous_session_id ? await this.loadReinspection(session) : null;
+
+    return {
+      ...buildReportModel({ session, project, violations, liveViolations, capturedViolations }),
+      jurisdiction: getJurisdiction(project?.address).name,
+      inspectionType,
+      checklist: getInspectionType(inspectionType)
+        ? summarizeChecklist(inspectionType, savedChecklist?.results)
+        : null,
+      reinspection,
+    };
+  }
+
+  /**
+   * Prior violations a re-inspection session followed up on, with their
+   * status history; null if they can't be loaded
+   */
+  async loadReinspection(session) {
+    try {
+      return await ReinspectionService.getReinspection(session.previous_session_id, { session });
+    } catch (error) {
+      console.error('Error loading re-inspection results:', error);
+      return null;
+    }
+  }
+}
+
+export default new ReportDataService();
@@ -0,0 +1,121 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import { decode, encode } from 'base64-arraybuffer';
+import ReportBrandingService from './ReportBrandingService';
+import ReportPdfService from './ReportPdfService';
+import { remediationFor } from './reportTemplates';
+import { getJurisdiction } from './jurisdictions';
+import { getInspectionType } from './inspectionChecklists';
+import { getExportFormat, reportToCsv, reportToJson, reportToDocxEntries } from './reportExports';
+import { createZip } from './zipArchive';
+
+/**
+ * ReportExportService - Writes a report model as PDF, CSV, JSON or DOCX
+ * Every format takes the same report ReportScreen hands to the PDF (live data
+ * with citations checked, or the signed snapshot) and fills in remediation
+ * and permits the same way the PDF templates do.
+ */
+
+const EXPORT_DIR = `${FileSystem.cacheDirectory}reports/`;
+
+class ReportExportService {
+  /**
+   * Report with the remediation and permit of each finding (and each
+   * re-inspected violation) resolved
+   */
+  prepare(report) {
+    const jurisdiction = getJurisdiction(report.jurisdiction);
+    const resolve = (finding) => ({
+      ...finding,
+      remediation: remediationFor(finding),
+      permit: jurisdiction.permits?.[finding.category]?.permit || null,
+    });
+    return {
+      ...report,
+      findings: report.findings.map(resolve),
+      reinspection: report.reinspection
+        ? { ...report.reinspection, items: report.reinspection.items.map(resolve) }
+        : null,
+    };
+  }
+
+  /**
+   * "lot-12-2025-01-20" from the project (or session) name and date
+   */
+  fileName(report) {
+    const name = report.project?.name || report.session?.name || 'inspection';
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'inspection';
+    const date = new Date(report.session?.startedAt || Date.now()).toISOString().slice(0, 10);
+    return `${slug}-${date}`;
+  }
+
+  /**
+   * Data URIs from ReportPdfService.embedImages -> bytes for the DOCX package
+   */
+  async docxImages(report, branding) {
+    const dataUris = await ReportPdfService.embedImages(report, branding);
+    const images = {};
+    Object.entries(dataUris).forEach(([uri, dataUri]) => {
+      if (dataUri) images[uri] = new Uint8Array(decode(dataUri.slice(dataUri.indexOf(',') + 1)));
+    });
+    return images;
+  }
+
+  /**
+   * Export a report
+   * @param {object} report - Report model plus jurisdiction, inspectionType and checklist
+   * @param {string} formatId - 'pdf' | 'csv' | 'json' | 'docx'
+   * @param {object} options - { templateId, signing: { signedAt, hash, signatures } }
+   * @returns {Promise<string>} File URI
+   */
+  async exportReport(report, formatId, { templateId, signing = null } = {}) {
+    const format = getExportFormat(formatId);
+    if (format.id === 'pdf') {
+      return ReportPdfService.createPdf(report, {
+        templateId,
+        signatures: signing?.signatures,
+        lock: signing ? { hash: signing.hash, signedAt: signing.signedAt } : null,
+      });
+    }
+
+    const prepared = this.prepare(report);
+    const dirInfo = await FileSystem.getInfoAsync(EXPORT_DIR);
+    if (!dirInfo.exists) {
+      await FileSystem.makeDirectoryAsync(EXPORT_DIR, { intermediates: true });
+    }
+    const uri = `${EXPORT_DIR}${this.fileName(prepared)}.${format.extension}`;
+
+    if (format.id === 'csv') {
+      await FileSystem.writeAsStringAsync(uri, reportToCsv(prepared));
+    } else if (format.id === 'json') {
+      await FileSystem.writeAsStringAsync(uri, JSON.stringify(reportToJson(prepared, { signing }), null, 2));
+    } else {
+      const branding = await ReportBrandingService.getBranding();
+      const entries = reportToDocxEntries(prepared, {
+        branding,
+        images: await this.docxImages(prepared, branding),
+        signing,
+        inspectionLabel: getInspectionType(prepared.inspectionType)?.label || null,
+      });
+      await FileSystem.writeAsStringAsync(uri, encode(createZip(entries).buffer), { encoding: 'base64' });
+    }
+
+    console.log(`✅ Report exported as ${format.label}:`, uri);
+    return uri;
+  }
+
+  /**
+   * Open the share sheet for an exported file
+   */
+  async shareExport(uri, formatId) {
+    if (!(await Sharing.isAvailableAsync())) return;
+    const format = getExportFormat(formatId);
+    await Sharing.shareAsync(uri, {
+      mimeType: format.mimeType,
+      UTI: format.uti,
+      dialogTitle: 'Share Inspection Report',
+    });
+  }
+}
+
+export default new ReportExportService();
@@ -0,0 +1,141 @@
+import * as Print from 'expo-print';
+import * as ImageManipulator from 'expo-image-manipulator';
+import * as FileSystem from 'expo-file-system/legacy';
+import { decode } from 'base64-arraybuffer';
+import ReportBrandingService from './ReportBrandingService';
+import { renderReportHtml } from './reportTemplates';
+import { sha256 } from './sha256';
+
+/**
+ * ReportPdfService - Renders a report model to PDF with the chosen template
+ * Photos and the logo are embedded as base64 so the PDF is self-contained;
+ * captures are downscaled to thumbnails first to keep the file small.
+ * A signed report carries the SHA-256 of each photo it was signed with
+ * (photoHashes); a photo whose file no longer matches is left out.
+ */
+
+const THUMBNAIL_WIDTH = 480;
+const LOGO_WIDTH = 400;
+// Cap on embedded photos so a long inspection can't exhaust memory
+const MAX_EMBEDDED_PHOTOS = 60;
+
+class ReportPdfService {
+  /**
+   * Downscale an image and return it as a data URI
+   * @returns {Promise<string|null>} null when the file isn't on this device
+   */
+  async embedImage(uri, width, format = ImageManipulator.SaveFormat.JPEG) {
+    if (!uri) return null;
+    if (uri.startsWith('data:')) return uri;
+
+    try {
+      const image = await ImageManipulator.manipulateAsync(
+        uri,
+        [{ resize: { width } }],
+        { compress: 0.7, format, base64: true }
+      );
+      const mime = format === ImageManipulator.SaveFormat.PNG ? 'image/png' : 'image/jpeg';
+      return `data:${mime};base64,${image.base64}`;
+    } catch (error) {
+      console.warn('Could not embed report image:', uri, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Photos a report embeds, in order
+   */
+  photoUris(report) {
+    // A re-inspected violation shows its first original photo beside the follow-up
+    const reinspected = (report.reinspection?.items || []).flatMap((item) =>
+      [item.photos[0], item.photoUri].filter(Boolean)
+    );
+    return [...new Set([...report.findings.flatMap((finding) => finding.photos), ...reinspected])].slice(
+      0,
+      MAX_EMBEDDED_PHOTOS
+    );
+  }
+
+  /**
+   * SHA-256 of a photo's bytes
+   * @returns {Promise<string|null>} null when the file isn't on this device
+   */
+  async hashPhoto(uri) {
+    try {
+      if (uri.startsWith('data:')) {
+        return sha256(new Uint8Array(decode(uri.slice(uri.indexOf(',') + 1))));
+      }
+      const info = await FileSystem.getInfoAsync(uri);
+      if (!info.exists) return null;
+      const base64 = await FileSystem.readAsStringAsync(uri, { encoding: 'base64' });
+      return sha256(new Uint8Array(decode(base64)));
+    } catch (error) {
+      console.warn('Could not hash report photo:', uri, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Hashes of the photos a report embeds, keyed by URI, for signing
+   */
+  async hashPhotos(report) {
+    const hashes = {};
+    // One at a time, like embedImages
+    for (const uri of this.photoUris(report)) {
+      hashes[uri] = await this.hashPhoto(uri);
+    }
+    return hashes;
+  }
+
+  /**
+   * Data URIs for the logo and each finding's photos, keyed by original URI
+   */
+  async embedImages(report, branding) {
+    const images = {};
+    if (branding.logoUri) {
+      // PNG keeps logo transparency
+      images[branding.logoUri] = await this.embedImage(branding.logoUri, LOGO_WIDTH, ImageManipulator.SaveFormat.PNG);
+    }
+
+    const signedHashes = report.photoHashes || null;
+    // One at a time: each decode holds a full-size photo in memory
+    for (const uri of this.photoUris(report)) {
+      if (signedHashes) {
+        const hash = signedHashes[uri] ? await this.hashPhoto(uri) : null;
+        if (!hash || hash !== signedHashes[uri]) {
+          console.warn('Photo does not match the signed report, leaving it out:', uri);
+          images[uri] = null;
+          continue;
+        }
+      }
+      images[uri] = await this.embedImage(uri, THUMBNAIL_WIDTH);
+    }
+    return images;
+  }
+
+  /**
+   * Render HTML for a report without printing it
+   * @param {object} report - Report model (see ReportDataService.loadReport)
+   * @param {object} options - { templateId, signatures, lock } (signatures and
+   *   lock come from the signed report; see ReportSigningService)
+   * @returns {Promise<string>} HTML document
+   */
+  async renderHtml(report, { templateId, signatures, lock } = {}) {
+    const branding = await ReportBrandingService.getBranding();
+    const images = await this.embedImages(report, branding);
+    return renderReportHtml(templateId || branding.templateId, report, { branding, images, signatures, lock });
+  }
+
+  /**
+   * Render a report and print it to a PDF file
+   * @returns {Promise<string>} File URI of the PDF
+   */
+  async createPdf(report, options = {}) {
+    const html = await this.renderHtml(report, options);
+    const { uri } = await Print.printToFileAsync({ html });
+    console.log('✅ Report PDF created:', uri);
+    return uri;
+  }
+}
+
+export default new ReportPdfService();
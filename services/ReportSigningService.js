@@ -0,0 +1,116 @@
+import getSupabaseClient from './supabaseClient';
+import OfflineQueueService from './OfflineQueueService';
+import ViolationService from './ViolationService';
+import ReportPdfService from './ReportPdfService';
+
+/**
+ * ReportSigningService - Inspector and contractor sign-off on a session report
+ * Signing goes through the sign_inspection_report() database function, which
+ * stores the report snapshot with its signatures and SHA-256 hash and locks
+ * the session against further edits. Signed PDFs are rendered from that
+ * snapshot, never from live rows. The snapshot holds photo URIs, so the
+ * SHA-256 of each photo file is signed with it (photoHashes).
+ */
+
+export const SIGNATURE_ROLES = {
+  INSPECTOR: 'inspector',
+  CONTRACTOR: 'contractor',
+};
+
+class ReportSigningService {
+  constructor() {
+    this._supabase = null; // Lazy load - don't call getSupabaseClient() yet
+  }
+
+  /**
+   * Get Supabase client (lazy initialization)
+   */
+  get supabase() {
+    if (!this._supabase) {
+      this._supabase = getSupabaseClient();
+    }
+    return this._supabase;
+  }
+
+  /**
+   * Signed report for a session
+   * @returns {Promise<object|null>} inspection_reports row, or null if unsigned
+   */
+  async getSignedReport(sessionId) {
+    const { data, error } = await this.supabase
+      .from('inspection_reports')
+      .select('*')
+      .eq('session_id', sessionId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Replay queued writes and confirm nothing for this session is still on
+   * the device, so the signed snapshot matches the database
+   */
+  async ensureSynced(sessionId) {
+    if (!(await OfflineQueueService.isOnline())) {
+      throw new Error('Signing needs a connection. Try again when back online.');
+    }
+    await OfflineQueueService.sync();
+
+    const queued = (await OfflineQueueService.getQueue()).some(
+      ({ payload }) => payload?.sessionId === sessionId || payload?.record?.session_id === sessionId
+    );
+    const pending = Object.values(await ViolationService.readPending()).some((row) => row.session_id === sessionId);
+    if (queued || pending) {
+      throw new Error('Some changes to this inspection have not synced yet. Try again in a moment.');
+    }
+  }
+
+  /**
+   * Sign a session's report and lock the session
+   * @param {object} params - { sessionId, templateId, report, signatures }
+   *   signatures: [{ role, name, license, signedAt, width, height, strokes }]
+   * @returns {Promise<object>} The stored inspection_reports row
+   */
+  async signReport({ sessionId, templateId, report, signatures }) {
+    if (!signatures?.length) {
+      throw new Error('At least one signature is required');
+    }
+
+    // Round-trip through JSON so the snapshot holds exactly what is stored
+    const photoHashes = await ReportPdfService.hashPhotos(report);
+    const content = JSON.parse(JSON.stringify({ ...report, photoHashes }));
+    const { data, error } = await this.supabase.rpc('sign_inspection_report', {
+      p_session_id: sessionId,
+      p_content: content,
+      p_signatures: signatures,
+      p_template_id: templateId || null,
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('✅ Report signed and session locked:', sessionId, data.content_hash);
+    return data;
+  }
+
+  /**
+   * Recompute the stored report's hash on the server
+   * @returns {Promise<object|null>} { valid, content_hash, computed_hash, session_hash, signed_at }
+   */
+  async verifyReport(sessionId) {
+    const { data, error } = await this.supabase.rpc('verify_inspection_report', {
+      p_session_id: sessionId,
+    });
+
+    if (error) {
+      throw error;
+    }
+    return data?.[0] || null;
+  }
+}
+
+export default new ReportSigningService();
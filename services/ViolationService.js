@@ -0,0 +1,424 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import getSupabaseClient from './supabaseClient';
+import OfflineQueueService, { QUEUE_TYPES, createIdempotencyKey, isPermanentError } from './OfflineQueueService';
+import { findingKey } from './reportModel';
+
+/**
+ * ViolationService - Inspector-reviewed findings in inspection_violations
+ * AI findings are recorded once per session the first time they are seen;
+ * inspectors can add their own, edit either kind, and dismiss AI false
+ * positives. Dismissed rows are kept (status 'dismissed') and every change
+ * is written to inspection_violation_events by a database trigger.
+ *
+ * Writes go to a local pending store first and replay the latest copy of
+ * the row when back online, so an edit made offline can't be overwritten
+ * by an older queued version.
+ */
+
+const PENDING_STORAGE_KEY = 'vis_pending_violations';
+
+export const VIOLATION_SOURCE = {
+  AI: 'ai',
+  MANUAL: 'manual',
+};
+
+export const VIOLATION_STATUS = {
+  OPEN: 'open',
+  DISMISSED: 'dismissed',
+};
+
+export const DISMISS_REASONS = ['False positive', 'Duplicate', 'Not applicable', 'Already corrected'];
+
+/**
+ * Whether an inspector changed an AI finding from what the model reported
+ */
+export const isEdited = (violation) =>
+  violation.source === VIOLATION_SOURCE.AI &&
+  !!violation.aiOriginal &&
+  ['code', 'severity', 'category'].some((field) => (violation[field] || null) !== (violation.aiOriginal[field] || null));
+
+/**
+ * inspection_violations row -> app violation
+ */
+export const fromRow = (row) => ({
+  id: row.id,
+  sessionId: row.session_id,
+  projectId: row.project_id,
+  code: row.violation_code || null,
+  issue: row.description || '',
+  severity: row.severity || 'medium',
+  category: row.category || null,
+  coordinates: row.location_x != null && row.location_y != null ? { x: row.location_x, y: row.location_y } : null,
+  source: row.source || VIOLATION_SOURCE.MANUAL,
+  status: row.status || VIOLATION_STATUS.OPEN,
+  dismissedReason: row.dismissed_reason || null,
+  aiOriginal: row.ai_original || null,
+  createdBy: row.created_by || null,
+  updatedBy: row.updated_by || null,
+  detectedAt: row.detected_at || row.created_at || null,
+  updatedAt: row.updated_at || null,
+});
+
+/**
+ * App violation -> inspection_violations row (columns the app may write)
+ */
+export const toRow = (violation) => ({
+  id: violation.id,
+  session_id: violation.sessionId,
+  project_id: violation.projectId || null,
+  violation_code: violation.code || null,
+  description: violation.issue || null,
+  severity: violation.severity || null,
+  category: violation.category || null,
+  location_x: violation.coordinates?.x ?? null,
+  location_y: violation.coordinates?.y ?? null,
+  source: violation.source,
+  status: violation.status,
+  dismissed_reason: violation.dismissedReason || null,
+  ai_original: violation.aiOriginal || null,
+  detected_at: violation.detectedAt,
+});
+
+class ViolationService {
+  constructor() {
+    this._supabase = null; // Lazy load - don't call getSupabaseClient() yet
+    this.records = new Map(); // id -> violation, for sessions opened on this device
+    this.aiKeys = new Map(); // `${sessionId}|${findingKey}` -> id
+    this.listeners = new Set();
+    // Serializes pending-store writes so concurrent saves don't clobber each other
+    this.lock = Promise.resolve();
+
+    OfflineQueueService.registerHandler(
+      QUEUE_TYPES.SAVE_VIOLATION,
+      (payload) => this.pushRecord(payload.id),
+      // Given up on: stop reporting the edit as pending
+      { onFailed: (payload) => this.discardPending(payload.id) }
+    );
+  }
+
+  /**
+   * Get Supabase client (lazy initialization)
+   */
+  get supabase() {
+    if (!this._supabase) {
+      this._supabase = getSupabaseClient();
+    }
+    return this._supabase;
+  }
+
+  /**
+   * Subscribe to changes in the cached violations
+   * @returns {function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Cached violations for a session, oldest first
+   */
+  getSessionViolations(sessionId, { includeDismissed = false } = {}) {
+    return [...this.records.values()]
+      .filter((v) => v.sessionId === sessionId && (includeDismissed || v.status !== VIOLATION_STATUS.DISMISSED))
+      .sort((a, b) => String(a.detectedAt).localeCompare(String(b.detectedAt)));
+  }
+
+  /**
+   * Load a session's violations from the database (plus unsynced local edits)
+   * @returns {Promise<Array<object>>}
+   */
+  async listViolations(sessionId, { includeDismissed = false } = {}) {
+    if (!sessionId) return [];
+
+    try {
+      const { data, error } = await this.supabase
+        .from('inspection_violations')
+        .select('*')
+        .eq('session_id', sessionId)
+        .order('detected_at', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      const pending = await this.readPending();
+      (data || []).forEach((row) => {
+        if (!pending[row.id]) this.cache(fromRow(row));
+      });
+      Object.values(pending)
+        .filter((row) => row.session_id === sessionId)
+        .forEach((row) => this.cache(fromRow(row)));
+      this.notify();
+    } catch (error) {
+      console.error('Error loading violations:', error);
+    }
+    return this.getSessionViolations(sessionId, { includeDismissed });
+  }
+
+  /**
+   * Record the AI findings from one analyzed frame and return them as the
+   * inspector should see them: with edits applied and dismissed ones removed
+   * @param {Array<object>} violations - Model violations ({ code, issue, severity, category, coordinates })
+   * @param {object} params - { sessionId, projectId }
+   * @returns {Array<object>} Violations with recordId, source and edited
+   */
+  recordAiFindings(violations = [], { sessionId, projectId = null }) {
+    for (const violation of violations) {
+      // AI findings repeat frame after frame; one row per code and category per session
+      const key = `${sessionId}|${findingKey(violation)}`;
+      if (this.records.has(this.aiKeys.get(key))) continue;
+
+      const { verification, unverified, ...finding } = violation;
+      const record = {
+        id: createIdempotencyKey(),
+        sessionId,
+        projectId,
+        code: violation.code || null,
+        issue: violation.issue || violation.description || '',
+        severity: violation.severity || 'medium',
+        category: violation.category || null,
+        coordinates: violation.coordinates || null,
+        source: VIOLATION_SOURCE.AI,
+        status: VIOLATION_STATUS.OPEN,
+        dismissedReason: null,
+        aiOriginal: finding,
+        detectedAt: new Date().toISOString(),
+      };
+      this.aiKeys.set(key, record.id);
+      // Don't hold up the scan loop on the network
+      this.saveRecord(record).catch((error) => console.error('Error recording AI finding:', error));
+    }
+    return this.reviewFindings(violations, sessionId);
+  }
+
+  /**
+   * Apply the inspector's edits to model findings without recording them;
+   * dismissed findings are left out
+   * @returns {Array<object>} Violations with recordId, source and edited
+   */
+  reviewFindings(violations = [], sessionId) {
+    const shown = [];
+    for (const violation of violations) {
+      const record = this.records.get(this.aiKeys.get(`${sessionId}|${findingKey(violation)}`));
+      if (!record) {
+        shown.push(violation);
+        continue;
+      }
+      if (record.status === VIOLATION_STATUS.DISMISSED) continue;
+
+      shown.push({
+        ...violation,
+        recordId: record.id,
+        code: record.code,
+        issue: record.issue,
+        severity: record.severity,
+        category: record.category,
+        source: record.source,
+        edited: isEdited(record),
+        // A corrected code needs a fresh citation check
+        verification: record.code === violation.code ? violation.verification : null,
+        unverified: record.code === violation.code ? violation.unverified : false,
+      });
+    }
+    return shown;
+  }
+
+  /**
+   * Cached violation by id
+   */
+  getViolation(id) {
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * Add an inspector's own finding
+   * @param {object} params - { sessionId, projectId, code, issue, severity, category }
+   * @returns {Promise<object>} Saved violation
+   */
+  async addViolation({ sessionId, projectId = null, code, issue, severity = 'medium', category = null }) {
+    const record = {
+      id: createIdempotencyKey(),
+      sessionId,
+      projectId,
+      code: code || null,
+      issue: issue || '',
+      severity,
+      category,
+      coordinates: null,
+      source: VIOLATION_SOURCE.MANUAL,
+      status: VIOLATION_STATUS.OPEN,
+      dismissedReason: null,
+      aiOriginal: null,
+      detectedAt: new Date().toISOString(),
+    };
+    await this.saveRecord(record);
+    return record;
+  }
+
+  /**
+   * Correct a finding's code, description, severity or category
+   * @returns {Promise<object|null>} Updated violation
+   */
+  async updateViolation(id, { code, issue, severity, category }) {
+    const record = this.records.get(id);
+    if (!record) return null;
+
+    const updated = {
+      ...record,
+      ...(code !== undefined && { code: code || null }),
+      ...(issue !== undefined && { issue }),
+      ...(severity !== undefined && { severity }),
+      ...(category !== undefined && { category }),
+    };
+    await this.saveRecord(updated);
+    return updated;
+  }
+
+  /**
+   * Dismiss a finding (e.g. an AI false positive). The row is kept for the audit trail.
+   */
+  async dismissViolation(id, reason = DISMISS_REASONS[0]) {
+    const record = this.records.get(id);
+    if (!record) return null;
+
+    const updated = { ...record, status: VIOLATION_STATUS.DISMISSED, dismissedReason: reason };
+    await this.saveRecord(updated);
+    return updated;
+  }
+
+  /**
+   * Undo a dismissal
+   */
+  async restoreViolation(id) {
+    const record = this.records.get(id);
+    if (!record) return null;
+
+    const updated = { ...record, status: VIOLATION_STATUS.OPEN, dismissedReason: null };
+    await this.saveRecord(updated);
+    return updated;
+  }
+
+  /**
+   * Audit trail for one violation, oldest first
+   * @returns {Promise<Array<object>>} inspection_violation_events rows
+   */
+  async getHistory(violationId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('inspection_violation_events')
+        .select('*')
+        .eq('violation_id', violationId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+      return data || [];
+    } catch (error) {
+      console.error('Error loading violation history:', error);
+      return [];
+    }
+  }
+
+  cache(record) {
+    this.records.set(record.id, record);
+    if (record.source === VIOLATION_SOURCE.AI && record.aiOriginal) {
+      this.aiKeys.set(`${record.sessionId}|${findingKey(record.aiOriginal)}`, record.id);
+    }
+  }
+
+  /**
+   * Keep a violation locally and write it to the database, queueing on failure.
+   * Findings without a session stay on the device only. Writes the database
+   * refuses (RLS, or a signed and locked session) are undone and rethrown.
+   */
+  async saveRecord(record) {
+    const previous = this.records.get(record.id);
+    this.cache(record);
+    this.notify();
+    if (!record.sessionId) return;
+
+    await this.withLock(async () => {
+      const pending = await this.readPending();
+      pending[record.id] = toRow(record);
+      await AsyncStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(pending));
+    });
+
+    try {
+      await this.pushRecord(record.id);
+    } catch (error) {
+      if (isPermanentError(error)) {
+        await this.discardPending(record.id);
+        if (previous) {
+          this.cache(previous);
+        } else {
+          this.records.delete(record.id);
+          if (record.aiOriginal) {
+            this.aiKeys.delete(`${record.sessionId}|${findingKey(record.aiOriginal)}`);
+          }
+        }
+        this.notify();
+        throw error;
+      }
+      console.error('❌ Failed to save violation, queueing:', error);
+      await OfflineQueueService.enqueue(QUEUE_TYPES.SAVE_VIOLATION, { id: record.id });
+    }
+  }
+
+  async discardPending(id) {
+    await this.withLock(async () => {
+      const pending = await this.readPending();
+      if (!pending[id]) return;
+      delete pending[id];
+      await AsyncStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(pending));
+    });
+  }
+
+  /**
+   * Upsert the latest local copy of a violation (OfflineQueueService handler)
+   */
+  async pushRecord(id) {
+    const row = (await this.readPending())[id];
+    if (!row) return;
+
+    const { error } = await this.supabase
+      .from('inspection_violations')
+      .upsert([row], { onConflict: 'id' });
+
+    if (error) {
+      throw error;
+    }
+
+    // Only clear the pending copy if no newer edit arrived during the upsert
+    await this.withLock(async () => {
+      const pending = await this.readPending();
+      if (JSON.stringify(pending[id]) === JSON.stringify(row)) {
+        delete pending[id];
+        await AsyncStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(pending));
+      }
+    });
+  }
+
+  withLock(fn) {
+    const run = this.lock.then(fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  async readPending() {
+    try {
+      const json = await AsyncStorage.getItem(PENDING_STORAGE_KEY);
+      return json ? JSON.parse(json) : {};
+    } catch (error) {
+      console.error('Error reading pending violations:', error);
+      return {};
+    }
+  }
+}
+
+export default new ViolationService();
@@ -0,0 +1,237 @@
+/**
+ * Code section parser
+ * Turns building code HTML into chapters and numbered sections so prompts
+ * and screens can cite an exact section (e.g. IRC R314.3) instead of a slice
+ * of page text. Regex based: React Native has no DOMParser.
+ *
+ * Index shape (JSON-serializable, sections keyed by number):
+ * {
+ *   chapters: [{ number, title, sections: ['R314', ...] }],
+ *   sections: { 'R314.3': { number, title, text, chapter, parent, children: [] } },
+ *   order: ['R314', 'R314.1', ...]   // document order
+ * }
+ */
+
+const BLOCK_TAGS = 'p|div|li|tr|td|th|table|ul|ol|section|article|blockquote|dd|dt|br';
+const HEADING_MARK = '\u0001';
+
+const ENTITIES = {
+  nbsp: ' ',
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  sect: '§',
+  ndash: '–',
+  mdash: '—',
+  rsquo: "'",
+  lsquo: "'",
+  rdquo: '"',
+  ldquo: '"',
+};
+
+const CHAPTER_PATTERN = /^CHAPTER\s+([0-9]+[A-Z]?)\b\s*[:.\-–—]?\s*(.*)$/i;
+
+// "SECTION R314 SMOKE ALARMS", "R314.3 Location.", "§ 16-1.1 Title.", "E3902.16 Arc-fault..."
+const SECTION_PATTERN = /^(SECTION\s+|§+\s*)?([A-Z]{0,2}\d+[A-Z]?(?:[.-]\d+[A-Z]?)*)\.?\s+(.+)$/i;
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCharCode(parseInt(dec, 10)))
+    .replace(/&([a-z]+);/gi, (match, name) => ENTITIES[name.toLowerCase()] ?? match);
+
+/**
+ * Flatten HTML into text blocks, remembering which came from heading tags
+ * @returns {Array<{ text: string, heading: boolean }>}
+ */
+export function extractBlocks(html) {
+  const marked = String(html || '')
+    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
+    .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<h[1-6]\b[^>]*>/gi, `\n${HEADING_MARK}`)
+    .replace(/<\/h[1-6]>/gi, '\n')
+    .replace(new RegExp(`<\\/?(?:${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(marked)
+    .split('\n')
+    .map((line) => {
+      const heading = line.includes(HEADING_MARK);
+      const text = line.replace(new RegExp(HEADING_MARK, 'g'), '').replace(/\s+/g, ' ').trim();
+      return { text, heading };
+    })
+    .filter((block) => block.text);
+}
+
+/**
+ * Normalize a section number for lookup ("r314.3" -> "R314.3")
+ */
+export const normalizeSectionNumber = (number) => String(number || '').trim().toUpperCase().replace(/\.$/, '');
+
+// Code names citations lead with; the county and state ones name the local
+// code itself, the rest a model code
+const LOCAL_CODES = ['HBC', 'ROH', 'MCC', 'HCC', 'KCC', 'HRS'];
+const CODE_NAMES = ['IRC', 'IBC', 'NEC', 'UPC', 'IPC', 'IMC', 'IECC', 'NFPA', 'OSHA', ...LOCAL_CODES];
+const CODE_NAME_PATTERN = CODE_NAMES.join('|');
+
+/**
+ * Code a citation names ("NEC 2020 210.8(A)" -> 'NEC'), or null
+ */
+export function parseCitationCode(citation) {
+  const match = String(citation || '').match(new RegExp(`\\b(${CODE_NAME_PATTERN})\\b`, 'i'));
+  return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Indexed codes a citation can be checked against. A model code citation
+ * only matches the index amending that model code, so "NEC 110.2" is never
+ * read as IBC 110.2; a bare number or a county citation matches any.
+ * @param {string} citation
+ * @param {object} modelCodes - { [codeType]: model code the index amends }, e.g. { residential: 'IRC' }
+ * @returns {Array<string>} codeTypes, in the order of modelCodes
+ */
+export function citableCodeTypes(citation, modelCodes) {
+  const named = parseCitationCode(citation);
+  const codeTypes = Object.keys(modelCodes);
+  if (!named || LOCAL_CODES.includes(named)) return codeTypes;
+  return codeTypes.filter((codeType) => modelCodes[codeType] === named);
+}
+
+/**
+ * Pull the section number out of a citation such as "IRC R314.3",
+ * "ROH § 16-1.1" or "NEC 2020 210.8(A)"
+ * @returns {string|null}
+ */
+export function parseCitation(citation) {
+  const text = String(citation || '')
+    .replace(/\([^)]*\)/g, ' ') // drop list items like (A) or (1)
+    // Code name plus optional edition ("NEC 2020"); a section like 1905.1 is left alone
+    .replace(new RegExp(`\\b(?:${CODE_NAME_PATTERN})\\b(?:\\s+(?:19|20)\\d{2}\\b(?![.-]\\d))?`, 'gi'), ' ')
+    .replace(/\b(?:SECTION|SEC\.?)\s*/gi, ' ')
+    .replace(/§/g, ' ');
+
+  const match = text.match(/[A-Z]{0,2}\d+[A-Z]?(?:[.-]\d+[A-Z]?)*/i);
+  return match ? normalizeSectionNumber(match[0]) : null;
+}
+
+/**
+ * Parent number by dropping the last segment ("R314.3.1" -> "R314.3", "16-1.1" -> "16-1")
+ */
+export function parentSectionNumber(number) {
+  const index = Math.max(number.lastIndexOf('.'), number.lastIndexOf('-'));
+  return index > 0 ? number.slice(0, index) : null;
+}
+
+/**
+ * "Location. Smoke alarms shall..." -> { title: 'Location', text: 'Smoke alarms shall...' }
+ */
+function splitHeading(rest) {
+  const match = rest.match(/^(.{1,120}?)\.\s+(.+)$/);
+  if (match) {
+    return { title: match[1].trim(), text: match[2].trim() };
+  }
+  return { title: rest.replace(/\.$/, '').trim(), text: '' };
+}
+
+/**
+ * Parse code HTML into a chapter/section index
+ * @param {string} html - Code page HTML
+ * @returns {object} { chapters, sections, order }
+ */
+export function parseCodeSections(html) {
+  const chapters = [];
+  const sections = {};
+  const order = [];
+  let chapter = null;
+  let current = null;
+
+  const ensureChapter = () => {
+    if (!chapter) {
+      chapter = { number: null, title: 'General', sections: [] };
+      chapters.push(chapter);
+    }
+    return chapter;
+  };
+
+  extractBlocks(html).forEach(({ text, heading }) => {
+    const chapterMatch = text.match(CHAPTER_PATTERN);
+    if (chapterMatch && (heading || text.length < 120)) {
+      chapter = { number: chapterMatch[1].toUpperCase(), title: chapterMatch[2].trim(), sections: [] };
+      chapters.push(chapter);
+      current = null;
+      return;
+    }
+
+    const sectionMatch = text.match(SECTION_PATTERN);
+    if (sectionMatch) {
+      const [, prefix, rawNumber, rest] = sectionMatch;
+      const number = normalizeSectionNumber(rawNumber);
+      // Bare numbers like "2.5 inches ..." are body text unless they head a block
+      const looksLikeSection = heading || prefix || /^[A-Z]/.test(number);
+
+      if (looksLikeSection && !sections[number]) {
+        const { title, text: body } = splitHeading(rest);
+
+        // Attach to the nearest enclosing section that exists
+        let parent = parentSectionNumber(number);
+        while (parent && !sections[parent]) {
+          parent = parentSectionNumber(parent);
+        }
+
+        const owner = ensureChapter();
+        current = {
+          number,
+          title,
+          text: body,
+          chapter: owner.number,
+          parent,
+          children: [],
+        };
+        sections[number] = current;
+        order.push(number);
+
+        if (parent) {
+          sections[parent].children.push(number);
+        } else {
+          owner.sections.push(number);
+        }
+        return;
+      }
+    }
+
+    if (current) {
+      current.text = current.text ? `${current.text}\n${text}` : text;
+    }
+  });
+
+  return { chapters, sections, order };
+}
+
+/**
+ * Find a section, falling back to the nearest parent that was indexed
+ * @param {object} index - Parsed index
+ * @param {string} citation - Section number or full citation
+ * @returns {object|null} { section, exact } where exact is false for a parent match
+ */
+export function findSection(index, citation) {
+  const number = parseCitation(citation);
+  if (!index?.sections || !number) return null;
+
+  let candidate = number;
+  while (candidate) {
+    if (index.sections[candidate]) {
+      return { section: index.sections[candidate], exact: candidate === number };
+    }
+    candidate = parentSectionNumber(candidate);
+  }
+  return null;
+}
+
+/**
+ * Citation label for a section ("R314.3", or "§ 16-1.1" for ordinance numbering)
+ */
+export const formatSectionCitation = (section) =>
+  /^[A-Z]/.test(section.number) ? section.number : `§ ${section.number}`;
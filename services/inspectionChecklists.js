@@ -0,0 +1,167 @@
+/**
+ * Inspection checklists
+ * What an inspector verifies for each inspection type. The open items focus
+ * the live AI prompt, the model can suggest pass/fail for items it can see,
+ * and the inspector's taps always win over AI suggestions. Results are keyed
+ * by item id: { [itemId]: { status, source, note, updatedAt } }.
+ */
+
+export const CHECKLIST_STATUS = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  NA: 'na',
+};
+
+export const CHECKLIST_SOURCE = {
+  AI: 'ai',
+  MANUAL: 'manual',
+};
+
+// category selects the code sections retrieved for the live prompt
+export const INSPECTION_TYPES = [
+  { label: 'Rough Framing', value: 'rough_framing', category: 'structural' },
+  { label: 'Electrical', value: 'electrical', category: 'electrical' },
+  { label: 'Plumbing', value: 'plumbing', category: 'plumbing' },
+  { label: 'Mechanical (HVAC)', value: 'mechanical', category: 'HVAC' },
+  { label: 'Final', value: 'final', category: 'general' },
+];
+
+const CHECKLISTS = {
+  rough_framing: [
+    { id: 'hold_downs', label: 'Hold-downs and straps', focus: 'hold-downs, straps and hurricane ties installed at the locations shown and fully fastened' },
+    { id: 'anchor_bolts', label: 'Anchor bolts and sill plates', focus: 'anchor bolts with plate washers at sill plates, spacing and edge distance' },
+    { id: 'nailing', label: 'Nailing schedule', focus: 'framing and sheathing nail size and spacing, no overdriven or missed nails' },
+    { id: 'headers', label: 'Headers and beams', focus: 'headers over openings sized and bearing on jack studs or hangers' },
+    { id: 'fireblocking', label: 'Fireblocking and draftstopping', focus: 'fireblocking at concealed spaces, floor/ceiling lines and penetrations' },
+    { id: 'notching', label: 'Notching and boring', focus: 'studs, joists and rafters not over-notched or over-bored' },
+    { id: 'termite', label: 'Termite-resistant lumber', focus: 'pressure-treated or naturally termite-resistant lumber (Hawaii amendment)' },
+  ],
+  electrical: [
+    { id: 'panel_clearance', label: 'Panel working clearance', focus: 'working space in front of panels and disconnects kept clear' },
+    { id: 'grounding', label: 'Grounding and bonding', focus: 'grounding electrode conductor, bonding jumpers and ground connections' },
+    { id: 'boxes', label: 'Boxes secured, box fill', focus: 'boxes securely fastened, not overcrowded, conductors with enough free length' },
+    { id: 'cable_support', label: 'Cable support', focus: 'cables stapled near boxes and supported along framing' },
+    { id: 'nail_plates', label: 'Nail plates', focus: 'steel nail plates where cables pass close to the face of framing' },
+    { id: 'gfci_afci', label: 'GFCI/AFCI protection', focus: 'GFCI and AFCI protection for wet locations and living areas' },
+  ],
+  plumbing: [
+    { id: 'dwv_slope', label: 'Drain slope and support', focus: 'drain, waste and vent piping slope, support and hangers' },
+    { id: 'venting', label: 'Venting', focus: 'fixture vents present and connected, no flat vents below flood rim' },
+    { id: 'test', label: 'Test on system', focus: 'water or air test in place, gauges and test caps visible' },
+    { id: 'cleanouts', label: 'Cleanouts', focus: 'cleanouts at required locations and accessible' },
+    { id: 'protection', label: 'Pipe protection', focus: 'protective plates and sleeves where pipes pass through framing' },
+    { id: 'water_heater', label: 'Water heater', focus: 'relief valve discharge piping, seismic strapping and clearances' },
+  ],
+  mechanical: [
+    { id: 'duct_support', label: 'Duct sealing and support', focus: 'ducts sealed at joints and supported, no crushed flex duct' },
+    { id: 'equipment_access', label: 'Equipment access and clearance', focus: 'access and working space at air handlers and condensers' },
+    { id: 'condensate', label: 'Condensate disposal', focus: 'condensate drains sloped and terminating at an approved location' },
+    { id: 'exhaust', label: 'Exhaust to outdoors', focus: 'bath, kitchen and dryer exhaust terminating outdoors' },
+    { id: 'line_set', label: 'Refrigerant lines', focus: 'refrigerant lines insulated, supported and protected' },
+  ],
+  final: [
+    { id: 'smoke_co', label: 'Smoke and CO alarms', focus: 'smoke and carbon monoxide alarms installed in required locations' },
+    { id: 'guards_handrails', label: 'Guards and handrails', focus: 'guard height, baluster spacing and graspable handrails at stairs' },
+    { id: 'egress', label: 'Emergency escape openings', focus: 'egress windows in sleeping rooms with clear opening and sill height' },
+    { id: 'receptacles', label: 'Receptacles and covers', focus: 'receptacles with cover plates, GFCI protection where required' },
+    { id: 'address', label: 'Address numbers', focus: 'address numbers visible from the street' },
+    { id: 'water_heater_final', label: 'Water heater', focus: 'water heater relief valve discharge and strapping' },
+  ],
+};
+
+/**
+ * Inspection type definition
+ * @returns {object|null} { label, value, category }
+ */
+export const getInspectionType = (value) => INSPECTION_TYPES.find((type) => type.value === value) || null;
+
+/**
+ * Checklist items for an inspection type (empty for unknown types)
+ * @returns {Array<object>} [{ id, label, focus }]
+ */
+export const getChecklist = (inspectionType) => CHECKLISTS[inspectionType] || [];
+
+/**
+ * Record an inspector's tap. Tapping the current status again clears it.
+ * @returns {object} New results
+ */
+export function setChecklistItem(results, itemId, status) {
+  const current = results[itemId];
+  if (current?.source === CHECKLIST_SOURCE.MANUAL && current.status === status) {
+    const { [itemId]: cleared, ...rest } = results;
+    return rest;
+  }
+  return {
+    ...results,
+    [itemId]: { status, source: CHECKLIST_SOURCE.MANUAL, note: null, updatedAt: new Date().toISOString() },
+  };
+}
+
+/**
+ * Merge AI suggestions ({ id, status, note }) into the results. Items the
+ * inspector already set are never overwritten, and a failure the model saw
+ * once isn't cleared by a later frame that happens to look fine.
+ * @returns {object} New results (the same object if nothing changed)
+ */
+export function applyChecklistSuggestions(results, inspectionType, suggestions = []) {
+  const itemIds = new Set(getChecklist(inspectionType).map((item) => item.id));
+  let next = results;
+
+  suggestions.forEach((suggestion) => {
+    const status = suggestion?.status;
+    if (!itemIds.has(suggestion?.id) || ![CHECKLIST_STATUS.PASS, CHECKLIST_STATUS.FAIL].includes(status)) return;
+
+    const current = next[suggestion.id];
+    if (current?.source === CHECKLIST_SOURCE.MANUAL) return;
+    if (current?.status === CHECKLIST_STATUS.FAIL || current?.status === status) return;
+
+    next = {
+      ...next,
+      [suggestion.id]: {
+        status,
+        source: CHECKLIST_SOURCE.AI,
+        note: suggestion.note || null,
+        updatedAt: new Date().toISOString(),
+      },
+    };
+  });
+
+  return next;
+}
+
+/**
+ * Prompt section focusing the model on the items the inspector hasn't settled
+ * @returns {string} Empty when the inspection type has no checklist
+ */
+export function formatChecklistPrompt(inspectionType, results = {}) {
+  const type = getInspectionType(inspectionType);
+  const open = getChecklist(inspectionType).filter(
+    (item) => results[item.id]?.source !== CHECKLIST_SOURCE.MANUAL
+  );
+  if (!type || !open.length) return '';
+
+  return `INSPECTION FOCUS: ${type.label}
+Look specifically for:
+${open.map((item) => `- [${item.id}] ${item.focus}`).join('\n')}
+For each item you can clearly judge in this frame, add {"id": "<item id>", "status": "pass|fail", "note": "what you saw"} to "checklist". Leave out items that are not visible.`;
+}
+
+/**
+ * Checklist items with their results, and counts per status
+ * @returns {object} { items: [{ id, label, status, source, note }], counts: { pass, fail, na, open } }
+ */
+export function summarizeChecklist(inspectionType, results = {}) {
+  const counts = { pass: 0, fail: 0, na: 0, open: 0 };
+  const items = getChecklist(inspectionType).map((item) => {
+    const result = results[item.id];
+    counts[result?.status || 'open']++;
+    return {
+      id: item.id,
+      label: item.label,
+      status: result?.status || null,
+      source: result?.source || null,
+      note: result?.note || null,
+    };
+  });
+  return { items, counts };
+}
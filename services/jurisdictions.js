@@ -0,0 +1,246 @@
+/**
+ * Jurisdiction registry
+ * Adopted code editions, local amendments, permit types and inspector
+ * contacts for each county building department. BuildingCodeService and the
+ * AI prompts resolve everything jurisdiction-specific through here, so add a
+ * county with registerJurisdiction() instead of hardcoding it elsewhere.
+ */
+
+export const DEFAULT_JURISDICTION_ID = 'honolulu';
+
+// Hawaii State Building Code editions; each county adopts them with its own amendments
+const STATE_CODES = [
+  { code: 'IBC', edition: 2018, title: 'International Building Code' },
+  { code: 'IRC', edition: 2018, title: 'International Residential Code' },
+  { code: 'NEC', edition: 2020, title: 'National Electrical Code' },
+  { code: 'UPC', edition: 2018, title: 'Uniform Plumbing Code' },
+  { code: 'IECC', edition: 2018, title: 'International Energy Conservation Code' },
+];
+
+// State amendments that apply in every county
+const STATE_AMENDMENTS = [
+  {
+    ref: 'IRC R301.2.1 (HI amendment)',
+    summary: 'Wind design uses Hawaii wind speeds and topographic factors from the county wind maps',
+    categories: ['structural'],
+  },
+  {
+    ref: 'IRC R318 (HI amendment)',
+    summary: 'Termite protection required for wood framing: pressure-treated or naturally resistant lumber, or an approved barrier',
+    categories: ['structural'],
+  },
+  {
+    ref: 'HRS 46-1.5(a)(25)',
+    summary: 'Counties may not require fire sprinklers in new detached one- and two-family dwellings',
+    categories: ['fire safety'],
+  },
+];
+
+const PERMIT_CATEGORIES = {
+  electrical: { permit: 'Electrical Permit Required', notes: 'All electrical work requires an electrical permit' },
+  plumbing: { permit: 'Plumbing Permit Required', notes: 'All plumbing alterations require a plumbing permit' },
+  structural: { permit: 'Building Permit Required', notes: 'Structural work requires a building permit and engineer approval' },
+  'fire safety': { permit: 'Fire Safety Permit Required', notes: 'Fire protection systems require Fire Department plan approval' },
+  HVAC: { permit: 'Mechanical Permit Required', notes: 'HVAC installation requires a mechanical permit' },
+};
+
+// Same permit categories everywhere; only the issuing office and inspector differ
+const countyPermits = ({ agency, inspectorPrefix, fireDepartment }) =>
+  Object.entries(PERMIT_CATEGORIES).reduce((permits, [category, permit]) => {
+    const trade = {
+      electrical: 'Electrical',
+      plumbing: 'Plumbing',
+      structural: 'Building',
+      HVAC: 'Mechanical',
+    }[category];
+
+    permits[category] = {
+      ...permit,
+      notes: `${permit.notes} from ${agency}`,
+      inspector: category === 'fire safety' ? fireDepartment : `${inspectorPrefix} ${trade} Inspector`,
+    };
+    return permits;
+  }, {});
+
+const registry = new Map();
+
+/**
+ * Add or replace a jurisdiction
+ * @param {object} definition - { id, name, shortName, agency, agencyShort, aliases,
+ *   places, codeLibrary, adoptedCodes, amendments, permits, contacts }
+ * @returns {object} The registered jurisdiction
+ */
+export function registerJurisdiction(definition) {
+  if (!definition?.id || !definition.name) {
+    throw new Error('Jurisdiction needs an id and a name');
+  }
+
+  const jurisdiction = {
+    aliases: [],
+    places: [],
+    codeLibrary: {},
+    adoptedCodes: STATE_CODES,
+    amendments: [],
+    permits: {},
+    contacts: {},
+    ...definition,
+  };
+  registry.set(jurisdiction.id, jurisdiction);
+  return jurisdiction;
+}
+
+registerJurisdiction({
+  id: 'honolulu',
+  name: 'City & County of Honolulu',
+  shortName: 'Honolulu',
+  agency: 'Department of Planning and Permitting',
+  agencyShort: 'DPP',
+  aliases: ['honolulu', 'oahu', 'city and county of honolulu', 'city & county of honolulu'],
+  places: ['kailua', 'kaneohe', 'pearl city', 'aiea', 'waipahu', 'kapolei', 'ewa beach', 'mililani', 'wahiawa', 'haleiwa', 'waianae', 'waimanalo'],
+  codeLibrary: {
+    building: 'https://codelibrary.amlegal.com/codes/honolulu/latest/honolulu/0-0-0-17062',
+    residential: 'https://codelibrary.amlegal.com/codes/honolulu/latest/honolulu/0-0-0-17031',
+  },
+  amendments: [
+    ...STATE_AMENDMENTS,
+    { ref: 'ROH Chapter 16', summary: 'Honolulu Building Code: county amendments to the IBC and IRC', categories: ['structural'] },
+    { ref: 'ROH Chapter 21A', summary: 'Flood hazard districts: lowest floor elevation and flood-resistant construction', categories: ['structural'] },
+  ],
+  permits: countyPermits({
+    agency: 'Honolulu DPP',
+    inspectorPrefix: 'City & County of Honolulu',
+    fireDepartment: 'Honolulu Fire Department',
+  }),
+  contacts: {
+    building: { name: 'Honolulu DPP Building Division', phone: '(808) 768-8000', url: 'https://www.honolulu.gov/dpp' },
+    fire: { name: 'Honolulu Fire Department Fire Prevention Bureau', url: 'https://fire.honolulu.gov' },
+  },
+});
+
+registerJurisdiction({
+  id: 'maui',
+  name: 'County of Maui',
+  shortName: 'Maui',
+  agency: 'Department of Public Works, Development Services Administration',
+  agencyShort: 'DSA',
+  aliases: ['maui', 'county of maui', 'maui county', 'molokai', 'lanai'],
+  places: ['kahului', 'wailuku', 'lahaina', 'kihei', 'wailea', 'makawao', 'pukalani', 'paia', 'hana', 'kaunakakai', 'lanai city'],
+  codeLibrary: {
+    building: 'https://library.municode.com/hi/county_of_maui/codes/code_of_ordinances',
+  },
+  amendments: [
+    ...STATE_AMENDMENTS,
+    { ref: 'MCC Title 16', summary: 'Maui County building, electrical and plumbing code amendments', categories: ['structural', 'electrical', 'plumbing'] },
+    { ref: 'MCC Chapter 19.62', summary: 'Flood hazard areas: elevation and flood-resistant construction', categories: ['structural'] },
+  ],
+  permits: countyPermits({
+    agency: 'Maui DSA',
+    inspectorPrefix: 'County of Maui',
+    fireDepartment: 'Maui Fire Department',
+  }),
+  contacts: {
+    building: { name: 'Maui Development Services Administration', phone: '(808) 270-7250', url: 'https://www.mauicounty.gov' },
+    fire: { name: 'Maui Fire Department Fire Prevention Bureau', url: 'https://www.mauicounty.gov' },
+  },
+});
+
+registerJurisdiction({
+  id: 'hawaii',
+  name: 'County of Hawaii',
+  shortName: 'Hawaii County',
+  agency: 'Department of Public Works, Building Division',
+  agencyShort: 'DPW',
+  aliases: ['hawaii county', 'county of hawaii', 'big island', 'hawaii island'],
+  places: ['hilo', 'kona', 'kailua-kona', 'waimea', 'kamuela', 'pahoa', 'volcano', 'captain cook', 'waikoloa', 'honokaa'],
+  codeLibrary: {
+    building: 'https://library.municode.com/hi/county_of_hawaii/codes/code_of_ordinances',
+  },
+  amendments: [
+    ...STATE_AMENDMENTS,
+    { ref: 'HCC Chapter 5', summary: 'Hawaii County Building Code: county amendments to the IBC and IRC', categories: ['structural'] },
+    { ref: 'HCC Chapter 27', summary: 'Floodplain management: elevation and flood-resistant construction', categories: ['structural'] },
+  ],
+  permits: countyPermits({
+    agency: 'Hawaii County DPW Building Division',
+    inspectorPrefix: 'County of Hawaii',
+    fireDepartment: 'Hawaii Fire Department',
+  }),
+  contacts: {
+    building: { name: 'Hawaii County DPW Building Division', phone: '(808) 961-8331', url: 'https://www.dpw.hawaiicounty.gov' },
+    fire: { name: 'Hawaii Fire Department Fire Prevention Bureau', url: 'https://www.hawaiicounty.gov' },
+  },
+});
+
+registerJurisdiction({
+  id: 'kauai',
+  name: 'County of Kauai',
+  shortName: 'Kauai',
+  agency: 'Department of Public Works, Building Division',
+  agencyShort: 'DPW',
+  aliases: ['kauai', 'county of kauai', 'kauai county', 'niihau'],
+  places: ['lihue', 'kapaa', 'koloa', 'poipu', 'princeville', 'hanalei', 'hanapepe', 'kilauea'],
+  codeLibrary: {
+    building: 'https://library.municode.com/hi/kauai_county/codes/code_of_ordinances',
+  },
+  amendments: [
+    ...STATE_AMENDMENTS,
+    { ref: 'KCC Chapter 12', summary: 'Kauai County Building Code: county amendments to the IBC and IRC', categories: ['structural'] },
+  ],
+  permits: countyPermits({
+    agency: 'Kauai DPW Building Division',
+    inspectorPrefix: 'County of Kauai',
+    fireDepartment: 'Kauai Fire Department',
+  }),
+  contacts: {
+    building: { name: 'Kauai DPW Building Division', phone: '(808) 241-4854', url: 'https://www.kauai.gov' },
+    fire: { name: 'Kauai Fire Department Fire Prevention Bureau', url: 'https://www.kauai.gov' },
+  },
+});
+
+/**
+ * All registered jurisdictions, in registration order
+ */
+export const listJurisdictions = () => [...registry.values()];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Match an id, name, alias or place name (e.g. from a project address)
+ * @param {string|object} value - Free text, id, or an already-resolved jurisdiction
+ * @returns {object|null} Jurisdiction, or null when nothing matches
+ */
+export function findJurisdiction(value) {
+  if (value && typeof value === 'object') return registry.get(value.id) || null;
+
+  const text = normalize(value);
+  if (!text) return null;
+  if (registry.has(text)) return registry.get(text);
+
+  const jurisdictions = listJurisdictions();
+  const exact = jurisdictions.find((j) =>
+    normalize(j.name) === text || normalize(j.shortName) === text || j.aliases.includes(text)
+  );
+  if (exact) return exact;
+
+  // Addresses and longer descriptions: look for known names as whole words.
+  // The longest match wins so "Kailua-Kona" isn't read as Oahu's "Kailua".
+  const containsWord = (term) => new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text);
+  let best = null;
+  jurisdictions.forEach((j) => {
+    [...j.aliases, ...j.places].filter(containsWord).forEach((term) => {
+      if (!best || term.length > best.term.length) best = { term, jurisdiction: j };
+    });
+  });
+  return best?.jurisdiction || null;
+}
+
+/**
+ * Like findJurisdiction, but falls back to the default jurisdiction
+ */
+export const getJurisdiction = (value) => findJurisdiction(value) || registry.get(DEFAULT_JURISDICTION_ID);
+
+/**
+ * Adopted editions as a citation list, e.g. "IBC 2018, IRC 2018, NEC 2020"
+ */
+export const formatAdoptedCodes = (jurisdiction) =>
+  jurisdiction.adoptedCodes.map(({ code, edition }) => `${code} ${edition}`).join(', ');
@@ -0,0 +1,365 @@
+/**
+ * MCP tool catalog
+ * Client-side copy of MCP_TOOLS in supabase/functions/mcp-server/index.ts.
+ * McpToolClient validates arguments against these inputSchema definitions
+ * before sending, so keep the two lists in sync when a tool changes.
+ */
+
+export const MCP_TOOLS = [
+  {
+    name: 'get_design_analysis',
+    description: 'Analyze renovation design intent and return feasibility analysis with permits, code compliance, costs, timeline',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        userInput: {
+          type: 'string',
+          description: 'Natural language design description (e.g., "extend bathroom 5 feet and add soaking tub")'
+        },
+        roomDimensions: {
+          type: 'object',
+          properties: {
+            length: { type: 'number' },
+            width: { type: 'number' },
+            unit: {
+              type: 'string',
+              enum: ['feet', 'meters']
+            }
+          }
+        },
+        location: {
+          type: 'string',
+          description: 'Location (e.g., "Honolulu, HI")'
+        }
+      },
+      required: ['userInput']
+    }
+  },
+  {
+    name: 'create_project',
+    description: 'Create a new building project with auto-GPS capture',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectName: { type: 'string' },
+        address: { type: 'string' },
+        projectType: {
+          type: 'string',
+          enum: ['residential', 'commercial', 'industrial', 'mixed_use']
+        },
+        userId: { type: 'string' },
+        autoGPS: { type: 'boolean', default: true }
+      },
+      required: ['projectName', 'address', 'projectType']
+    }
+  },
+  {
+    name: 'list_projects',
+    description: 'List building projects',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        limit: { type: 'number', default: 10 }
+      }
+    }
+  },
+  {
+    name: 'get_project_details',
+    description: 'Get detailed information about a specific project including plans, entities, and inspection reports',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectId: { type: 'string' }
+      },
+      required: ['projectId']
+    }
+  },
+  {
+    name: 'analyze_physical_plan',
+    description: 'Analyze physical paper building plans - perform take-offs, extract dimensions',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectId: { type: 'string' },
+        photoUrl: { type: 'string' },
+        analysisType: {
+          type: 'string',
+          enum: ['takeoff', 'dimension_extraction', 'material_count', 'specification_read', 'room_layout', 'full_analysis']
+        },
+        planType: { type: 'string' },
+        scaleInfo: { type: 'string' }
+      },
+      required: ['projectId', 'photoUrl', 'analysisType']
+    }
+  },
+  {
+    name: 'analyze_photo',
+    description: 'AI photo analysis for defects and code compliance',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        imageUrl: { type: 'string' },
+        analysisType: {
+          type: 'string',
+          enum: ['defect_detection', 'code_compliance', 'material_identification', 'general']
+        },
+        codeContext: {
+          type: 'string',
+          description: 'Jurisdiction code editions, local amendments and retrieved code sections for the prompt (defaults to Honolulu)'
+        }
+      },
+      required: ['imageUrl', 'analysisType']
+    }
+  },
+  {
+    name: 'get_building_codes',
+    description: 'Get Honolulu building code requirements',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        roomType: { type: 'string' },
+        codeType: {
+          type: 'string',
+          enum: ['IRC', 'IBC', 'NEC', 'IPC']
+        }
+      },
+      required: ['roomType']
+    }
+  },
+  {
+    name: 'get_permit_requirements',
+    description: 'Get permit requirements for specific room type and work types',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        roomType: {
+          type: 'string',
+          enum: ['bathroom', 'kitchen', 'bedroom', 'living_room', 'garage', 'exterior']
+        },
+        workTypes: { type: 'object' }
+      },
+      required: ['roomType', 'workTypes']
+    }
+  },
+  {
+    name: 'check_code_compliance',
+    description: 'Check building code compliance for specific room measurements',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        roomType: {
+          type: 'string',
+          enum: ['bathroom', 'kitchen', 'bedroom', 'living_room']
+        },
+        measurements: { type: 'object' }
+      },
+      required: ['roomType', 'measurements']
+    }
+  },
+  {
+    name: 'create_inspection_report',
+    description: 'Create a new inspection report with findings from the field',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectId: { type: 'string' },
+        findingType: {
+          type: 'string',
+          enum: ['defect', 'compliance', 'quality', 'safety', 'progress', 'observation']
+        },
+        severity: {
+          type: 'string',
+          enum: ['info', 'low', 'medium', 'high', 'critical']
+        },
+        description: { type: 'string' },
+        location: { type: 'object' },
+        photoUrl: { type: 'string' },
+        inspectorName: { type: 'string' }
+      },
+      required: ['projectId', 'findingType', 'severity', 'description', 'inspectorName']
+    }
+  },
+  {
+    name: 'get_inspection_projects',
+    description: 'Get recent inspection projects and violations',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'number', default: 10 }
+      }
+    }
+  },
+  {
+    name: 'get_material_info',
+    description: 'Get material specs, MSDS, pricing, installation info',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        materialName: { type: 'string' },
+        manufacturer: { type: 'string' }
+      },
+      required: ['materialName']
+    }
+  },
+  {
+    name: 'get_material_costs',
+    description: 'Get material pricing information',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        materialType: { type: 'string' },
+        search: { type: 'string' },
+        limit: { type: 'number', default: 10 }
+      }
+    }
+  },
+  {
+    name: 'get_labor_rates',
+    description: 'Get labor rates by trade',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        trade: {
+          type: 'string',
+          enum: ['plumber', 'electrician', 'carpenter', 'general_labor', 'tile_setter', 'painter']
+        }
+      }
+    }
+  },
+  {
+    name: 'search_installation_videos',
+    description: 'Search YouTube for installation how-to videos',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        material: { type: 'string' },
+        task: { type: 'string' },
+        limit: { type: 'number', default: 5 }
+      },
+      required: ['material', 'task']
+    }
+  },
+  {
+    name: 'get_manufacturer_website',
+    description: 'Fetch manufacturer product information from their website',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        manufacturer: { type: 'string' },
+        productName: { type: 'string' }
+      },
+      required: ['manufacturer', 'productName']
+    }
+  },
+  {
+    name: 'generate_lens_config',
+    description: 'Generate Lens Studio scene configuration for AR overlays',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        overlayType: {
+          type: 'string',
+          enum: ['violation', 'design_analysis', 'code_requirement', 'permit_info']
+        },
+        data: { type: 'object' }
+      },
+      required: ['overlayType', 'data']
+    }
+  },
+  {
+    name: 'analyze_live_inspection',
+    description: 'Real-time AI analysis for live EYESIGHT mode - optimized for speed, returns violations with AR coordinates',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        imageUrl: {
+          type: 'string',
+          description: 'Base64 or URL of current camera frame'
+        },
+        sessionId: {
+          type: 'string',
+          description: 'Live inspection session ID'
+        },
+        frameNumber: {
+          type: 'number',
+          description: 'Frame sequence number'
+        },
+        timestamp: {
+          type: 'number',
+          description: 'Unix timestamp'
+        },
+        codeContext: {
+          type: 'string',
+          description: 'Jurisdiction code editions, local amendments and retrieved code sections for the prompt (defaults to Honolulu)'
+        },
+        inspectionFocus: {
+          type: 'string',
+          description: 'Open checklist items for the inspection type; the model reports pass/fail for the ones it can see'
+        }
+      },
+      required: ['imageUrl', 'sessionId']
+    }
+  },
+  {
+    name: 'capture_violation',
+    description: 'Capture a violation during live inspection with photo, generate PDF report, and email to user',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        imageUrl: {
+          type: 'string',
+          description: 'Base64 or URL of violation photo'
+        },
+        sessionId: {
+          type: 'string',
+          description: 'Live inspection session ID'
+        },
+        violation: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            code: { type: 'string' },
+            issue: { type: 'string' },
+            severity: { type: 'string' },
+            category: { type: 'string' },
+            coordinates: { type: 'object' },
+            confidence: { type: 'number' }
+          }
+        },
+        userEmail: {
+          type: 'string',
+          description: 'Email address for PDF delivery (demo accounts)'
+        },
+        codeContext: {
+          type: 'string',
+          description: 'Jurisdiction code editions, local amendments and retrieved code sections for the prompt (defaults to Honolulu)'
+        },
+        projectId: {
+          type: 'string',
+          description: 'Optional project ID'
+        },
+        location: {
+          type: 'string',
+          description: 'Optional GPS location'
+        }
+      },
+      required: ['imageUrl', 'sessionId', 'violation']
+    }
+  }
+];
+
+/**
+ * Tool names as constants, e.g. MCP_TOOL_NAMES.ANALYZE_LIVE_INSPECTION
+ */
+export const MCP_TOOL_NAMES = MCP_TOOLS.reduce((names, tool) => {
+  names[tool.name.toUpperCase()] = tool.name;
+  return names;
+}, {});
+
+/**
+ * Look up a tool definition by name
+ * @param {string} name - Tool name
+ * @returns {object|undefined} Tool definition with inputSchema
+ */
+export const getToolDefinition = (name) => MCP_TOOLS.find((tool) => tool.name === name);
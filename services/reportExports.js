@@ -0,0 +1,602 @@
+/**
+ * Report exports - CSV, JSON and DOCX from the same report model as the PDF
+ * Takes the report ReportExportService prepares: the model from
+ * buildReportModel plus jurisdiction, inspectionType, checklist and (for a
+ * re-inspection) reinspection, with each finding's citation verification,
+ * remediation and permit filled in.
+ *
+ * Pure functions with no imports, so test-report-exports.js can check them
+ * in Node. The JSON layout is documented in inspectionReport.schema.json.
+ */
+
+export const REPORT_EXPORT_FORMATS = [
+  {
+    id: 'pdf',
+    label: 'PDF',
+    extension: 'pdf',
+    mimeType: 'application/pdf',
+    uti: 'com.adobe.pdf',
+    description: 'Formatted report in the chosen template, ready to print or send',
+  },
+  {
+    id: 'csv',
+    label: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    uti: 'public.comma-separated-values-text',
+    description: 'One row per finding for spreadsheets',
+  },
+  {
+    id: 'json',
+    label: 'JSON',
+    extension: 'json',
+    mimeType: 'application/json',
+    uti: 'public.json',
+    description: 'The full report for permit portals and other software',
+  },
+  {
+    id: 'docx',
+    label: 'Word',
+    extension: 'docx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    uti: 'org.openxmlformats.wordprocessingml.document',
+    description: 'Editable report with photos for Word or Google Docs',
+  },
+];
+
+export const getExportFormat = (id) =>
+  REPORT_EXPORT_FORMATS.find((format) => format.id === id) || REPORT_EXPORT_FORMATS[0];
+
+// Bump when a field changes meaning or is removed; adding fields is compatible
+export const REPORT_SCHEMA_VERSION = 1;
+export const REPORT_SCHEMA_NAME = 'vision.inspection-report';
+
+const SEVERITY_LABELS = { critical: 'Critical', high: 'High', medium: 'Medium', low: 'Low' };
+
+const REINSPECTION_LABELS = {
+  corrected: 'Corrected',
+  partially_corrected: 'Partially corrected',
+  still_open: 'Still open',
+};
+
+const sourceLabel = (finding) => {
+  if (finding.source === 'manual') return 'Inspector';
+  return finding.edited ? 'AI (corrected)' : 'AI';
+};
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * One column per entry: [header, (finding, index, report) => value]
+ * Rows are the findings, then any prior violations a re-inspection checked
+ * (those have a reinspection_status; new findings leave it blank).
+ */
+export const CSV_COLUMNS = [
+  ['number', (finding, index) => index + 1],
+  ['finding_id', (finding) => finding.id],
+  ['severity', (finding) => finding.severity],
+  ['code', (finding) => finding.code],
+  ['description', (finding) => finding.description],
+  ['category', (finding) => finding.category],
+  ['source', (finding) => finding.source],
+  ['edited', (finding) => (finding.edited ? 'yes' : 'no')],
+  ['citation_status', (finding) => finding.verification?.status],
+  ['remediation', (finding) => finding.remediation],
+  ['permit', (finding) => finding.permit],
+  ['detected_at', (finding) => toIso(finding.detectedAt)],
+  ['photo_count', (finding) => finding.photos.length],
+  ['photos', (finding) => finding.photos.join(' ')],
+  ['reinspection_status', (finding) => (finding.originalSessionId ? finding.status || 'not_checked' : null)],
+  ['reported_session_id', (finding) => finding.originalSessionId],
+  [
+    'status_history',
+    (finding) => (finding.history || []).map((result) => `${toIso(result.recordedAt)} ${result.status}`).join('; '),
+  ],
+  ['session_id', (finding, index, report) => report.sessionId],
+  ['session_name', (finding, index, report) => report.session?.name],
+  ['inspection_type', (finding, index, report) => report.inspectionType],
+  ['project_name', (finding, index, report) => report.project?.name],
+  ['project_address', (finding, index, report) => report.project?.address],
+  ['jurisdiction', (finding, index, report) => report.jurisdiction],
+];
+
+/**
+ * Quote a CSV cell (RFC 4180). Text that a spreadsheet would run as a
+ * formula is prefixed with an apostrophe.
+ */
+export const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Findings as CSV, one row per finding, with a byte order mark so Excel
+ * reads it as UTF-8
+ * @returns {string}
+ */
+export function reportToCsv(report) {
+  const rows = [
+    CSV_COLUMNS.map(([header]) => header),
+    ...[...report.findings, ...(report.reinspection?.items || [])].map((finding, index) =>
+      CSV_COLUMNS.map(([, value]) => value(finding, index, report))
+    ),
+  ];
+  return `\uFEFF${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+// ============================================================================
+// JSON
+// ============================================================================
+
+const findingJson = (finding, index) => ({
+  number: index + 1,
+  id: String(finding.id),
+  severity: finding.severity,
+  code: finding.code || null,
+  description: finding.description || '',
+  category: finding.category || null,
+  source: finding.source,
+  origin: finding.origin,
+  edited: !!finding.edited,
+  citation: finding.verification
+    ? {
+        status: finding.verification.status,
+        section: finding.verification.section?.citation || null,
+        title: finding.verification.section?.title || null,
+        url: finding.verification.source || null,
+      }
+    : null,
+  remediation: finding.remediation || null,
+  permit: finding.permit || null,
+  detectedAt: toIso(finding.detectedAt),
+  position: finding.position || null,
+  photos: finding.photos,
+});
+
+/**
+ * Report as a plain object matching inspectionReport.schema.json
+ * @param {object} report - Prepared report
+ * @param {object} options - { generatedAt, signing: { signedAt, hash, signatures } }
+ * @returns {object}
+ */
+export function reportToJson(report, { generatedAt = new Date(), signing = null } = {}) {
+  return {
+    schema: REPORT_SCHEMA_NAME,
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generatedAt: toIso(generatedAt),
+    session: report.session
+      ? {
+          id: report.session.id || null,
+          name: report.session.name || null,
+          inspectionType: report.inspectionType || report.session.inspectionType || null,
+          status: report.session.status || null,
+          startedAt: toIso(report.session.startedAt),
+          endedAt: toIso(report.session.endedAt),
+          durationMs: report.session.durationMs ?? null,
+        }
+      : null,
+    project: report.project
+      ? {
+          id: report.project.id || null,
+          name: report.project.name || null,
+          address: report.project.address || null,
+          projectType: report.project.projectType || null,
+        }
+      : null,
+    jurisdiction: report.jurisdiction || null,
+    location: report.location || null,
+    counts: report.counts,
+    findings: report.findings.map(findingJson),
+    photos: report.photos.map((photo) => ({
+      id: String(photo.id),
+      uri: photo.uri,
+      code: photo.code || null,
+      capturedAt: toIso(photo.capturedAt),
+      location: photo.location || null,
+    })),
+    checklist: report.checklist
+      ? {
+          items: report.checklist.items.map((item) => ({
+            id: item.id,
+            label: item.label,
+            status: item.status || null,
+            source: item.source || null,
+            note: item.note || null,
+          })),
+          counts: report.checklist.counts,
+        }
+      : null,
+    reinspection: report.reinspection
+      ? {
+          previousSessionId: report.reinspection.previousSessionId,
+          counts: report.reinspection.counts,
+          items: report.reinspection.items.map((item, index) => ({
+            finding: findingJson(item, index),
+            reportedSessionId: item.originalSessionId,
+            reportedAt: toIso(item.reportedAt),
+            status: item.status || null,
+            note: item.note || null,
+            photoUri: item.photoUri || null,
+            history: item.history.map((result) => ({
+              sessionId: result.sessionId,
+              sessionName: result.sessionName || null,
+              status: result.status,
+              note: result.note || null,
+              photoUri: result.photoUri || null,
+              recordedAt: toIso(result.recordedAt),
+            })),
+          })),
+        }
+      : null,
+    signing: signing
+      ? {
+          signedAt: toIso(signing.signedAt),
+          hash: signing.hash,
+          signatures: (signing.signatures || []).map((signature) => ({
+            role: signature.role,
+            name: signature.name || null,
+            license: signature.license || null,
+            signedAt: toIso(signature.signedAt),
+          })),
+        }
+      : null,
+  };
+}
+
+// ============================================================================
+// DOCX
+// ============================================================================
+
+const EMU_PER_PIXEL = 9525;
+const MAX_PHOTO_WIDTH = 192; // px, about 2 inches
+const PHOTOS_PER_FINDING = 3;
+const PAGE_WIDTH_TWIPS = 9360; // Letter with 1 inch margins
+
+const NAMESPACES =
+  'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+  'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" ' +
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+  'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"';
+
+export const escapeXml = (value) =>
+  String(value ?? '')
+    // Characters XML 1.0 can't hold at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Pixel size and type of a PNG or JPEG
+ * @param {Uint8Array} bytes
+ * @returns {{type: 'png'|'jpeg', width: number, height: number}|null}
+ */
+export const imageInfo = (bytes) => {
+  if (!bytes || bytes.length < 24) return null;
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return { type: 'png', width: view.getUint32(16), height: view.getUint32(20) };
+  }
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+
+  // Walk the JPEG segments to the start-of-frame marker
+  let i = 2;
+  while (i + 9 < bytes.length) {
+    if (bytes[i] !== 0xff) return null;
+    const marker = bytes[i + 1];
+    if (marker === 0xff) {
+      i++;
+      continue;
+    }
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isFrame) {
+      return { type: 'jpeg', height: (bytes[i + 5] << 8) | bytes[i + 6], width: (bytes[i + 7] << 8) | bytes[i + 8] };
+    }
+    i += 2 + ((bytes[i + 2] << 8) | bytes[i + 3]);
+  }
+  return null;
+};
+
+const run = (text, { bold = false, italic = false, color = null, size = null } = {}) => {
+  const props = [
+    bold && '<w:b/>',
+    italic && '<w:i/>',
+    color && `<w:color w:val="${color}"/>`,
+    size && `<w:sz w:val="${size}"/>`,
+  ]
+    .filter(Boolean)
+    .join('');
+  const lines = String(text ?? '')
+    .split('\n')
+    .map((line) => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`)
+    .join('<w:br/>');
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${lines}</w:r>`;
+};
+
+const paragraph = (runs, style = null) =>
+  `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${Array.isArray(runs) ? runs.join('') : runs}</w:p>`;
+
+const labelled = (label, value) => paragraph([run(`${label}: `, { bold: true }), run(value)]);
+
+const table = (rows, { header = true } = {}) => {
+  const columns = rows[0].length;
+  const width = Math.floor(PAGE_WIDTH_TWIPS / columns);
+  return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr><w:tblGrid>${`<w:gridCol w:w="${width}"/>`.repeat(
+    columns
+  )}</w:tblGrid>${rows
+    .map(
+      (row, rowIndex) =>
+        `<w:tr>${row
+          .map(
+            (cell) =>
+              `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/></w:tcPr>${paragraph(
+                run(cell, { bold: header && rowIndex === 0 })
+              )}</w:tc>`
+          )
+          .join('')}</w:tr>`
+    )
+    .join('')}</w:tbl>${paragraph('')}`;
+};
+
+// drawingId must be unique in the document, even when a photo repeats
+const picture = (media, drawingId) => {
+  const scale = Math.min(1, media.maxWidth / media.width);
+  const cx = Math.round(media.width * scale * EMU_PER_PIXEL);
+  const cy = Math.round(media.height * scale * EMU_PER_PIXEL);
+  return `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${drawingId}" name="Picture ${drawingId}"/><a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic><pic:nvPicPr><pic:cNvPr id="${drawingId}" name="${media.fileName}"/><pic:cNvPicPr/></pic:nvPicPr><pic:blipFill><a:blip r:embed="${media.relationshipId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill><pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr></pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r><w:r><w:t xml:space="preserve"> </w:t></w:r>`;
+};
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial"/><w:sz w:val="21"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:rPr><w:b/><w:color w:val="0066CC"/><w:sz w:val="48"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="32"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="26"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4" w:color="BFBFBF"/><w:left w:val="single" w:sz="4" w:color="BFBFBF"/><w:bottom w:val="single" w:sz="4" w:color="BFBFBF"/><w:right w:val="single" w:sz="4" w:color="BFBFBF"/><w:insideH w:val="single" w:sz="4" w:color="BFBFBF"/><w:insideV w:val="single" w:sz="4" w:color="BFBFBF"/></w:tblBorders><w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'N/A');
+
+/**
+ * The parts of a DOCX package for a report (zip them with createZip)
+ * Follows the city template's layout as an editable document.
+ * @param {object} report - Prepared report
+ * @param {object} options - { branding, images: { [uri]: Uint8Array }, signing,
+ *   generatedAt, inspectionLabel }
+ * @returns {Array<{name: string, data: string|Uint8Array}>}
+ */
+export function reportToDocxEntries(
+  report,
+  { branding = {}, images = {}, signing = null, generatedAt = new Date(), inspectionLabel = null } = {}
+) {
+  const media = [];
+  let drawings = 0;
+  // Each image is stored once however often it is shown
+  const mediaFor = (uri) => {
+    const existing = media.find((item) => item.uri === uri);
+    if (existing) return existing;
+    const info = imageInfo(images[uri]);
+    if (!info) return null;
+    const id = media.length + 1;
+    const item = {
+      uri,
+      bytes: images[uri],
+      width: info.width,
+      height: info.height,
+      fileName: `image${id}.${info.type === 'png' ? 'png' : 'jpeg'}`,
+      relationshipId: `rIdImage${id}`,
+    };
+    media.push(item);
+    return item;
+  };
+  const drawing = (item, maxWidth) => picture({ ...item, maxWidth }, ++drawings);
+
+  const body = [];
+  const logo = branding.logoUri ? mediaFor(branding.logoUri) : null;
+  if (logo) body.push(paragraph(drawing(logo, 200)));
+  if (branding.companyName || branding.companyPhone) {
+    body.push(paragraph(run([branding.companyName, branding.companyPhone].filter(Boolean).join(' • '), { bold: true })));
+  }
+  body.push(paragraph(run('Inspection Report'), 'Title'));
+  body.push(
+    paragraph(
+      run(
+        [report.project?.name || report.session?.name || 'Inspection', report.project?.address].filter(Boolean).join(' - '),
+        { color: '666666' }
+      )
+    )
+  );
+
+  body.push(paragraph(run('Inspection Details'), 'Heading1'));
+  [
+    ['Date', formatDate(report.session?.startedAt || generatedAt)],
+    ['Inspection', inspectionLabel || report.inspectionType || 'General'],
+    ['Jurisdiction', report.jurisdiction],
+    ['Address', report.project?.address],
+    ['Duration', report.session?.durationMs ? `${Math.floor(report.session.durationMs / 60000)} minutes` : null],
+    ['Inspector', [branding.inspectorName, branding.licenseNumber && `License ${branding.licenseNumber}`].filter(Boolean).join(', ')],
+    ['Photos', String(report.photos.length)],
+  ]
+    .filter(([, value]) => value)
+    .forEach(([label, value]) => body.push(labelled(label, value)));
+
+  body.push(paragraph(run('Severity Summary'), 'Heading1'));
+  body.push(
+    table([
+      ['Severity', 'Findings'],
+      ...['critical', 'high', 'medium', 'low'].map((severity) => [SEVERITY_LABELS[severity], String(report.counts[severity])]),
+      ['Total', String(report.counts.total)],
+    ])
+  );
+  if (report.counts.dismissed) {
+    body.push(paragraph(run(`${report.counts.dismissed} AI finding(s) dismissed by the inspector and not included.`, { italic: true })));
+  }
+
+  if (report.checklist) {
+    body.push(paragraph(run(`${inspectionLabel || 'Inspection'} Checklist`), 'Heading1'));
+    body.push(
+      table([
+        ['Item', 'Result', 'Note'],
+        ...report.checklist.items.map((item) => [
+          item.label,
+          { pass: 'PASS', fail: 'FAIL', na: 'N/A' }[item.status] || '—',
+          item.note || '',
+        ]),
+      ])
+    );
+  }
+
+  if (report.reinspection) {
+    const { items, counts } = report.reinspection;
+    body.push(paragraph(run(`Re-inspection of Prior Violations (${items.length})`), 'Heading1'));
+    body.push(
+      paragraph(
+        run(
+          `${counts.corrected} corrected, ${counts.partially_corrected} partially corrected, ` +
+            `${counts.still_open} still open, ${counts.unchecked} not checked.`
+        )
+      )
+    );
+    items.forEach((item) => {
+      body.push(paragraph(run(item.description || 'Violation'), 'Heading2'));
+      body.push(
+        paragraph([
+          run([SEVERITY_LABELS[item.severity], item.code].filter(Boolean).join(' • '), { color: '666666' }),
+          run(`  ${REINSPECTION_LABELS[item.status] || 'Not checked'}`, { bold: true }),
+        ])
+      );
+      [
+        `${formatDate(item.reportedAt || item.detectedAt)}: Reported${item.originalSessionName ? ` (${item.originalSessionName})` : ''}`,
+        ...item.history.map(
+          (result) =>
+            `${formatDate(result.recordedAt)}: ${REINSPECTION_LABELS[result.status]}${result.note ? ` - ${result.note}` : ''}`
+        ),
+      ].forEach((line) => body.push(paragraph(run(line, { size: 18 }))));
+      // Before and after, side by side
+      const photos = [item.photos[0], item.photoUri].filter((uri) => uri && imageInfo(images[uri])).map(mediaFor);
+      if (photos.length) body.push(paragraph(photos.map((photo) => drawing(photo, MAX_PHOTO_WIDTH))));
+    });
+  }
+
+  body.push(paragraph(run(`Findings (${report.findings.length})`), 'Heading1'));
+  if (!report.findings.length) {
+    body.push(paragraph(run('No issues detected during inspection.', { bold: true, color: '00994D' })));
+  }
+  report.findings.forEach((finding, index) => {
+    body.push(paragraph(run(`${index + 1}. ${finding.description || 'Finding'}`), 'Heading2'));
+    body.push(
+      paragraph(
+        run(
+          [
+            SEVERITY_LABELS[finding.severity],
+            finding.category || 'General',
+            sourceLabel(finding),
+            finding.detectedAt && formatDate(finding.detectedAt),
+          ]
+            .filter(Boolean)
+            .join(' • '),
+          { color: '666666' }
+        )
+      )
+    );
+    if (finding.code) {
+      const status = finding.verification?.status;
+      body.push(
+        paragraph([
+          run('Code: ', { bold: true }),
+          run(finding.code),
+          status && status !== 'verified' ? run('  UNVERIFIED', { bold: true, color: 'B91C1C' }) : '',
+          status === 'verified' ? run('  VERIFIED', { bold: true, color: '15803D' }) : '',
+        ])
+      );
+    }
+    if (finding.remediation) body.push(labelled('Remediation', finding.remediation));
+    if (finding.permit) body.push(labelled('Permit', finding.permit));
+    const photos = finding.photos
+      .filter((uri) => imageInfo(images[uri]))
+      .slice(0, PHOTOS_PER_FINDING)
+      .map(mediaFor);
+    if (photos.length) body.push(paragraph(photos.map((item) => drawing(item, MAX_PHOTO_WIDTH))));
+  });
+
+  body.push(paragraph(run('Sign-off'), 'Heading1'));
+  const signatures = signing?.signatures || [];
+  const signer = (role) => signatures.find((signature) => signature.role === role);
+  body.push(
+    table([
+      ['', 'Inspector', 'Contractor / Permit Holder'],
+      [
+        'Name',
+        signer('inspector')?.name || branding.inspectorName || '',
+        signer('contractor')?.name || '',
+      ],
+      ['Signature', signer('inspector') ? 'Signed electronically' : '', signer('contractor') ? 'Signed electronically' : ''],
+      [
+        'Date',
+        signer('inspector') ? formatDate(signer('inspector').signedAt) : '',
+        signer('contractor') ? formatDate(signer('contractor').signedAt) : '',
+      ],
+    ])
+  );
+  if (signing) {
+    body.push(
+      paragraph(
+        run(
+          `Signed and locked ${formatDate(signing.signedAt)}. SHA-256 of the signed report: ${signing.hash}. ` +
+            'Edits to this document are not part of the signed record.',
+          { italic: true, size: 18, color: '666666' }
+        )
+      )
+    );
+  }
+  body.push(
+    paragraph(
+      run(
+        `Generated ${formatDate(generatedAt)} with VISION. This report is for informational purposes. ` +
+          'Final compliance determination by licensed inspector.',
+        { italic: true, size: 18, color: '999999' }
+      )
+    )
+  );
+
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${NAMESPACES}><w:body>${body.join(
+    ''
+  )}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+  const relationships = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>${media
+    .map(
+      (item) =>
+        `<Relationship Id="${item.relationshipId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/${item.fileName}"/>`
+    )
+    .join('')}</Relationships>`;
+
+  return [
+    {
+      name: '[Content_Types].xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Default Extension="jpeg" ContentType="image/jpeg"/><Default Extension="png" ContentType="image/png"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/></Types>`,
+    },
+    {
+      name: '_rels/.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rIdDocument" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>`,
+    },
+    { name: 'word/document.xml', data: document },
+    { name: 'word/styles.xml', data: STYLES_XML },
+    { name: 'word/_rels/document.xml.rels', data: relationships },
+    ...media.map((item) => ({ name: `word/media/${item.fileName}`, data: item.bytes })),
+  ];
+}
@@ -0,0 +1,375 @@
+/**
+ * Report model - The one mapping from inspection tables to a report
+ * inspection_violations (AI findings the inspector reviewed, plus their own),
+ * live_inspection_violations (raw per-frame results the MCP server logs) and
+ * captured_violations (CAPTURE photos) are mapped here and nowhere else.
+ *
+ * Pure functions with no imports, so test-report-model.js can check them
+ * against fixture rows in Node.
+ */
+
+/**
+ * @typedef {object} ReportFinding
+ * @property {string} id
+ * @property {'inspection'|'live'|'capture'|'app'} origin - Table the finding came from
+ *   ('app' for violations handed over in app shape, e.g. route params)
+ * @property {'ai'|'manual'} source - Reported by the model or by the inspector
+ * @property {string|null} code - Cited code section
+ * @property {string} description
+ * @property {'critical'|'high'|'medium'|'low'} severity
+ * @property {string|null} category
+ * @property {{x: number, y: number}|null} position - Where in the frame (0-1)
+ * @property {string|null} detectedAt - ISO timestamp
+ * @property {boolean} edited - AI finding the inspector corrected
+ * @property {string|null} remediation - How to fix it, when the model said
+ * @property {Array<string>} photos - Image URIs of captures documenting it
+ */
+
+/**
+ * @typedef {object} ReportPhoto
+ * @property {string} id
+ * @property {string} uri
+ * @property {string|null} code
+ * @property {string|null} description
+ * @property {string|null} severity
+ * @property {string|null} category
+ * @property {{latitude: number, longitude: number, accuracy?: number}|null} location
+ * @property {string|null} capturedAt
+ */
+
+/**
+ * @typedef {object} ReportModel
+ * @property {string|null} sessionId
+ * @property {{id, name, inspectionType, status, startedAt, endedAt, durationMs}|null} session
+ * @property {{id, name, address, projectType}|null} project
+ * @property {{latitude: number, longitude: number}|{address: string}|null} location
+ * @property {Array<ReportFinding>} findings - Open findings, most severe first
+ * @property {Array<ReportPhoto>} photos
+ * @property {{total, critical, high, medium, low, dismissed}} counts
+ */
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Older prompts and the server use other words for the same levels
+const SEVERITY_ALIASES = { major: 'high', severe: 'critical', minor: 'low', moderate: 'medium' };
+
+export const normalizeSeverity = (value) => {
+  const severity = String(value || '').trim().toLowerCase();
+  if (SEVERITIES.includes(severity)) return severity;
+  return SEVERITY_ALIASES[severity] || 'medium';
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Identity of a finding across frames: the same code and category is the
+ * same finding (ViolationService records AI findings by this key too)
+ */
+export const findingKey = (violation) => `${normalize(violation.code)}|${normalize(violation.category)}`;
+
+const toPosition = (x, y) =>
+  typeof x === 'number' && typeof y === 'number' ? { x, y } : null;
+
+/**
+ * inspection_violations row -> ReportFinding
+ */
+export const mapInspectionViolation = (row) => {
+  const original = row.ai_original || null;
+  return {
+    id: row.id,
+    origin: 'inspection',
+    source: row.source === 'ai' ? 'ai' : 'manual',
+    code: row.violation_code || null,
+    description: row.description || '',
+    severity: normalizeSeverity(row.severity),
+    category: row.category || null,
+    position: toPosition(row.location_x, row.location_y),
+    detectedAt: row.detected_at || row.created_at || null,
+    edited:
+      row.source === 'ai' &&
+      !!original &&
+      ['code', 'severity', 'category'].some(
+        (field) => (original[field] || null) !== (row[field === 'code' ? 'violation_code' : field] || null)
+      ),
+    remediation: original?.remediation || null,
+    photos: [],
+  };
+};
+
+/**
+ * live_inspection_violations row (written by analyze_live_inspection) -> ReportFinding
+ */
+export const mapLiveViolation = (row) => ({
+  id: row.id || `${row.session_id}:${row.frame_number ?? 0}:${row.violation_id || findingKey(row)}`,
+  origin: 'live',
+  source: 'ai',
+  code: row.code || null,
+  description: row.issue || '',
+  severity: normalizeSeverity(row.severity),
+  category: row.category || null,
+  position: toPosition(row.coordinates?.x, row.coordinates?.y),
+  detectedAt: row.created_at || null,
+  edited: false,
+  remediation: row.remediation || null,
+  photos: [],
+});
+
+/**
+ * App-shaped violation ({ code, issue, severity, category }) -> ReportFinding
+ */
+export const mapAppViolation = (violation, index = 0) => ({
+  id: violation.id || violation.recordId || `app:${index}`,
+  origin: 'app',
+  source: violation.source === 'manual' ? 'manual' : 'ai',
+  code: violation.code || null,
+  description: violation.issue || violation.description || (violation.issues || []).join('; '),
+  severity: normalizeSeverity(violation.severity),
+  category: violation.category || null,
+  position: toPosition(violation.coordinates?.x, violation.coordinates?.y),
+  detectedAt: violation.detectedAt || violation.timestamp || null,
+  edited: !!violation.edited,
+  remediation: violation.remediation || null,
+  photos: [],
+});
+
+/**
+ * captured_violations row -> ReportPhoto
+ */
+export const mapCapturedViolation = (row) => ({
+  id: row.id,
+  uri: row.image_uri,
+  code: row.violation_code || null,
+  description: row.description || null,
+  severity: row.severity ? normalizeSeverity(row.severity) : null,
+  category: row.category || null,
+  location:
+    typeof row.location_data?.latitude === 'number' && typeof row.location_data?.longitude === 'number'
+      ? row.location_data
+      : null,
+  capturedAt: row.captured_at || row.created_at || null,
+});
+
+const bySeverityThenTime = (a, b) =>
+  SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+  String(a.detectedAt || '').localeCompare(String(b.detectedAt || ''));
+
+/**
+ * Build the report for one inspection session
+ * @param {object} rows - { session, project, violations, liveViolations, capturedViolations,
+ *   appViolations } (appViolations: findings already in app shape, used as given)
+ * @param {object} options - { now } for the duration of a session still in progress
+ * @returns {ReportModel}
+ */
+export function buildReportModel(
+  {
+    session = null,
+    project = null,
+    violations = [],
+    liveViolations = [],
+    capturedViolations = [],
+    appViolations = [],
+  },
+  { now = Date.now() } = {}
+) {
+  const recorded = (violations || []).map(mapInspectionViolation);
+  // Keys of every reviewed finding, dismissed ones included, so a dismissed
+  // false positive doesn't come back from the raw frame log
+  const reviewedKeys = new Set(
+    (violations || []).filter((row) => row.source === 'ai').map((row) => findingKey(row.ai_original || {}))
+  );
+  recorded.forEach((finding) => reviewedKeys.add(findingKey(finding)));
+
+  const open = recorded.filter((finding, index) => violations[index].status !== 'dismissed');
+
+  // The frame log repeats a finding on every frame it's visible; keep the first
+  const live = [];
+  const liveKeys = new Set();
+  [...(liveViolations || [])]
+    .sort((a, b) => (a.frame_number ?? 0) - (b.frame_number ?? 0))
+    .forEach((row) => {
+      const key = findingKey(row);
+      if (reviewedKeys.has(key) || liveKeys.has(key)) return;
+      liveKeys.add(key);
+      live.push(mapLiveViolation(row));
+    });
+
+  const findings = [...open, ...live, ...(appViolations || []).map(mapAppViolation)];
+  const photos = (capturedViolations || []).filter((row) => row.image_uri).map(mapCapturedViolation);
+
+  // A capture documents the finding with the same code and category; one
+  // that matches nothing (and wasn't dismissed) is a finding of its own
+  photos.forEach((photo) => {
+    const key = findingKey(photo);
+    const match = key !== '|' && findings.find((finding) => findingKey(finding) === key);
+    if (match) {
+      match.photos.push(photo.uri);
+    } else if ((photo.code || photo.description) && (key === '|' || !reviewedKeys.has(key))) {
+      findings.push({
+        id: photo.id,
+        origin: 'capture',
+        source: 'ai',
+        code: photo.code,
+        description: photo.description || '',
+        severity: photo.severity || 'medium',
+        category: photo.category,
+        position: null,
+        detectedAt: photo.capturedAt,
+        edited: false,
+        remediation: null,
+        photos: [photo.uri],
+      });
+    }
+  });
+  findings.sort(bySeverityThenTime);
+
+  const counts = { total: findings.length, critical: 0, high: 0, medium: 0, low: 0 };
+  findings.forEach((finding) => counts[finding.severity]++);
+  counts.dismissed = recorded.length - open.length;
+
+  const startedAt = session?.started_at || null;
+  const endedAt = session?.ended_at || null;
+
+  return {
+    sessionId: session?.id || null,
+    session: session
+      ? {
+          id: session.id,
+          name: session.session_name || null,
+          inspectionType: session.inspection_type || null,
+          status: session.status || null,
+          startedAt,
+          endedAt,
+          durationMs: startedAt
+            ? Math.max(0, new Date(endedAt || now).getTime() - new Date(startedAt).getTime())
+            : null,
+        }
+      : null,
+    project: project
+      ? {
+          id: project.id,
+          name: project.name || null,
+          address: project.address || null,
+          projectType: project.project_type || null,
+        }
+      : null,
+    location:
+      typeof project?.latitude === 'number' && typeof project?.longitude === 'number'
+        ? { latitude: project.latitude, longitude: project.longitude }
+        : photos.find((photo) => photo.location)?.location || (project?.address ? { address: project.address } : null),
+    findings,
+    photos,
+    counts,
+  };
+}
+
+/**
+ * @typedef {object} ReinspectionResult
+ * @property {string} sessionId - Re-inspection the result was recorded in
+ * @property {string|null} sessionName
+ * @property {'corrected'|'partially_corrected'|'still_open'} status
+ * @property {string|null} note
+ * @property {string|null} photoUri - Follow-up photo
+ * @property {string|null} recordedAt
+ */
+
+/**
+ * @typedef {ReportFinding} ReinspectionItem - A prior violation, as first reported
+ * @property {string} originalSessionId - Session the violation was reported in
+ * @property {string|null} originalSessionName
+ * @property {string|null} reportedAt - When that session started
+ * @property {string|null} status - Result in this re-inspection; null until checked
+ * @property {string|null} note
+ * @property {string|null} photoUri
+ * @property {Array<ReinspectionResult>} history - Every result so far, oldest first
+ */
+
+export const REINSPECTION_STATUSES = ['corrected', 'partially_corrected', 'still_open'];
+
+export const REINSPECTION_STATUS_LABELS = {
+  corrected: 'Corrected',
+  partially_corrected: 'Partially corrected',
+  still_open: 'Still open',
+};
+
+/**
+ * violation_reinspections row -> ReinspectionResult
+ */
+export const mapReinspectionResult = (row, session = null) => ({
+  sessionId: row.session_id,
+  sessionName: session?.session_name || null,
+  status: row.status,
+  note: row.note || null,
+  photoUri: row.photo_uri || null,
+  recordedAt: row.recorded_at || null,
+});
+
+/**
+ * Prior violations a re-inspection follows up on. A violation is carried
+ * forward through each re-inspection until one marks it corrected.
+ * @param {object} rows - { session (the re-inspection, if started), previousSessions (the
+ *   session re-inspected, then the one it re-inspected, and so on), violations and
+ *   capturedViolations of those sessions, results (violation_reinspections rows) }
+ * @returns {{previousSessionId, items: Array<ReinspectionItem>, counts}}
+ */
+export function buildReinspection({
+  session = null,
+  previousSessions = [],
+  violations = [],
+  capturedViolations = [],
+  results = [],
+}) {
+  const chain = new Map((previousSessions || []).map((row) => [row.id, row]));
+  const sessions = new Map(chain);
+  if (session) sessions.set(session.id, session);
+
+  const byViolation = new Map();
+  [...(results || [])]
+    .filter((row) => sessions.has(row.session_id))
+    .sort((a, b) => String(a.recorded_at || '').localeCompare(String(b.recorded_at || '')))
+    .forEach((row) => {
+      if (!byViolation.has(row.violation_id)) byViolation.set(row.violation_id, []);
+      byViolation.get(row.violation_id).push(row);
+    });
+
+  const items = (violations || [])
+    .filter((row) => chain.has(row.session_id) && row.status !== 'dismissed')
+    .filter((row) => {
+      // Results of this re-inspection don't decide what it follows up on
+      const earlier = (byViolation.get(row.id) || []).filter((result) => chain.has(result.session_id));
+      return earlier[earlier.length - 1]?.status !== 'corrected';
+    })
+    .map((row) => {
+      const finding = mapInspectionViolation(row);
+      const key = findingKey(finding);
+      finding.photos = (capturedViolations || [])
+        .filter((capture) => capture.session_id === row.session_id && capture.image_uri)
+        .filter((capture) => key !== '|' && findingKey(mapCapturedViolation(capture)) === key)
+        .map((capture) => capture.image_uri);
+
+      const history = (byViolation.get(row.id) || []).map((result) =>
+        mapReinspectionResult(result, sessions.get(result.session_id))
+      );
+      const current = session ? history.find((result) => result.sessionId === session.id) : null;
+      const original = chain.get(row.session_id);
+      return {
+        ...finding,
+        originalSessionId: row.session_id,
+        originalSessionName: original?.session_name || null,
+        reportedAt: original?.started_at || null,
+        status: current?.status || null,
+        note: current?.note || null,
+        photoUri: current?.photoUri || null,
+        history,
+      };
+    })
+    .sort(bySeverityThenTime);
+
+  const counts = { total: items.length, corrected: 0, partially_corrected: 0, still_open: 0, unchecked: 0 };
+  items.forEach((item) => counts[item.status || 'unchecked']++);
+
+  return {
+    previousSessionId: previousSessions?.[0]?.id || null,
+    items,
+    counts,
+  };
+}
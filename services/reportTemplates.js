@@ -0,0 +1,640 @@
+import { getJurisdiction } from './jurisdictions';
+import { getInspectionType, CHECKLIST_SOURCE } from './inspectionChecklists';
+import { CITATION_STATUS, describeCitation } from '../components/CitationBadge';
+import { SEVERITY_COLORS } from '../components/ViolationOverlay';
+import { REINSPECTION_STATUS_LABELS } from './reportModel';
+
+/**
+ * Report templates - HTML for expo-print, one layout per audience
+ * Every template renders the same report model (services/reportModel.js)
+ * from shared sections; ReportPdfService supplies branding and the photo
+ * thumbnails as data URIs.
+ */
+
+export const REPORT_TEMPLATES = [
+  {
+    id: 'city',
+    label: 'Inspection Report',
+    description: 'Official report: every finding with citation, photos, remediation, permits and sign-off',
+  },
+  {
+    id: 'punch',
+    label: 'Punch List',
+    description: 'Contractor checklist of open items by severity with the fix for each',
+  },
+  {
+    id: 'owner',
+    label: 'Owner Summary',
+    description: 'Plain-language summary of what was found and what happens next',
+  },
+];
+
+export const DEFAULT_TEMPLATE_ID = 'city';
+
+export const getReportTemplate = (id) =>
+  REPORT_TEMPLATES.find((template) => template.id === id) || REPORT_TEMPLATES[0];
+
+const SEVERITY_LABELS = {
+  critical: 'Critical',
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low',
+};
+
+// What each severity means for an owner
+const SEVERITY_MEANING = {
+  critical: 'Safety issue - must be fixed before work continues',
+  high: 'Must be fixed before the next inspection',
+  medium: 'Needs correcting before final approval',
+  low: 'Minor - fix when convenient',
+};
+
+// Used when the model gave no remediation for a finding
+const DEFAULT_REMEDIATION = {
+  structural: 'Correct the framing or connection to meet the cited section. Altered structural members may need an engineer\'s letter.',
+  electrical: 'Have a licensed electrician correct the installation to meet the cited section.',
+  plumbing: 'Have a licensed plumber correct the installation to meet the cited section.',
+  safety: 'Correct the hazard before the area is occupied or work continues.',
+  quality: 'Repair to the manufacturer\'s instructions and accepted trade practice.',
+};
+
+const REINSPECTION_COLORS = {
+  corrected: '#00CC66',
+  partially_corrected: '#FFA500',
+  still_open: '#FF3B30',
+};
+
+const THUMBNAILS_PER_FINDING = 3;
+
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'N/A');
+
+const formatDay = (value) => (value ? new Date(value).toLocaleDateString() : 'N/A');
+
+const formatDuration = (ms) => (ms ? `${Math.floor(ms / 60000)} minutes` : 'N/A');
+
+const formatLocation = (location) => {
+  if (!location) return null;
+  if (typeof location.latitude === 'number') {
+    return `Lat: ${location.latitude.toFixed(6)}, Lng: ${location.longitude.toFixed(6)}`;
+  }
+  return location.address || null;
+};
+
+export const remediationFor = (finding) =>
+  finding.remediation ||
+  DEFAULT_REMEDIATION[finding.category] ||
+  'Correct to meet the cited code section and request re-inspection.';
+
+const permitFor = (finding, jurisdiction) => jurisdiction.permits?.[finding.category] || null;
+
+const severityDot = (severity) =>
+  `<span class="dot" style="background: ${SEVERITY_COLORS[severity] || SEVERITY_COLORS.medium};"></span>`;
+
+const styles = `
+    body { font-family: Arial, sans-serif; padding: 20px; color: #1A1A1A; font-size: 14px; }
+    .brand { display: flex; align-items: center; justify-content: space-between; border-bottom: 3px solid #0066CC; padding-bottom: 16px; margin-bottom: 24px; }
+    .brand-logo { max-height: 64px; max-width: 200px; }
+    .brand-company { font-size: 16px; font-weight: bold; }
+    .brand-contact { font-size: 12px; color: #666666; }
+    .title { font-size: 26px; font-weight: bold; color: #0066CC; }
+    .subtitle { font-size: 13px; color: #666666; }
+    .section { margin-bottom: 28px; }
+    .section-title { font-size: 19px; font-weight: bold; border-bottom: 2px solid #E5E5E5; padding-bottom: 8px; margin-bottom: 14px; }
+    .info-grid { display: grid; grid-template-columns: 160px 1fr; gap: 8px; }
+    .info-label { font-weight: bold; color: #666666; }
+    table { width: 100%; border-collapse: collapse; }
+    th { text-align: left; font-size: 12px; color: #666666; border-bottom: 2px solid #E5E5E5; padding: 6px 8px; }
+    td { padding: 8px; border-bottom: 1px solid #E5E5E5; vertical-align: top; }
+    .dot { display: inline-block; width: 10px; height: 10px; border-radius: 5px; margin-right: 6px; }
+    .finding { border-left: 4px solid #FFA500; background: #FAFAFA; padding: 14px; margin-bottom: 14px; page-break-inside: avoid; }
+    .finding-title { font-size: 16px; font-weight: bold; margin-bottom: 6px; }
+    .finding-meta { font-size: 12px; color: #666666; margin-bottom: 6px; }
+    .finding-code { font-weight: bold; margin-bottom: 4px; }
+    .finding-code.unverified { color: #999999; text-decoration: underline dotted; }
+    .citation-badge { display: inline-block; font-size: 10px; font-weight: bold; padding: 2px 6px; border-radius: 4px; margin-left: 6px; }
+    .citation-note { font-size: 12px; color: #666666; margin-bottom: 4px; }
+    .citation-note a { color: #0066CC; }
+    .remediation { margin-top: 8px; }
+    .permit-box { background: #F0F7FF; border: 1px solid #0066CC; border-radius: 6px; padding: 10px; margin-top: 8px; font-size: 12px; }
+    .thumbs { margin-top: 8px; }
+    .thumb { width: 160px; height: 120px; object-fit: cover; border: 1px solid #DDDDDD; border-radius: 4px; margin-right: 6px; }
+    .thumb-small { width: 96px; height: 72px; object-fit: cover; border-radius: 4px; }
+    .note { font-size: 12px; color: #666666; }
+    .checkbox { display: inline-block; width: 14px; height: 14px; border: 2px solid #1A1A1A; }
+    .signatures { display: grid; grid-template-columns: 1fr 1fr; gap: 32px; margin-top: 16px; page-break-inside: avoid; }
+    .signature-line { border-bottom: 1px solid #1A1A1A; height: 48px; }
+    .signature-line.signed { height: 72px; }
+    .signature-image { width: 100%; height: 100%; }
+    .signature-label { font-size: 12px; color: #666666; margin-top: 4px; }
+    .footer { margin-top: 36px; padding-top: 16px; border-top: 2px solid #E5E5E5; text-align: center; font-size: 11px; color: #999999; }
+    .lock { font-family: monospace; word-break: break-all; }
+    .history { margin: 0; padding-left: 16px; font-size: 12px; }
+`;
+
+const page = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>${styles}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+const brandHeader = (title, report, { branding, images }) => {
+  const logo = images[branding.logoUri];
+  return `
+  <div class="brand">
+    <div>
+      <div class="title">${escapeHtml(title)}</div>
+      <div class="subtitle">${escapeHtml(report.project?.name || report.session?.name || 'Inspection')}${
+        report.project?.address ? ` - ${escapeHtml(report.project.address)}` : ''
+      }</div>
+    </div>
+    <div style="text-align: right;">
+      ${logo ? `<img class="brand-logo" src="${logo}" />` : ''}
+      ${branding.companyName ? `<div class="brand-company">${escapeHtml(branding.companyName)}</div>` : ''}
+      ${branding.companyPhone ? `<div class="brand-contact">${escapeHtml(branding.companyPhone)}</div>` : ''}
+    </div>
+  </div>`;
+};
+
+const detailsSection = (report, { branding, generatedAt }) => {
+  const rows = [
+    ['Date', formatDate(report.session?.startedAt || generatedAt)],
+    ['Inspection', getInspectionType(report.inspectionType)?.label || report.inspectionType || 'General'],
+    ['Jurisdiction', report.jurisdiction],
+    ['Location', formatLocation(report.location)],
+    ['Duration', formatDuration(report.session?.durationMs)],
+    ['Inspector', [branding.inspectorName, branding.licenseNumber && `License ${branding.licenseNumber}`].filter(Boolean).join(', ')],
+    ['Photos', String(report.photos.length)],
+    ['Findings', String(report.findings.length)],
+  ].filter(([, value]) => value);
+
+  return `
+  <div class="section">
+    <div class="section-title">Inspection Details</div>
+    <div class="info-grid">
+      ${rows
+        .map(([label, value]) => `<div class="info-label">${label}:</div><div>${escapeHtml(value)}</div>`)
+        .join('\n      ')}
+    </div>
+  </div>`;
+};
+
+const severityTable = (report, { plain = false } = {}) => `
+  <div class="section">
+    <div class="section-title">${plain ? 'At a Glance' : 'Severity Summary'}</div>
+    <table>
+      <tr><th>Severity</th>${plain ? '<th>What it means</th>' : ''}<th>Findings</th></tr>
+      ${['critical', 'high', 'medium', 'low']
+        .map(
+          (severity) => `
+      <tr>
+        <td>${severityDot(severity)}${SEVERITY_LABELS[severity]}</td>
+        ${plain ? `<td>${SEVERITY_MEANING[severity]}</td>` : ''}
+        <td><strong>${report.counts[severity]}</strong></td>
+      </tr>`
+        )
+        .join('')}
+      <tr><td><strong>Total</strong></td>${plain ? '<td></td>' : ''}<td><strong>${report.counts.total}</strong></td></tr>
+    </table>
+    ${
+      !plain && report.counts.dismissed
+        ? `<p class="note">${report.counts.dismissed} AI finding${
+            report.counts.dismissed === 1 ? '' : 's'
+          } dismissed by the inspector and not included.</p>`
+        : ''
+    }
+  </div>`;
+
+const citationHtml = (finding) => {
+  const status = CITATION_STATUS[finding.verification?.status];
+  const note = describeCitation(finding.verification);
+  const source = finding.verification?.source;
+  return `
+      <div class="finding-code ${finding.unverified ? 'unverified' : ''}">Code: ${escapeHtml(finding.code)}${
+        status
+          ? `<span class="citation-badge" style="color: ${status.color}; background: ${status.background};">${status.label}</span>`
+          : ''
+      }</div>
+      ${
+        note
+          ? `<div class="citation-note">${escapeHtml(note)}${
+              source && finding.verification.section
+                ? ` - <a href="${escapeHtml(source)}">${escapeHtml(finding.verification.section.citation)}: ${escapeHtml(
+                    finding.verification.section.title
+                  )}</a>`
+                : ''
+            }</div>`
+          : ''
+      }`;
+};
+
+const thumbnails = (finding, images, limit = THUMBNAILS_PER_FINDING) => {
+  const embedded = finding.photos.map((uri) => images[uri]).filter(Boolean).slice(0, limit);
+  if (!embedded.length) {
+    return finding.photos.length
+      ? `<div class="note">${finding.photos.length} photo${finding.photos.length === 1 ? '' : 's'} on the capturing device</div>`
+      : '';
+  }
+  return `<div class="thumbs">${embedded.map((src) => `<img class="thumb" src="${src}" />`).join('')}</div>`;
+};
+
+const sourceNote = (finding) => {
+  if (finding.source === 'manual') return 'Recorded by the inspector';
+  if (finding.edited) return 'AI finding corrected by the inspector';
+  return 'AI finding';
+};
+
+const findingCard = (finding, index, { images, jurisdiction }) => {
+  const permit = permitFor(finding, jurisdiction);
+  return `
+    <div class="finding" style="border-left-color: ${SEVERITY_COLORS[finding.severity] || SEVERITY_COLORS.medium};">
+      <div class="finding-title">${index + 1}. ${escapeHtml(finding.description || 'Finding')}</div>
+      <div class="finding-meta">${severityDot(finding.severity)}${SEVERITY_LABELS[finding.severity]} • ${escapeHtml(
+        finding.category || 'General'
+      )} • ${sourceNote(finding)}${finding.detectedAt ? ` • ${formatDate(finding.detectedAt)}` : ''}</div>
+      ${finding.code ? citationHtml(finding) : ''}
+      <div class="remediation"><strong>Remediation:</strong> ${escapeHtml(remediationFor(finding))}</div>
+      ${
+        permit
+          ? `<div class="permit-box"><strong>${escapeHtml(permit.permit)}</strong><br/>${escapeHtml(permit.notes)}</div>`
+          : ''
+      }
+      ${thumbnails(finding, images)}
+    </div>`;
+};
+
+const checklistSection = (report) => {
+  if (!report.checklist) return '';
+  const { items, counts } = report.checklist;
+  const statusCell = {
+    pass: '<span style="color: #00CC66;">PASS</span>',
+    fail: '<span style="color: #FF3B30;">FAIL</span>',
+    na: '<span style="color: #999999;">N/A</span>',
+  };
+  return `
+  <div class="section">
+    <div class="section-title">${escapeHtml(getInspectionType(report.inspectionType)?.label || 'Inspection')} Checklist</div>
+    <p>${counts.pass} passed, ${counts.fail} failed, ${counts.na} not applicable, ${counts.open} not checked.</p>
+    <table>
+      ${items
+        .map(
+          (item) => `
+      <tr>
+        <td>${escapeHtml(item.label)}${item.note ? `<div class="note">${escapeHtml(item.note)}</div>` : ''}</td>
+        <td style="white-space: nowrap; font-weight: bold;">${
+          statusCell[item.status] || '<span style="color: #999999;">—</span>'
+        }${item.source === CHECKLIST_SOURCE.AI ? '<div class="note">AI suggestion, not confirmed</div>' : ''}</td>
+      </tr>`
+        )
+        .join('')}
+    </table>
+  </div>`;
+};
+
+const reinspectionStatus = (status) =>
+  status
+    ? `<span style="color: ${REINSPECTION_COLORS[status]}; font-weight: bold;">${REINSPECTION_STATUS_LABELS[status]}</span>`
+    : '<span style="color: #999999;">Not checked</span>';
+
+const photoCell = (uri, images) => {
+  if (!uri) return '<span class="note">None</span>';
+  return images[uri] ? `<img class="thumb-small" src="${images[uri]}" />` : '<span class="note">On the capturing device</span>';
+};
+
+// Each result a violation has had, from when it was first reported
+const statusHistory = (item) => `
+        <ul class="history">
+          <li>${formatDay(item.reportedAt || item.detectedAt)}: Reported${
+            item.originalSessionName ? ` (${escapeHtml(item.originalSessionName)})` : ''
+          }</li>
+          ${item.history
+            .map(
+              (result) =>
+                `<li>${formatDay(result.recordedAt)}: ${reinspectionStatus(result.status)}${
+                  result.note ? ` - ${escapeHtml(result.note)}` : ''
+                }</li>`
+            )
+            .join('')}
+        </ul>`;
+
+// Prior violations a re-inspection followed up on, before and after
+const reinspectionSection = (report, { images }) => {
+  if (!report.reinspection) return '';
+  const { items, counts } = report.reinspection;
+  return `
+  <div class="section">
+    <div class="section-title">Re-inspection of Prior Violations (${items.length})</div>
+    <p>${counts.corrected} corrected, ${counts.partially_corrected} partially corrected, ${counts.still_open} still open, ${
+      counts.unchecked
+    } not checked.</p>
+    ${
+      items.length
+        ? `<table>
+      <tr><th>Violation</th><th>Before</th><th>Now</th><th>Status History</th></tr>
+      ${items
+        .map(
+          (item) => `
+      <tr style="page-break-inside: avoid;">
+        <td>${severityDot(item.severity)}${escapeHtml(item.description || 'Violation')}${
+            item.code ? `<div class="note">${escapeHtml(item.code)}</div>` : ''
+          }<div style="margin-top: 4px;">${reinspectionStatus(item.status)}</div></td>
+        <td>${photoCell(item.photos[0], images)}</td>
+        <td>${photoCell(item.photoUri, images)}</td>
+        <td>${statusHistory(item)}</td>
+      </tr>`
+        )
+        .join('')}
+    </table>`
+        : '<p>No open violations were carried over from the previous inspection.</p>'
+    }
+  </div>`;
+};
+
+const citationSummary = (report) => {
+  const verified = report.findings.filter((f) => f.verification?.status === 'verified').length;
+  const unverified = report.findings.filter((f) => ['parent', 'unverified'].includes(f.verification?.status)).length;
+  return `
+  <div class="section">
+    <div class="section-title">Code Compliance Summary</div>
+    <p>This inspection was performed against <strong>${escapeHtml(report.jurisdiction)}</strong> requirements.</p>
+    <p>${
+      report.findings.length === 0
+        ? 'All inspected areas appear to comply with building code requirements.'
+        : `${report.findings.length} potential issue${report.findings.length > 1 ? 's' : ''} identified that may require attention.`
+    }</p>
+    ${
+      verified + unverified > 0
+        ? `<p>${verified} cited section${verified === 1 ? '' : 's'} verified against the downloaded code library; ${unverified} not found and marked <strong>UNVERIFIED</strong>. Confirm unverified citations before relying on them.</p>`
+        : ''
+    }
+  </div>`;
+};
+
+// Signature strokes (SignaturePad coordinates) redrawn as SVG polylines
+const signatureSvg = (signature) => {
+  const polylines = (signature.strokes || [])
+    .filter((stroke) => stroke.length)
+    .map((stroke) => {
+      // A single tap still draws a dot with round caps
+      const points = stroke.length === 1 ? [stroke[0], stroke[0]] : stroke;
+      return `<polyline points="${points.map(([x, y]) => `${Number(x)},${Number(y)}`).join(' ')}" />`;
+    })
+    .join('');
+  return `<svg class="signature-image" viewBox="0 0 ${Number(signature.width)} ${Number(
+    signature.height
+  )}" preserveAspectRatio="xMinYMax meet"><g fill="none" stroke="#1A1A1A" stroke-width="3" stroke-linecap="round" stroke-linejoin="round">${polylines}</g></svg>`;
+};
+
+const signatureBlock = (parties, signatures) => `
+  <div class="section">
+    <div class="section-title">Sign-off</div>
+    <div class="signatures">
+      ${parties
+        .map(({ role, label, name }) => {
+          const signature = signatures.find((s) => s.role === role);
+          const signedName = signature
+            ? [signature.name, signature.license && `License ${signature.license}`].filter(Boolean).join(', ')
+            : name;
+          return `
+      <div>
+        <div class="signature-line ${signature ? 'signed' : ''}">${signature ? signatureSvg(signature) : ''}</div>
+        <div class="signature-label">${escapeHtml(label)}${signedName ? ` - ${escapeHtml(signedName)}` : ''}</div>
+        <div class="signature-label">Date:${signature ? ` ${formatDate(signature.signedAt)}` : ''}</div>
+      </div>`;
+        })
+        .join('')}
+    </div>
+  </div>`;
+
+const footer = ({ branding, generatedAt, lock }) => `
+  <div class="footer">
+    ${branding.companyName ? `${escapeHtml(branding.companyName)} • ` : ''}Generated ${formatDate(generatedAt)} with VISION<br/>
+    ${
+      lock
+        ? `Signed and locked ${formatDate(lock.signedAt)} • SHA-256 <span class="lock">${escapeHtml(lock.hash)}</span><br/>`
+        : ''
+    }
+    <em>This report is for informational purposes. Final compliance determination by licensed inspector.</em>
+  </div>`;
+
+const inspectorParty = (branding) => ({
+  role: 'inspector',
+  label: 'Inspector',
+  name: [branding.inspectorName, branding.licenseNumber && `License ${branding.licenseNumber}`].filter(Boolean).join(', '),
+});
+
+// City-style inspection report: the full record
+const cityReport = (report, context) => {
+  const { branding, signatures } = context;
+  return page(
+    'Inspection Report',
+    `${brandHeader('Inspection Report', report, context)}
+  ${detailsSection(report, context)}
+  ${severityTable(report)}
+  ${checklistSection(report)}
+  ${reinspectionSection(report, context)}
+  <div class="section">
+    <div class="section-title">Findings (${report.findings.length})</div>
+    ${
+      report.findings.length
+        ? report.findings.map((finding, index) => findingCard(finding, index, context)).join('')
+        : '<p style="color: #00CC66; font-weight: bold;">✓ No issues detected during inspection</p>'
+    }
+  </div>
+  ${citationSummary(report)}
+  ${signatureBlock([inspectorParty(branding), { role: 'contractor', label: 'Contractor / Permit Holder' }], signatures)}
+  ${footer(context)}`
+  );
+};
+
+// Prior violations the re-inspection did not find corrected
+const carriedOverItems = (report, images) => {
+  const items = (report.reinspection?.items || []).filter((item) => item.status !== 'corrected');
+  if (!items.length) return '';
+  return `
+  <div class="section">
+    <div class="section-title">Still to Correct from Earlier Inspections (${items.length})</div>
+    <table>
+      <tr><th>Done</th><th>Severity</th><th>Item</th><th>Status</th><th>Photo</th></tr>
+      ${items
+        .map((item) => {
+          // The latest photo this PDF can show
+          const candidates = [item.photoUri, item.photos[0]].filter(Boolean);
+          const photo = candidates.find((uri) => images[uri]) || candidates[0];
+          return `
+      <tr style="page-break-inside: avoid;">
+        <td><span class="checkbox"></span></td>
+        <td style="white-space: nowrap;">${severityDot(item.severity)}${SEVERITY_LABELS[item.severity]}</td>
+        <td>${escapeHtml(item.description || 'Violation')}${
+            item.code ? `<div class="note">${escapeHtml(item.code)}</div>` : ''
+          }${item.note ? `<div class="note">${escapeHtml(item.note)}</div>` : ''}</td>
+        <td>${reinspectionStatus(item.status)}<div class="note">Reported ${formatDay(
+            item.reportedAt || item.detectedAt
+          )}</div></td>
+        <td>${photoCell(photo, images)}</td>
+      </tr>`;
+        })
+        .join('')}
+    </table>
+  </div>`;
+};
+
+// Contractor punch list: one row per item to fix, with a box to tick
+const punchList = (report, context) => {
+  const { branding, images, signatures } = context;
+  return page(
+    'Punch List',
+    `${brandHeader('Punch List', report, context)}
+  ${detailsSection(report, context)}
+  <div class="section">
+    <div class="section-title">Items to Correct (${report.findings.length})</div>
+    ${
+      report.findings.length
+        ? `<table>
+      <tr><th>Done</th><th>#</th><th>Severity</th><th>Item</th><th>Fix</th><th>Photo</th></tr>
+      ${report.findings
+        .map((finding, index) => {
+          const photo = finding.photos.map((uri) => images[uri]).find(Boolean);
+          return `
+      <tr style="page-break-inside: avoid;">
+        <td><span class="checkbox"></span></td>
+        <td>${index + 1}</td>
+        <td style="white-space: nowrap;">${severityDot(finding.severity)}${SEVERITY_LABELS[finding.severity]}</td>
+        <td>${escapeHtml(finding.description)}${
+            finding.code ? `<div class="note">${escapeHtml(finding.code)}${finding.unverified ? ' (unverified)' : ''}</div>` : ''
+          }</td>
+        <td>${escapeHtml(remediationFor(finding))}</td>
+        <td>${photo ? `<img class="thumb-small" src="${photo}" />` : ''}</td>
+      </tr>`;
+        })
+        .join('')}
+    </table>`
+        : '<p style="color: #00CC66; font-weight: bold;">✓ Nothing to correct</p>'
+    }
+  </div>
+  ${carriedOverItems(report, images)}
+  ${signatureBlock(
+    [
+      // Signed at the inspection, the contractor acknowledges the list rather than its completion
+      { role: 'contractor', label: signatures.length ? 'Contractor - list received' : 'Contractor - all items corrected' },
+      inspectorParty(branding),
+    ],
+    signatures
+  )}
+  ${footer(context)}`
+  );
+};
+
+// Owner summary: plain language, what it means and what happens next
+const ownerSummary = (report, context) => {
+  const { jurisdiction } = context;
+  const permits = [...new Set(report.findings.map((f) => permitFor(f, jurisdiction)?.permit).filter(Boolean))];
+  const contact = jurisdiction.contacts?.building;
+  const urgent = report.counts.critical + report.counts.high;
+  const reinspected = report.reinspection?.counts;
+  const outstanding = reinspected ? reinspected.total - reinspected.corrected : 0;
+
+  return page(
+    'Inspection Summary',
+    `${brandHeader('Inspection Summary', report, context)}
+  <div class="section">
+    <p>${
+      report.findings.length === 0
+        ? 'Good news: the inspection found no issues that need correcting.'
+        : `The inspection found <strong>${report.findings.length}</strong> item${
+            report.findings.length === 1 ? '' : 's'
+          } that need${report.findings.length === 1 ? 's' : ''} correcting${
+            urgent ? `, <strong>${urgent}</strong> of them urgent` : ''
+          }. Your contractor has the detailed list.`
+    }</p>
+    ${
+      reinspected?.total
+        ? `<p>This was a re-inspection: <strong>${reinspected.corrected}</strong> of the ${reinspected.total} item${
+            reinspected.total === 1 ? '' : 's'
+          } from the previous inspection ${reinspected.corrected === 1 ? 'has' : 'have'} been corrected${
+            outstanding ? `; ${outstanding} still need${outstanding === 1 ? 's' : ''} work` : ''
+          }.</p>`
+        : ''
+    }
+  </div>
+  ${report.findings.length ? severityTable(report, { plain: true }) : ''}
+  ${
+    report.findings.length
+      ? `
+  <div class="section">
+    <div class="section-title">What Was Found</div>
+    ${report.findings
+      .map(
+        (finding) => `
+    <div class="finding" style="border-left-color: ${SEVERITY_COLORS[finding.severity] || SEVERITY_COLORS.medium};">
+      <div class="finding-title">${escapeHtml(finding.description || 'Finding')}</div>
+      <div class="finding-meta">${severityDot(finding.severity)}${SEVERITY_MEANING[finding.severity]}</div>
+      <div>${escapeHtml(remediationFor(finding))}</div>
+      ${thumbnails(finding, context.images, 1)}
+    </div>`
+      )
+      .join('')}
+  </div>`
+      : ''
+  }
+  <div class="section">
+    <div class="section-title">Next Steps</div>
+    <ul>
+      ${report.findings.length ? '<li>Your contractor corrects the items above.</li>' : ''}
+      ${!report.findings.length && outstanding ? '<li>Your contractor finishes the remaining corrections.</li>' : ''}
+      ${permits.map((permit) => `<li>${escapeHtml(permit)}</li>`).join('')}
+      ${report.findings.length || outstanding ? '<li>A re-inspection confirms the corrections.</li>' : ''}
+      ${
+        contact
+          ? `<li>Questions about permits: ${escapeHtml(contact.name)}${contact.phone ? `, ${escapeHtml(contact.phone)}` : ''}</li>`
+          : ''
+      }
+    </ul>
+  </div>
+  ${footer(context)}`
+  );
+};
+
+const RENDERERS = {
+  city: cityReport,
+  punch: punchList,
+  owner: ownerSummary,
+};
+
+/**
+ * Render a report model as HTML
+ * @param {string} templateId - 'city' | 'punch' | 'owner'
+ * @param {object} report - Report model plus jurisdiction, inspectionType, checklist and
+ *   reinspection; findings may carry citation verification
+ * @param {object} options - { branding, images: { [photoUri]: dataUri }, generatedAt,
+ *   signatures: [{ role, name, license, signedAt, width, height, strokes }], lock: { hash, signedAt } }
+ * @returns {string} HTML document
+ */
+export function renderReportHtml(
+  templateId,
+  report,
+  { branding = {}, images = {}, generatedAt = new Date(), signatures = [], lock = null } = {}
+) {
+  const render = RENDERERS[getReportTemplate(templateId).id];
+  return render(report, {
+    branding,
+    images,
+    generatedAt,
+    signatures,
+    lock,
+    jurisdiction: getJurisdiction(report.jurisdiction),
+  });
+}
@@ -0,0 +1,130 @@
+/**
+ * Zip archive writer - Minimal, uncompressed ("stored") zip files
+ * Enough for Office Open XML documents (DOCX), which are zip packages of
+ * XML parts and media. Entries are stored rather than deflated: the parts
+ * are small and the photos are already JPEG-compressed.
+ *
+ * Pure functions with no imports, so tests can build archives in Node.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 (IEEE) of some bytes, as zip headers store it
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields (local time, 2-second resolution)
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Build a zip archive
+ * @param {Array<{name: string, data: Uint8Array|string}>} entries - Strings are written as UTF-8
+ * @param {object} options - { date } modification time for every entry
+ * @returns {Uint8Array} Archive bytes
+ */
+export function createZip(entries, { date = new Date() } = {}) {
+  const encoder = new TextEncoder();
+  const { time, date: day } = dosDateTime(date);
+
+  const files = entries.map(({ name, data }) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    return { name: encoder.encode(name), bytes, crc: crc32(bytes) };
+  });
+
+  const localSize = files.reduce((size, file) => size + 30 + file.name.length + file.bytes.length, 0);
+  const centralSize = files.reduce((size, file) => size + 46 + file.name.length, 0);
+  const buffer = new ArrayBuffer(localSize + centralSize + 22);
+  const view = new DataView(buffer);
+  const out = new Uint8Array(buffer);
+  let offset = 0;
+
+  const u16 = (value) => {
+    view.setUint16(offset, value, true);
+    offset += 2;
+  };
+  const u32 = (value) => {
+    view.setUint32(offset, value, true);
+    offset += 4;
+  };
+  const bytes = (value) => {
+    out.set(value, offset);
+    offset += value.length;
+  };
+
+  // Local file headers, each followed by its data
+  const offsets = files.map((file) => {
+    const start = offset;
+    u32(0x04034b50);
+    u16(20); // version needed: 2.0
+    u16(0x0800); // flags: UTF-8 names
+    u16(0); // method: stored
+    u16(time);
+    u16(day);
+    u32(file.crc);
+    u32(file.bytes.length);
+    u32(file.bytes.length);
+    u16(file.name.length);
+    u16(0); // extra field length
+    bytes(file.name);
+    bytes(file.bytes);
+    return start;
+  });
+
+  // Central directory
+  const centralStart = offset;
+  files.forEach((file, index) => {
+    u32(0x02014b50);
+    u16(20); // version made by
+    u16(20); // version needed
+    u16(0x0800);
+    u16(0);
+    u16(time);
+    u16(day);
+    u32(file.crc);
+    u32(file.bytes.length);
+    u32(file.bytes.length);
+    u16(file.name.length);
+    u16(0); // extra field length
+    u16(0); // comment length
+    u16(0); // disk number
+    u16(0); // internal attributes
+    u32(0); // external attributes
+    u32(offsets[index]);
+    bytes(file.name);
+  });
+
+  // End of central directory
+  const centralLength = offset - centralStart;
+  u32(0x06054b50);
+  u16(0);
+  u16(0);
+  u16(files.length);
+  u16(files.length);
+  u32(centralLength);
+  u32(centralStart);
+  u16(0); // comment length
+
+  return out;
+}
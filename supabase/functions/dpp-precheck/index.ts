@@ -2,6 +2,10 @@ import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 
 const OPENAI_API_KEY = Deno.env.get("OPENAI_API_KEY");
 
+// Used when the app doesn't send its jurisdiction registry context
+const DEFAULT_CODE_CONTEXT = `JURISDICTION: City & County of Honolulu (Department of Planning and Permitting)
+ADOPTED CODES: IBC 2018, IRC 2018, NEC 2020, UPC 2018, IECC 2018`;
+
 serve(async (req) => {
   if (req.method === "OPTIONS") {
     return new Response(null, {
@@ -14,17 +18,27 @@ serve(async (req) => {
   }
 
   try {
-    const { imageUrl, projectType = "residential" } = await req.json();
+    const {
+      imageUrl,
+      projectType = "residential",
+      pageNumber,
+      jurisdictionName = "City & County of Honolulu",
+      codeContext = DEFAULT_CODE_CONTEXT,
+    } = await req.json();
 
     console.log("📋 DPP Pre-Check Analysis started", {
       projectType,
+      pageNumber,
+      jurisdictionName,
     });
 
     const dppRequirements = getDPPRequirements(projectType);
     const analysis = await analyzeWithDPP(
       imageUrl,
       projectType,
-      dppRequirements
+      dppRequirements,
+      jurisdictionName,
+      codeContext
     );
 
     return new Response(
@@ -142,23 +156,29 @@ function getDPPRequirements(projectType: string) {
 async function analyzeWithDPP(
   imageUrl: string,
   projectType: string,
-  dppReqs: any
+  dppReqs: any,
+  jurisdictionName: string,
+  codeContext: string
 ) {
   const reqsString = JSON.stringify(dppReqs, null, 2);
 
-  const prompt = `You are a Honolulu building code inspector analyzing construction plans.
+  const prompt = `You are a ${jurisdictionName} building code inspector analyzing construction plans.
 
 PROJECT TYPE: ${projectType}
 
-HONOLULU DPP REQUIREMENTS:
+${codeContext}
+
+PERMIT SUBMITTAL REQUIREMENTS:
 ${reqsString}
 
-Analyze the attached plan image and check against ALL DPP requirements and building codes.
+Analyze the attached plan image and check against ALL submittal requirements and the adopted codes.
 
 Return JSON with:
 {
+  "sheet_number": "Sheet number from the title block (e.g. A1.0, S2.1), or null if none is visible",
+  "sheet_title": "Sheet title from the title block (e.g. FLOOR PLAN), or null",
   "compliant": boolean,
-  "missing_items": ["List of missing DPP required items with page numbers"],
+  "missing_items": ["List of missing required submittal items with page numbers"],
   "code_violations": [
     {
       "code": "IRC R302.2",
@@ -174,7 +194,7 @@ Return JSON with:
   "additional_notes": "Other important items"
 }
 
-BE THOROUGH. Check EVERY requirement from the DPP checklist. Include page numbers from codes.`;
+BE THOROUGH. Check EVERY requirement from the submittal checklist. Include page numbers from codes.`;
 
   const response = await fetch("https://api.openai.com/v1/chat/completions", {
     method: "POST",
@@ -23,6 +23,9 @@ const corsHeaders = {
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
 };
 
+// Code context when the app doesn't send one from its jurisdiction registry
+const DEFAULT_CODE_CONTEXT = 'JURISDICTION: City & County of Honolulu (Department of Planning and Permitting)\nADOPTED CODES: IBC 2018, IRC 2018, NEC 2020, UPC 2018, IECC 2018';
+
 // Rate limiter (simple in-memory - use Redis in production)
 const rateLimiter = new Map();
 
@@ -125,6 +128,10 @@ const MCP_TOOLS = [
         analysisType: {
           type: 'string',
           enum: ['defect_detection', 'code_compliance', 'material_identification', 'general']
+        },
+        codeContext: {
+          type: 'string',
+          description: 'Jurisdiction code editions, local amendments and retrieved code sections for the prompt (defaults to Honolulu)'
         }
       },
       required: ['imageUrl', 'analysisType']
@@ -306,6 +313,14 @@ const MCP_TOOLS = [
         timestamp: {
           type: 'number',
           description: 'Unix timestamp'
+        },
+        codeContext: {
+          type: 'string',
+          description: 'Jurisdiction code editions, local amendments and retrieved code sections for the prompt (defaults to Honolulu)'
+        },
+        inspectionFocus: {
+          type: 'string',
+          description: 'Open checklist items for the inspection type; the model reports pass/fail for the ones it can see'
         }
       },
       required: ['imageUrl', 'sessionId']
@@ -341,6 +356,10 @@ const MCP_TOOLS = [
           type: 'string',
           description: 'Email address for PDF delivery (demo accounts)'
         },
+        codeContext: {
+          type: 'string',
+          description: 'Jurisdiction code editions, local amendments and retrieved code sections for the prompt (defaults to Honolulu)'
+        },
         projectId: {
           type: 'string',
           description: 'Optional project ID'
@@ -767,9 +786,10 @@ Return JSON:
 }
 
 async function analyzePhoto(args) {
+  const codeContext = args.codeContext || DEFAULT_CODE_CONTEXT;
   const prompts = {
-    defect_detection: 'Analyze for defects, code violations, quality issues. List problems with severity (critical/high/medium/low). Reference Honolulu codes.',
-    code_compliance: 'Check building code compliance per Honolulu jurisdiction (IRC 2018, IBC 2018, NEC 2020, IPC 2018). Cite specific code sections.',
+    defect_detection: `Analyze for defects, code violations, quality issues. List problems with severity (critical/high/medium/low). Reference the adopted codes.\n\n${codeContext}`,
+    code_compliance: `Check building code compliance for this jurisdiction. Cite specific code sections.\n\n${codeContext}`,
     material_identification: 'Identify all building materials. List types, quantities, quality, code compliance.',
     general: 'Detailed construction analysis. Describe what you see, identify issues, reference applicable codes.'
   };
@@ -1165,11 +1185,15 @@ async function analyzeLiveInspection(args, supabase) {
   const prompt = `You are analyzing a construction site in REAL-TIME. Be FAST and CONCISE.
 
 ANALYZE THIS IMAGE FOR:
-1. Building code violations (cite Honolulu codes: IRC 2018, IBC 2018, NEC 2020, IPC 2018)
+1. Building code violations (cite the code sections listed below; do not guess section numbers)
 2. Safety hazards (OSHA violations)
 3. Structural defects
 4. Quality issues
 
+${args.codeContext || DEFAULT_CODE_CONTEXT}
+
+${args.inspectionFocus || ''}
+
 Return ONLY violations found. Format:
 {
   "violations": [{
@@ -1180,6 +1204,7 @@ Return ONLY violations found. Format:
     "category": "structural|electrical|plumbing|safety|quality",
     "coordinates": {"x": 0.0-1.0, "y": 0.0-1.0}
   }],
+  "checklist": [{"id": "item_id", "status": "pass|fail", "note": "What you saw"}],
   "summary": "Quick summary",
   "frame_quality": "good|poor",
   "confidence": 0-100
@@ -1265,6 +1290,7 @@ Be FAST. Maximum 1 second.`;
         sessionId: args.sessionId,
         frameNumber: args.frameNumber,
         violations: analysisData.violations || [],
+        checklist: analysisData.checklist || [],
         summary: analysisData.summary || '',
         confidence: analysisData.confidence || 0,
         processingTime: Date.now() - (args.timestamp || 0)
@@ -1282,11 +1308,13 @@ async function captureViolation(args, supabase) {
   const detailedPrompt = `You are a professional building inspector creating an official violation report.
 
 ANALYZE THIS IMAGE IN DETAIL:
-- Building code violations (cite exact Honolulu codes: IRC 2018, IBC 2018, NEC 2020, IPC 2018)
+- Building code violations (cite exact sections from the code context below; do not guess section numbers)
 - Safety hazards (OSHA violations with section numbers)
 - Structural defects with severity assessment
 - Quality issues with remediation recommendations
 
+${args.codeContext || DEFAULT_CODE_CONTEXT}
+
 Initial detection: ${args.violation.code} - ${args.violation.issue}
 
 Provide DETAILED analysis with:
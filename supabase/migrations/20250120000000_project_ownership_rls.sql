@@ -0,0 +1,330 @@
+-- Migration: Project Ownership Row Level Security
+-- Date: January 2025
+-- Purpose: Replace the USING (true) policies on inspection tables with
+--          policies scoped to project ownership and team membership
+
+-- NOTE: Access is resolved through projects.user_id = auth.uid(). Guest
+-- projects (user_id 'guest_...') have no auth.uid() and are therefore no
+-- longer readable or writable through the anon key; inspectors must sign in.
+-- The mcp-server function uses the service role and is unaffected.
+
+-- ============================================================================
+-- 1. TEAM / ORGANIZATION TABLES
+-- ============================================================================
+
+-- Organizations Table
+-- A crew or company that shares projects
+CREATE TABLE IF NOT EXISTS public.organizations (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name TEXT NOT NULL,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Organization Members Table
+-- Which users belong to which organization, and with what role
+CREATE TABLE IF NOT EXISTS public.organization_members (
+  organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (organization_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user_id
+  ON public.organization_members(user_id);
+
+-- Projects can optionally be shared with an organization
+ALTER TABLE public.projects
+  ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES public.organizations(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_projects_organization_id
+  ON public.projects(organization_id);
+
+CREATE INDEX IF NOT EXISTS idx_projects_user_id
+  ON public.projects(user_id);
+
+DROP TRIGGER IF EXISTS set_updated_at ON public.organizations;
+CREATE TRIGGER set_updated_at
+  BEFORE UPDATE ON public.organizations
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_updated_at();
+
+-- ============================================================================
+-- 2. ACCESS HELPER FUNCTIONS
+-- ============================================================================
+
+-- SECURITY DEFINER so policies can look up projects/memberships without
+-- re-entering RLS on those tables (the recursion the first migration avoided
+-- by using USING (true)).
+
+CREATE OR REPLACE FUNCTION public.is_organization_member(org_id UUID, roles TEXT[] DEFAULT NULL)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM public.organization_members m
+    WHERE m.organization_id = org_id
+      AND m.user_id = auth.uid()
+      AND (roles IS NULL OR m.role = ANY (roles))
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_access_project(target_project_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT auth.uid() IS NOT NULL AND EXISTS (
+    SELECT 1
+    FROM public.projects p
+    WHERE p.id = target_project_id
+      AND (
+        p.user_id = auth.uid()::TEXT
+        OR (p.organization_id IS NOT NULL AND public.is_organization_member(p.organization_id))
+      )
+  );
+$$;
+
+-- Violations may be recorded with only a session_id; resolve the project through it
+CREATE OR REPLACE FUNCTION public.can_access_session(target_session_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM public.inspection_sessions s
+    WHERE s.id = target_session_id
+      AND public.can_access_project(s.project_id)
+  );
+$$;
+
+-- Findings carry a project_id, a session_id or both. Every one given must
+-- be accessible, so a row can't pair the caller's project with another
+-- tenant's session.
+CREATE OR REPLACE FUNCTION public.can_access_finding(target_project_id UUID, target_session_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT (target_project_id IS NOT NULL OR target_session_id IS NOT NULL)
+    AND (target_project_id IS NULL OR public.can_access_project(target_project_id))
+    AND (target_session_id IS NULL OR public.can_access_session(target_session_id));
+$$;
+
+REVOKE ALL ON FUNCTION public.is_organization_member(UUID, TEXT[]) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.can_access_project(UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.can_access_session(UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.can_access_finding(UUID, UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.is_organization_member(UUID, TEXT[]) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.can_access_project(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.can_access_session(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.can_access_finding(UUID, UUID) TO authenticated;
+
+-- ============================================================================
+-- 3. ENABLE ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE public.organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.organization_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.inspection_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.inspection_violations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.captured_violations ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- 4. DROP OPEN POLICIES
+-- ============================================================================
+
+DROP POLICY IF EXISTS "Users can view inspection sessions" ON public.inspection_sessions;
+DROP POLICY IF EXISTS "Users can insert inspection sessions" ON public.inspection_sessions;
+DROP POLICY IF EXISTS "Users can update inspection sessions" ON public.inspection_sessions;
+DROP POLICY IF EXISTS "Users can delete inspection sessions" ON public.inspection_sessions;
+
+DROP POLICY IF EXISTS "Users can view inspection violations" ON public.inspection_violations;
+DROP POLICY IF EXISTS "Users can insert inspection violations" ON public.inspection_violations;
+DROP POLICY IF EXISTS "Users can update inspection violations" ON public.inspection_violations;
+DROP POLICY IF EXISTS "Users can delete inspection violations" ON public.inspection_violations;
+
+DROP POLICY IF EXISTS "Users can view captured violations" ON public.captured_violations;
+DROP POLICY IF EXISTS "Users can insert captured violations" ON public.captured_violations;
+DROP POLICY IF EXISTS "Users can update captured violations" ON public.captured_violations;
+DROP POLICY IF EXISTS "Users can delete captured violations" ON public.captured_violations;
+
+-- ============================================================================
+-- 5. OWNERSHIP POLICIES
+-- ============================================================================
+
+-- Inspection Sessions Policies
+CREATE POLICY "Project members can view inspection sessions"
+  ON public.inspection_sessions FOR SELECT
+  TO authenticated
+  USING (public.can_access_project(project_id));
+
+CREATE POLICY "Project members can insert inspection sessions"
+  ON public.inspection_sessions FOR INSERT
+  TO authenticated
+  WITH CHECK (public.can_access_project(project_id));
+
+CREATE POLICY "Project members can update inspection sessions"
+  ON public.inspection_sessions FOR UPDATE
+  TO authenticated
+  USING (public.can_access_project(project_id))
+  WITH CHECK (public.can_access_project(project_id));
+
+CREATE POLICY "Project members can delete inspection sessions"
+  ON public.inspection_sessions FOR DELETE
+  TO authenticated
+  USING (public.can_access_project(project_id));
+
+-- Inspection Violations Policies
+CREATE POLICY "Project members can view inspection violations"
+  ON public.inspection_violations FOR SELECT
+  TO authenticated
+  USING (public.can_access_finding(project_id, session_id));
+
+CREATE POLICY "Project members can insert inspection violations"
+  ON public.inspection_violations FOR INSERT
+  TO authenticated
+  WITH CHECK (public.can_access_finding(project_id, session_id));
+
+CREATE POLICY "Project members can update inspection violations"
+  ON public.inspection_violations FOR UPDATE
+  TO authenticated
+  USING (public.can_access_finding(project_id, session_id))
+  WITH CHECK (public.can_access_finding(project_id, session_id));
+
+CREATE POLICY "Project members can delete inspection violations"
+  ON public.inspection_violations FOR DELETE
+  TO authenticated
+  USING (public.can_access_finding(project_id, session_id));
+
+-- Captured Violations Policies
+CREATE POLICY "Project members can view captured violations"
+  ON public.captured_violations FOR SELECT
+  TO authenticated
+  USING (public.can_access_finding(project_id, session_id));
+
+CREATE POLICY "Project members can insert captured violations"
+  ON public.captured_violations FOR INSERT
+  TO authenticated
+  WITH CHECK (public.can_access_finding(project_id, session_id));
+
+CREATE POLICY "Project members can update captured violations"
+  ON public.captured_violations FOR UPDATE
+  TO authenticated
+  USING (public.can_access_finding(project_id, session_id))
+  WITH CHECK (public.can_access_finding(project_id, session_id));
+
+CREATE POLICY "Project members can delete captured violations"
+  ON public.captured_violations FOR DELETE
+  TO authenticated
+  USING (public.can_access_finding(project_id, session_id));
+
+-- Projects Policies
+-- Owner policies on projects predate these migrations; this adds read
+-- access for the crew a project is shared with
+DROP POLICY IF EXISTS "Organization members can view shared projects" ON public.projects;
+
+CREATE POLICY "Organization members can view shared projects"
+  ON public.projects FOR SELECT
+  TO authenticated
+  USING (organization_id IS NOT NULL AND public.is_organization_member(organization_id));
+
+-- Organizations Policies
+CREATE POLICY "Members can view their organizations"
+  ON public.organizations FOR SELECT
+  TO authenticated
+  USING (public.is_organization_member(id) OR created_by = auth.uid());
+
+CREATE POLICY "Users can create organizations"
+  ON public.organizations FOR INSERT
+  TO authenticated
+  WITH CHECK (created_by = auth.uid());
+
+CREATE POLICY "Owners and admins can update organizations"
+  ON public.organizations FOR UPDATE
+  TO authenticated
+  USING (public.is_organization_member(id, ARRAY['owner', 'admin']));
+
+CREATE POLICY "Owners can delete organizations"
+  ON public.organizations FOR DELETE
+  TO authenticated
+  USING (public.is_organization_member(id, ARRAY['owner']));
+
+-- Organization Members Policies
+CREATE POLICY "Members can view fellow members"
+  ON public.organization_members FOR SELECT
+  TO authenticated
+  USING (public.is_organization_member(organization_id));
+
+-- The creator may add themselves as owner; everyone else is added by
+-- an owner or admin, and only owners may add another owner
+CREATE POLICY "Owners and admins can add members"
+  ON public.organization_members FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    (
+      public.is_organization_member(organization_id, ARRAY['owner', 'admin'])
+      AND (role <> 'owner' OR public.is_organization_member(organization_id, ARRAY['owner']))
+    )
+    OR (
+      user_id = auth.uid()
+      AND role = 'owner'
+      AND EXISTS (
+        SELECT 1 FROM public.organizations o
+        WHERE o.id = organization_id AND o.created_by = auth.uid()
+      )
+    )
+  );
+
+-- Admins manage admins and members; only owners may touch an owner row
+-- or grant the owner role
+CREATE POLICY "Owners and admins can change member roles"
+  ON public.organization_members FOR UPDATE
+  TO authenticated
+  USING (
+    public.is_organization_member(organization_id, ARRAY['owner'])
+    OR (public.is_organization_member(organization_id, ARRAY['admin']) AND role <> 'owner')
+  )
+  WITH CHECK (
+    public.is_organization_member(organization_id, ARRAY['owner'])
+    OR (public.is_organization_member(organization_id, ARRAY['admin']) AND role <> 'owner')
+  );
+
+-- A membership's organization and user are fixed; only the role changes
+REVOKE UPDATE ON public.organization_members FROM authenticated;
+GRANT UPDATE (role) ON public.organization_members TO authenticated;
+
+CREATE POLICY "Owners and admins can remove members, members can leave"
+  ON public.organization_members FOR DELETE
+  TO authenticated
+  USING (
+    public.is_organization_member(organization_id, ARRAY['owner', 'admin'])
+    OR user_id = auth.uid()
+  );
+
+-- ============================================================================
+-- VERIFICATION QUERIES (commented out - for reference)
+-- ============================================================================
+
+-- Cross-tenant checks live in supabase/tests/rls_project_ownership.test.sql
+-- and run with: supabase test db
+
+-- To verify policies exist:
+-- SELECT tablename, policyname FROM pg_policies WHERE schemaname = 'public' AND tablename IN ('projects', 'inspection_sessions', 'inspection_violations', 'captured_violations', 'organizations', 'organization_members');
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
@@ -0,0 +1,139 @@
+-- Migration: Building Plans Sync
+-- Date: January 2025
+-- Purpose: Let the app sync locally stored Foresight plans with building_plans
+--          and keep plan sheet images in Supabase Storage
+
+-- ============================================================================
+-- 1. BUILDING PLANS TABLE
+-- ============================================================================
+
+-- Created by the mcp-server (analyze_physical_plan) deployment; defined here
+-- so fresh environments match
+CREATE TABLE IF NOT EXISTS public.building_plans (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  project_id UUID REFERENCES public.projects(id) ON DELETE CASCADE,
+  file_name TEXT,
+  file_type TEXT,
+  file_url TEXT,
+  upload_method TEXT,
+  processing_status TEXT,
+  extracted_rooms JSONB DEFAULT '[]'::jsonb,
+  extracted_materials JSONB DEFAULT '[]'::jsonb,
+  extracted_dimensions JSONB DEFAULT '[]'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Foresight plan data synced from the app
+ALTER TABLE public.building_plans
+  ADD COLUMN IF NOT EXISTS plan_set_id TEXT,
+  ADD COLUMN IF NOT EXISTS plan_set_name TEXT,
+  ADD COLUMN IF NOT EXISTS revision INTEGER DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS jurisdiction TEXT,
+  ADD COLUMN IF NOT EXISTS project_type TEXT,
+  ADD COLUMN IF NOT EXISTS analysis JSONB,
+  ADD COLUMN IF NOT EXISTS dpp_requirements JSONB,
+  ADD COLUMN IF NOT EXISTS sheets JSONB DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS storage_path TEXT,
+  ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW(),
+  -- Soft delete so other devices learn about deletions on their next pull
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_building_plans_project_id
+  ON public.building_plans(project_id);
+
+-- Incremental pulls filter on updated_at
+CREATE INDEX IF NOT EXISTS idx_building_plans_updated_at
+  ON public.building_plans(updated_at);
+
+CREATE INDEX IF NOT EXISTS idx_building_plans_plan_set_id
+  ON public.building_plans(plan_set_id);
+
+DROP TRIGGER IF EXISTS set_updated_at ON public.building_plans;
+CREATE TRIGGER set_updated_at
+  BEFORE UPDATE ON public.building_plans
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_updated_at();
+
+-- ============================================================================
+-- 2. ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE public.building_plans ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Project members can view building plans" ON public.building_plans;
+DROP POLICY IF EXISTS "Project members can insert building plans" ON public.building_plans;
+DROP POLICY IF EXISTS "Project members can update building plans" ON public.building_plans;
+DROP POLICY IF EXISTS "Project members can delete building plans" ON public.building_plans;
+
+CREATE POLICY "Project members can view building plans"
+  ON public.building_plans FOR SELECT
+  TO authenticated
+  USING (public.can_access_project(project_id));
+
+CREATE POLICY "Project members can insert building plans"
+  ON public.building_plans FOR INSERT
+  TO authenticated
+  WITH CHECK (public.can_access_project(project_id));
+
+CREATE POLICY "Project members can update building plans"
+  ON public.building_plans FOR UPDATE
+  TO authenticated
+  USING (public.can_access_project(project_id))
+  WITH CHECK (public.can_access_project(project_id));
+
+CREATE POLICY "Project members can delete building plans"
+  ON public.building_plans FOR DELETE
+  TO authenticated
+  USING (public.can_access_project(project_id));
+
+-- ============================================================================
+-- 3. PLAN FILE STORAGE
+-- ============================================================================
+
+-- Private bucket; objects live under <project_id>/<plan_id>/...
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('building-plans', 'building-plans', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Returns NULL instead of raising when the first path segment isn't a UUID
+CREATE OR REPLACE FUNCTION public.plan_object_project_id(object_name TEXT)
+RETURNS UUID
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+  RETURN (storage.foldername(object_name))[1]::UUID;
+EXCEPTION WHEN invalid_text_representation THEN
+  RETURN NULL;
+END;
+$$;
+
+DROP POLICY IF EXISTS "Project members can read plan files" ON storage.objects;
+DROP POLICY IF EXISTS "Project members can upload plan files" ON storage.objects;
+DROP POLICY IF EXISTS "Project members can replace plan files" ON storage.objects;
+DROP POLICY IF EXISTS "Project members can delete plan files" ON storage.objects;
+
+CREATE POLICY "Project members can read plan files"
+  ON storage.objects FOR SELECT
+  TO authenticated
+  USING (bucket_id = 'building-plans' AND public.can_access_project(public.plan_object_project_id(name)));
+
+CREATE POLICY "Project members can upload plan files"
+  ON storage.objects FOR INSERT
+  TO authenticated
+  WITH CHECK (bucket_id = 'building-plans' AND public.can_access_project(public.plan_object_project_id(name)));
+
+CREATE POLICY "Project members can replace plan files"
+  ON storage.objects FOR UPDATE
+  TO authenticated
+  USING (bucket_id = 'building-plans' AND public.can_access_project(public.plan_object_project_id(name)));
+
+CREATE POLICY "Project members can delete plan files"
+  ON storage.objects FOR DELETE
+  TO authenticated
+  USING (bucket_id = 'building-plans' AND public.can_access_project(public.plan_object_project_id(name)));
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
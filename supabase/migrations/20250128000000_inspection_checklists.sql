@@ -0,0 +1,15 @@
+-- Migration: Inspection Checklists
+-- Date: January 2025
+-- Purpose: Store per-inspection-type checklist results (pass/fail/N/A) on
+--          the inspection session they were recorded in
+
+-- Shape: { "results": { "<item id>": { "status", "source", "note", "updatedAt" } },
+--          "updatedAt": "<timestamp>" }
+-- Item ids come from the app's checklist definitions (services/inspectionChecklists.js).
+-- Existing inspection_sessions RLS policies cover reads and writes.
+ALTER TABLE public.inspection_sessions
+  ADD COLUMN IF NOT EXISTS checklist JSONB;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
@@ -0,0 +1,177 @@
+-- Migration: Violation Editing and Audit Trail
+-- Date: January 2025
+-- Purpose: Let inspectors add findings and correct or dismiss AI findings in
+--          inspection_violations, recording who changed what. Dismissed AI
+--          findings are kept (status = 'dismissed') so model precision can be
+--          measured.
+
+-- ============================================================================
+-- 1. INSPECTION VIOLATIONS: SOURCE, STATUS, AUTHORSHIP
+-- ============================================================================
+
+ALTER TABLE public.inspection_violations
+  -- 'ai' rows came from the model; 'manual' rows were entered by an inspector
+  ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'manual'
+    CHECK (source IN ('ai', 'manual')),
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'dismissed')),
+  ADD COLUMN IF NOT EXISTS dismissed_reason TEXT,
+  -- The model's finding as first detected, before any inspector edits
+  ADD COLUMN IF NOT EXISTS ai_original JSONB,
+  ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+  ADD COLUMN IF NOT EXISTS updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_inspection_violations_source_status
+  ON public.inspection_violations(source, status);
+
+DROP TRIGGER IF EXISTS set_updated_at ON public.inspection_violations;
+CREATE TRIGGER set_updated_at
+  BEFORE UPDATE ON public.inspection_violations
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_updated_at();
+
+-- ============================================================================
+-- 2. AUDIT TRAIL
+-- ============================================================================
+
+-- Append-only: written by trigger, readable by project members, never edited.
+-- No foreign keys on the ids, so events outlive deleted violations (and the
+-- cascade deletes that remove them) and deleted findings still count.
+CREATE TABLE IF NOT EXISTS public.inspection_violation_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  violation_id UUID,
+  session_id UUID,
+  project_id UUID,
+  action TEXT NOT NULL CHECK (action IN ('created', 'updated', 'dismissed', 'restored', 'deleted')),
+  source TEXT,
+  -- { "<column>": { "from": ..., "to": ... } }; the full row for created/deleted
+  changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+  actor_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inspection_violation_events_violation_id
+  ON public.inspection_violation_events(violation_id);
+
+CREATE INDEX IF NOT EXISTS idx_inspection_violation_events_project_id
+  ON public.inspection_violation_events(project_id);
+
+-- Records inserts, deletes and changes to the columns an inspector can edit.
+-- SECURITY DEFINER so the trigger can write events users cannot insert.
+CREATE OR REPLACE FUNCTION public.log_inspection_violation_event()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  tracked TEXT[] := ARRAY['violation_code', 'description', 'severity', 'category', 'location_x', 'location_y', 'status', 'dismissed_reason'];
+  col TEXT;
+  diff JSONB := '{}'::jsonb;
+  old_row JSONB;
+  new_row JSONB;
+  event_action TEXT;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO public.inspection_violation_events (violation_id, session_id, project_id, action, source, changes, actor_id)
+    VALUES (NEW.id, NEW.session_id, NEW.project_id, 'created', NEW.source, to_jsonb(NEW), auth.uid());
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    INSERT INTO public.inspection_violation_events (violation_id, session_id, project_id, action, source, changes, actor_id)
+    VALUES (OLD.id, OLD.session_id, OLD.project_id, 'deleted', OLD.source, to_jsonb(OLD), auth.uid());
+    RETURN OLD;
+  END IF;
+
+  old_row := to_jsonb(OLD);
+  new_row := to_jsonb(NEW);
+  FOREACH col IN ARRAY tracked LOOP
+    IF old_row -> col IS DISTINCT FROM new_row -> col THEN
+      diff := diff || jsonb_build_object(col, jsonb_build_object('from', old_row -> col, 'to', new_row -> col));
+    END IF;
+  END LOOP;
+
+  -- Replays of an unchanged row (offline upserts) leave no event
+  IF diff = '{}'::jsonb THEN
+    RETURN NEW;
+  END IF;
+
+  event_action := CASE
+    WHEN OLD.status <> 'dismissed' AND NEW.status = 'dismissed' THEN 'dismissed'
+    WHEN OLD.status = 'dismissed' AND NEW.status <> 'dismissed' THEN 'restored'
+    ELSE 'updated'
+  END;
+
+  INSERT INTO public.inspection_violation_events (violation_id, session_id, project_id, action, source, changes, actor_id)
+  VALUES (NEW.id, NEW.session_id, NEW.project_id, event_action, NEW.source, diff, auth.uid());
+  RETURN NEW;
+END;
+$$;
+
+-- Stamp the editor on the row itself as well
+CREATE OR REPLACE FUNCTION public.set_inspection_violation_updated_by()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_by := auth.uid();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS set_updated_by ON public.inspection_violations;
+CREATE TRIGGER set_updated_by
+  BEFORE UPDATE ON public.inspection_violations
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_inspection_violation_updated_by();
+
+DROP TRIGGER IF EXISTS log_violation_event ON public.inspection_violations;
+CREATE TRIGGER log_violation_event
+  AFTER INSERT OR UPDATE OR DELETE ON public.inspection_violations
+  FOR EACH ROW
+  EXECUTE FUNCTION public.log_inspection_violation_event();
+
+-- ============================================================================
+-- 3. ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE public.inspection_violation_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Project members can view violation events" ON public.inspection_violation_events;
+
+-- No insert/update/delete policies: only the trigger writes events
+CREATE POLICY "Project members can view violation events"
+  ON public.inspection_violation_events FOR SELECT
+  TO authenticated
+  USING (public.can_access_finding(project_id, session_id));
+
+-- ============================================================================
+-- 4. MODEL PRECISION
+-- ============================================================================
+
+-- Share of AI findings inspectors kept, per project and inspection type.
+-- security_invoker applies the caller's RLS to the underlying tables.
+CREATE OR REPLACE VIEW public.ai_violation_precision
+WITH (security_invoker = true)
+AS
+SELECT
+  s.project_id,
+  s.inspection_type,
+  count(*) AS ai_findings,
+  count(*) FILTER (WHERE v.status = 'dismissed') AS dismissed,
+  round(
+    count(*) FILTER (WHERE v.status <> 'dismissed')::numeric / NULLIF(count(*), 0),
+    3
+  ) AS precision
+FROM public.inspection_violations v
+JOIN public.inspection_sessions s ON s.id = v.session_id
+WHERE v.source = 'ai'
+GROUP BY s.project_id, s.inspection_type;
+
+GRANT SELECT ON public.ai_violation_precision TO authenticated;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
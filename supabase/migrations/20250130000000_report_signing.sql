@@ -0,0 +1,235 @@
+-- Migration: Report Signing and Locking
+-- Date: January 2025
+-- Purpose: Inspector and contractor sign-off on inspection reports. Signing
+--          stores the report snapshot with its signatures and a SHA-256 hash,
+--          and locks the inspection session and its findings against edits,
+--          so later tampering can be detected.
+
+-- ============================================================================
+-- 1. SESSION LOCK
+-- ============================================================================
+
+ALTER TABLE public.inspection_sessions
+  ADD COLUMN IF NOT EXISTS locked_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS locked_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  -- Hash of the signed report (inspection_reports.content_hash)
+  ADD COLUMN IF NOT EXISTS report_hash TEXT;
+
+CREATE OR REPLACE FUNCTION public.is_session_locked(target_session_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM public.inspection_sessions s
+    WHERE s.id = target_session_id
+      AND s.locked_at IS NOT NULL
+  );
+$$;
+
+-- A signed session is a record: no status changes, no deletes (which also
+-- means a project with a signed inspection can't be deleted)
+CREATE OR REPLACE FUNCTION public.prevent_locked_session_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF OLD.locked_at IS NOT NULL THEN
+    RAISE EXCEPTION 'Inspection session % is signed and locked', OLD.id
+      USING ERRCODE = 'object_not_in_prerequisite_state';
+  END IF;
+  RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS prevent_locked_changes ON public.inspection_sessions;
+CREATE TRIGGER prevent_locked_changes
+  BEFORE UPDATE OR DELETE ON public.inspection_sessions
+  FOR EACH ROW
+  EXECUTE FUNCTION public.prevent_locked_session_changes();
+
+-- Findings and photos of a locked session can't be added, edited or removed
+CREATE OR REPLACE FUNCTION public.prevent_locked_finding_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP <> 'INSERT' AND public.is_session_locked(OLD.session_id) THEN
+    RAISE EXCEPTION 'Inspection session % is signed and locked', OLD.session_id
+      USING ERRCODE = 'object_not_in_prerequisite_state';
+  END IF;
+  IF TG_OP <> 'DELETE' AND public.is_session_locked(NEW.session_id) THEN
+    RAISE EXCEPTION 'Inspection session % is signed and locked', NEW.session_id
+      USING ERRCODE = 'object_not_in_prerequisite_state';
+  END IF;
+  RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS prevent_locked_changes ON public.inspection_violations;
+CREATE TRIGGER prevent_locked_changes
+  BEFORE INSERT OR UPDATE OR DELETE ON public.inspection_violations
+  FOR EACH ROW
+  EXECUTE FUNCTION public.prevent_locked_finding_changes();
+
+DROP TRIGGER IF EXISTS prevent_locked_changes ON public.captured_violations;
+CREATE TRIGGER prevent_locked_changes
+  BEFORE INSERT OR UPDATE OR DELETE ON public.captured_violations
+  FOR EACH ROW
+  EXECUTE FUNCTION public.prevent_locked_finding_changes();
+
+-- ============================================================================
+-- 2. SIGNED REPORTS
+-- ============================================================================
+
+-- One signed report per session, written only by sign_inspection_report()
+CREATE TABLE IF NOT EXISTS public.inspection_reports (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  session_id UUID NOT NULL UNIQUE REFERENCES public.inspection_sessions(id),
+  template_id TEXT,
+  -- Report model as signed (findings, photos, checklist, jurisdiction), with
+  -- photoHashes: the SHA-256 of each photo file, keyed by its URI
+  content JSONB NOT NULL,
+  -- [{ "role": "inspector"|"contractor", "name", "signedAt", "width", "height", "strokes" }]
+  signatures JSONB NOT NULL,
+  content_hash TEXT NOT NULL,
+  signed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+  signed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE OR REPLACE FUNCTION public.prevent_inspection_report_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'Signed inspection reports cannot be changed'
+    USING ERRCODE = 'object_not_in_prerequisite_state';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS prevent_changes ON public.inspection_reports;
+CREATE TRIGGER prevent_changes
+  BEFORE UPDATE OR DELETE ON public.inspection_reports
+  FOR EACH ROW
+  EXECUTE FUNCTION public.prevent_inspection_report_changes();
+
+-- SHA-256 over the snapshot and its signatures. jsonb text output is
+-- canonical (key order and whitespace normalized), so the same report
+-- always hashes the same.
+CREATE OR REPLACE FUNCTION public.inspection_report_hash(content JSONB, signatures JSONB)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT encode(
+    sha256(convert_to(jsonb_build_object('content', content, 'signatures', signatures)::text, 'UTF8')),
+    'hex'
+  );
+$$;
+
+-- Sign a session's report: store it with its hash and lock the session.
+-- SECURITY DEFINER so it can write inspection_reports, which users can't.
+CREATE OR REPLACE FUNCTION public.sign_inspection_report(
+  p_session_id UUID,
+  p_content JSONB,
+  p_signatures JSONB,
+  p_template_id TEXT DEFAULT NULL
+)
+RETURNS public.inspection_reports
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  report public.inspection_reports;
+BEGIN
+  IF NOT public.can_access_session(p_session_id) THEN
+    RAISE EXCEPTION 'Not allowed to sign inspection session %', p_session_id
+      USING ERRCODE = 'insufficient_privilege';
+  END IF;
+
+  IF jsonb_typeof(p_signatures) IS DISTINCT FROM 'array' OR jsonb_array_length(p_signatures) = 0 THEN
+    RAISE EXCEPTION 'A signed report needs at least one signature'
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  -- Row lock so two devices can't sign the same session at once
+  PERFORM 1
+  FROM public.inspection_sessions
+  WHERE id = p_session_id AND locked_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Inspection session % is already signed', p_session_id
+      USING ERRCODE = 'object_not_in_prerequisite_state';
+  END IF;
+
+  INSERT INTO public.inspection_reports (session_id, template_id, content, signatures, content_hash)
+  VALUES (p_session_id, p_template_id, p_content, p_signatures, public.inspection_report_hash(p_content, p_signatures))
+  RETURNING * INTO report;
+
+  UPDATE public.inspection_sessions
+  SET locked_at = report.signed_at,
+      locked_by = auth.uid(),
+      report_hash = report.content_hash,
+      status = 'completed',
+      ended_at = COALESCE(ended_at, report.signed_at)
+  WHERE id = p_session_id;
+
+  RETURN report;
+END;
+$$;
+
+-- Recompute the hash of a signed report and compare it with the hash stored
+-- on the report and on the session
+CREATE OR REPLACE FUNCTION public.verify_inspection_report(p_session_id UUID)
+RETURNS TABLE (
+  valid BOOLEAN,
+  content_hash TEXT,
+  computed_hash TEXT,
+  session_hash TEXT,
+  signed_at TIMESTAMPTZ
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT
+    r.content_hash = public.inspection_report_hash(r.content, r.signatures)
+      AND r.content_hash IS NOT DISTINCT FROM s.report_hash,
+    r.content_hash,
+    public.inspection_report_hash(r.content, r.signatures),
+    s.report_hash,
+    r.signed_at
+  FROM public.inspection_reports r
+  JOIN public.inspection_sessions s ON s.id = r.session_id
+  WHERE r.session_id = p_session_id;
+$$;
+
+REVOKE ALL ON FUNCTION public.is_session_locked(UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.sign_inspection_report(UUID, JSONB, JSONB, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.verify_inspection_report(UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.is_session_locked(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.sign_inspection_report(UUID, JSONB, JSONB, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.verify_inspection_report(UUID) TO authenticated;
+
+-- ============================================================================
+-- 3. ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE public.inspection_reports ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Project members can view signed reports" ON public.inspection_reports;
+
+-- No insert/update/delete policies: only sign_inspection_report() writes
+CREATE POLICY "Project members can view signed reports"
+  ON public.inspection_reports FOR SELECT
+  TO authenticated
+  USING (public.can_access_session(session_id));
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
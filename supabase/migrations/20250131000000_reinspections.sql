@@ -0,0 +1,106 @@
+-- Migration: Re-inspections
+-- Date: January 2025
+-- Purpose: Link a follow-up inspection to the session it re-inspects and
+--          record, per prior violation, whether the contractor corrected it.
+--          One result per violation per re-inspection; the results across a
+--          chain of re-inspections are the violation's status history.
+
+-- ============================================================================
+-- 1. SESSION CHAIN
+-- ============================================================================
+
+ALTER TABLE public.inspection_sessions
+  ADD COLUMN IF NOT EXISTS previous_session_id UUID
+    REFERENCES public.inspection_sessions(id) ON DELETE SET NULL;
+
+ALTER TABLE public.inspection_sessions
+  DROP CONSTRAINT IF EXISTS inspection_sessions_previous_session_check;
+ALTER TABLE public.inspection_sessions
+  ADD CONSTRAINT inspection_sessions_previous_session_check
+    CHECK (previous_session_id IS NULL OR previous_session_id <> id);
+
+CREATE INDEX IF NOT EXISTS idx_inspection_sessions_previous_session
+  ON public.inspection_sessions(previous_session_id);
+
+-- ============================================================================
+-- 2. RE-INSPECTION RESULTS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.violation_reinspections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  violation_id UUID NOT NULL REFERENCES public.inspection_violations(id) ON DELETE CASCADE,
+  -- The re-inspection session the result was recorded in
+  session_id UUID NOT NULL REFERENCES public.inspection_sessions(id) ON DELETE CASCADE,
+  status TEXT NOT NULL
+    CHECK (status IN ('corrected', 'partially_corrected', 'still_open')),
+  note TEXT,
+  -- Follow-up photo; like captured_violations.image_uri it may be a file://
+  -- URI on the device that took it
+  photo_uri TEXT,
+  recorded_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (violation_id, session_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_violation_reinspections_session
+  ON public.violation_reinspections(session_id);
+
+-- Results belong to the re-inspection's record: once its report is signed
+-- they are locked with it
+DROP TRIGGER IF EXISTS prevent_locked_changes ON public.violation_reinspections;
+CREATE TRIGGER prevent_locked_changes
+  BEFORE INSERT OR UPDATE OR DELETE ON public.violation_reinspections
+  FOR EACH ROW
+  EXECUTE FUNCTION public.prevent_locked_finding_changes();
+
+-- ============================================================================
+-- 3. ROW LEVEL SECURITY
+-- ============================================================================
+
+-- The violation's session must be readable too, so a result can't be
+-- attached to another project's violation
+CREATE OR REPLACE FUNCTION public.can_access_violation(target_violation_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM public.inspection_violations v
+    WHERE v.id = target_violation_id
+      AND public.can_access_finding(v.project_id, v.session_id)
+  );
+$$;
+
+REVOKE ALL ON FUNCTION public.can_access_violation(UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.can_access_violation(UUID) TO authenticated;
+
+ALTER TABLE public.violation_reinspections ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Project members can view reinspection results" ON public.violation_reinspections;
+DROP POLICY IF EXISTS "Project members can insert reinspection results" ON public.violation_reinspections;
+DROP POLICY IF EXISTS "Project members can update reinspection results" ON public.violation_reinspections;
+DROP POLICY IF EXISTS "Project members can delete reinspection results" ON public.violation_reinspections;
+
+CREATE POLICY "Project members can view reinspection results"
+  ON public.violation_reinspections FOR SELECT
+  TO authenticated
+  USING (public.can_access_session(session_id));
+
+CREATE POLICY "Project members can insert reinspection results"
+  ON public.violation_reinspections FOR INSERT
+  TO authenticated
+  WITH CHECK (public.can_access_session(session_id) AND public.can_access_violation(violation_id));
+
+CREATE POLICY "Project members can update reinspection results"
+  ON public.violation_reinspections FOR UPDATE
+  TO authenticated
+  USING (public.can_access_session(session_id))
+  WITH CHECK (public.can_access_session(session_id) AND public.can_access_violation(violation_id));
+
+CREATE POLICY "Project members can delete reinspection results"
+  ON public.violation_reinspections FOR DELETE
+  TO authenticated
+  USING (public.can_access_session(session_id));
@@ -0,0 +1,117 @@
+-- Re-inspection tests
+-- Run with: supabase test db
+-- Proves a follow-up session records one result per prior violation, that
+-- results stay within the project, and that a signed re-inspection locks them.
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(8);
+
+-- ============================================================================
+-- FIXTURES (as superuser, bypassing RLS)
+-- ============================================================================
+
+INSERT INTO auth.users (id, email) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'alice@example.com'),
+  ('00000000-0000-0000-0000-00000000000b', 'bob@example.com');
+
+INSERT INTO public.projects (id, name, user_id) VALUES
+  ('20000000-0000-0000-0000-00000000000a', 'Alice Residence', '00000000-0000-0000-0000-00000000000a'),
+  ('20000000-0000-0000-0000-00000000000b', 'Bob Warehouse', '00000000-0000-0000-0000-00000000000b');
+
+-- Session 2 re-inspects session 1; session 3 is Bob's
+INSERT INTO public.inspection_sessions (id, project_id, inspection_type, previous_session_id) VALUES
+  ('30000000-0000-0000-0000-000000000001', '20000000-0000-0000-0000-00000000000a', 'framing', NULL),
+  ('30000000-0000-0000-0000-000000000002', '20000000-0000-0000-0000-00000000000a', 'framing', '30000000-0000-0000-0000-000000000001'),
+  ('30000000-0000-0000-0000-000000000003', '20000000-0000-0000-0000-00000000000b', 'framing', NULL);
+
+INSERT INTO public.inspection_violations (id, session_id, project_id, violation_code, description, severity) VALUES
+  ('40000000-0000-0000-0000-000000000001', '30000000-0000-0000-0000-000000000001', '20000000-0000-0000-0000-00000000000a', 'IRC R602.3', 'Missing hold-down', 'high');
+
+-- ============================================================================
+-- ALICE RE-INSPECTS
+-- ============================================================================
+
+SET LOCAL ROLE authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-00000000000a", "role": "authenticated"}', true);
+
+SELECT lives_ok(
+  $$INSERT INTO public.violation_reinspections (violation_id, session_id, status, note)
+    VALUES ('40000000-0000-0000-0000-000000000001', '30000000-0000-0000-0000-000000000002', 'partially_corrected', 'One of two installed')$$,
+  'Alice records a result for her earlier violation'
+);
+
+SELECT is(
+  (SELECT recorded_by FROM public.violation_reinspections WHERE session_id = '30000000-0000-0000-0000-000000000002'),
+  '00000000-0000-0000-0000-00000000000a'::uuid,
+  'The result records who entered it'
+);
+
+SELECT throws_ok(
+  $$INSERT INTO public.violation_reinspections (violation_id, session_id, status)
+    VALUES ('40000000-0000-0000-0000-000000000001', '30000000-0000-0000-0000-000000000002', 'corrected')$$,
+  '23505',
+  NULL,
+  'A re-inspection has one result per violation'
+);
+
+SELECT throws_ok(
+  $$UPDATE public.violation_reinspections SET status = 'fixed'
+    WHERE session_id = '30000000-0000-0000-0000-000000000002'$$,
+  '23514',
+  NULL,
+  'Only corrected, partially corrected and still open are results'
+);
+
+SELECT throws_ok(
+  $$UPDATE public.inspection_sessions SET previous_session_id = id
+    WHERE id = '30000000-0000-0000-0000-000000000002'$$,
+  '23514',
+  NULL,
+  'A session cannot re-inspect itself'
+);
+
+-- ============================================================================
+-- BOB
+-- ============================================================================
+
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-00000000000b", "role": "authenticated"}', true);
+
+SELECT is(
+  (SELECT count(*) FROM public.violation_reinspections),
+  0::bigint,
+  'Bob cannot see Alice''s re-inspection results'
+);
+
+SELECT throws_ok(
+  $$INSERT INTO public.violation_reinspections (violation_id, session_id, status)
+    VALUES ('40000000-0000-0000-0000-000000000001', '30000000-0000-0000-0000-000000000003', 'corrected')$$,
+  '42501',
+  NULL,
+  'Bob cannot close Alice''s violation from his own session'
+);
+
+-- ============================================================================
+-- SIGNED RE-INSPECTION
+-- ============================================================================
+
+RESET ROLE;
+UPDATE public.inspection_sessions SET locked_at = NOW()
+WHERE id = '30000000-0000-0000-0000-000000000002';
+
+SET LOCAL ROLE authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-00000000000a", "role": "authenticated"}', true);
+
+SELECT throws_ok(
+  $$UPDATE public.violation_reinspections SET status = 'corrected'
+    WHERE session_id = '30000000-0000-0000-0000-000000000002'$$,
+  '55000',
+  NULL,
+  'Results of a signed re-inspection are locked'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
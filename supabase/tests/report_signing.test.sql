@@ -0,0 +1,163 @@
+-- Report signing tests
+-- Run with: supabase test db
+-- Proves signing stores the report with its hash and locks the session and
+-- its findings, and that a changed report no longer verifies.
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(15);
+
+-- ============================================================================
+-- FIXTURES (as superuser, bypassing RLS)
+-- ============================================================================
+
+INSERT INTO auth.users (id, email) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'alice@example.com'),
+  ('00000000-0000-0000-0000-00000000000b', 'bob@example.com');
+
+INSERT INTO public.projects (id, name, user_id) VALUES
+  ('20000000-0000-0000-0000-00000000000a', 'Alice Residence', '00000000-0000-0000-0000-00000000000a');
+
+-- Session 1 gets signed, session 2 stays open
+INSERT INTO public.inspection_sessions (id, project_id, inspection_type) VALUES
+  ('30000000-0000-0000-0000-000000000001', '20000000-0000-0000-0000-00000000000a', 'framing'),
+  ('30000000-0000-0000-0000-000000000002', '20000000-0000-0000-0000-00000000000a', 'framing');
+
+INSERT INTO public.inspection_violations (id, session_id, project_id, violation_code, description, severity) VALUES
+  ('40000000-0000-0000-0000-000000000001', '30000000-0000-0000-0000-000000000001', '20000000-0000-0000-0000-00000000000a', 'IRC R602.3', 'Missing hold-down', 'high');
+
+-- ============================================================================
+-- ALICE SIGNS
+-- ============================================================================
+
+SET LOCAL ROLE authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-00000000000a", "role": "authenticated"}', true);
+
+SELECT throws_ok(
+  $$SELECT public.sign_inspection_report('30000000-0000-0000-0000-000000000001', '{"findings": []}', '[]')$$,
+  '23514',
+  NULL,
+  'A report cannot be signed without signatures'
+);
+
+SELECT lives_ok(
+  $$SELECT public.sign_inspection_report(
+      '30000000-0000-0000-0000-000000000001',
+      '{"findings": [{"code": "IRC R602.3", "severity": "high"}]}',
+      '[{"role": "inspector", "name": "Alice", "strokes": [[[1, 2], [3, 4]]]}]',
+      'city'
+    )$$,
+  'Alice signs her session''s report'
+);
+
+SELECT ok(
+  (SELECT locked_at IS NOT NULL AND status = 'completed' FROM public.inspection_sessions
+   WHERE id = '30000000-0000-0000-0000-000000000001'),
+  'Signing locks and completes the session'
+);
+
+SELECT is(
+  (SELECT report_hash FROM public.inspection_sessions WHERE id = '30000000-0000-0000-0000-000000000001'),
+  (SELECT content_hash FROM public.inspection_reports WHERE session_id = '30000000-0000-0000-0000-000000000001'),
+  'The session records the signed report''s hash'
+);
+
+SELECT ok(
+  (SELECT valid FROM public.verify_inspection_report('30000000-0000-0000-0000-000000000001')),
+  'The signed report verifies'
+);
+
+SELECT throws_ok(
+  $$SELECT public.sign_inspection_report('30000000-0000-0000-0000-000000000001', '{}', '[{"role": "inspector"}]')$$,
+  '55000',
+  NULL,
+  'A signed session cannot be signed again'
+);
+
+-- ============================================================================
+-- LOCKED SESSION
+-- ============================================================================
+
+SELECT throws_ok(
+  $$UPDATE public.inspection_violations SET severity = 'low' WHERE id = '40000000-0000-0000-0000-000000000001'$$,
+  '55000',
+  NULL,
+  'Findings of a signed session cannot be edited'
+);
+
+SELECT throws_ok(
+  $$DELETE FROM public.inspection_violations WHERE id = '40000000-0000-0000-0000-000000000001'$$,
+  '55000',
+  NULL,
+  'Findings of a signed session cannot be deleted'
+);
+
+SELECT throws_ok(
+  $$INSERT INTO public.captured_violations (session_id, project_id, image_uri)
+    VALUES ('30000000-0000-0000-0000-000000000001', '20000000-0000-0000-0000-00000000000a', 'file:///late.jpg')$$,
+  '55000',
+  NULL,
+  'Photos cannot be added to a signed session'
+);
+
+SELECT throws_ok(
+  $$UPDATE public.inspection_sessions SET status = 'active' WHERE id = '30000000-0000-0000-0000-000000000001'$$,
+  '55000',
+  NULL,
+  'A signed session cannot be reopened'
+);
+
+SELECT lives_ok(
+  $$INSERT INTO public.inspection_violations (session_id, project_id, violation_code, description, severity)
+    VALUES ('30000000-0000-0000-0000-000000000002', '20000000-0000-0000-0000-00000000000a', 'IRC R602.3', 'Missing hold-down', 'high')$$,
+  'Findings can still be added to an unsigned session'
+);
+
+-- ============================================================================
+-- BOB (other tenant)
+-- ============================================================================
+
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-00000000000b", "role": "authenticated"}', true);
+
+SELECT is(
+  (SELECT count(*) FROM public.inspection_reports)::int, 0,
+  'Bob cannot read Alice''s signed report'
+);
+
+SELECT throws_ok(
+  $$SELECT public.sign_inspection_report('30000000-0000-0000-0000-000000000002', '{}', '[{"role": "inspector"}]')$$,
+  '42501',
+  NULL,
+  'Bob cannot sign Alice''s session'
+);
+
+-- ============================================================================
+-- TAMPERING (as superuser)
+-- ============================================================================
+
+RESET ROLE;
+
+SELECT throws_ok(
+  $$UPDATE public.inspection_reports SET content = '{"findings": []}'
+    WHERE session_id = '30000000-0000-0000-0000-000000000001'$$,
+  '55000',
+  NULL,
+  'Signed reports cannot be changed'
+);
+
+-- Simulate a direct edit that gets past the trigger
+ALTER TABLE public.inspection_reports DISABLE TRIGGER prevent_changes;
+UPDATE public.inspection_reports SET content = '{"findings": []}'
+WHERE session_id = '30000000-0000-0000-0000-000000000001';
+ALTER TABLE public.inspection_reports ENABLE TRIGGER prevent_changes;
+
+SELECT ok(
+  NOT (SELECT valid FROM public.verify_inspection_report('30000000-0000-0000-0000-000000000001')),
+  'A changed report no longer verifies'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
@@ -0,0 +1,218 @@
+-- RLS tests for project ownership policies
+-- Run with: supabase test db
+-- Proves inspectors only see inspection data for projects they own or share
+-- through an organization, and that anon clients see nothing.
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(21);
+
+-- ============================================================================
+-- FIXTURES (as superuser, bypassing RLS)
+-- ============================================================================
+
+-- Alice owns a project, Bob owns another, Carol and Dave are on Alice's
+-- crew with Dave as its admin
+INSERT INTO auth.users (id, email) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'alice@example.com'),
+  ('00000000-0000-0000-0000-00000000000b', 'bob@example.com'),
+  ('00000000-0000-0000-0000-00000000000c', 'carol@example.com'),
+  ('00000000-0000-0000-0000-00000000000d', 'dave@example.com');
+
+INSERT INTO public.organizations (id, name, created_by) VALUES
+  ('10000000-0000-0000-0000-000000000001', 'Alice Framing Crew', '00000000-0000-0000-0000-00000000000a');
+
+INSERT INTO public.organization_members (organization_id, user_id, role) VALUES
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'owner'),
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000c', 'member'),
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000d', 'admin');
+
+INSERT INTO public.projects (id, name, user_id, organization_id) VALUES
+  ('20000000-0000-0000-0000-00000000000a', 'Alice Residence', '00000000-0000-0000-0000-00000000000a', '10000000-0000-0000-0000-000000000001'),
+  ('20000000-0000-0000-0000-00000000000b', 'Bob Warehouse', '00000000-0000-0000-0000-00000000000b', NULL);
+
+INSERT INTO public.inspection_sessions (id, project_id, inspection_type) VALUES
+  ('30000000-0000-0000-0000-00000000000a', '20000000-0000-0000-0000-00000000000a', 'rough_framing'),
+  ('30000000-0000-0000-0000-00000000000b', '20000000-0000-0000-0000-00000000000b', 'electrical');
+
+INSERT INTO public.inspection_violations (session_id, project_id, violation_code, description, severity) VALUES
+  ('30000000-0000-0000-0000-00000000000a', '20000000-0000-0000-0000-00000000000a', 'IRC R602.3', 'Missing hold-down', 'high'),
+  ('30000000-0000-0000-0000-00000000000b', '20000000-0000-0000-0000-00000000000b', 'NEC 110.26', 'Panel clearance', 'critical'),
+  -- Session-only row: access must resolve through the session's project
+  ('30000000-0000-0000-0000-00000000000b', NULL, 'NEC 210.8', 'No GFCI', 'medium');
+
+INSERT INTO public.captured_violations (session_id, project_id, violation_code, image_uri) VALUES
+  ('30000000-0000-0000-0000-00000000000a', '20000000-0000-0000-0000-00000000000a', 'IRC R602.3', 'file:///alice.jpg'),
+  ('30000000-0000-0000-0000-00000000000b', '20000000-0000-0000-0000-00000000000b', 'NEC 110.26', 'file:///bob.jpg');
+
+-- ============================================================================
+-- ALICE (owner)
+-- ============================================================================
+
+SET LOCAL ROLE authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-00000000000a", "role": "authenticated"}', true);
+
+SELECT results_eq(
+  'SELECT id FROM public.inspection_sessions',
+  $$VALUES ('30000000-0000-0000-0000-00000000000a'::uuid)$$,
+  'Alice sees only her own session'
+);
+
+SELECT is(
+  (SELECT count(*) FROM public.inspection_violations)::int, 1,
+  'Alice sees only violations on her project'
+);
+
+SELECT is(
+  (SELECT count(*) FROM public.captured_violations WHERE project_id = '20000000-0000-0000-0000-00000000000b')::int, 0,
+  'Alice cannot read Bob''s captured violations'
+);
+
+SELECT throws_ok(
+  $$INSERT INTO public.inspection_sessions (project_id) VALUES ('20000000-0000-0000-0000-00000000000b')$$,
+  '42501',
+  NULL,
+  'Alice cannot open a session on Bob''s project'
+);
+
+-- Her own project must not carry a row into Bob's session
+SELECT throws_ok(
+  $$INSERT INTO public.inspection_violations (session_id, project_id, violation_code, description, severity)
+    VALUES ('30000000-0000-0000-0000-00000000000b', '20000000-0000-0000-0000-00000000000a', 'NEC 110.26', 'Planted', 'low')$$,
+  '42501',
+  NULL,
+  'Alice cannot pair her project with Bob''s session on a violation'
+);
+
+SELECT throws_ok(
+  $$INSERT INTO public.captured_violations (session_id, project_id, violation_code, image_uri)
+    VALUES ('30000000-0000-0000-0000-00000000000b', '20000000-0000-0000-0000-00000000000a', 'NEC 110.26', 'file:///planted.jpg')$$,
+  '42501',
+  NULL,
+  'Alice cannot pair her project with Bob''s session on a capture'
+);
+
+UPDATE public.inspection_violations SET severity = 'low' WHERE project_id = '20000000-0000-0000-0000-00000000000b';
+DELETE FROM public.captured_violations WHERE project_id = '20000000-0000-0000-0000-00000000000b';
+
+-- ============================================================================
+-- BOB (other tenant)
+-- ============================================================================
+
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-00000000000b", "role": "authenticated"}', true);
+
+SELECT is(
+  (SELECT count(*) FROM public.inspection_violations WHERE severity = 'low')::int, 0,
+  'Alice''s cross-tenant UPDATE changed nothing'
+);
+
+SELECT is(
+  (SELECT count(*) FROM public.captured_violations)::int, 1,
+  'Alice''s cross-tenant DELETE removed nothing'
+);
+
+SELECT is(
+  (SELECT count(*) FROM public.inspection_violations)::int, 2,
+  'Bob sees his project and session-only violations'
+);
+
+SELECT is(
+  (SELECT count(*) FROM public.inspection_sessions WHERE project_id = '20000000-0000-0000-0000-00000000000a')::int, 0,
+  'Bob cannot read Alice''s sessions'
+);
+
+SELECT is(
+  (SELECT count(*) FROM public.organizations)::int, 0,
+  'Bob cannot see Alice''s organization'
+);
+
+SELECT throws_ok(
+  $$INSERT INTO public.organization_members (organization_id, user_id, role)
+    VALUES ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000b', 'owner')$$,
+  '42501',
+  NULL,
+  'Bob cannot add himself to Alice''s organization'
+);
+
+-- ============================================================================
+-- CAROL (crew member via organization)
+-- ============================================================================
+
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-00000000000c", "role": "authenticated"}', true);
+
+SELECT results_eq(
+  'SELECT id FROM public.inspection_sessions',
+  $$VALUES ('30000000-0000-0000-0000-00000000000a'::uuid)$$,
+  'Carol sees sessions on projects shared with her organization'
+);
+
+SELECT is(
+  (SELECT count(*) FROM public.captured_violations)::int, 1,
+  'Carol sees captured violations on shared projects only'
+);
+
+SELECT results_eq(
+  'SELECT id FROM public.projects WHERE organization_id IS NOT NULL',
+  $$VALUES ('20000000-0000-0000-0000-00000000000a'::uuid)$$,
+  'Carol sees projects shared with her organization'
+);
+
+-- ============================================================================
+-- DAVE (organization admin)
+-- ============================================================================
+
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-00000000000d", "role": "authenticated"}', true);
+
+SELECT throws_ok(
+  $$UPDATE public.organization_members SET role = 'owner'
+    WHERE user_id = '00000000-0000-0000-0000-00000000000d'$$,
+  '42501',
+  NULL,
+  'Dave cannot promote himself to owner'
+);
+
+SELECT throws_ok(
+  $$UPDATE public.organization_members SET user_id = '00000000-0000-0000-0000-00000000000b'
+    WHERE user_id = '00000000-0000-0000-0000-00000000000c'$$,
+  '42501',
+  NULL,
+  'Dave cannot hand Carol''s membership to Bob'
+);
+
+UPDATE public.organization_members SET role = 'member'
+  WHERE user_id = '00000000-0000-0000-0000-00000000000a';
+
+SELECT is(
+  (SELECT role FROM public.organization_members WHERE user_id = '00000000-0000-0000-0000-00000000000a'),
+  'owner',
+  'Dave cannot demote Alice'
+);
+
+SELECT lives_ok(
+  $$UPDATE public.organization_members SET role = 'admin'
+    WHERE user_id = '00000000-0000-0000-0000-00000000000c'$$,
+  'Dave can promote Carol to admin'
+);
+
+-- ============================================================================
+-- ANON
+-- ============================================================================
+
+SET LOCAL ROLE anon;
+SELECT set_config('request.jwt.claims', '{"role": "anon"}', true);
+
+SELECT is(
+  (SELECT count(*) FROM public.inspection_sessions)::int, 0,
+  'Anon clients see no sessions'
+);
+
+SELECT is(
+  (SELECT count(*) FROM public.captured_violations)::int, 0,
+  'Anon clients see no captured violations'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
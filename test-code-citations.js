@@ -0,0 +1,77 @@
+/**
+ * Check citation parsing and that a citation is only matched in the index
+ * of the code it names
+ * Run with: node test-code-citations.js
+ */
+
+const {
+  parseCitation,
+  parseCitationCode,
+  citableCodeTypes,
+  parseCodeSections,
+  findSection,
+} = require('./services/codeSectionParser.js');
+
+let passed = 0;
+let failed = 0;
+
+const check = (name, condition, detail = '') => {
+  if (condition) {
+    console.log(`✅ ${name}`);
+    passed++;
+  } else {
+    console.log(`❌ ${name}${detail ? ` - ${detail}` : ''}`);
+    failed++;
+  }
+};
+
+const MODEL_CODES = { residential: 'IRC', building: 'IBC' };
+
+// County amendments of the model codes, as BuildingCodeService indexes them
+const indexes = {
+  residential: parseCodeSections(`
+    <h2>CHAPTER 3 BUILDING PLANNING</h2>
+    <h3>SECTION R314 SMOKE ALARMS</h3>
+    <p>R314.3 Location. Smoke alarms shall be installed in each sleeping room.</p>
+  `),
+  building: parseCodeSections(`
+    <h2>CHAPTER 1 SCOPE AND ADMINISTRATION</h2>
+    <h3>SECTION 110 INSPECTIONS</h3>
+    <h4>110.2 Preliminary inspection.</h4>
+    <p>Before issuing a permit, the building official is authorized to examine the site.</p>
+  `),
+};
+
+// Mirrors BuildingCodeService.findSection: exact match in a citable index
+const lookup = (citation) => {
+  for (const codeType of citableCodeTypes(citation, MODEL_CODES)) {
+    const match = findSection(indexes[codeType], citation);
+    if (match) return { ...match, codeType };
+  }
+  return null;
+};
+
+console.log('\nParsing');
+check('section number from a model code citation', parseCitation('IRC R314.3') === 'R314.3');
+check('edition and list item dropped', parseCitation('NEC 2020 210.8(A)') === '210.8', parseCitation('NEC 2020 210.8(A)'));
+check('county section number', parseCitation('ROH § 16-1.1') === '16-1.1');
+check('code name is uppercased', parseCitationCode('nec 110.2') === 'NEC');
+check('OSHA is a code name', parseCitationCode('OSHA 1926.501') === 'OSHA' && parseCitation('OSHA 1926.501') === '1926.501');
+check('bare number names no code', parseCitationCode('R314.3') === null);
+
+console.log('\nCitable codes');
+check('IRC only in the residential index', citableCodeTypes('IRC R314.3', MODEL_CODES).join() === 'residential');
+check('IBC only in the building index', citableCodeTypes('IBC 110.2', MODEL_CODES).join() === 'building');
+check('bare number in either, in order', citableCodeTypes('110.2', MODEL_CODES).join() === 'residential,building');
+check('county citation in either', citableCodeTypes('ROH § 16-1.1', MODEL_CODES).length === 2);
+check('NEC in neither', citableCodeTypes('NEC 110.2', MODEL_CODES).length === 0);
+check('UPC in neither', citableCodeTypes('UPC 2018 603.1', MODEL_CODES).length === 0);
+
+console.log('\nLookup');
+check('IBC 110.2 found exactly', lookup('IBC 110.2')?.exact === true);
+check('NEC 110.2 is not read as IBC 110.2', lookup('NEC 110.2') === null);
+check('IRC 110.2 is not read as IBC 110.2', lookup('IRC 110.2') === null);
+check('IRC R314.3 found in the residential index', lookup('IRC R314.3')?.codeType === 'residential');
+
+console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -33,14 +33,14 @@ const checks = [
     reason: 'No direct createClient calls',
   },
   {
-    name: 'McpClient validates URL',
-    file: 'services/McpClient.js',
+    name: 'McpToolClient validates URL',
+    file: 'services/McpToolClient.js',
     mustInclude: 'isConfigValid',
     reason: 'Validates MCP_URL before use',
   },
   {
-    name: 'McpClient has timeout',
-    file: 'services/McpClient.js',
+    name: 'McpToolClient has timeout',
+    file: 'services/McpToolClient.js',
     mustInclude: 'AbortController',
     reason: 'Proper timeout implementation',
   },
@@ -0,0 +1,118 @@
+/**
+ * Exercise the mock MCP server: fixtures, auth and error injection
+ * Run with: node test-mock-mcp-server.js
+ */
+
+const { createMockServer } = require('./mock-mcp-server/server');
+
+const API_KEY = 'test-anon-key';
+
+let passed = 0;
+let failed = 0;
+
+const check = (name, condition, detail = '') => {
+  if (condition) {
+    console.log(`✅ ${name}`);
+    passed++;
+  } else {
+    console.log(`❌ ${name}${detail ? ` - ${detail}` : ''}`);
+    failed++;
+  }
+};
+
+async function run() {
+  const server = createMockServer({ apiKey: API_KEY, retryAfter: 2 });
+  await new Promise((resolve) => server.listen(0, resolve));
+  const base = `http://localhost:${server.address().port}`;
+
+  const callTool = (name, args, headers = {}, signal) =>
+    fetch(`${base}/call-tool`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        apikey: API_KEY,
+        Authorization: `Bearer ${API_KEY}`,
+        ...headers,
+      },
+      body: JSON.stringify({ name, arguments: args }),
+      signal,
+    });
+
+  console.log('\n=== Testing Mock MCP Server ===\n');
+
+  try {
+    const health = await fetch(`${base}/health`, { headers: { apikey: API_KEY } });
+    check('/health returns 200', health.status === 200);
+
+    const live = await callTool('analyze_live_inspection', {
+      imageUrl: 'data:image/jpeg;base64,AAAA',
+      sessionId: 'session-1',
+      frameNumber: 3,
+    });
+    const liveData = JSON.parse((await live.json()).content[0].text);
+    check('analyze_live_inspection echoes session', liveData.sessionId === 'session-1' && liveData.frameNumber === 3);
+    check('analyze_live_inspection returns fixture violations', liveData.violations.length === 2);
+
+    const again = await callTool('analyze_live_inspection', {
+      imageUrl: 'data:image/jpeg;base64,AAAA',
+      sessionId: 'session-1',
+      frameNumber: 3,
+    });
+    const againData = JSON.parse((await again.json()).content[0].text);
+    check('Fixtures are deterministic', JSON.stringify(againData) === JSON.stringify(liveData));
+
+    const missing = await callTool('capture_violation', { imageUrl: 'x' });
+    check('Missing required arguments return 400', missing.status === 400);
+
+    const unknown = await callTool('not_a_tool', {});
+    check('Unknown tool returns 400', unknown.status === 400);
+
+    const noAuth = await fetch(`${base}/call-tool`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'list_projects', arguments: {} }),
+    });
+    check('Missing key returns 401', noAuth.status === 401);
+
+    const headerError = await callTool('list_projects', {}, { 'x-mock-error': '500' });
+    check('x-mock-error header injects 500', headerError.status === 500);
+
+    await fetch(`${base}/__mock/config`, {
+      method: 'POST',
+      body: JSON.stringify({ error: '429', times: 1, tools: ['list_projects'] }),
+    });
+    const otherTool = await callTool('get_labor_rates', {});
+    check('Injection is scoped to configured tools', otherTool.status === 200);
+    const limited = await callTool('list_projects', {});
+    check('Configured 429 is returned', limited.status === 429);
+    check('429 carries Retry-After', limited.headers.get('retry-after') === '2');
+    const recovered = await callTool('list_projects', {});
+    check('Injection expires after configured count', recovered.status === 200);
+
+    const controller = new AbortController();
+    const abortTimer = setTimeout(() => controller.abort(), 300);
+    let timedOut = false;
+    try {
+      await callTool('list_projects', {}, { 'x-mock-error': 'timeout' }, controller.signal);
+    } catch (error) {
+      timedOut = error.name === 'AbortError';
+    }
+    clearTimeout(abortTimer);
+    check('Injected timeout never responds', timedOut);
+
+    await callTool('list_projects', {}, { 'Idempotency-Key': 'key-123' });
+    const log = await (await fetch(`${base}/__mock/requests`)).json();
+    check('Request log records idempotency keys', log.requests.some((r) => r.idempotencyKey === 'key-123'));
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+run().catch((error) => {
+  console.error('❌ Mock server test crashed:', error);
+  process.exitCode = 1;
+});
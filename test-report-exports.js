@@ -0,0 +1,254 @@
+/**
+ * Check the CSV, JSON and DOCX exports against a fixture report, and the
+ * JSON output against inspectionReport.schema.json
+ * Run with: node test-report-exports.js
+ */
+
+const { buildReportModel, buildReinspection } = require('./services/reportModel.js');
+const {
+  reportToCsv,
+  reportToJson,
+  reportToDocxEntries,
+  csvCell,
+  imageInfo,
+  CSV_COLUMNS,
+} = require('./services/reportExports.js');
+const { createZip, crc32 } = require('./services/zipArchive.js');
+const { sha256 } = require('./services/sha256.js');
+const schema = require('./services/inspectionReport.schema.json');
+
+let passed = 0;
+let failed = 0;
+
+const check = (name, condition, detail = '') => {
+  if (condition) {
+    console.log(`✅ ${name}`);
+    passed++;
+  } else {
+    console.log(`❌ ${name}${detail ? ` - ${detail}` : ''}`);
+    failed++;
+  }
+};
+
+// Enough of JSON Schema for inspectionReport.schema.json: type, const, enum,
+// required, properties, items, oneOf, pattern and local $refs
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const validate = (value, node, path = '$') => {
+  if (node.$ref) {
+    return validate(value, node.$ref.split('/').slice(1).reduce((at, key) => at[key], schema), path);
+  }
+  const errors = [];
+  if (node.type) {
+    const types = [].concat(node.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      return [`${path}: expected ${types.join('|')}, got ${actual}`];
+    }
+  }
+  if ('const' in node && value !== node.const) errors.push(`${path}: expected ${node.const}`);
+  if (node.enum && !node.enum.includes(value)) errors.push(`${path}: ${value} not in enum`);
+  if (node.pattern && typeof value === 'string' && !new RegExp(node.pattern).test(value)) {
+    errors.push(`${path}: does not match ${node.pattern}`);
+  }
+  if (node.oneOf) {
+    const matches = node.oneOf.filter((option) => validate(value, option, path).length === 0);
+    if (matches.length !== 1) errors.push(`${path}: matches ${matches.length} of oneOf`);
+  }
+  if (typeOf(value) === 'object') {
+    (node.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${path}.${key}: missing`);
+    });
+    Object.entries(node.properties || {}).forEach(([key, child]) => {
+      if (key in value) errors.push(...validate(value[key], child, `${path}.${key}`));
+    });
+  }
+  if (Array.isArray(value) && node.items) {
+    value.forEach((item, index) => errors.push(...validate(item, node.items, `${path}[${index}]`)));
+  }
+  return errors;
+};
+
+// Smallest valid images: a 1x1 PNG header and a 4x3 JPEG frame header
+const PNG = new Uint8Array([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52, 0, 0, 0, 1, 0, 0, 0, 1, 8, 6, 0, 0,
+]);
+const JPEG = new Uint8Array([
+  0xff, 0xd8, 0xff, 0xe0, 0, 4, 0, 0, 0xff, 0xc0, 0, 11, 8, 0, 3, 0, 4, 1, 1, 0x11, 0, 0xff, 0xd9, 0, 0, 0,
+]);
+
+const report = {
+  ...buildReportModel({
+    session: {
+      id: 'session-1',
+      session_name: 'Lot 12 - framing',
+      inspection_type: 'framing',
+      started_at: '2025-01-20T18:00:00.000Z',
+      ended_at: '2025-01-20T18:45:00.000Z',
+      status: 'completed',
+    },
+    project: { id: 'project-1', name: 'Lot 12', address: '45-123 Kamehameha Hwy, Kaneohe', project_type: 'residential' },
+    violations: [
+      {
+        id: 'v-1',
+        violation_code: 'IRC R602.3',
+        description: 'Top plate splice, "short" lap, under 48 inches',
+        severity: 'high',
+        category: 'structural',
+        source: 'ai',
+        status: 'open',
+        detected_at: '2025-01-20T18:05:00.000Z',
+      },
+      {
+        id: 'v-2',
+        violation_code: null,
+        description: '=HYPERLINK("http://example.com")\nsecond line <b>',
+        severity: 'low',
+        category: 'quality',
+        source: 'manual',
+        status: 'open',
+      },
+      { id: 'v-3', violation_code: 'NEC 334.30', severity: 'low', category: 'electrical', source: 'ai', status: 'dismissed' },
+    ],
+    capturedViolations: [
+      { id: 'c-1', violation_code: 'IRC R602.3', category: 'structural', image_uri: 'file:///splice.jpg', location_data: { latitude: 21.4, longitude: -157.8 } },
+      { id: 'c-2', violation_code: 'IRC R602.3', category: 'structural', image_uri: 'file:///missing.jpg' },
+    ],
+  }),
+  jurisdiction: 'City & County of Honolulu',
+  inspectionType: 'framing',
+  checklist: {
+    items: [{ id: 'studs', label: 'Stud spacing', status: 'pass', source: 'manual', note: null }],
+    counts: { pass: 1, fail: 0, na: 0, open: 0 },
+  },
+};
+report.findings = report.findings.map((finding) => ({
+  ...finding,
+  remediation: 'Correct to meet the cited code section',
+  permit: finding.category === 'structural' ? 'Building permit' : null,
+  verification: finding.code ? { status: 'verified', section: { citation: 'R602.3', title: 'Design' }, source: null } : undefined,
+}));
+
+const signing = {
+  signedAt: '2025-01-20T19:00:00.000Z',
+  hash: 'ab'.repeat(32),
+  signatures: [{ role: 'inspector', name: 'Pat Lee', license: '42', signedAt: '2025-01-20T19:00:00.000Z', strokes: [[[1, 2]]] }],
+};
+
+console.log('\n=== Report Exports ===\n');
+
+console.log('CSV');
+const csv = reportToCsv(report);
+const lines = csv.replace(/^\uFEFF/, '').trimEnd().split('\r\n');
+check('starts with a UTF-8 byte order mark', csv.startsWith('\uFEFF'));
+check('header row lists every column', lines[0] === CSV_COLUMNS.map(([header]) => header).join(','));
+check('quoted commas and quotes', csv.includes('"Top plate splice, ""short"" lap, under 48 inches"'));
+check('formula text is neutralized', csv.includes('"\'=HYPERLINK(""http://example.com"")\nsecond line <b>"'));
+check('dismissed finding left out', !csv.includes('NEC 334.30'));
+check('one row per open finding', csv.replace(/"[^"]*"/g, '').trimEnd().split('\r\n').length === 1 + report.findings.length);
+check('photos listed with their count', csv.includes(',2,file:///splice.jpg file:///missing.jpg,'));
+check('numbers are not treated as formulas', csvCell(-5) === '-5' && csvCell(null) === '');
+
+console.log('\nJSON');
+const json = reportToJson(report, { signing, generatedAt: new Date('2025-01-21T00:00:00.000Z') });
+const errors = validate(JSON.parse(JSON.stringify(json)), schema);
+check('matches the schema', errors.length === 0, errors.slice(0, 3).join('; '));
+const unsignedErrors = validate(JSON.parse(JSON.stringify(reportToJson(report))), schema);
+check('unsigned report matches the schema', unsignedErrors.length === 0, unsignedErrors.slice(0, 3).join('; '));
+const emptyErrors = validate(JSON.parse(JSON.stringify(reportToJson(buildReportModel({})))), schema);
+check('empty report matches the schema', emptyErrors.length === 0, emptyErrors.slice(0, 3).join('; '));
+check('findings numbered in report order', json.findings.map((f) => f.number).join() === '1,2');
+check('citation flattened', json.findings[0].citation?.section === 'R602.3');
+check('signature strokes left out', !('strokes' in json.signing.signatures[0]));
+check('every schema property is produced', Object.keys(schema.properties).every((key) => key in json));
+check(
+  'schema documents every finding field',
+  Object.keys(json.findings[0]).every((key) => key in schema.definitions.finding.properties)
+);
+
+console.log('\nDOCX');
+check('PNG size read', JSON.stringify(imageInfo(PNG)) === JSON.stringify({ type: 'png', width: 1, height: 1 }));
+check('JPEG size read', JSON.stringify(imageInfo(JPEG)) === JSON.stringify({ type: 'jpeg', height: 3, width: 4 }));
+check('unknown bytes are not an image', imageInfo(new Uint8Array(30)) === null);
+
+const entries = reportToDocxEntries(report, {
+  branding: { companyName: 'Acme & Sons', logoUri: 'file:///logo.png', inspectorName: 'Pat Lee' },
+  images: { 'file:///logo.png': PNG, 'file:///splice.jpg': JPEG },
+  signing,
+  inspectionLabel: 'Framing',
+});
+const part = (name) => entries.find((entry) => entry.name === name)?.data;
+const documentXml = part('word/document.xml');
+check(
+  'package has the required parts',
+  ['[Content_Types].xml', '_rels/.rels', 'word/document.xml', 'word/styles.xml', 'word/_rels/document.xml.rels'].every(part)
+);
+check('text is XML-escaped', documentXml.includes('Acme &amp; Sons') && documentXml.includes('&lt;b&gt;'));
+check('line breaks kept', documentXml.includes('second line'));
+check('only images on this device are embedded', part('word/media/image1.png') === PNG && part('word/media/image2.jpeg') === JPEG && entries.length === 7);
+check('every image has a relationship', (part('word/_rels/document.xml.rels').match(/relationships\/image/g) || []).length === 2);
+check('drawing ids are unique', new Set(documentXml.match(/docPr id="\d+"/g)).size === 2);
+check('signature and hash recorded', documentXml.includes('Signed electronically') && documentXml.includes(signing.hash));
+check('no undefined values', !/undefined|NaN|\[object/.test(documentXml));
+
+console.log('\nRe-inspection');
+const reinspected = {
+  ...report,
+  findings: [],
+  reinspection: buildReinspection({
+    session: { id: 'session-2', session_name: 'Re-inspection' },
+    previousSessions: [{ id: 'session-1', session_name: 'Lot 12 - framing', started_at: '2025-01-20T18:00:00.000Z' }],
+    violations: [
+      { id: 'v-1', session_id: 'session-1', violation_code: 'IRC R602.3', category: 'structural', severity: 'high', status: 'open' },
+      { id: 'v-2', session_id: 'session-1', violation_code: null, category: 'quality', severity: 'low', status: 'open' },
+    ],
+    capturedViolations: [{ id: 'c-1', session_id: 'session-1', violation_code: 'IRC R602.3', category: 'structural', image_uri: 'file:///splice.jpg' }],
+    results: [
+      { violation_id: 'v-1', session_id: 'session-2', status: 'corrected', note: 'Strap added', photo_uri: 'file:///after.png', recorded_at: '2025-01-27T18:00:00.000Z' },
+    ],
+  }),
+};
+const reinspectedCsv = reportToCsv(reinspected);
+check('re-inspected violations listed with their status', reinspectedCsv.includes(',corrected,session-1,2025-01-27T18:00:00.000Z corrected,'));
+check('unchecked violation marked', reinspectedCsv.includes(',not_checked,session-1,,'));
+const reinspectedJson = JSON.parse(JSON.stringify(reportToJson(reinspected)));
+const reinspectedErrors = validate(reinspectedJson, schema);
+check('re-inspection matches the schema', reinspectedErrors.length === 0, reinspectedErrors.slice(0, 3).join('; '));
+check('status history exported', reinspectedJson.reinspection.items[0].history[0].note === 'Strap added');
+const reinspectedXml = reportToDocxEntries(reinspected, {
+  images: { 'file:///splice.jpg': JPEG, 'file:///after.png': PNG },
+}).find((entry) => entry.name === 'word/document.xml').data;
+check('DOCX shows before and after photos', (reinspectedXml.match(/<w:drawing>/g) || []).length === 2);
+check('DOCX lists the status history', reinspectedXml.includes('Corrected - Strap added') && reinspectedXml.includes('Not checked'));
+
+console.log('\nZip');
+check('CRC-32 check value', crc32(new TextEncoder().encode('123456789')) === 0xcbf43926);
+const zip = createZip(entries, { date: new Date(2025, 0, 20, 12, 0, 0) });
+const view = new DataView(zip.buffer);
+const eocd = zip.length - 22;
+check('starts with a local file header', view.getUint32(0, true) === 0x04034b50);
+check('end record counts every entry', view.getUint32(eocd, true) === 0x06054b50 && view.getUint16(eocd + 10, true) === entries.length);
+const centralStart = view.getUint32(eocd + 16, true);
+check('central directory where the end record says', view.getUint32(centralStart, true) === 0x02014b50);
+check('central directory size matches', centralStart + view.getUint32(eocd + 12, true) === eocd);
+const firstName = new TextDecoder().decode(zip.slice(30, 30 + view.getUint16(26, true)));
+check('content types stored first', firstName === '[Content_Types].xml');
+
+console.log('\nSHA-256');
+const ascii = (text) => new TextEncoder().encode(text);
+check('empty input', sha256(new Uint8Array(0)) === 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+check('"abc"', sha256(ascii('abc')) === 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+check(
+  'two-block message',
+  sha256(ascii('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq')) ===
+    '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'
+);
+check('one changed byte changes the hash', sha256(ascii('photo-1')) !== sha256(ascii('photo-2')));
+
+console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,264 @@
+/**
+ * Check the report model against fixture rows shaped like the real tables
+ * (inspection_violations, live_inspection_violations, captured_violations)
+ * Run with: node test-report-model.js
+ */
+
+const {
+  buildReportModel,
+  buildReinspection,
+  mapInspectionViolation,
+  mapLiveViolation,
+  mapCapturedViolation,
+  mapAppViolation,
+  normalizeSeverity,
+} = require('./services/reportModel.js');
+
+let passed = 0;
+let failed = 0;
+
+const check = (name, condition, detail = '') => {
+  if (condition) {
+    console.log(`✅ ${name}`);
+    passed++;
+  } else {
+    console.log(`❌ ${name}${detail ? ` - ${detail}` : ''}`);
+    failed++;
+  }
+};
+
+const SESSION_ID = '11111111-1111-1111-1111-111111111111';
+const PROJECT_ID = '22222222-2222-2222-2222-222222222222';
+
+const session = {
+  id: SESSION_ID,
+  project_id: PROJECT_ID,
+  session_name: 'Lot 12 - framing',
+  inspection_type: 'framing',
+  started_at: '2025-01-20T18:00:00.000Z',
+  ended_at: '2025-01-20T18:45:00.000Z',
+  status: 'completed',
+};
+
+const project = {
+  id: PROJECT_ID,
+  name: 'Lot 12',
+  address: '45-123 Kamehameha Hwy, Kaneohe',
+  project_type: 'residential',
+};
+
+const violations = [
+  // AI finding the inspector downgraded
+  {
+    id: 'v-ai-edited',
+    session_id: SESSION_ID,
+    project_id: PROJECT_ID,
+    violation_code: 'IRC R602.3',
+    description: 'Top plate splice under 48 inches',
+    severity: 'medium',
+    category: 'structural',
+    location_x: 0.4,
+    location_y: 0.2,
+    source: 'ai',
+    status: 'open',
+    ai_original: { code: 'IRC R602.3', issue: 'Top plate splice under 48 inches', severity: 'high', category: 'structural' },
+    detected_at: '2025-01-20T18:05:00.000Z',
+  },
+  // AI false positive, dismissed
+  {
+    id: 'v-ai-dismissed',
+    session_id: SESSION_ID,
+    violation_code: 'NEC 334.30',
+    description: 'Cable not secured',
+    severity: 'low',
+    category: 'electrical',
+    source: 'ai',
+    status: 'dismissed',
+    dismissed_reason: 'False positive',
+    ai_original: { code: 'NEC 334.30', severity: 'low', category: 'electrical' },
+    detected_at: '2025-01-20T18:10:00.000Z',
+  },
+  // Inspector's own finding, with a severity word from an older prompt
+  {
+    id: 'v-manual',
+    session_id: SESSION_ID,
+    violation_code: 'IRC R507.9.1.3',
+    description: 'Ledger missing through-bolts',
+    severity: 'major',
+    category: 'structural',
+    source: 'manual',
+    status: 'open',
+    detected_at: '2025-01-20T18:20:00.000Z',
+  },
+];
+
+const liveViolations = [
+  // Same finding as v-ai-edited, logged by the server on two frames
+  { id: 1, session_id: SESSION_ID, frame_number: 1, violation_id: 'a', code: 'IRC R602.3', issue: 'Top plate splice', severity: 'high', category: 'structural' },
+  { id: 2, session_id: SESSION_ID, frame_number: 2, violation_id: 'a', code: 'IRC R602.3', issue: 'Top plate splice', severity: 'high', category: 'structural' },
+  // The dismissed false positive must not come back
+  { id: 3, session_id: SESSION_ID, frame_number: 2, violation_id: 'b', code: 'NEC 334.30', issue: 'Cable not secured', severity: 'low', category: 'electrical' },
+  // Only in the frame log, seen on two frames
+  { id: 5, session_id: SESSION_ID, frame_number: 4, violation_id: 'c', code: 'IRC R311.7.5.1', issue: 'Riser height over 7-3/4 inches', severity: 'critical', category: 'safety', coordinates: { x: 0.5, y: 0.6 }, created_at: '2025-01-20T18:30:04.000Z' },
+  { id: 4, session_id: SESSION_ID, frame_number: 3, violation_id: 'c', code: 'IRC R311.7.5.1', issue: 'Riser height over 7-3/4 inches', severity: 'critical', category: 'safety', coordinates: { x: 0.5, y: 0.6 }, created_at: '2025-01-20T18:30:00.000Z' },
+];
+
+const capturedViolations = [
+  // Documents the manual finding
+  {
+    id: 'c-manual',
+    session_id: SESSION_ID,
+    violation_code: 'IRC R507.9.1.3',
+    description: 'Ledger missing through-bolts',
+    severity: 'high',
+    category: 'structural',
+    image_uri: 'file:///captures/ledger.jpg',
+    location_data: { latitude: 21.4, longitude: -157.8, accuracy: 5 },
+    captured_at: '2025-01-20T18:21:00.000Z',
+  },
+  // Captured offline for a finding that was never recorded
+  {
+    id: 'c-unmatched',
+    session_id: SESSION_ID,
+    violation_code: 'UPC 1002.1',
+    description: 'Missing trap',
+    severity: 'medium',
+    category: 'plumbing',
+    image_uri: 'file:///captures/trap.jpg',
+    captured_at: '2025-01-20T18:25:00.000Z',
+  },
+  // Photo with no violation attached
+  { id: 'c-plain', session_id: SESSION_ID, image_uri: 'file:///captures/overview.jpg', captured_at: '2025-01-20T18:01:00.000Z' },
+  // Row without an image is not a photo
+  { id: 'c-no-image', session_id: SESSION_ID, violation_code: 'IRC R602.3', category: 'structural' },
+];
+
+console.log('\n=== Report Model ===\n');
+
+console.log('Row mapping');
+const edited = mapInspectionViolation(violations[0]);
+check('inspection_violations.description -> description', edited.description === 'Top plate splice under 48 inches');
+check('inspection_violations.violation_code -> code', edited.code === 'IRC R602.3');
+check('location_x/location_y -> position', edited.position?.x === 0.4 && edited.position?.y === 0.2);
+check('changed AI severity is marked edited', edited.edited === true);
+check('manual finding is not marked edited', mapInspectionViolation(violations[2]).edited === false);
+check('manual source kept', mapInspectionViolation(violations[2]).source === 'manual');
+
+const live = mapLiveViolation(liveViolations[3]);
+check('live_inspection_violations.issue -> description', live.description === 'Riser height over 7-3/4 inches');
+check('live coordinates -> position', live.position?.x === 0.5);
+check('live rows are AI findings', live.source === 'ai' && live.origin === 'live');
+
+const photo = mapCapturedViolation(capturedViolations[0]);
+check('captured_violations.image_uri -> uri', photo.uri === 'file:///captures/ledger.jpg');
+check('location_data -> location', photo.location?.latitude === 21.4);
+
+check('severity aliases', normalizeSeverity('major') === 'high' && normalizeSeverity('Minor') === 'low');
+check('unknown severity reads as medium', normalizeSeverity('yellow') === 'medium' && normalizeSeverity(null) === 'medium');
+
+console.log('\nReport');
+const report = buildReportModel({ session, project, violations, liveViolations, capturedViolations });
+const ids = report.findings.map((finding) => finding.id);
+
+check('dismissed finding left out', !ids.includes('v-ai-dismissed'));
+check('dismissed finding counted', report.counts.dismissed === 1);
+check('recorded AI finding not repeated from the frame log', report.findings.filter((f) => f.code === 'IRC R602.3').length === 1);
+check('dismissed finding not revived from the frame log', !report.findings.some((f) => f.code === 'NEC 334.30'));
+const riser = report.findings.filter((f) => f.code === 'IRC R311.7.5.1');
+check('frame-log-only finding appears once', riser.length === 1);
+check('frame-log finding taken from its first frame', riser[0]?.detectedAt === '2025-01-20T18:30:00.000Z');
+check('capture attached to its finding', report.findings.find((f) => f.id === 'v-manual')?.photos[0] === 'file:///captures/ledger.jpg');
+check('unmatched capture becomes a finding', report.findings.some((f) => f.id === 'c-unmatched' && f.origin === 'capture'));
+check('photos exclude rows without an image', report.photos.length === 3);
+check(
+  'findings ordered by severity',
+  JSON.stringify(report.findings.map((f) => f.severity)) === JSON.stringify(['critical', 'high', 'medium', 'medium']),
+  JSON.stringify(report.findings.map((f) => f.severity))
+);
+check(
+  'severity counts',
+  report.counts.total === 4 && report.counts.critical === 1 && report.counts.high === 1 && report.counts.medium === 2,
+  JSON.stringify(report.counts)
+);
+check('session duration', report.session.durationMs === 45 * 60000);
+check('session fields', report.sessionId === SESSION_ID && report.session.inspectionType === 'framing');
+check('project fields', report.project.projectType === 'residential');
+check('location from capture GPS when the project has none', report.location?.latitude === 21.4);
+
+const fromRoute = buildReportModel({
+  appViolations: [
+    { code: 'IRC R312.1.1', issue: 'Guard missing at deck edge', severity: 'critical', category: 'safety', remediation: 'Install a 36 in. guard' },
+    { category: 'quality', severity: 'yellow', issues: ['Drywall seam', 'Nail pops'], timestamp: '2025-01-20T18:40:00.000Z' },
+  ],
+});
+check('app violations used as given', fromRoute.findings.length === 2 && fromRoute.findings[0].origin === 'app');
+check('app violation remediation kept', fromRoute.findings[0].remediation === 'Install a 36 in. guard');
+check('legacy defect issues joined', mapAppViolation({ issues: ['Drywall seam', 'Nail pops'] }).description === 'Drywall seam; Nail pops');
+
+console.log('\nRe-inspection');
+// s1 found a-d, s2 re-inspected them and found e, s3 re-inspects s2
+const s1 = { id: 's1', session_name: 'Framing', started_at: '2025-01-20T18:00:00.000Z' };
+const s2 = { id: 's2', session_name: 'Re-inspection 1', started_at: '2025-01-27T18:00:00.000Z', previous_session_id: 's1' };
+const s3 = { id: 's3', session_name: 'Re-inspection 2', started_at: '2025-02-03T18:00:00.000Z', previous_session_id: 's2' };
+const followUp = buildReinspection({
+  session: s3,
+  previousSessions: [s2, s1],
+  violations: [
+    { id: 'a', session_id: 's1', violation_code: 'IRC R602.3', category: 'structural', severity: 'high', status: 'open' },
+    { id: 'b', session_id: 's1', violation_code: 'IRC R302.5', category: 'safety', severity: 'medium', status: 'open' },
+    { id: 'c', session_id: 's1', violation_code: null, category: 'quality', severity: 'low', status: 'open' },
+    { id: 'd', session_id: 's1', violation_code: 'NEC 334.30', category: 'electrical', severity: 'low', status: 'dismissed' },
+    { id: 'e', session_id: 's2', violation_code: 'IRC R312.1', category: 'safety', severity: 'critical', status: 'open' },
+  ],
+  capturedViolations: [
+    { id: 'p1', session_id: 's1', violation_code: 'IRC R302.5', category: 'safety', image_uri: 'file:///b-before.jpg' },
+    { id: 'p2', session_id: 's2', violation_code: 'IRC R302.5', category: 'safety', image_uri: 'file:///b-later.jpg' },
+  ],
+  results: [
+    { violation_id: 'a', session_id: 's2', status: 'corrected', recorded_at: '2025-01-27T18:10:00.000Z' },
+    { violation_id: 'b', session_id: 's3', status: 'corrected', photo_uri: 'file:///b-after.jpg', recorded_at: '2025-02-03T18:05:00.000Z' },
+    { violation_id: 'b', session_id: 's2', status: 'partially_corrected', note: 'One door closer', recorded_at: '2025-01-27T18:12:00.000Z' },
+    { violation_id: 'b', session_id: 's4', status: 'still_open', recorded_at: '2025-02-10T18:00:00.000Z' },
+    { violation_id: 'e', session_id: 's3', status: 'still_open', recorded_at: '2025-02-03T18:06:00.000Z' },
+  ],
+});
+const item = (id) => followUp.items.find((entry) => entry.id === id);
+check('corrected earlier is not carried forward', !item('a'));
+check('dismissed violation is not re-inspected', !item('d'));
+check('violations found in a re-inspection are carried forward', item('e')?.originalSessionName === 'Re-inspection 1');
+check('items most severe first', followUp.items.map((entry) => entry.id).join() === 'e,b,c');
+check(
+  'history oldest first, later sessions left out',
+  item('b').history.map((result) => `${result.sessionName}:${result.status}`).join() ===
+    'Re-inspection 1:partially_corrected,Re-inspection 2:corrected'
+);
+check('this re-inspection sets the status', item('b').status === 'corrected' && item('b').photoUri === 'file:///b-after.jpg');
+check('original photos from the reporting session only', item('b').photos.join() === 'file:///b-before.jpg');
+check('unchecked item has no status', item('c').status === null && item('c').history.length === 0);
+check(
+  'counts by result',
+  JSON.stringify(followUp.counts) === JSON.stringify({ total: 3, corrected: 1, partially_corrected: 0, still_open: 1, unchecked: 1 })
+);
+check('previous session recorded', followUp.previousSessionId === 's2');
+check(
+  'before starting, results of the chain only',
+  buildReinspection({ previousSessions: [s2, s1], violations: [{ id: 'b', session_id: 's1', status: 'open' }], results: [] })
+    .items[0].status === null
+);
+
+console.log('\nEdge cases');
+const inProgress = buildReportModel(
+  { session: { ...session, ended_at: null } },
+  { now: new Date('2025-01-20T18:10:00.000Z').getTime() }
+);
+check('session in progress measured to now', inProgress.session.durationMs === 10 * 60000);
+const empty = buildReportModel({ violations: null, liveViolations: null, capturedViolations: null });
+check('empty report', empty.findings.length === 0 && empty.photos.length === 0 && empty.counts.total === 0);
+check('no session', empty.session === null && empty.sessionId === null && empty.location === null);
+check(
+  'address used when there is no GPS',
+  buildReportModel({ project }).location?.address === project.address
+);
+
+console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+process.exitCode = failed > 0 ? 1 : 0;